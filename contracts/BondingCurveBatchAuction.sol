@@ -0,0 +1,446 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./BondingCurveMarket.sol";
+
+/**
+ * @title BondingCurveBatchAuction
+ * @notice Collects a market's orders in epochs and clears each epoch at one uniform price
+ * @dev Buyers deposit reserve and sellers deposit tokens while an epoch is
+ *      open. Settlement matches the two sides against each other and trades
+ *      only the imbalance on the curve, as a single buy or sell; everyone in
+ *      the epoch then trades at that curve trade's average price, fees
+ *      included. With no imbalance worth trading, the sides clear at the
+ *      ratio of their deposits, held between the curve's sell and buy
+ *      prices. What a side cannot use (reserve left from a capped buy or
+ *      above the curve's price, tokens left from a partial sell) is returned
+ *      to it. Orders are claimed pro
+ *      rata once their epoch settles; rounding dust stays in the auction.
+ *
+ *      Ordering within an epoch does not matter, so there is nothing to
+ *      sandwich. To stop trades around the auction too, the market's admin
+ *      makes it the market's batchAuction before trading starts; only the
+ *      auction can then buy or sell on the curve. Anyone may settle.
+ */
+contract BondingCurveBatchAuction is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    
+    // ============ Structs ============
+    
+    struct Epoch {
+        uint64 endsAt;              // Orders are accepted until this time
+        bool settled;
+        uint256 totalBuyReserve;    // Reserve deposited by buyers
+        uint256 totalSellTokens;    // Tokens deposited by sellers
+        uint256 tokensForBuyers;    // Set on settlement, shared pro rata
+        uint256 reserveForBuyers;   // Unspent buyer reserve, returned pro rata
+        uint256 reserveForSellers;
+        uint256 tokensForSellers;   // Unsold seller tokens, returned pro rata
+    }
+    
+    // ============ State Variables ============
+    
+    /// @notice Market the auction trades on
+    BondingCurveMarket public immutable market;
+    
+    /// @notice The market's token
+    IERC20 public immutable token;
+    
+    /// @notice The market's reserve, address(0) for native ETH
+    IERC20 public immutable reserveAsset;
+    
+    /// @notice Seconds an epoch collects orders, counted from the previous settlement
+    uint256 public immutable epochDuration;
+    
+    /// @notice Oldest unsettled epoch
+    uint256 public currentEpoch;
+    
+    mapping(uint256 => Epoch) public epochs;
+    
+    /// @notice Reserve each buyer deposited per epoch
+    mapping(uint256 => mapping(address => uint256)) public buyOrders;
+    
+    /// @notice Tokens each seller deposited per epoch
+    mapping(uint256 => mapping(address => uint256)) public sellOrders;
+    
+    // ============ Events ============
+    
+    event BuyOrderPlaced(uint256 indexed epochId, address indexed trader, uint256 reserveAmount);
+    event SellOrderPlaced(uint256 indexed epochId, address indexed trader, uint256 amount);
+    event OrdersCancelled(uint256 indexed epochId, address indexed trader, uint256 reserveAmount, uint256 amount);
+    event EpochSettled(
+        uint256 indexed epochId,
+        uint256 totalBuyReserve,
+        uint256 totalSellTokens,
+        uint256 curveBought,
+        uint256 curveSold,
+        uint256 tokensForBuyers,
+        uint256 reserveForSellers
+    );
+    event OrdersClaimed(uint256 indexed epochId, address indexed trader, uint256 tokens, uint256 reserve);
+    
+    // ============ Constructor ============
+    
+    /**
+     * @param _market Market to trade on
+     * @param _epochDuration Seconds each epoch collects orders
+     */
+    constructor(BondingCurveMarket _market, uint256 _epochDuration) {
+        require(_epochDuration > 0, "Invalid epoch duration");
+        
+        market = _market;
+        token = _market.token();
+        reserveAsset = _market.reserveAsset();
+        epochDuration = _epochDuration;
+        epochs[0].endsAt = uint64(block.timestamp + _epochDuration);
+    }
+    
+    // ============ Order Functions ============
+    
+    /**
+     * @notice Deposit reserve to buy tokens at the price the epoch clears at
+     * @param reserveAmount Reserve to spend; must equal msg.value for ETH markets
+     * @return epochId Epoch the order joined
+     * @dev ERC20 reserves are credited with the amount that arrives
+     */
+    function placeBuyOrder(uint256 reserveAmount) external payable nonReentrant returns (uint256 epochId) {
+        uint256 received;
+        if (address(reserveAsset) == address(0)) {
+            require(msg.value == reserveAmount, "Incorrect ETH amount");
+            received = reserveAmount;
+        } else {
+            require(msg.value == 0, "ETH not accepted");
+            uint256 balanceBefore = reserveAsset.balanceOf(address(this));
+            reserveAsset.safeTransferFrom(msg.sender, address(this), reserveAmount);
+            received = reserveAsset.balanceOf(address(this)) - balanceBefore;
+        }
+        require(received > 0, "Amount must be positive");
+        
+        epochId = orderEpoch();
+        buyOrders[epochId][msg.sender] += received;
+        epochs[epochId].totalBuyReserve += received;
+        
+        emit BuyOrderPlaced(epochId, msg.sender, received);
+    }
+    
+    /**
+     * @notice Deposit tokens to sell at the price the epoch clears at
+     * @param amount Tokens to sell (approve the auction for them first)
+     * @return epochId Epoch the order joined
+     */
+    function placeSellOrder(uint256 amount) external nonReentrant returns (uint256 epochId) {
+        require(amount > 0, "Amount must be positive");
+        token.safeTransferFrom(msg.sender, address(this), amount);
+        
+        epochId = orderEpoch();
+        sellOrders[epochId][msg.sender] += amount;
+        epochs[epochId].totalSellTokens += amount;
+        
+        emit SellOrderPlaced(epochId, msg.sender, amount);
+    }
+    
+    /**
+     * @notice Withdraw the caller's orders from the epoch still collecting them
+     * @dev Orders in an epoch that has ended wait for its settlement
+     */
+    function cancelOrders() external nonReentrant {
+        uint256 epochId = orderEpoch();
+        uint256 reserveAmount = buyOrders[epochId][msg.sender];
+        uint256 amount = sellOrders[epochId][msg.sender];
+        require(reserveAmount > 0 || amount > 0, "No orders");
+        
+        delete buyOrders[epochId][msg.sender];
+        delete sellOrders[epochId][msg.sender];
+        epochs[epochId].totalBuyReserve -= reserveAmount;
+        epochs[epochId].totalSellTokens -= amount;
+        
+        _payOut(msg.sender, amount, reserveAmount);
+        
+        emit OrdersCancelled(epochId, msg.sender, reserveAmount, amount);
+    }
+    
+    /**
+     * @notice Claim the tokens and reserve owed for the caller's orders in a settled epoch
+     * @param epochId Epoch the orders were placed in
+     * @return tokens Tokens paid out
+     * @return reserve Reserve paid out
+     */
+    function claim(uint256 epochId) external nonReentrant returns (uint256 tokens, uint256 reserve) {
+        require(epochs[epochId].settled, "Epoch not settled");
+        (tokens, reserve) = claimable(epochId, msg.sender);
+        require(buyOrders[epochId][msg.sender] > 0 || sellOrders[epochId][msg.sender] > 0, "No orders");
+        
+        delete buyOrders[epochId][msg.sender];
+        delete sellOrders[epochId][msg.sender];
+        
+        _payOut(msg.sender, tokens, reserve);
+        
+        emit OrdersClaimed(epochId, msg.sender, tokens, reserve);
+    }
+    
+    // ============ Settlement ============
+    
+    /**
+     * @notice Clear the current epoch once it has ended and open the next
+     * @dev Reverts while the market cannot trade (e.g. paused), so the
+     *      epoch waits; once the market has graduated, every order is
+     *      returned instead.
+     */
+    function settle() external nonReentrant {
+        uint256 epochId = currentEpoch;
+        Epoch storage epoch = epochs[epochId];
+        require(block.timestamp >= epoch.endsAt, "Epoch still open");
+        
+        uint256 buyReserve = epoch.totalBuyReserve;
+        uint256 sellTokens = epoch.totalSellTokens;
+        uint256 curveBought;
+        uint256 curveSold;
+        
+        if (market.graduatedPair() != address(0)) {
+            epoch.reserveForBuyers = buyReserve;
+            epoch.tokensForSellers = sellTokens;
+        } else {
+            if (buyReserve > 0) {
+                uint256 maxAmount = Math.min(market.getBuyAmountForEth(buyReserve), market.getBuyLimit(address(this)));
+                curveBought = _netBuyAmount(buyReserve, sellTokens, maxAmount);
+            }
+            if (curveBought == 0 && sellTokens > 0) {
+                curveSold = _netSellAmount(buyReserve, sellTokens, Math.min(sellTokens, market.currentSupply()));
+            }
+            _clear(epoch, buyReserve, sellTokens, curveBought, curveSold);
+        }
+        epoch.settled = true;
+        
+        currentEpoch = epochId + 1;
+        epochs[epochId + 1].endsAt = uint64(block.timestamp + epochDuration);
+        
+        emit EpochSettled(
+            epochId,
+            buyReserve,
+            sellTokens,
+            curveBought,
+            curveSold,
+            epoch.tokensForBuyers,
+            epoch.reserveForSellers
+        );
+    }
+    
+    // ============ View Functions ============
+    
+    /**
+     * @notice Epoch new orders join: the current one until it ends, then the next
+     */
+    function orderEpoch() public view returns (uint256) {
+        return block.timestamp < epochs[currentEpoch].endsAt ? currentEpoch : currentEpoch + 1;
+    }
+    
+    /**
+     * @notice Whether settle() would clear an epoch worth clearing now
+     * @dev True once the current epoch has ended and it or the next one holds orders
+     */
+    function canSettle() external view returns (bool) {
+        uint256 epochId = currentEpoch;
+        if (block.timestamp < epochs[epochId].endsAt) {
+            return false;
+        }
+        return _hasOrders(epochs[epochId]) || _hasOrders(epochs[epochId + 1]);
+    }
+    
+    /**
+     * @notice Tokens and reserve `trader` can claim from a settled epoch
+     * @param epochId Epoch the orders were placed in
+     * @param trader Account that placed them
+     * @return tokens Tokens owed
+     * @return reserve Reserve owed
+     */
+    function claimable(uint256 epochId, address trader) public view returns (uint256 tokens, uint256 reserve) {
+        Epoch storage epoch = epochs[epochId];
+        if (!epoch.settled) {
+            return (0, 0);
+        }
+        
+        uint256 bought = buyOrders[epochId][trader];
+        if (bought > 0) {
+            tokens = bought * epoch.tokensForBuyers / epoch.totalBuyReserve;
+            reserve = bought * epoch.reserveForBuyers / epoch.totalBuyReserve;
+        }
+        uint256 sold = sellOrders[epochId][trader];
+        if (sold > 0) {
+            tokens += sold * epoch.tokensForSellers / epoch.totalSellTokens;
+            reserve += sold * epoch.reserveForSellers / epoch.totalSellTokens;
+        }
+    }
+    
+    // ============ Internal Functions ============
+    
+    /**
+     * @dev Trade the imbalance on the curve and split the result at its average price
+     *      A net buy of `curveBought` tokens costing C prices every token at
+     *      C / curveBought: buyers get the sellers' tokens plus the bought ones,
+     *      sellers get their tokens' worth at that price. A net sell of
+     *      `curveSold` tokens for P prices them at P / curveSold: sellers get
+     *      the buyers' reserve plus P, buyers get their reserve's worth.
+     */
+    function _clear(
+        Epoch storage epoch,
+        uint256 buyReserve,
+        uint256 sellTokens,
+        uint256 curveBought,
+        uint256 curveSold
+    ) internal {
+        if (curveBought > 0) {
+            uint256 cost = _buyFromCurve(curveBought);
+            epoch.tokensForBuyers = sellTokens + curveBought;
+            epoch.reserveForSellers = sellTokens * cost / curveBought;
+            epoch.reserveForBuyers = buyReserve - cost - epoch.reserveForSellers;
+        } else if (curveSold > 0) {
+            uint256 proceeds = _sellToCurve(curveSold);
+            epoch.reserveForSellers = buyReserve + proceeds;
+            if (buyReserve > 0) {
+                epoch.tokensForBuyers = Math.min(buyReserve * curveSold / proceeds, sellTokens - curveSold);
+            }
+            epoch.tokensForSellers = sellTokens - curveSold - epoch.tokensForBuyers;
+        } else {
+            epoch.tokensForBuyers = sellTokens;
+            epoch.reserveForSellers = buyReserve;
+            if (buyReserve > 0 && sellTokens > 0) {
+                _clampToCurve(epoch, buyReserve, sellTokens);
+            }
+        }
+        
+        // A side with nobody on the other gets its own deposit back
+        if (sellTokens == 0) {
+            epoch.reserveForBuyers += epoch.reserveForSellers;
+            epoch.reserveForSellers = 0;
+        }
+        if (buyReserve == 0) {
+            epoch.tokensForSellers += epoch.tokensForBuyers;
+            epoch.tokensForBuyers = 0;
+        }
+    }
+    
+    /**
+     * @dev Hold a clearing at the deposit ratio within the curve's prices
+     *      The ratio normally lies in the spread already, but not when the
+     *      curve could not take the imbalance, e.g. the auction is at its buy
+     *      limit. Buyers then pay no more than the curve charges for the
+     *      sellers' tokens and sellers take no less than it pays for them;
+     *      the side that would overpay keeps the difference.
+     */
+    function _clampToCurve(Epoch storage epoch, uint256 buyReserve, uint256 sellTokens) internal {
+        (, , uint256 buyCost) = market.getBuyQuote(sellTokens);
+        if (buyReserve > buyCost) {
+            epoch.reserveForSellers = buyCost;
+            epoch.reserveForBuyers = buyReserve - buyCost;
+            return;
+        }
+        
+        uint256 sellable = Math.min(sellTokens, market.currentSupply());
+        if (sellable == 0) {
+            return;
+        }
+        (, , uint256 netProceeds) = market.getSellQuote(sellable);
+        if (buyReserve * sellable < netProceeds * sellTokens) {
+            epoch.tokensForBuyers = buyReserve * sellable / netProceeds;
+            epoch.tokensForSellers = sellTokens - epoch.tokensForBuyers;
+        }
+    }
+    
+    /**
+     * @dev Largest curve buy, at most maxAmount, whose average cost per token is
+     *      within what the buyers' reserve pays for the sellers' tokens plus it:
+     *      totalCost(x) / x <= buyReserve / (sellTokens + x). The left side
+     *      rises with x and the right side falls, so the answer is found by
+     *      binary search
+     */
+    function _netBuyAmount(uint256 buyReserve, uint256 sellTokens, uint256 maxAmount) internal view returns (uint256 low) {
+        uint256 high = maxAmount;
+        while (low < high) {
+            uint256 mid = low + (high - low + 1) / 2;
+            (, , uint256 totalCost) = market.getBuyQuote(mid);
+            if (totalCost * (sellTokens + mid) <= buyReserve * mid) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+    }
+    
+    /**
+     * @dev Largest curve sell, at most maxAmount, whose average net proceeds per
+     *      token are at least what the buyers' reserve pays for the tokens left:
+     *      netProceeds(y) / y >= buyReserve / (sellTokens - y)
+     */
+    function _netSellAmount(uint256 buyReserve, uint256 sellTokens, uint256 maxAmount) internal view returns (uint256 low) {
+        uint256 high = maxAmount;
+        while (low < high) {
+            uint256 mid = low + (high - low + 1) / 2;
+            (, , uint256 netProceeds) = market.getSellQuote(mid);
+            if (netProceeds * (sellTokens - mid) >= buyReserve * mid) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+    }
+    
+    /// @dev Buy `amount` tokens from the curve; returns the reserve spent
+    function _buyFromCurve(uint256 amount) internal returns (uint256 spent) {
+        (, , uint256 totalCost) = market.getBuyQuote(amount);
+        uint256 balanceBefore = _reserveBalance();
+        
+        if (address(reserveAsset) == address(0)) {
+            market.buy{value: totalCost}(amount, totalCost, block.timestamp);
+        } else {
+            reserveAsset.forceApprove(address(market), totalCost);
+            market.buy(amount, totalCost, block.timestamp);
+            reserveAsset.forceApprove(address(market), 0);
+        }
+        
+        spent = balanceBefore - _reserveBalance();
+    }
+    
+    /// @dev Sell `amount` tokens to the curve; returns the reserve received
+    function _sellToCurve(uint256 amount) internal returns (uint256 proceeds) {
+        uint256 balanceBefore = _reserveBalance();
+        
+        token.forceApprove(address(market), amount);
+        market.sell(amount, 0, block.timestamp);
+        
+        proceeds = _reserveBalance() - balanceBefore;
+    }
+    
+    /// @dev Whether an epoch holds any orders
+    function _hasOrders(Epoch storage epoch) internal view returns (bool) {
+        return epoch.totalBuyReserve > 0 || epoch.totalSellTokens > 0;
+    }
+    
+    /// @dev Auction's balance of the reserve
+    function _reserveBalance() internal view returns (uint256) {
+        return address(reserveAsset) == address(0) ? address(this).balance : reserveAsset.balanceOf(address(this));
+    }
+    
+    /// @dev Send a trader tokens and reserve
+    function _payOut(address to, uint256 tokens, uint256 reserve) internal {
+        if (tokens > 0) {
+            token.safeTransfer(to, tokens);
+        }
+        if (reserve > 0) {
+            if (address(reserveAsset) == address(0)) {
+                (bool success, ) = to.call{value: reserve}("");
+                require(success, "ETH transfer failed");
+            } else {
+                reserveAsset.safeTransfer(to, reserve);
+            }
+        }
+    }
+    
+    // ============ Receive Function ============
+    
+    /// @notice Accepts sell proceeds from the market
+    receive() external payable {}
+}
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @title BondingCurveForwarder
+ * @notice EIP-2771 forwarder relaying gasless trades to markets that trust it
+ * @dev OpenZeppelin's ERC2771Forwarder under the EIP-712 domain
+ *      "BondingCurveForwarder", version "1". A relayer submits a user's
+ *      signed ForwardRequest through execute and pays the gas; the market
+ *      sees the signer as the sender. Nonces and deadlines stop replays, and
+ *      requests to contracts that do not trust this forwarder revert.
+ */
+contract BondingCurveForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("BondingCurveForwarder") {}
+}
@@ -0,0 +1,1533 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "./curves/ICurveStrategy.sol";
+import "./token/IMintableBurnableToken.sol";
+import "./graduation/IGraduator.sol";
+import "./libraries/LinearCurveMath.sol";
+
+/**
+ * @title BondingCurveMarket
+ * @notice Bonding curve market for buying/selling tokens
+ * @dev Implements: price = basePrice + (slope * supply), unless a curve
+ *      strategy is set at deploy time, in which case it prices every trade.
+ *      Prices are in reserve base units (wei for ETH) per whole token and
+ *      supply is measured in whole tokens (WAD), whatever the token's decimals.
+ *      The reserve is native ETH or an ERC20 chosen at deployment. Tokens
+ *      come from a pre-funded inventory, or are minted on buy and burned on
+ *      sell when the market is the token's minter.
+ *      Admin powers are split into roles so operational keys can hold only
+ *      what they need; DEFAULT_ADMIN_ROLE grants and revokes them.
+ *      Optionally the market graduates: once a reserve or supply threshold
+ *      is crossed, its reserve seeds an AMM pool through a graduator and the
+ *      curve stops trading.
+ *      Calls relayed by the trusted forwarder (EIP-2771) act for the signer
+ *      appended to their calldata, so holders without ETH for gas can trade.
+ *      In batch-auction mode only the batch auction trades on the curve,
+ *      clearing each epoch's orders together at one price.
+ *      Before every trade and curve change, the price held since the last
+ *      one is added to a price accumulator; BondingCurveOracle averages it
+ *      over any recent window (TWAP).
+ */
+contract BondingCurveMarket is ReentrancyGuard, AccessControl, Pausable {
+    using SafeERC20 for IERC20;
+    
+    // ============ Types ============
+    
+    /// @notice Where bought tokens come from and where sold tokens go
+    enum SupplyMode {
+        Inventory, // Transfer from a pre-funded balance; sold tokens return to it
+        MintBurn   // Mint on buy and burn on sell; the market must be the token's minter
+    }
+    
+    /// @notice Linear curve parameter a reserve-matched change solves for
+    enum CurveSolve {
+        None,      // Apply basePrice and slope as queued
+        BasePrice, // Keep the queued slope, solve basePrice against the reserve
+        Slope      // Keep the queued basePrice, solve slope against the reserve
+    }
+    
+    /// @notice Queued linear curve change; effectiveAt is 0 when nothing is queued
+    struct PendingCurveChange {
+        uint256 basePrice;
+        uint256 slope;
+        uint256 effectiveAt;
+        CurveSolve solveFor;
+    }
+    
+    /// @notice Queued fee change; effectiveAt is 0 when nothing is queued
+    struct PendingFeeChange {
+        uint256 buyFeeBps;
+        uint256 sellFeeBps;
+        address feeRecipient;
+        uint256 effectiveAt;
+    }
+    
+    /// @notice One entry of the fee split table
+    struct FeeShare {
+        address recipient;
+        uint256 bps;
+    }
+    
+    /// @notice Price accumulator as of `timestamp`: the sum of getCurrentBuyPrice() times the seconds it held, modulo 2^224
+    struct Observation {
+        uint32 timestamp;
+        uint224 priceCumulative;
+    }
+    
+    // ============ Roles ============
+    
+    /// @notice May queue, execute and cancel curve changes
+    bytes32 public constant CURVE_ADMIN_ROLE = keccak256("CURVE_ADMIN_ROLE");
+    
+    /// @notice May queue, execute and cancel fee changes and set the fee split
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+    
+    /// @notice May pause trading; unpausing needs DEFAULT_ADMIN_ROLE
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    
+    /// @notice May recover tokens sent to the market by mistake
+    bytes32 public constant RECOVERER_ROLE = keccak256("RECOVERER_ROLE");
+    
+    // ============ State Variables ============
+    
+    /// @notice The token being traded on this bonding curve
+    IERC20 public immutable token;
+    
+    /// @notice Curve strategy pricing trades, or address(0) for the built-in linear curve
+    ICurveStrategy public immutable curve;
+    
+    /// @notice How the market sources and retires tokens
+    SupplyMode public immutable supplyMode;
+    
+    /// @notice Asset buyers pay and sellers receive, or address(0) for native ETH
+    IERC20 public immutable reserveAsset;
+    
+    /// @notice Decimals of the reserve asset (18 for ETH)
+    uint8 public immutable reserveDecimals;
+    
+    /// @notice Decimals of the traded token, read at deployment
+    uint8 public immutable tokenDecimals;
+    
+    /// @dev Multiplier from token base units to whole tokens in WAD
+    uint256 private immutable wadScale;
+    
+    /// @dev Fixed-point unit: one whole token, and 1.0 in price math
+    uint256 private constant WAD = 1e18;
+    
+    /// @notice Base price in wei per whole token (starting price when supply = 0)
+    uint256 public basePrice;
+    
+    /// @notice Slope of the linear curve (wei price increase per whole token sold)
+    uint256 public slope;
+    
+    /// @notice Current circulating supply, in token base units
+    uint256 public currentSupply;
+    
+    /// @notice Maximum fee in basis points (10%)
+    uint256 public constant MAX_FEE_BPS = 1000;
+    
+    /// @notice Buy fee in basis points (100 = 1%)
+    uint256 public buyFeeBps;
+    
+    /// @notice Sell fee in basis points (100 = 1%)
+    uint256 public sellFeeBps;
+    
+    /// @notice Protocol fee recipient
+    address public feeRecipient;
+    
+    /// @notice Protocol fees not yet distributed to the split table
+    uint256 public accumulatedFees;
+    
+    /// @notice Maximum number of recipients in the fee split table
+    uint256 public constant MAX_FEE_SHARES = 10;
+    
+    /// @notice Maximum referral share of a trade's fee (50%)
+    uint256 public constant MAX_REFERRAL_FEE_BPS = 5000;
+    
+    /// @notice Share of each trade's fee paid to its referrer, in basis points of the fee
+    uint256 public referralFeeBps;
+    
+    /// @notice Distributed fees each recipient can claim
+    mapping(address => uint256) public claimableFees;
+    
+    /// @notice Sum of claimableFees over all recipients
+    uint256 public totalClaimableFees;
+    
+    /// @dev Recipients sharing distributed fees; empty means all to feeRecipient
+    FeeShare[] private _feeShares;
+    
+    /// @notice Reserve deposited as protocol-owned liquidity, less withdrawals
+    uint256 public seededLiquidity;
+    
+    /// @notice Notice period between queueing and executing a curve or fee change
+    uint256 public constant CHANGE_DELAY = 2 days;
+    
+    /// @notice Curve change waiting out CHANGE_DELAY
+    PendingCurveChange public pendingCurveChange;
+    
+    /// @notice Fee change waiting out CHANGE_DELAY
+    PendingFeeChange public pendingFeeChange;
+    
+    /// @notice Contract seeding the AMM pool on graduation, or address(0) if the market never graduates
+    IGraduator public graduator;
+    
+    /// @notice Trading reserve that triggers graduation, or 0 for no reserve threshold
+    uint256 public graduationReserve;
+    
+    /// @notice Supply (token base units) that triggers graduation, or 0 for no supply threshold
+    uint256 public graduationSupply;
+    
+    /// @notice Pool trading continues on after graduation; address(0) while the curve trades
+    address public graduatedPair;
+    
+    /// @notice Most tokens (base units) one buy may take, or 0 for no limit
+    uint256 public maxBuyPerTx;
+    
+    /// @notice Most tokens one wallet may hold through curve purchases, or 0 for no limit
+    uint256 public maxWalletPurchase;
+    
+    /// @notice Most the supply may grow within one block, or 0 for no limit
+    uint256 public maxSupplyPerBlock;
+    
+    /// @notice Tokens bought from the curve by each wallet, less what it sold back
+    mapping(address => uint256) public purchasedBy;
+    
+    /// @notice Block of the last buy counted against maxSupplyPerBlock
+    uint256 public lastBuyBlock;
+    
+    /// @notice Supply added in lastBuyBlock
+    uint256 public blockSupplyBought;
+    
+    /// @notice EIP-2771 forwarder whose calls act for the signer, or address(0) for none
+    address public trustedForwarder;
+    
+    /// @notice Batch auction that alone may trade on the curve, or address(0) for continuous trading
+    address public batchAuction;
+    
+    /// @notice Number of price observations kept; a TWAP cannot reach back past the oldest
+    uint256 public constant OBSERVATION_CARDINALITY = 1024;
+    
+    /// @notice Ring buffer of price accumulators, written once per block before a trade or curve change
+    Observation[OBSERVATION_CARDINALITY] public observations;
+    
+    /// @notice Slot in observations written last
+    uint256 public observationIndex;
+    
+    // ============ Events ============
+    
+    event TokensPurchased(
+        address indexed buyer,
+        address indexed recipient,
+        uint256 amount,
+        uint256 cost,
+        uint256 fee,
+        uint256 newSupply
+    );
+    
+    event TokensSold(
+        address indexed seller,
+        address indexed recipient,
+        uint256 amount,
+        uint256 proceeds,
+        uint256 fee,
+        uint256 newSupply
+    );
+    
+    event FeesDistributed(uint256 amount);
+    
+    event FeesClaimed(address indexed recipient, uint256 amount);
+    
+    event FeeSplitUpdated(address[] recipients, uint256[] shareBps);
+    
+    event ReferralFeeUpdated(uint256 newReferralFeeBps);
+    
+    event ReferralFeePaid(address indexed referrer, address indexed trader, uint256 amount);
+    
+    event LiquidityDeposited(address indexed depositor, uint256 amount);
+    
+    event LiquidityWithdrawn(address indexed recipient, uint256 amount);
+    
+    event CurveParametersUpdated(uint256 newBasePrice, uint256 newSlope);
+    
+    event FeeConfigUpdated(uint256 newBuyFeeBps, uint256 newSellFeeBps, address newFeeRecipient);
+    
+    event CurveChangeQueued(uint256 newBasePrice, uint256 newSlope, CurveSolve solveFor, uint256 effectiveAt);
+    
+    event CurveChangeCancelled(uint256 newBasePrice, uint256 newSlope);
+    
+    event FeeChangeQueued(uint256 newBuyFeeBps, uint256 newSellFeeBps, address newFeeRecipient, uint256 effectiveAt);
+    
+    event FeeChangeCancelled(uint256 newBuyFeeBps, uint256 newSellFeeBps, address newFeeRecipient);
+    
+    event GraduationConfigured(address graduator, uint256 reserveThreshold, uint256 supplyThreshold);
+    
+    event Graduated(address indexed pair, uint256 reserveAmount, uint256 tokenAmount, uint256 liquidity);
+    
+    event BuyLimitsUpdated(uint256 maxBuyPerTx, uint256 maxWalletPurchase, uint256 maxSupplyPerBlock);
+    
+    event TrustedForwarderUpdated(address forwarder);
+    
+    event BatchAuctionUpdated(address auction);
+    
+    // ============ Modifiers ============
+    
+    /// @notice Reject trades mined after the caller's deadline
+    modifier ensure(uint256 deadline) {
+        _requireNotExpired(deadline);
+        _;
+    }
+    
+    // ============ Constructor ============
+    
+    /**
+     * @param _token Address of the token to trade
+     * @param _basePrice Initial base price in wei per whole token
+     * @param _slope Slope of the linear curve in wei per whole token
+     * @param _buyFeeBps Buy fee in basis points (100 = 1%)
+     * @param _sellFeeBps Sell fee in basis points (100 = 1%)
+     * @param _feeRecipient Address to receive fees
+     * @param _curve Curve strategy, or address(0) for the linear curve
+     * @param _reserveAsset ERC20 reserve asset, or address(0) for native ETH
+     * @param _supplyMode Inventory, or MintBurn for a token the market mints
+     * @dev The deployer receives DEFAULT_ADMIN_ROLE and every operational role
+     */
+    constructor(
+        address _token,
+        uint256 _basePrice,
+        uint256 _slope,
+        uint256 _buyFeeBps,
+        uint256 _sellFeeBps,
+        address _feeRecipient,
+        address _curve,
+        address _reserveAsset,
+        SupplyMode _supplyMode
+    ) {
+        require(_token != address(0), "Invalid token address");
+        require(_feeRecipient != address(0), "Invalid fee recipient");
+        require(_buyFeeBps <= MAX_FEE_BPS, "Buy fee too high");
+        require(_sellFeeBps <= MAX_FEE_BPS, "Sell fee too high");
+        
+        uint8 decimals = IERC20Metadata(_token).decimals();
+        require(decimals <= 18, "Unsupported token decimals");
+        
+        token = IERC20(_token);
+        curve = ICurveStrategy(_curve);
+        supplyMode = _supplyMode;
+        reserveAsset = IERC20(_reserveAsset);
+        reserveDecimals = _reserveAsset == address(0) ? 18 : IERC20Metadata(_reserveAsset).decimals();
+        tokenDecimals = decimals;
+        wadScale = 10 ** (18 - decimals);
+        basePrice = _basePrice;
+        slope = _slope;
+        buyFeeBps = _buyFeeBps;
+        sellFeeBps = _sellFeeBps;
+        feeRecipient = _feeRecipient;
+        observations[0].timestamp = uint32(block.timestamp);
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(CURVE_ADMIN_ROLE, msg.sender);
+        _grantRole(FEE_MANAGER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(RECOVERER_ROLE, msg.sender);
+    }
+    
+    // ============ Core Functions ============
+    
+    /**
+     * @notice Buy tokens using the bonding curve
+     * @param amount Number of tokens to buy
+     * @param maxCost Maximum total reserve cost including fees
+     * @param deadline Timestamp after which the trade reverts
+     * @return cost Total reserve cost including fees
+     * @dev ETH reserve: send at least the cost as msg.value, the excess is
+     *      refunded. ERC20 reserve: approve the cost; exactly that much must
+     *      arrive, so fee-on-transfer reserves should use buyWithExactReserve
+     */
+    function buy(
+        uint256 amount,
+        uint256 maxCost,
+        uint256 deadline
+    ) external payable nonReentrant whenNotPaused ensure(deadline) returns (uint256 cost) {
+        return _buy(amount, maxCost, address(0), _msgSender());
+    }
+    
+    /**
+     * @notice Buy tokens for another account, e.g. from a router or as a gift
+     * @param recipient Account receiving the tokens
+     * @dev See buy. The caller pays and gets any refund; the buy limits
+     *      apply to the recipient's wallet.
+     */
+    function buyFor(
+        uint256 amount,
+        uint256 maxCost,
+        uint256 deadline,
+        address recipient
+    ) external payable nonReentrant whenNotPaused ensure(deadline) returns (uint256 cost) {
+        return _buy(amount, maxCost, address(0), recipient);
+    }
+    
+    /**
+     * @notice Buy tokens and pay part of the fee to a referrer
+     * @param referrer Account credited referralFeeBps of the fee; address(0) for none
+     * @dev See buy. The buyer pays the same either way; the referral comes
+     *      out of the protocol's share.
+     */
+    function buyWithReferrer(
+        uint256 amount,
+        uint256 maxCost,
+        uint256 deadline,
+        address referrer
+    ) external payable nonReentrant whenNotPaused ensure(deadline) returns (uint256 cost) {
+        return _buy(amount, maxCost, referrer, _msgSender());
+    }
+    
+    /**
+     * @notice Buy as many tokens as msg.value covers, fees included
+     * @param minAmount Minimum number of tokens to receive
+     * @param deadline Timestamp after which the trade reverts
+     * @return amount Number of tokens bought
+     * @dev The whole msg.value is spent: rounding dust left after the fee is
+     *      credited to fees instead of being refunded
+     */
+    function buyWithExactEth(
+        uint256 minAmount,
+        uint256 deadline
+    ) external payable nonReentrant whenNotPaused ensure(deadline) returns (uint256 amount) {
+        require(_isNativeReserve(), "Reserve is not ETH");
+        return _buyWithBudget(msg.value, minAmount);
+    }
+    
+    /**
+     * @notice Buy as many tokens as a reserve amount covers, fees included
+     * @param reserveAmount Reserve to spend (must equal msg.value for ETH)
+     * @param minAmount Minimum number of tokens to receive
+     * @param deadline Timestamp after which the trade reverts
+     * @return amount Number of tokens bought
+     * @dev For ERC20 reserves the budget is what actually arrives, so
+     *      fee-on-transfer assets are priced on the net amount received
+     */
+    function buyWithExactReserve(
+        uint256 reserveAmount,
+        uint256 minAmount,
+        uint256 deadline
+    ) external payable nonReentrant whenNotPaused ensure(deadline) returns (uint256 amount) {
+        uint256 budget;
+        if (_isNativeReserve()) {
+            require(msg.value == reserveAmount, "Incorrect ETH sent");
+            budget = msg.value;
+        } else {
+            require(msg.value == 0, "ETH not accepted");
+            budget = _pullReserve(reserveAmount);
+        }
+        return _buyWithBudget(budget, minAmount);
+    }
+    
+    /**
+     * @notice Sell tokens back to the bonding curve
+     * @param amount Number of tokens to sell
+     * @param minProceeds Minimum reserve to receive after fees
+     * @param deadline Timestamp after which the trade reverts
+     * @return proceeds Reserve sent after fees
+     * @dev minProceeds is checked against the amount sent; a fee-on-transfer
+     *      reserve delivers less than that to the seller
+     */
+    function sell(
+        uint256 amount,
+        uint256 minProceeds,
+        uint256 deadline
+    ) external nonReentrant whenNotPaused ensure(deadline) returns (uint256 proceeds) {
+        return _sell(amount, minProceeds, address(0), _msgSender());
+    }
+    
+    /**
+     * @notice Sell the caller's tokens and pay the proceeds to another account
+     * @param recipient Account receiving the reserve
+     * @dev See sell. Tokens always come from the caller, so a router must
+     *      hold them first.
+     */
+    function sellFrom(
+        uint256 amount,
+        uint256 minProceeds,
+        uint256 deadline,
+        address recipient
+    ) external nonReentrant whenNotPaused ensure(deadline) returns (uint256 proceeds) {
+        return _sell(amount, minProceeds, address(0), recipient);
+    }
+    
+    /**
+     * @notice Sell tokens and pay part of the fee to a referrer
+     * @param referrer Account credited referralFeeBps of the fee; address(0) for none
+     * @dev See sell. The seller receives the same either way.
+     */
+    function sellWithReferrer(
+        uint256 amount,
+        uint256 minProceeds,
+        uint256 deadline,
+        address referrer
+    ) external nonReentrant whenNotPaused ensure(deadline) returns (uint256 proceeds) {
+        return _sell(amount, minProceeds, referrer, _msgSender());
+    }
+    
+    /**
+     * @notice Sell tokens, approving the market with an EIP-2612 permit in the same transaction
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     * @dev See sell. The permit must be the caller's for exactly `amount`,
+     *      signed with `deadline` as its deadline. A failing permit is
+     *      ignored, so a copy submitted first by someone else cannot block
+     *      the sell; it then relies on the allowance already in place.
+     */
+    function sellWithPermit(
+        uint256 amount,
+        uint256 minProceeds,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused ensure(deadline) returns (uint256 proceeds) {
+        address seller = _msgSender();
+        try IERC20Permit(address(token)).permit(seller, address(this), amount, deadline, v, r, s) {} catch {}
+        return _sell(amount, minProceeds, address(0), seller);
+    }
+    
+    /**
+     * @notice Add reserve as protocol-owned liquidity
+     * @param amount Reserve to deposit; must equal msg.value for ETH markets
+     * @dev Deposits back sells like trading reserve, but are tracked in
+     *      seededLiquidity so the admin can take them out again. For ERC20
+     *      reserves the amount that arrives is credited.
+     */
+    function depositLiquidity(uint256 amount) external payable nonReentrant {
+        require(amount > 0, "Amount must be positive");
+        
+        uint256 received;
+        if (_isNativeReserve()) {
+            require(msg.value == amount, "Incorrect ETH sent");
+            received = msg.value;
+        } else {
+            require(msg.value == 0, "ETH not accepted");
+            received = _pullReserve(amount);
+        }
+        _recordLiquidity(_msgSender(), received);
+    }
+    
+    /**
+     * @notice Split accumulated fees into claimable balances per the fee split table
+     * @dev Anyone may call this; claims keep working while paused
+     */
+    function distributeFees() external {
+        require(accumulatedFees > 0, "No fees to distribute");
+        _distributeFees();
+    }
+    
+    /**
+     * @notice Pay the caller its claimable fees
+     * @return amount Reserve sent
+     */
+    function claimFees() external nonReentrant returns (uint256 amount) {
+        address recipient = _msgSender();
+        amount = claimableFees[recipient];
+        require(amount > 0, "No fees to claim");
+        
+        claimableFees[recipient] = 0;
+        totalClaimableFees -= amount;
+        
+        require(_sendReserve(recipient, amount), "Fee claim failed");
+        
+        emit FeesClaimed(recipient, amount);
+    }
+    
+    // ============ View Functions ============
+    
+    /**
+     * @notice Calculate cost to buy tokens (excluding fees)
+     * @param amount Number of tokens to buy, in token base units
+     * @return cost ETH cost before fees, rounded up
+     * @dev Supply and amount are converted to whole tokens (WAD) first, so
+     *      basePrice and slope are per whole token whatever the decimals:
+     *      cost = amount * (2*basePrice + slope * (2*supply + amount)) / 2
+     */
+    function calculateBuyCost(uint256 amount) public view returns (uint256 cost) {
+        uint256 supply = _toWad(currentSupply);
+        uint256 size = _toWad(amount);
+        
+        if (_hasCurve()) {
+            return curve.integral(supply, supply + size);
+        }
+        
+        return LinearCurveMath.buyCost(basePrice, slope, supply, size);
+    }
+    
+    /**
+     * @notice Calculate proceeds from selling tokens (excluding fees)
+     * @param amount Number of tokens to sell, in token base units
+     * @return proceeds ETH received before fees, rounded down
+     */
+    function calculateSellProceeds(uint256 amount) public view returns (uint256 proceeds) {
+        require(amount <= currentSupply, "Amount exceeds supply");
+        
+        uint256 supply = _toWad(currentSupply);
+        uint256 size = _toWad(amount);
+        
+        if (_hasCurve()) {
+            return curve.integral(supply - size, supply);
+        }
+        
+        return LinearCurveMath.sellProceeds(basePrice, slope, supply, size);
+    }
+    
+    /**
+     * @notice Get the current price of one whole token
+     * @return Marginal buy price in wei per whole token
+     */
+    function getCurrentBuyPrice() public view returns (uint256) {
+        return _priceAt(_toWad(currentSupply));
+    }
+    
+    /**
+     * @notice Get the price of the last whole token sold into the curve
+     * @return Marginal sell price in wei per whole token, one token below supply
+     */
+    function getCurrentSellPrice() public view returns (uint256) {
+        if (currentSupply == 0) return 0;
+        uint256 supply = _toWad(currentSupply);
+        return _priceAt(supply > WAD ? supply - WAD : 0);
+    }
+    
+    /**
+     * @notice Calculate total cost including fees for buying
+     * @param amount Number of tokens
+     * @return cost ETH cost before fees
+     * @return fee Buy fee
+     * @return totalCost Total ETH required
+     */
+    function getBuyQuote(uint256 amount) external view returns (
+        uint256 cost,
+        uint256 fee,
+        uint256 totalCost
+    ) {
+        cost = calculateBuyCost(amount);
+        fee = (cost * buyFeeBps) / 10000;
+        totalCost = cost + fee;
+    }
+    
+    /**
+     * @notice Calculate total proceeds including fees for selling
+     * @param amount Number of tokens
+     * @return proceeds ETH proceeds before fees
+     * @return fee Sell fee
+     * @return netProceeds Total ETH received
+     */
+    function getSellQuote(uint256 amount) external view returns (
+        uint256 proceeds,
+        uint256 fee,
+        uint256 netProceeds
+    ) {
+        proceeds = calculateSellProceeds(amount);
+        fee = (proceeds * sellFeeBps) / 10000;
+        netProceeds = proceeds - fee;
+    }
+    
+    /**
+     * @notice Maximum tokens purchasable with an ETH budget, fees included
+     * @param ethAmount ETH to spend including fees
+     * @return amount Largest amount whose getBuyQuote fits the budget
+     * @dev Estimates n from price*n + slope*n^2/2 = cost in whole tokens,
+     *      then searches around the estimate in base units so the result is
+     *      exact under calculateBuyCost's rounding
+     */
+    function getBuyAmountForEth(uint256 ethAmount) public view returns (uint256 amount) {
+        // Largest pre-fee cost whose cost + fee fits the budget
+        uint256 maxCost = (ethAmount * 10000) / (10000 + buyFeeBps);
+        while (maxCost + 1 + ((maxCost + 1) * buyFeeBps) / 10000 <= ethAmount) {
+            maxCost++;
+        }
+        
+        if (_hasCurve()) {
+            return curve.amountForCost(_toWad(currentSupply), maxCost) / wadScale;
+        }
+        
+        if (slope == 0) {
+            require(basePrice > 0, "Price is zero");
+            return Math.mulDiv(maxCost, WAD, basePrice) / wadScale;
+        }
+        
+        // n = (sqrt(p^2 + 2*m*C) - p) / m whole tokens, p = current price
+        uint256 p = getCurrentBuyPrice();
+        uint256 estimate = Math.mulDiv(Math.sqrt(p * p + 2 * slope * maxCost) - p, WAD, slope) / wadScale;
+        
+        return _searchBuyAmount(estimate, maxCost);
+    }
+    
+    /**
+     * @notice Minimum tokens to sell to receive an ETH amount after fees
+     * @param ethAmount ETH to receive after fees
+     * @return amount Smallest amount whose getSellQuote reaches ethAmount
+     * @dev Estimates n from top*n - slope*n^2/2 = proceeds in whole tokens,
+     *      then searches around the estimate in base units so the result is
+     *      exact under calculateSellProceeds' rounding
+     */
+    function getSellAmountForEth(uint256 ethAmount) public view returns (uint256 amount) {
+        if (ethAmount == 0) return 0;
+        
+        // Smallest pre-fee proceeds whose proceeds - fee reaches the target
+        uint256 minProceeds = Math.ceilDiv(ethAmount * 10000, 10000 - sellFeeBps);
+        while (minProceeds > 0 && (minProceeds - 1) - ((minProceeds - 1) * sellFeeBps) / 10000 >= ethAmount) {
+            minProceeds--;
+        }
+        
+        // A flat curve at zero pays nothing for any amount
+        bool flat = !_hasCurve() && slope == 0;
+        require(!flat || basePrice > 0, "Price is zero");
+        require(calculateSellProceeds(currentSupply) >= minProceeds, "Amount exceeds supply");
+        
+        if (_hasCurve()) {
+            return Math.ceilDiv(curve.amountForProceeds(_toWad(currentSupply), minProceeds), wadScale);
+        }
+        
+        if (flat) {
+            return Math.ceilDiv(Math.mulDiv(minProceeds, WAD, basePrice, Math.Rounding.Ceil), wadScale);
+        }
+        
+        // n = (t - sqrt(t^2 - 2*m*P)) / m whole tokens, t = price at the top of the curve
+        uint256 t = getCurrentBuyPrice();
+        uint256 disc = 2 * slope * minProceeds;
+        uint256 root = t * t > disc ? Math.sqrt(t * t - disc) : 0;
+        uint256 estimate = Math.mulDiv(t - root, WAD, slope) / wadScale;
+        
+        return _searchSellAmount(Math.min(estimate, currentSupply), minProceeds);
+    }
+    
+    /**
+     * @notice Linear curve parameters whose sell integral over the current
+     *         supply equals the reserve held for sellers
+     * @param solveFor Parameter to solve for (BasePrice or Slope)
+     * @param value New value of the other parameter
+     * @return newBasePrice Base price of the matched curve
+     * @return newSlope Slope of the matched curve
+     * @dev The solved parameter is rounded down, so the matched curve never
+     *      owes more than the reserve. At zero supply every curve is matched
+     *      and the solved parameter keeps its current value.
+     */
+    function solveCurveParameters(
+        CurveSolve solveFor,
+        uint256 value
+    ) public view returns (uint256 newBasePrice, uint256 newSlope) {
+        require(!_hasCurve(), "Curve is not linear");
+        
+        uint256 supply = _toWad(currentSupply);
+        uint256 reserve = _tradingReserve();
+        
+        // reserve = supply * basePrice / WAD + slope * supply^2 / (2 * WAD^2)
+        if (solveFor == CurveSolve.Slope) {
+            if (supply == 0) return (value, slope);
+            require(reserve * WAD >= supply * value, "Reserve cannot cover curve");
+            newBasePrice = value;
+            newSlope = Math.mulDiv(2 * WAD, reserve * WAD - supply * value, supply * supply);
+        } else if (solveFor == CurveSolve.BasePrice) {
+            if (supply == 0) return (basePrice, value);
+            uint256 slopeArea = value * supply * supply;
+            require(2 * reserve * WAD * WAD >= slopeArea, "Reserve cannot cover curve");
+            newBasePrice = (2 * reserve * WAD * WAD - slopeArea) / (2 * supply * WAD);
+            newSlope = value;
+        } else {
+            revert("Invalid solve target");
+        }
+    }
+    
+    /**
+     * @notice Whether the reserve can honour a sell of the whole supply
+     * @return requiredReserve Sell proceeds of the whole supply, before fees
+     * @return actualReserve Reserve held for sellers, excluding accumulated fees
+     * @return surplus Amount by which the reserve exceeds the requirement
+     * @return deficit Amount by which the reserve falls short; zero when surplus is not
+     * @dev Seeded liquidity counts towards the actual reserve
+     */
+    function getReserveHealth() external view returns (
+        uint256 requiredReserve,
+        uint256 actualReserve,
+        uint256 surplus,
+        uint256 deficit
+    ) {
+        requiredReserve = calculateSellProceeds(currentSupply);
+        actualReserve = _tradingReserve();
+        
+        if (actualReserve >= requiredReserve) {
+            surplus = actualReserve - requiredReserve;
+        } else {
+            deficit = requiredReserve - actualReserve;
+        }
+    }
+    
+    /**
+     * @notice The fee split table; empty when every fee goes to feeRecipient
+     */
+    function getFeeShares() external view returns (FeeShare[] memory) {
+        return _feeShares;
+    }
+    
+    /**
+     * @notice Most tokens a wallet may buy right now under the anti-whale limits
+     * @param buyer Wallet that would receive the tokens
+     * @return amount Token base units, type(uint256).max if no limit is set
+     * @dev Called against the latest block, buys already mined in it still
+     *      count, so the result may be lower than what the next block allows
+     */
+    function getBuyLimit(address buyer) external view returns (uint256 amount) {
+        amount = type(uint256).max;
+        if (maxBuyPerTx > 0) {
+            amount = maxBuyPerTx;
+        }
+        if (maxWalletPurchase > 0) {
+            amount = Math.min(amount, maxWalletPurchase - Math.min(purchasedBy[buyer], maxWalletPurchase));
+        }
+        if (maxSupplyPerBlock > 0) {
+            uint256 bought = lastBuyBlock == block.number ? blockSupplyBought : 0;
+            amount = Math.min(amount, maxSupplyPerBlock - Math.min(bought, maxSupplyPerBlock));
+        }
+    }
+    
+    /**
+     * @notice Whether calls from `forwarder` carry the signer's address (EIP-2771)
+     * @param forwarder Address to check
+     */
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return forwarder == trustedForwarder;
+    }
+    
+    // ============ Admin Functions ============
+    
+    /**
+     * @notice Announce new linear curve parameters, applied after CHANGE_DELAY
+     * @param _basePrice New base price
+     * @param _slope New slope
+     * @dev Only applies to the built-in linear curve; strategies are immutable.
+     *      Cancel a queued change before queueing another.
+     */
+    function queueCurveParameters(
+        uint256 _basePrice,
+        uint256 _slope
+    ) external onlyRole(CURVE_ADMIN_ROLE) {
+        _queueCurveChange(_basePrice, _slope, CurveSolve.None);
+    }
+    
+    /**
+     * @notice Announce a curve change that keeps the reserve matched to the curve
+     * @param solveFor Parameter to solve for at execution (BasePrice or Slope)
+     * @param value New value of the other parameter
+     * @dev The solved parameter is computed by solveCurveParameters when the
+     *      change executes, from the supply and reserve at that time
+     */
+    function queueReserveMatchedCurve(CurveSolve solveFor, uint256 value) external onlyRole(CURVE_ADMIN_ROLE) {
+        require(solveFor != CurveSolve.None, "Invalid solve target");
+        
+        if (solveFor == CurveSolve.Slope) {
+            _queueCurveChange(value, 0, solveFor);
+        } else {
+            _queueCurveChange(0, value, solveFor);
+        }
+    }
+    
+    /**
+     * @notice Apply the queued curve change once its delay has passed
+     * @dev Reverts if the new curve would owe sellers more than the reserve
+     */
+    function executeCurveParameters() external onlyRole(CURVE_ADMIN_ROLE) {
+        PendingCurveChange memory change = pendingCurveChange;
+        _requirePending(change.effectiveAt);
+        _requireNotGraduated();
+        require(block.timestamp >= change.effectiveAt, "Change not yet effective");
+        
+        if (change.solveFor == CurveSolve.Slope) {
+            (change.basePrice, change.slope) = solveCurveParameters(CurveSolve.Slope, change.basePrice);
+        } else if (change.solveFor == CurveSolve.BasePrice) {
+            (change.basePrice, change.slope) = solveCurveParameters(CurveSolve.BasePrice, change.slope);
+        }
+        
+        delete pendingCurveChange;
+        _observePrice();
+        basePrice = change.basePrice;
+        slope = change.slope;
+        
+        require(calculateSellProceeds(currentSupply) <= _tradingReserve(), "Reserve undercollateralized");
+        
+        emit CurveParametersUpdated(change.basePrice, change.slope);
+    }
+    
+    /**
+     * @notice Drop the queued curve change
+     */
+    function cancelCurveParameters() external onlyRole(CURVE_ADMIN_ROLE) {
+        PendingCurveChange memory change = pendingCurveChange;
+        _requirePending(change.effectiveAt);
+        
+        delete pendingCurveChange;
+        
+        emit CurveChangeCancelled(change.basePrice, change.slope);
+    }
+    
+    /**
+     * @notice Announce a new fee configuration, applied after CHANGE_DELAY
+     * @param _buyFeeBps New buy fee in basis points
+     * @param _sellFeeBps New sell fee in basis points
+     * @param _feeRecipient New fee recipient
+     * @dev Cancel a queued change before queueing another
+     */
+    function queueFeeConfig(
+        uint256 _buyFeeBps,
+        uint256 _sellFeeBps,
+        address _feeRecipient
+    ) external onlyRole(FEE_MANAGER_ROLE) {
+        require(_buyFeeBps <= MAX_FEE_BPS, "Buy fee too high");
+        require(_sellFeeBps <= MAX_FEE_BPS, "Sell fee too high");
+        require(_feeRecipient != address(0), "Invalid fee recipient");
+        require(pendingFeeChange.effectiveAt == 0, "Change already pending");
+        
+        uint256 effectiveAt = block.timestamp + CHANGE_DELAY;
+        pendingFeeChange = PendingFeeChange(_buyFeeBps, _sellFeeBps, _feeRecipient, effectiveAt);
+        
+        emit FeeChangeQueued(_buyFeeBps, _sellFeeBps, _feeRecipient, effectiveAt);
+    }
+    
+    /**
+     * @notice Apply the queued fee change once its delay has passed
+     * @dev Distributes accrued fees first, so a new recipient only earns from then on
+     */
+    function executeFeeConfig() external onlyRole(FEE_MANAGER_ROLE) {
+        PendingFeeChange memory change = pendingFeeChange;
+        _requirePending(change.effectiveAt);
+        require(block.timestamp >= change.effectiveAt, "Change not yet effective");
+        
+        // Fees accrued so far still go to the current recipient
+        _distributeFees();
+        delete pendingFeeChange;
+        buyFeeBps = change.buyFeeBps;
+        sellFeeBps = change.sellFeeBps;
+        feeRecipient = change.feeRecipient;
+        
+        emit FeeConfigUpdated(change.buyFeeBps, change.sellFeeBps, change.feeRecipient);
+    }
+    
+    /**
+     * @notice Drop the queued fee change
+     */
+    function cancelFeeConfig() external onlyRole(FEE_MANAGER_ROLE) {
+        PendingFeeChange memory change = pendingFeeChange;
+        _requirePending(change.effectiveAt);
+        
+        delete pendingFeeChange;
+        
+        emit FeeChangeCancelled(change.buyFeeBps, change.sellFeeBps, change.feeRecipient);
+    }
+    
+    /**
+     * @notice Pause trading (pauser)
+     * @dev Only buys and sells stop; views and fee withdrawal keep working
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+    
+    /**
+     * @notice Resume trading (only admin)
+     */
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _unpause();
+    }
+    
+    /**
+     * @notice Replace the fee split table
+     * @param recipients Accounts sharing protocol fees
+     * @param shareBps Share of each recipient in basis points, totalling 10000
+     * @dev Fees accrued so far are distributed under the old table first.
+     *      An empty table sends every distribution to feeRecipient.
+     */
+    function setFeeSplit(
+        address[] calldata recipients,
+        uint256[] calldata shareBps
+    ) external onlyRole(FEE_MANAGER_ROLE) {
+        require(recipients.length == shareBps.length, "Length mismatch");
+        require(recipients.length <= MAX_FEE_SHARES, "Too many recipients");
+        
+        _distributeFees();
+        delete _feeShares;
+        
+        uint256 total;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            require(recipients[i] != address(0), "Invalid fee recipient");
+            total += shareBps[i];
+            _feeShares.push(FeeShare(recipients[i], shareBps[i]));
+        }
+        require(recipients.length == 0 || total == 10000, "Shares must total 10000");
+        
+        emit FeeSplitUpdated(recipients, shareBps);
+    }
+    
+    /**
+     * @notice Set the referrer's share of each referred trade's fee
+     * @param _referralFeeBps Share in basis points of the fee (max 50%)
+     * @dev Traders pay the same fee either way, so this is not timelocked
+     */
+    function setReferralFeeBps(uint256 _referralFeeBps) external onlyRole(FEE_MANAGER_ROLE) {
+        require(_referralFeeBps <= MAX_REFERRAL_FEE_BPS, "Referral fee too high");
+        referralFeeBps = _referralFeeBps;
+        
+        emit ReferralFeeUpdated(_referralFeeBps);
+    }
+    
+    /**
+     * @notice Set when the market graduates to an AMM
+     * @param _graduator Contract seeding the pool, e.g. a UniswapV2Graduator
+     * @param reserveThreshold Trading reserve that triggers graduation, or 0
+     * @param supplyThreshold Supply that triggers graduation, or 0
+     * @dev Only before the first trade, so every buyer knows where the
+     *      reserve can go. Both thresholds 0 turns graduation off.
+     */
+    function setGraduation(
+        address _graduator,
+        uint256 reserveThreshold,
+        uint256 supplyThreshold
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _requireNoTrades();
+        require(_graduator != address(0) || (reserveThreshold == 0 && supplyThreshold == 0), "Invalid graduator");
+        
+        graduator = IGraduator(_graduator);
+        graduationReserve = reserveThreshold;
+        graduationSupply = supplyThreshold;
+        
+        emit GraduationConfigured(_graduator, reserveThreshold, supplyThreshold);
+    }
+    
+    /**
+     * @notice Set the anti-whale limits on buys, in token base units
+     * @param _maxBuyPerTx Most tokens one buy may take, or 0
+     * @param _maxWalletPurchase Most tokens one wallet may hold through curve purchases, or 0
+     * @param _maxSupplyPerBlock Most the supply may grow within one block, or 0
+     * @dev Sells are never limited, so holders can always exit. The wallet
+     *      limit counts curve purchases net of sells, not transfers, so it
+     *      slows a whale down rather than stopping one with many wallets.
+     */
+    function setBuyLimits(
+        uint256 _maxBuyPerTx,
+        uint256 _maxWalletPurchase,
+        uint256 _maxSupplyPerBlock
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        maxBuyPerTx = _maxBuyPerTx;
+        maxWalletPurchase = _maxWalletPurchase;
+        maxSupplyPerBlock = _maxSupplyPerBlock;
+        
+        emit BuyLimitsUpdated(_maxBuyPerTx, _maxWalletPurchase, _maxSupplyPerBlock);
+    }
+    
+    /**
+     * @notice Set the EIP-2771 forwarder relaying gasless trades, e.g. an ERC2771Forwarder
+     * @param forwarder Forwarder contract, or address(0) to accept none
+     * @dev Only before the first trade: the forwarder can act for any
+     *      account that has approved the market, so holders must know it
+     *      before they approve anything
+     */
+    function setTrustedForwarder(address forwarder) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _requireNoTrades();
+        trustedForwarder = forwarder;
+        
+        emit TrustedForwarderUpdated(forwarder);
+    }
+    
+    /**
+     * @notice Switch the market to batch-auction mode, e.g. a BondingCurveBatchAuction
+     * @param auction Auction contract, or address(0) for continuous trading
+     * @dev Only before the first trade, so holders know up front where they
+     *      can sell. Buy limits then apply to the auction as a whole.
+     */
+    function setBatchAuction(address auction) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _requireNoTrades();
+        batchAuction = auction;
+        
+        emit BatchAuctionUpdated(auction);
+    }
+    
+    /**
+     * @notice Withdraw seeded liquidity to the admin
+     * @param amount Reserve to withdraw
+     * @dev Only down to the solvency floor: the reserve left, excluding fees,
+     *      must still cover a sell of the whole supply
+     */
+    function withdrawLiquidity(uint256 amount) external onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant {
+        require(amount > 0, "Amount must be positive");
+        require(amount <= seededLiquidity, "Exceeds seeded liquidity");
+        require(
+            _tradingReserve() >= calculateSellProceeds(currentSupply) + amount,
+            "Below solvency floor"
+        );
+        
+        seededLiquidity -= amount;
+        
+        address recipient = _msgSender();
+        require(_sendReserve(recipient, amount), "Liquidity withdrawal failed");
+        
+        emit LiquidityWithdrawn(recipient, amount);
+    }
+    
+    /**
+     * @notice Emergency token recovery (recoverer), sent to the caller
+     * @param _token Token to recover
+     * @param amount Amount to recover
+     */
+    function recoverTokens(address _token, uint256 amount) external onlyRole(RECOVERER_ROLE) {
+        require(_token != address(token), "Cannot recover market token");
+        require(_token != address(reserveAsset), "Cannot recover reserve asset");
+        IERC20(_token).transfer(_msgSender(), amount);
+    }
+    
+    // ============ Internal Functions ============
+    
+    /// @dev Whether a curve strategy replaces the built-in linear curve
+    function _hasCurve() internal view returns (bool) {
+        return address(curve) != address(0);
+    }
+    
+    /// @dev Hand bought tokens to the buyer from inventory or by minting
+    function _deliverTokens(address to, uint256 amount) internal {
+        if (supplyMode == SupplyMode.MintBurn) {
+            IMintableBurnableToken(address(token)).mint(to, amount);
+        } else {
+            require(token.transfer(to, amount), "Token transfer failed");
+        }
+    }
+    
+    /// @dev Take sold tokens back into inventory or burn them; both spend the seller's allowance
+    function _retireTokens(address from, uint256 amount) internal {
+        if (supplyMode == SupplyMode.MintBurn) {
+            IMintableBurnableToken(address(token)).burnFrom(from, amount);
+        } else {
+            require(token.transferFrom(from, address(this), amount), "Token transfer failed");
+        }
+    }
+    
+    /// @dev Whether the reserve is native ETH
+    function _isNativeReserve() internal view returns (bool) {
+        return address(reserveAsset) == address(0);
+    }
+    
+    /// @dev Reserve held by the market, fees included
+    function _reserveBalance() internal view returns (uint256) {
+        if (_isNativeReserve()) return address(this).balance;
+        return reserveAsset.balanceOf(address(this));
+    }
+    
+    /// @dev Reserve backing sells: the balance less fees owed to recipients
+    function _tradingReserve() internal view returns (uint256) {
+        uint256 balance = _reserveBalance();
+        uint256 fees = accumulatedFees + totalClaimableFees;
+        return balance > fees ? balance - fees : 0;
+    }
+    
+    /// @dev Credit reserve added as liquidity
+    function _recordLiquidity(address depositor, uint256 amount) internal {
+        _requireNotGraduated();
+        seededLiquidity += amount;
+        
+        emit LiquidityDeposited(depositor, amount);
+    }
+    
+    /// @dev Record a curve change and start its notice period
+    function _queueCurveChange(uint256 _basePrice, uint256 _slope, CurveSolve solveFor) internal {
+        require(!_hasCurve(), "Curve is not linear");
+        require(pendingCurveChange.effectiveAt == 0, "Change already pending");
+        
+        uint256 effectiveAt = block.timestamp + CHANGE_DELAY;
+        pendingCurveChange = PendingCurveChange(_basePrice, _slope, effectiveAt, solveFor);
+        
+        emit CurveChangeQueued(_basePrice, _slope, solveFor, effectiveAt);
+    }
+    
+    /**
+     * @dev Take exactly `amount` of reserve from the caller, refunding
+     *      any excess ETH
+     */
+    function _collectReserve(uint256 amount) internal {
+        if (_isNativeReserve()) {
+            require(msg.value >= amount, "Insufficient ETH sent");
+            if (msg.value > amount) {
+                (bool success, ) = _msgSender().call{value: msg.value - amount}("");
+                require(success, "Refund failed");
+            }
+        } else {
+            require(msg.value == 0, "ETH not accepted");
+            require(_pullReserve(amount) >= amount, "Reserve transfer short");
+        }
+    }
+    
+    /**
+     * @dev Pull ERC20 reserve from the caller
+     * @return received Amount that actually arrived, net of any transfer fee
+     */
+    function _pullReserve(uint256 amount) internal returns (uint256 received) {
+        uint256 balanceBefore = reserveAsset.balanceOf(address(this));
+        reserveAsset.safeTransferFrom(_msgSender(), address(this), amount);
+        received = reserveAsset.balanceOf(address(this)) - balanceBefore;
+    }
+    
+    /**
+     * @dev Pay out reserve; ERC20 failures revert inside SafeERC20
+     * @return success Whether a native transfer succeeded
+     */
+    function _sendReserve(address to, uint256 amount) internal returns (bool success) {
+        if (_isNativeReserve()) {
+            (success, ) = to.call{value: amount}("");
+        } else {
+            reserveAsset.safeTransfer(to, amount);
+            success = true;
+        }
+    }
+    
+    /**
+     * @dev Spend a reserve budget already received on as many tokens as it
+     *      covers; rounding dust left after the fee is credited to fees
+     */
+    function _buyWithBudget(uint256 budget, uint256 minAmount) internal returns (uint256 amount) {
+        _requireNotGraduated();
+        amount = getBuyAmountForEth(budget);
+        require(amount > 0, _isNativeReserve() ? "Insufficient ETH sent" : "Insufficient reserve sent");
+        require(amount >= minAmount, "Amount below min");
+        
+        uint256 cost = calculateBuyCost(amount);
+        uint256 fee = budget - cost;
+        
+        // Update state
+        address buyer = _msgSender();
+        _recordBuy(buyer, amount);
+        currentSupply += amount;
+        _takeFee(fee, address(0));
+        
+        // Deliver tokens to buyer
+        _deliverTokens(buyer, amount);
+        
+        emit TokensPurchased(buyer, buyer, amount, cost, fee, currentSupply);
+        
+        _checkGraduation();
+    }
+    
+    /// @dev buy, with the referrer credited on the fee and the tokens sent to recipient
+    function _buy(
+        uint256 amount,
+        uint256 maxCost,
+        address referrer,
+        address recipient
+    ) internal returns (uint256 totalCost) {
+        _requireNotGraduated();
+        require(amount > 0, "Amount must be positive");
+        require(recipient != address(0), "Invalid recipient");
+        
+        // Calculate cost using integral of linear curve
+        uint256 cost = calculateBuyCost(amount);
+        uint256 fee = (cost * buyFeeBps) / 10000;
+        totalCost = cost + fee;
+        
+        require(totalCost <= maxCost, "Cost exceeds max");
+        _collectReserve(totalCost);
+        
+        // Update state
+        _recordBuy(recipient, amount);
+        currentSupply += amount;
+        _takeFee(fee, referrer);
+        
+        // Deliver tokens to the recipient
+        _deliverTokens(recipient, amount);
+        
+        emit TokensPurchased(_msgSender(), recipient, amount, cost, fee, currentSupply);
+        
+        _checkGraduation();
+    }
+    
+    /// @dev sell, with the referrer credited on the fee and the proceeds sent to recipient
+    function _sell(
+        uint256 amount,
+        uint256 minProceeds,
+        address referrer,
+        address recipient
+    ) internal returns (uint256 proceeds) {
+        _requireNotGraduated();
+        _requireTrader();
+        require(amount > 0, "Amount must be positive");
+        require(recipient != address(0), "Invalid recipient");
+        require(amount <= currentSupply, "Insufficient supply");
+        
+        // Calculate proceeds using integral of linear curve
+        uint256 grossProceeds = calculateSellProceeds(amount);
+        uint256 fee = (grossProceeds * sellFeeBps) / 10000;
+        proceeds = grossProceeds - fee;
+        
+        require(proceeds >= minProceeds, "Proceeds below min");
+        // Fees owed stay put: the proceeds and the fee booked on them come from the trading reserve
+        require(_tradingReserve() >= grossProceeds, "Insufficient contract balance");
+        
+        // Update state
+        address seller = _msgSender();
+        _observePrice();
+        currentSupply -= amount;
+        purchasedBy[seller] -= Math.min(amount, purchasedBy[seller]);
+        _takeFee(fee, referrer);
+        
+        // Take tokens back from seller
+        _retireTokens(seller, amount);
+        
+        // Pay the recipient from the reserve
+        require(_sendReserve(recipient, proceeds), "ETH transfer failed");
+        
+        emit TokensSold(seller, recipient, amount, proceeds, fee, currentSupply);
+    }
+    
+    /// @dev Count a buy for `recipient` against the anti-whale limits, reverting past any of them
+    ///      or when a batch auction must place it
+    function _recordBuy(address recipient, uint256 amount) internal {
+        _requireTrader();
+        _observePrice();
+        require(maxBuyPerTx == 0 || amount <= maxBuyPerTx, "Exceeds max buy per transaction");
+        
+        uint256 purchased = purchasedBy[recipient] + amount;
+        require(maxWalletPurchase == 0 || purchased <= maxWalletPurchase, "Exceeds max purchase per wallet");
+        purchasedBy[recipient] = purchased;
+        
+        if (maxSupplyPerBlock > 0) {
+            uint256 bought = lastBuyBlock == block.number ? blockSupplyBought + amount : amount;
+            require(bought <= maxSupplyPerBlock, "Exceeds max supply per block");
+            lastBuyBlock = block.number;
+            blockSupplyBought = bought;
+        }
+    }
+    
+    /// @dev Accumulate the price held since the last observation, before the supply or curve moves it
+    function _observePrice() internal {
+        uint256 index = observationIndex;
+        Observation memory last = observations[index];
+        if (last.timestamp == block.timestamp) return;
+        
+        index = (index + 1) % OBSERVATION_CARDINALITY;
+        uint224 cumulative;
+        // Wraps on purpose, as in Uniswap V2: readers only take differences
+        unchecked {
+            cumulative = last.priceCumulative + uint224(getCurrentBuyPrice() * (block.timestamp - last.timestamp));
+        }
+        observations[index] = Observation(uint32(block.timestamp), cumulative);
+        observationIndex = index;
+    }
+    
+    /**
+     * @dev Book a trade fee: the referrer's share becomes claimable at once,
+     *      the rest accrues for the split table. Self-referrals earn nothing.
+     */
+    function _takeFee(uint256 fee, address referrer) internal {
+        address trader = _msgSender();
+        if (referrer != address(0) && referrer != trader && referralFeeBps > 0) {
+            uint256 referral = (fee * referralFeeBps) / 10000;
+            fee -= referral;
+            claimableFees[referrer] += referral;
+            totalClaimableFees += referral;
+            
+            emit ReferralFeePaid(referrer, trader, referral);
+        }
+        accumulatedFees += fee;
+    }
+    
+    /// @dev Move accumulated fees into claimable balances; the last share takes rounding dust
+    function _distributeFees() internal {
+        uint256 amount = accumulatedFees;
+        if (amount == 0) return;
+        
+        accumulatedFees = 0;
+        totalClaimableFees += amount;
+        
+        uint256 count = _feeShares.length;
+        if (count == 0) {
+            claimableFees[feeRecipient] += amount;
+        } else {
+            uint256 remaining = amount;
+            for (uint256 i = 0; i < count - 1; i++) {
+                uint256 share = (amount * _feeShares[i].bps) / 10000;
+                claimableFees[_feeShares[i].recipient] += share;
+                remaining -= share;
+            }
+            claimableFees[_feeShares[count - 1].recipient] += remaining;
+        }
+        
+        emit FeesDistributed(amount);
+    }
+    
+    /// @dev Graduate once a buy has crossed either threshold
+    function _checkGraduation() internal {
+        if (
+            (graduationReserve > 0 && _tradingReserve() >= graduationReserve) ||
+            (graduationSupply > 0 && currentSupply >= graduationSupply)
+        ) {
+            _graduate();
+        }
+    }
+    
+    /**
+     * @dev Hand the whole trading reserve, plus tokens at the curve's spot
+     *      price, to the graduator to seed a pool
+     */
+    function _graduate() internal {
+        uint256 reserveAmount = _tradingReserve();
+        uint256 tokenAmount = Math.mulDiv(reserveAmount, 10 ** tokenDecimals, _priceAt(_toWad(currentSupply)));
+        
+        // The seeded part of the reserve leaves with the rest
+        seededLiquidity = 0;
+        
+        IGraduator graduator_ = graduator;
+        _deliverTokens(address(graduator_), tokenAmount);
+        uint256 value = reserveAmount;
+        if (!_isNativeReserve()) {
+            reserveAsset.safeTransfer(address(graduator_), reserveAmount);
+            value = 0;
+        }
+        (address pair, uint256 liquidity) = graduator_.graduate{value: value}(
+            address(token), address(reserveAsset), tokenAmount, reserveAmount
+        );
+        graduatedPair = pair;
+        
+        emit Graduated(pair, reserveAmount, tokenAmount, liquidity);
+    }
+    
+    /// @dev Token base units to whole tokens in WAD
+    function _toWad(uint256 amount) internal view returns (uint256) {
+        return amount * wadScale;
+    }
+    
+    /// @dev Price per whole token at a WAD supply
+    function _priceAt(uint256 supply) internal view returns (uint256) {
+        if (_hasCurve()) return curve.priceAt(supply);
+        return LinearCurveMath.priceAt(basePrice, slope, supply);
+    }
+    
+    /**
+     * @dev Largest amount with calculateBuyCost(amount) <= maxCost, found by
+     *      stepping away from the estimate with doubling steps and bisecting
+     */
+    function _searchBuyAmount(uint256 estimate, uint256 maxCost) internal view returns (uint256 amount) {
+        amount = estimate;
+        uint256 step = 1;
+        while (amount > 0 && calculateBuyCost(amount) > maxCost) {
+            amount = amount > step ? amount - step : 0;
+            step *= 2;
+        }
+        
+        uint256 high = amount + 1;
+        step = 1;
+        while (calculateBuyCost(high) <= maxCost) {
+            amount = high;
+            step *= 2;
+            high = amount + step;
+        }
+        
+        while (high - amount > 1) {
+            uint256 mid = (amount + high) / 2;
+            if (calculateBuyCost(mid) <= maxCost) {
+                amount = mid;
+            } else {
+                high = mid;
+            }
+        }
+    }
+    
+    /**
+     * @dev Smallest amount with calculateSellProceeds(amount) >= minProceeds,
+     *      which must be reachable within currentSupply and above zero
+     */
+    function _searchSellAmount(uint256 estimate, uint256 minProceeds) internal view returns (uint256 amount) {
+        amount = estimate;
+        uint256 step = 1;
+        while (calculateSellProceeds(amount) < minProceeds) {
+            amount = Math.min(amount + step, currentSupply);
+            step *= 2;
+        }
+        
+        uint256 low = amount - 1;
+        step = 1;
+        while (low > 0 && calculateSellProceeds(low) >= minProceeds) {
+            amount = low;
+            step *= 2;
+            low = low > step ? low - step : 0;
+        }
+        
+        while (amount - low > 1) {
+            uint256 mid = (low + amount) / 2;
+            if (calculateSellProceeds(mid) >= minProceeds) {
+                amount = mid;
+            } else {
+                low = mid;
+            }
+        }
+    }
+    
+    /// @dev A curve or fee change is queued
+    function _requirePending(uint256 effectiveAt) internal pure {
+        require(effectiveAt != 0, "No pending change");
+    }
+    
+    /// @dev Settings holders rely on before trading can only change until the first trade
+    function _requireNoTrades() internal view {
+        require(currentSupply == 0, "Trading already started");
+    }
+    
+    /// @dev Body of ensure(), kept out of the modifier so it is not inlined into every trade function
+    function _requireNotExpired(uint256 deadline) internal view {
+        require(block.timestamp <= deadline, "Transaction expired");
+    }
+    
+    /// @dev Curve trading and liquidity deposits stop once the market graduates
+    function _requireNotGraduated() internal view {
+        require(graduatedPair == address(0), "Market graduated");
+    }
+    
+    /// @dev In batch-auction mode, trades must come from the auction
+    function _requireTrader() internal view {
+        require(batchAuction == address(0) || _msgSender() == batchAuction, "Batch auction only");
+    }
+    
+    /// @dev The signer appended by the trusted forwarder, otherwise the caller
+    function _msgSender() internal view override returns (address) {
+        if (msg.data.length >= 20 && isTrustedForwarder(msg.sender)) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+    
+    /// @dev Calldata without the signer appended by the trusted forwarder
+    function _msgData() internal view override returns (bytes calldata) {
+        if (msg.data.length >= 20 && isTrustedForwarder(msg.sender)) {
+            return msg.data[:msg.data.length - 20];
+        }
+        return msg.data;
+    }
+    
+    /// @dev Length of the signer suffix on forwarded calldata
+    function _contextSuffixLength() internal pure override returns (uint256) {
+        return 20;
+    }
+    
+    /// @dev Keep the string revert reason clients and tests match on
+    function _requireNotPaused() internal view override {
+        require(!paused(), "Pausable: paused");
+    }
+    
+    // ============ Receive Function ============
+    
+    /// @notice Plain ETH transfers are deposited as liquidity (ETH reserve only)
+    receive() external payable {
+        require(_isNativeReserve(), "ETH not accepted");
+        _recordLiquidity(msg.sender, msg.value);
+    }
+}
@@ -0,0 +1,125 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./BondingCurveMarket.sol";
+
+/**
+ * @title BondingCurveMarketDeployer
+ * @notice Builds BondingCurveMarket instances for BondingCurveMarketFactory
+ * @dev The market's creation code is larger than a contract may be, so it
+ *      cannot be embedded here either. It is stored instead as the code of
+ *      one or more data contracts (each a STOP byte followed by a slice of
+ *      the creation code), which deployMarket reads back and concatenates.
+ *      marketCodeHash lets anyone check the stored code against the
+ *      compiled BondingCurveMarket. Anyone may call deployMarket; markets
+ *      deployed here are only listed in a registry when created through
+ *      the factory.
+ */
+contract BondingCurveMarketDeployer {
+    
+    // ============ Types ============
+    
+    /// @notice Constructor arguments of a new market
+    struct MarketParams {
+        address token;
+        uint256 basePrice;
+        uint256 slope;
+        uint256 buyFeeBps;
+        uint256 sellFeeBps;
+        address feeRecipient;
+        address curve;
+        address reserveAsset;
+        BondingCurveMarket.SupplyMode supplyMode;
+    }
+    
+    // ============ State Variables ============
+    
+    /// @notice Data contracts holding the market creation code, in order
+    address[] public marketCodeChunks;
+    
+    /// @notice keccak256 of the market creation code (without constructor arguments)
+    bytes32 public immutable marketCodeHash;
+    
+    // ============ Constructor ============
+    
+    /**
+     * @param _marketCodeChunks Data contracts holding the market creation code, in order
+     */
+    constructor(address[] memory _marketCodeChunks) {
+        require(_marketCodeChunks.length > 0, "No market code");
+        marketCodeChunks = _marketCodeChunks;
+        marketCodeHash = keccak256(_marketCode());
+    }
+    
+    // ============ Core Functions ============
+    
+    /**
+     * @notice Deploy a market and hand every role to `admin`
+     * @param params Market constructor arguments
+     * @param admin Account receiving DEFAULT_ADMIN_ROLE and every operational role
+     * @return market Address of the new market
+     */
+    function deployMarket(MarketParams calldata params, address admin) external returns (address market) {
+        bytes memory initCode = abi.encodePacked(
+            _marketCode(),
+            abi.encode(
+                params.token,
+                params.basePrice,
+                params.slope,
+                params.buyFeeBps,
+                params.sellFeeBps,
+                params.feeRecipient,
+                params.curve,
+                params.reserveAsset,
+                params.supplyMode
+            )
+        );
+        
+        assembly {
+            market := create(0, add(initCode, 0x20), mload(initCode))
+        }
+        require(market != address(0), "Market deployment failed");
+        
+        _handOverRoles(BondingCurveMarket(payable(market)), admin);
+    }
+    
+    // ============ Internal Functions ============
+    
+    /// @dev Concatenate the code of every chunk, skipping each leading STOP byte
+    function _marketCode() internal view returns (bytes memory code) {
+        address[] memory chunks = marketCodeChunks;
+        
+        uint256 length;
+        for (uint256 i = 0; i < chunks.length; i++) {
+            require(chunks[i].code.length > 1, "Empty code chunk");
+            length += chunks[i].code.length - 1;
+        }
+        
+        code = new bytes(length);
+        uint256 offset;
+        for (uint256 i = 0; i < chunks.length; i++) {
+            address chunk = chunks[i];
+            uint256 size = chunk.code.length - 1;
+            assembly {
+                extcodecopy(chunk, add(add(code, 0x20), offset), 1, size)
+            }
+            offset += size;
+        }
+    }
+    
+    /// @dev Grant the admin every market role, then drop the deployer's own
+    function _handOverRoles(BondingCurveMarket market, address admin) internal {
+        // DEFAULT_ADMIN_ROLE last: granting the others needs it
+        bytes32[5] memory roles = [
+            market.CURVE_ADMIN_ROLE(),
+            market.FEE_MANAGER_ROLE(),
+            market.PAUSER_ROLE(),
+            market.RECOVERER_ROLE(),
+            market.DEFAULT_ADMIN_ROLE()
+        ];
+        for (uint256 i = 0; i < roles.length; i++) {
+            market.grantRole(roles[i], admin);
+            market.renounceRole(roles[i], address(this));
+        }
+    }
+}
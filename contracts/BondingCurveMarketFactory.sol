@@ -0,0 +1,104 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./BondingCurveMarketDeployer.sol";
+
+/**
+ * @title BondingCurveMarketFactory
+ * @notice Deploys bonding curve markets and keeps an enumerable registry of them
+ * @dev One market per token. Every role of a new market is handed to the
+ *      account that created it, so the factory keeps no admin rights over markets.
+ *      Markets are built by a separate BondingCurveMarketDeployer, which keeps
+ *      the market's creation code out of the factory.
+ */
+contract BondingCurveMarketFactory is Ownable {
+    
+    // ============ State Variables ============
+    
+    /// @notice Contract that builds the markets
+    BondingCurveMarketDeployer public immutable deployer;
+    
+    /// @notice Every market created, in creation order
+    address[] public allMarkets;
+    
+    /// @notice Market trading a given token, or address(0)
+    mapping(address => address) public marketByToken;
+    
+    /// @notice Whether an address is a market created by this factory
+    mapping(address => bool) public isMarket;
+    
+    // ============ Events ============
+    
+    event MarketCreated(
+        address indexed token,
+        address indexed market,
+        address indexed creator,
+        uint256 index
+    );
+    
+    // ============ Constructor ============
+    
+    /**
+     * @param _deployer BondingCurveMarketDeployer used to build markets
+     */
+    constructor(address _deployer) Ownable(msg.sender) {
+        require(_deployer != address(0), "Invalid deployer");
+        deployer = BondingCurveMarketDeployer(_deployer);
+    }
+    
+    // ============ Core Functions ============
+    
+    /**
+     * @notice Deploy a market and add it to the registry
+     * @param params Market constructor arguments
+     * @return market Address of the new market, administered by the caller
+     */
+    function createMarket(
+        BondingCurveMarketDeployer.MarketParams calldata params
+    ) external onlyOwner returns (address market) {
+        require(marketByToken[params.token] == address(0), "Market already exists");
+        
+        market = deployer.deployMarket(params, msg.sender);
+        marketByToken[params.token] = market;
+        isMarket[market] = true;
+        allMarkets.push(market);
+        
+        emit MarketCreated(params.token, market, msg.sender, allMarkets.length - 1);
+    }
+    
+    // ============ View Functions ============
+    
+    /**
+     * @notice Number of markets created
+     */
+    function allMarketsLength() external view returns (uint256) {
+        return allMarkets.length;
+    }
+    
+    /**
+     * @notice Market trading a token
+     * @param token Token address
+     * @return Market address, or address(0) if none
+     */
+    function getMarketByToken(address token) external view returns (address) {
+        return marketByToken[token];
+    }
+    
+    /**
+     * @notice Page through the registry
+     * @param offset Index of the first market to return
+     * @param limit Maximum number of markets to return
+     * @return markets Market addresses in creation order
+     */
+    function getMarkets(uint256 offset, uint256 limit) external view returns (address[] memory markets) {
+        uint256 total = allMarkets.length;
+        if (offset >= total) return new address[](0);
+        
+        uint256 end = offset + limit > total ? total : offset + limit;
+        markets = new address[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            markets[i - offset] = allMarkets[i];
+        }
+    }
+}
@@ -0,0 +1,115 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./BondingCurveMarket.sol";
+
+/**
+ * @title BondingCurveOracle
+ * @notice Time-weighted average price (TWAP) of one BondingCurveMarket
+ * @dev The market keeps a ring buffer of price accumulators, written once
+ *      per block before a trade or curve change moves the price. Between two
+ *      observations the price held still, so the accumulator at any moment
+ *      the buffer spans is interpolated exactly. The oracle only reads the
+ *      buffer; it lives outside the market to keep the market under the
+ *      contract size limit.
+ *
+ *      Accumulators wrap at 2^224 and are only subtracted, modulo 2^224, so
+ *      results stay exact while the price times a window, and times the gap
+ *      between two observations, stays below 2^224 (about 8.5e41 ETH per
+ *      token held for a year).
+ */
+contract BondingCurveOracle {
+    // ============ State Variables ============
+    
+    /// @notice Market whose price is averaged
+    BondingCurveMarket public immutable market;
+    
+    /// @dev Size of the market's observation ring buffer
+    uint256 private immutable cardinality;
+    
+    // ============ Constructor ============
+    
+    /**
+     * @param _market Market to read
+     */
+    constructor(BondingCurveMarket _market) {
+        market = _market;
+        cardinality = _market.OBSERVATION_CARDINALITY();
+    }
+    
+    // ============ View Functions ============
+    
+    /**
+     * @notice Time-weighted average of the market's getCurrentBuyPrice() over the last `window` seconds
+     * @param window Seconds to average over, at most maxWindow()
+     * @return price Average price in wei per whole token, rounded down
+     * @dev Within a block, only the price after its last trade counts
+     */
+    function consult(uint32 window) external view returns (uint256 price) {
+        require(window > 0 && window <= maxWindow(), "Invalid window");
+        unchecked {
+            return uint224(priceCumulative() - _cumulativeAt(block.timestamp - window)) / window;
+        }
+    }
+    
+    /**
+     * @notice Market's price accumulator as of now, in wei-seconds per whole token, modulo 2^224
+     */
+    function priceCumulative() public view returns (uint256) {
+        (uint32 timestamp, uint224 cumulative) = market.observations(market.observationIndex());
+        unchecked {
+            return uint224(cumulative + market.getCurrentBuyPrice() * (block.timestamp - timestamp));
+        }
+    }
+    
+    /**
+     * @notice Longest window consult() accepts: seconds since the oldest observation kept
+     */
+    function maxWindow() public view returns (uint256) {
+        (uint32 timestamp, ) = market.observations(_oldestIndex(market.observationIndex()));
+        return block.timestamp - timestamp;
+    }
+    
+    // ============ Internal Functions ============
+    
+    /// @dev Oldest slot written: the one after the latest once the ring has wrapped
+    function _oldestIndex(uint256 latest) internal view returns (uint256 oldest) {
+        oldest = (latest + 1) % cardinality;
+        (uint32 timestamp, ) = market.observations(oldest);
+        if (timestamp == 0) {
+            oldest = 0;
+        }
+    }
+    
+    /// @dev Accumulator at `target`, which must not precede the oldest observation
+    function _cumulativeAt(uint256 target) internal view returns (uint256) {
+        uint256 latest = market.observationIndex();
+        uint256 oldest = _oldestIndex(latest);
+        
+        // Newest observation at or before target, counted from the oldest
+        uint256 low = 0;
+        uint256 high = (latest + cardinality - oldest) % cardinality;
+        while (low < high) {
+            uint256 mid = (low + high + 1) / 2;
+            (uint32 midTimestamp, ) = market.observations((oldest + mid) % cardinality);
+            if (midTimestamp <= target) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        
+        uint256 index = (oldest + low) % cardinality;
+        (uint32 timestamp, uint224 cumulative) = market.observations(index);
+        unchecked {
+            if (index == latest) {
+                return uint224(cumulative + market.getCurrentBuyPrice() * (target - timestamp));
+            }
+            
+            // The price held until the next observation is its accumulator's slope
+            (uint32 nextTimestamp, uint224 nextCumulative) = market.observations((index + 1) % cardinality);
+            uint256 held = uint224(nextCumulative - cumulative) / (nextTimestamp - timestamp);
+            return uint224(cumulative + held * (target - timestamp));
+        }
+    }
+}
@@ -0,0 +1,139 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./BondingCurveMarket.sol";
+
+/**
+ * @title BondingCurveRouter
+ * @notice Swaps one market's token for another's in a single transaction
+ * @dev Sells the input token on its market, then spends the proceeds on the
+ *      output market's curve through buyFor, so the output tokens go straight
+ *      to the recipient and count against its buy limits. Both markets must
+ *      share a reserve asset. Proceeds the buy cannot use (rounding dust) are
+ *      returned to the caller. The router holds nothing between calls.
+ */
+contract BondingCurveRouter is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    
+    // ============ State Variables ============
+    
+    /// @dev Market the swap in progress is calling, the only account that may send ETH; unset between swaps
+    address private _activeMarket;
+    
+    // ============ Events ============
+    
+    event Swapped(
+        address indexed sender,
+        address indexed marketIn,
+        address indexed marketOut,
+        address recipient,
+        uint256 amountIn,
+        uint256 amountOut,
+        uint256 reserveAmount
+    );
+    
+    // ============ Core Functions ============
+    
+    /**
+     * @notice Sell `amountIn` of marketIn's token and buy marketOut's token with the proceeds
+     * @param marketIn Market whose token is sold
+     * @param marketOut Market whose token is bought
+     * @param amountIn Tokens to sell (approve the router for them first)
+     * @param minAmountOut Minimum output tokens, covering both legs
+     * @param deadline Timestamp after which the swap reverts
+     * @param recipient Account receiving the output tokens
+     * @return amountOut Output tokens delivered
+     */
+    function swap(
+        BondingCurveMarket marketIn,
+        BondingCurveMarket marketOut,
+        uint256 amountIn,
+        uint256 minAmountOut,
+        uint256 deadline,
+        address recipient
+    ) external nonReentrant returns (uint256 amountOut) {
+        require(block.timestamp <= deadline, "Transaction expired");
+        require(address(marketIn) != address(marketOut), "Same market");
+        IERC20 reserve = marketIn.reserveAsset();
+        require(reserve == marketOut.reserveAsset(), "Reserve mismatch");
+        
+        // Leg 1: sell the input token for the shared reserve
+        IERC20 tokenIn = marketIn.token();
+        tokenIn.safeTransferFrom(msg.sender, address(this), amountIn);
+        tokenIn.forceApprove(address(marketIn), amountIn);
+        
+        uint256 balanceBefore = _reserveBalance(reserve);
+        _activeMarket = address(marketIn);
+        marketIn.sell(amountIn, 0, deadline);
+        uint256 proceeds = _reserveBalance(reserve) - balanceBefore;
+        
+        // Leg 2: spend the proceeds on as many output tokens as they cover
+        amountOut = marketOut.getBuyAmountForEth(proceeds);
+        require(amountOut >= minAmountOut, "Insufficient output amount");
+        
+        uint256 spent;
+        _activeMarket = address(marketOut);
+        if (address(reserve) == address(0)) {
+            spent = marketOut.buyFor{value: proceeds}(amountOut, proceeds, deadline, recipient);
+        } else {
+            reserve.forceApprove(address(marketOut), proceeds);
+            spent = marketOut.buyFor(amountOut, proceeds, deadline, recipient);
+            reserve.forceApprove(address(marketOut), 0);
+        }
+        delete _activeMarket;
+        
+        if (proceeds > spent) {
+            _sendReserve(reserve, msg.sender, proceeds - spent);
+        }
+        
+        emit Swapped(msg.sender, address(marketIn), address(marketOut), recipient, amountIn, amountOut, proceeds);
+    }
+    
+    // ============ View Functions ============
+    
+    /**
+     * @notice Quote a swap from the two markets' own quotes
+     * @param marketIn Market whose token is sold
+     * @param marketOut Market whose token is bought
+     * @param amountIn Tokens to sell
+     * @return amountOut Output tokens the swap would deliver now
+     * @return reserveAmount Reserve passed between the markets, after the sell fee
+     */
+    function getSwapQuote(
+        BondingCurveMarket marketIn,
+        BondingCurveMarket marketOut,
+        uint256 amountIn
+    ) external view returns (uint256 amountOut, uint256 reserveAmount) {
+        require(marketIn.reserveAsset() == marketOut.reserveAsset(), "Reserve mismatch");
+        (, , reserveAmount) = marketIn.getSellQuote(amountIn);
+        amountOut = marketOut.getBuyAmountForEth(reserveAmount);
+    }
+    
+    // ============ Internal Functions ============
+    
+    /// @dev Router's balance of the reserve, ETH when `reserve` is address(0)
+    function _reserveBalance(IERC20 reserve) internal view returns (uint256) {
+        return address(reserve) == address(0) ? address(this).balance : reserve.balanceOf(address(this));
+    }
+    
+    /// @dev Pay out reserve left over from a swap
+    function _sendReserve(IERC20 reserve, address to, uint256 amount) internal {
+        if (address(reserve) == address(0)) {
+            (bool success, ) = to.call{value: amount}("");
+            require(success, "ETH transfer failed");
+        } else {
+            reserve.safeTransfer(to, amount);
+        }
+    }
+    
+    // ============ Receive Function ============
+    
+    /// @notice Accepts sell proceeds and buy refunds from the market a swap is calling
+    /// @dev Anything else would be stuck, since the router only returns its own swap's dust
+    receive() external payable {
+        require(msg.sender == _activeMarket, "Unexpected ETH");
+    }
+}
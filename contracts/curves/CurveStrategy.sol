@@ -0,0 +1,69 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./ICurveStrategy.sol";
+
+/**
+ * @title CurveStrategy
+ * @notice Shared integral and inverse logic for curve strategies
+ * @dev Shapes only implement `_area`, the antiderivative of their price.
+ *      Buys and sells both take differences of the same `_area`, so buying
+ *      and then selling an amount always returns the same gross ETH.
+ */
+abstract contract CurveStrategy is ICurveStrategy {
+
+    /// @dev One whole token in WAD, the first step of the inverse search
+    uint256 internal constant ONE_TOKEN = 1e18;
+
+    /**
+     * @dev ETH under the curve from zero to `supply`
+     */
+    function _area(uint256 supply) internal view virtual returns (uint256);
+
+    /// @inheritdoc ICurveStrategy
+    function integral(uint256 fromSupply, uint256 toSupply) public view returns (uint256) {
+        require(fromSupply <= toSupply, "Invalid range");
+
+        uint256 upper = _area(toSupply);
+        uint256 lower = _area(fromSupply);
+
+        // Series rounding can leave a flat stretch a few wei out of order
+        return upper > lower ? upper - lower : 0;
+    }
+
+    /// @inheritdoc ICurveStrategy
+    function amountForCost(uint256 supply, uint256 cost) external view returns (uint256 amount) {
+        // Grow an upper bound, then bisect
+        uint256 high = ONE_TOKEN;
+        while (integral(supply, supply + high) <= cost) {
+            amount = high;
+            high *= 2;
+        }
+
+        while (high - amount > 1) {
+            uint256 mid = (amount + high) / 2;
+            if (integral(supply, supply + mid) <= cost) {
+                amount = mid;
+            } else {
+                high = mid;
+            }
+        }
+    }
+
+    /// @inheritdoc ICurveStrategy
+    function amountForProceeds(uint256 supply, uint256 proceeds) external view returns (uint256 amount) {
+        if (proceeds == 0) return 0;
+        require(integral(0, supply) >= proceeds, "Amount exceeds supply");
+
+        uint256 low = 0;
+        amount = supply;
+        while (amount - low > 1) {
+            uint256 mid = (low + amount) / 2;
+            if (integral(supply - mid, supply) >= proceeds) {
+                amount = mid;
+            } else {
+                low = mid;
+            }
+        }
+    }
+}
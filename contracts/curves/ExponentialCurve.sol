@@ -0,0 +1,62 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./CurveStrategy.sol";
+import "../libraries/FixedPointMath.sol";
+
+/**
+ * @title ExponentialCurve
+ * @notice price = initialPrice * e^(growthRate * supply)
+ * @dev Area: initialPrice * (e^(growthRate * supply) - 1) / growthRate
+ */
+contract ExponentialCurve is CurveStrategy {
+
+    /// @notice Price at zero supply, in wei per token
+    uint256 public immutable initialPrice;
+
+    /// @notice Continuous growth rate per whole token, in WAD
+    uint256 public immutable growthRate;
+
+    /**
+     * @param _initialPrice Price at zero supply
+     * @param _growthRate Growth rate per whole token in WAD (1e16 = 1%)
+     */
+    constructor(uint256 _initialPrice, uint256 _growthRate) {
+        require(_initialPrice > 0, "Invalid initial price");
+
+        initialPrice = _initialPrice;
+        growthRate = _growthRate;
+    }
+
+    /// @inheritdoc ICurveStrategy
+    function priceAt(uint256 supply) external view returns (uint256) {
+        return Math.mulDiv(initialPrice, _exp(supply), FixedPointMath.WAD);
+    }
+
+    /// @inheritdoc ICurveStrategy
+    function curveType() external pure returns (string memory) {
+        return "exponential";
+    }
+
+    /// @inheritdoc ICurveStrategy
+    function curveParameters() external view returns (uint256[] memory params) {
+        params = new uint256[](2);
+        params[0] = initialPrice;
+        params[1] = growthRate;
+    }
+
+    function _area(uint256 supply) internal view override returns (uint256) {
+        if (growthRate == 0) {
+            return Math.mulDiv(initialPrice, supply, FixedPointMath.WAD);
+        }
+        return Math.mulDiv(initialPrice, _exp(supply) - FixedPointMath.WAD, growthRate);
+    }
+
+    /// @dev e^(growthRate * supply) in WAD
+    function _exp(uint256 supply) private view returns (uint256) {
+        uint256 exponent = Math.mulDiv(growthRate, supply, FixedPointMath.WAD);
+        require(exponent <= uint256(FixedPointMath.MAX_EXP_INPUT), "Exp overflow");
+        return FixedPointMath.expWad(int256(exponent));
+    }
+}
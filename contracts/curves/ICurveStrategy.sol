@@ -0,0 +1,49 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ICurveStrategy
+ * @notice Price curve plugged into BondingCurveMarket at deploy time
+ * @dev Supplies and amounts are whole tokens in 18-decimal fixed point
+ *      (WAD), whatever the token's decimals: the market scales its base
+ *      units up before calling and divides amounts back down. Prices are
+ *      reserve base units (wei for ETH) per whole token.
+ */
+interface ICurveStrategy {
+    /**
+     * @notice Marginal price at a given supply
+     * @param supply Circulating supply in WAD
+     * @return Price in reserve base units per whole token
+     */
+    function priceAt(uint256 supply) external view returns (uint256);
+
+    /**
+     * @notice Area under the curve between two supplies
+     * @param fromSupply Lower bound in WAD
+     * @param toSupply Upper bound in WAD
+     * @return ETH owed for moving supply across the range
+     */
+    function integral(uint256 fromSupply, uint256 toSupply) external view returns (uint256);
+
+    /**
+     * @notice Largest amount whose buy integral fits a cost budget
+     * @param supply Current supply in WAD
+     * @param cost Pre-fee ETH budget
+     * @return amount Tokens purchasable in WAD, rounded down
+     */
+    function amountForCost(uint256 supply, uint256 cost) external view returns (uint256 amount);
+
+    /**
+     * @notice Smallest amount whose sell integral reaches a proceeds target
+     * @param supply Current supply in WAD
+     * @param proceeds Pre-fee ETH target
+     * @return amount Tokens to sell in WAD, rounded up
+     */
+    function amountForProceeds(uint256 supply, uint256 proceeds) external view returns (uint256 amount);
+
+    /// @notice Shape identifier, used by the JS SDK to pick the matching math
+    function curveType() external pure returns (string memory);
+
+    /// @notice Constructor parameters in declaration order
+    function curveParameters() external view returns (uint256[] memory);
+}
@@ -0,0 +1,102 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./CurveStrategy.sol";
+import "../libraries/FixedPointMath.sol";
+
+/**
+ * @title PiecewiseLinearCurve
+ * @notice Price interpolated linearly between (supply, price) breakpoints
+ * @dev The first breakpoint is at zero supply; past the last one the price
+ *      stays flat. Area is the sum of trapezoids up to the given supply.
+ */
+contract PiecewiseLinearCurve is CurveStrategy {
+
+    /// @notice Maximum number of breakpoints
+    uint256 public constant MAX_BREAKPOINTS = 16;
+
+    /// @notice Breakpoint supplies, strictly increasing from zero
+    uint256[] public breakpointSupplies;
+
+    /// @notice Price at each breakpoint, in wei per token
+    uint256[] public breakpointPrices;
+
+    /**
+     * @param _supplies Breakpoint supplies, starting at 0
+     * @param _prices Price at each breakpoint
+     */
+    constructor(uint256[] memory _supplies, uint256[] memory _prices) {
+        require(_supplies.length == _prices.length, "Length mismatch");
+        require(_supplies.length > 0 && _supplies.length <= MAX_BREAKPOINTS, "Invalid breakpoints");
+        require(_supplies[0] == 0, "First breakpoint must be zero");
+
+        for (uint256 i = 1; i < _supplies.length; i++) {
+            require(_supplies[i] > _supplies[i - 1], "Supplies not increasing");
+        }
+
+        breakpointSupplies = _supplies;
+        breakpointPrices = _prices;
+    }
+
+    /// @inheritdoc ICurveStrategy
+    function priceAt(uint256 supply) public view returns (uint256) {
+        uint256 i = _segment(supply);
+        if (i == breakpointSupplies.length - 1) {
+            return breakpointPrices[i];
+        }
+
+        uint256 startPrice = breakpointPrices[i];
+        uint256 endPrice = breakpointPrices[i + 1];
+        uint256 offset = supply - breakpointSupplies[i];
+        uint256 width = breakpointSupplies[i + 1] - breakpointSupplies[i];
+
+        if (endPrice >= startPrice) {
+            return startPrice + Math.mulDiv(endPrice - startPrice, offset, width);
+        }
+        return startPrice - Math.mulDiv(startPrice - endPrice, offset, width);
+    }
+
+    /// @inheritdoc ICurveStrategy
+    function curveType() external pure returns (string memory) {
+        return "piecewise-linear";
+    }
+
+    /// @inheritdoc ICurveStrategy
+    function curveParameters() external view returns (uint256[] memory params) {
+        uint256 count = breakpointSupplies.length;
+        params = new uint256[](count * 2);
+        for (uint256 i = 0; i < count; i++) {
+            params[2 * i] = breakpointSupplies[i];
+            params[2 * i + 1] = breakpointPrices[i];
+        }
+    }
+
+    function _area(uint256 supply) internal view override returns (uint256 area) {
+        uint256 last = _segment(supply);
+
+        // Whole segments below the one containing supply
+        for (uint256 i = 0; i < last; i++) {
+            area += Math.mulDiv(
+                breakpointPrices[i] + breakpointPrices[i + 1],
+                breakpointSupplies[i + 1] - breakpointSupplies[i],
+                2 * FixedPointMath.WAD
+            );
+        }
+
+        uint256 offset = supply - breakpointSupplies[last];
+        if (last == breakpointSupplies.length - 1) {
+            area += Math.mulDiv(breakpointPrices[last], offset, FixedPointMath.WAD);
+        } else {
+            area += Math.mulDiv(breakpointPrices[last] + priceAt(supply), offset, 2 * FixedPointMath.WAD);
+        }
+    }
+
+    /// @dev Index of the breakpoint at or below supply
+    function _segment(uint256 supply) private view returns (uint256 i) {
+        uint256 count = breakpointSupplies.length;
+        while (i + 1 < count && breakpointSupplies[i + 1] <= supply) {
+            i++;
+        }
+    }
+}
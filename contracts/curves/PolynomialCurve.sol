@@ -0,0 +1,76 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./CurveStrategy.sol";
+import "../libraries/FixedPointMath.sol";
+
+/**
+ * @title PolynomialCurve
+ * @notice price = basePrice + coefficient * supply^exponent
+ * @dev Area: basePrice * supply + coefficient * supply^(exponent+1) / (exponent+1),
+ *      with supply measured in whole tokens
+ */
+contract PolynomialCurve is CurveStrategy {
+
+    /// @notice Highest supported exponent
+    uint256 public constant MAX_EXPONENT = 4;
+
+    /// @notice Price at zero supply, in wei per token
+    uint256 public immutable basePrice;
+
+    /// @notice Multiplier of the power term, in wei per token
+    uint256 public immutable coefficient;
+
+    /// @notice Integer power of supply
+    uint256 public immutable exponent;
+
+    /**
+     * @param _basePrice Price at zero supply
+     * @param _coefficient Multiplier of the power term
+     * @param _exponent Power of supply, 1 to MAX_EXPONENT
+     */
+    constructor(uint256 _basePrice, uint256 _coefficient, uint256 _exponent) {
+        require(_exponent >= 1 && _exponent <= MAX_EXPONENT, "Invalid exponent");
+
+        basePrice = _basePrice;
+        coefficient = _coefficient;
+        exponent = _exponent;
+    }
+
+    /// @inheritdoc ICurveStrategy
+    function priceAt(uint256 supply) external view returns (uint256) {
+        return basePrice + Math.mulDiv(coefficient, _pow(supply, exponent), FixedPointMath.WAD);
+    }
+
+    /// @inheritdoc ICurveStrategy
+    function curveType() external pure returns (string memory) {
+        return "polynomial";
+    }
+
+    /// @inheritdoc ICurveStrategy
+    function curveParameters() external view returns (uint256[] memory params) {
+        params = new uint256[](3);
+        params[0] = basePrice;
+        params[1] = coefficient;
+        params[2] = exponent;
+    }
+
+    function _area(uint256 supply) internal view override returns (uint256) {
+        uint256 baseArea = Math.mulDiv(basePrice, supply, FixedPointMath.WAD);
+        uint256 powerArea = Math.mulDiv(
+            coefficient,
+            _pow(supply, exponent + 1),
+            FixedPointMath.WAD * (exponent + 1)
+        );
+        return baseArea + powerArea;
+    }
+
+    /// @dev supply^n in WAD, rounding down after each multiplication
+    function _pow(uint256 supply, uint256 n) private pure returns (uint256 result) {
+        result = supply;
+        for (uint256 i = 1; i < n; i++) {
+            result = Math.mulDiv(result, supply, FixedPointMath.WAD);
+        }
+    }
+}
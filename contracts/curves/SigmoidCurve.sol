@@ -0,0 +1,85 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./CurveStrategy.sol";
+import "../libraries/FixedPointMath.sol";
+
+/**
+ * @title SigmoidCurve
+ * @notice price = maxPrice / (1 + e^(-steepness * (supply - midpoint)))
+ * @dev Area: maxPrice * (softplus(z(supply)) - softplus(z(0))) / steepness,
+ *      where z(x) = steepness * (x - midpoint) and softplus(z) = ln(1 + e^z)
+ */
+contract SigmoidCurve is CurveStrategy {
+
+    /// @dev Bound on supply, midpoint and steepness so z never overflows int256
+    uint256 private constant MAX_INPUT = 2 ** 127 - 1;
+
+    /// @notice Price the curve approaches as supply grows, in wei per token
+    uint256 public immutable maxPrice;
+
+    /// @notice Steepness per whole token, in WAD
+    uint256 public immutable steepness;
+
+    /// @notice Supply at which the price is maxPrice / 2
+    uint256 public immutable midpoint;
+
+    /**
+     * @param _maxPrice Upper price asymptote
+     * @param _steepness Steepness per whole token in WAD
+     * @param _midpoint Supply at the inflection point
+     */
+    constructor(uint256 _maxPrice, uint256 _steepness, uint256 _midpoint) {
+        require(_maxPrice > 0, "Invalid max price");
+        require(_steepness <= MAX_INPUT, "Invalid steepness");
+        require(_midpoint <= MAX_INPUT, "Invalid midpoint");
+
+        maxPrice = _maxPrice;
+        steepness = _steepness;
+        midpoint = _midpoint;
+    }
+
+    /// @inheritdoc ICurveStrategy
+    function priceAt(uint256 supply) external view returns (uint256) {
+        int256 negZ = -_z(supply);
+        if (negZ > FixedPointMath.MAX_EXP_INPUT) return 0;
+
+        return Math.mulDiv(
+            maxPrice,
+            FixedPointMath.WAD,
+            FixedPointMath.WAD + FixedPointMath.expWad(negZ)
+        );
+    }
+
+    /// @inheritdoc ICurveStrategy
+    function curveType() external pure returns (string memory) {
+        return "sigmoid";
+    }
+
+    /// @inheritdoc ICurveStrategy
+    function curveParameters() external view returns (uint256[] memory params) {
+        params = new uint256[](3);
+        params[0] = maxPrice;
+        params[1] = steepness;
+        params[2] = midpoint;
+    }
+
+    function _area(uint256 supply) internal view override returns (uint256) {
+        if (steepness == 0) {
+            return Math.mulDiv(maxPrice, supply, 2 * FixedPointMath.WAD);
+        }
+
+        uint256 upper = FixedPointMath.softplusWad(_z(supply));
+        uint256 lower = FixedPointMath.softplusWad(_z(0));
+        if (upper <= lower) return 0;
+
+        return Math.mulDiv(maxPrice, upper - lower, steepness);
+    }
+
+    /// @dev steepness * (supply - midpoint) in WAD
+    function _z(uint256 supply) private view returns (int256) {
+        require(supply <= MAX_INPUT, "Supply too large");
+        return ((int256(supply) - int256(midpoint)) * int256(steepness)) / int256(FixedPointMath.WAD);
+    }
+}
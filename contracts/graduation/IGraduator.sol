@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IGraduator
+ * @notice Moves a graduating BondingCurveMarket's liquidity into an AMM
+ * @dev The market transfers the tokens (and an ERC20 reserve) to the
+ *      graduator before calling graduate; native ETH arrives as msg.value
+ */
+interface IGraduator {
+    /**
+     * @notice Seed a pool with liquidity already sent to the graduator
+     * @param token Token the market traded
+     * @param reserveAsset ERC20 reserve, or address(0) for native ETH
+     * @param tokenAmount Tokens to add, in base units
+     * @param reserveAmount Reserve to add; equals msg.value for ETH
+     * @return pair Pool that trading continues on
+     * @return liquidity Pool shares minted
+     */
+    function graduate(
+        address token,
+        address reserveAsset,
+        uint256 tokenAmount,
+        uint256 reserveAmount
+    ) external payable returns (address pair, uint256 liquidity);
+}
@@ -0,0 +1,82 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IUniswapV2Factory
+ * @notice Pair registry of a Uniswap V2 style constant-product AMM
+ */
+interface IUniswapV2Factory {
+    /**
+     * @notice Pair trading two tokens
+     * @return pair Pair address, or address(0) if none was created
+     */
+    function getPair(address tokenA, address tokenB) external view returns (address pair);
+
+    /**
+     * @notice Create the pair trading two tokens
+     * @return pair New pair address
+     */
+    function createPair(address tokenA, address tokenB) external returns (address pair);
+}
+
+/**
+ * @title IUniswapV2Pair
+ * @notice Constant-product pair functions used when a BondingCurveMarket graduates
+ * @dev Tokens are sent to the pair before mint and swap, which count what
+ *      the pair holds above its reserves
+ */
+interface IUniswapV2Pair {
+    /**
+     * @notice Lower-addressed token of the pair
+     */
+    function token0() external view returns (address);
+
+    /**
+     * @notice Reserves as of the last mint, burn, swap or sync
+     */
+    function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast);
+
+    /**
+     * @notice Mint liquidity for the tokens sent to the pair since its last update
+     * @param to Recipient of the liquidity tokens
+     */
+    function mint(address to) external returns (uint256 liquidity);
+
+    /**
+     * @notice Pay out amounts for the tokens sent to the pair, keeping x * y after the 0.3% fee
+     * @param data Empty for a plain swap; otherwise the pair calls `to` back
+     */
+    function swap(uint256 amount0Out, uint256 amount1Out, address to, bytes calldata data) external;
+
+    /**
+     * @notice Set the reserves to the pair's balances
+     */
+    function sync() external;
+}
+
+/**
+ * @title IUniswapV2Router
+ * @notice Parts of a Uniswap V2 style router a graduator reads its AMM from
+ */
+interface IUniswapV2Router {
+    /**
+     * @notice Factory the router creates pairs through
+     */
+    function factory() external view returns (address);
+
+    /**
+     * @notice Wrapped ETH the router pairs native ETH as
+     */
+    function WETH() external view returns (address);
+}
+
+/**
+ * @title IWETH
+ * @notice Wrapped ETH
+ */
+interface IWETH {
+    /**
+     * @notice Wrap msg.value
+     */
+    function deposit() external payable;
+}
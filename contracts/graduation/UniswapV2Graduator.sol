@@ -0,0 +1,159 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./IGraduator.sol";
+import "./IUniswapV2.sol";
+
+/**
+ * @title UniswapV2Graduator
+ * @notice Graduates markets into Uniswap V2 style constant-product pairs
+ * @dev Stateless and shared by any number of markets. The liquidity tokens
+ *      go to the dead address, so the seeded liquidity is locked for good.
+ *      Anyone can create the pair first and seed it at another price. The
+ *      graduator then swaps against the pair to bring it to the market's
+ *      price before adding liquidity, so the seeder is arbitraged rather
+ *      than paid. At most half of either side goes into that swap; a pair
+ *      too deep to move all the way stays off the market's price.
+ *      Liquidity is added at the pair's ratio, and what does not fit (about
+ *      the swap fee's worth) goes to the dead address too.
+ */
+contract UniswapV2Graduator is IGraduator {
+    using SafeERC20 for IERC20;
+
+    /// @notice Receives the liquidity tokens
+    address public constant LIQUIDITY_LOCK = 0x000000000000000000000000000000000000dEaD;
+
+    /// @notice Router whose factory and wrapped ETH pairs are created with
+    IUniswapV2Router public immutable router;
+
+    /**
+     * @param _router Uniswap V2 style router
+     */
+    constructor(address _router) {
+        require(_router != address(0), "Invalid router");
+        router = IUniswapV2Router(_router);
+    }
+
+    /// @inheritdoc IGraduator
+    function graduate(
+        address token,
+        address reserveAsset,
+        uint256 tokenAmount,
+        uint256 reserveAmount
+    ) external payable returns (address pair, uint256 liquidity) {
+        address pairedAsset = reserveAsset;
+        if (reserveAsset == address(0)) {
+            require(msg.value == reserveAmount, "Incorrect ETH sent");
+            pairedAsset = router.WETH();
+            IWETH(pairedAsset).deposit{value: reserveAmount}();
+        } else {
+            require(msg.value == 0, "ETH not accepted");
+        }
+
+        IUniswapV2Factory factory = IUniswapV2Factory(router.factory());
+        pair = factory.getPair(token, pairedAsset);
+        if (pair == address(0)) {
+            pair = factory.createPair(token, pairedAsset);
+        }
+
+        (tokenAmount, reserveAmount) = _matchPrice(IUniswapV2Pair(pair), token, pairedAsset, tokenAmount, reserveAmount);
+        IERC20(token).safeTransfer(pair, tokenAmount);
+        IERC20(pairedAsset).safeTransfer(pair, reserveAmount);
+        liquidity = IUniswapV2Pair(pair).mint(LIQUIDITY_LOCK);
+
+        _lockBalance(token);
+        _lockBalance(pairedAsset);
+    }
+
+    /**
+     * @dev Move a pair that already holds reserves to `reserveAmount / tokenAmount`,
+     *      then size the deposit to the pair's ratio
+     * @return tokens Tokens to add
+     * @return reserve Paired asset to add
+     */
+    function _matchPrice(
+        IUniswapV2Pair pair,
+        address token,
+        address pairedAsset,
+        uint256 tokenAmount,
+        uint256 reserveAmount
+    ) internal returns (uint256 tokens, uint256 reserve) {
+        // Count anything sent to the pair without minting
+        pair.sync();
+        (uint256 tokenReserve, uint256 pairedReserve) = _reserves(pair, token);
+        if (tokenReserve == 0 || pairedReserve == 0) {
+            // Nobody can hold liquidity in a one-sided pair: add everything
+            return (tokenAmount, reserveAmount);
+        }
+
+        // Swap along x * y = k to the reserves whose ratio is the market's price
+        uint256 k = tokenReserve * pairedReserve;
+        if (pairedReserve * tokenAmount > reserveAmount * tokenReserve) {
+            uint256 amountIn = Math.min(
+                Math.sqrt(Math.mulDiv(k, tokenAmount, reserveAmount)) - tokenReserve,
+                tokenAmount / 2
+            );
+            uint256 amountOut = _swap(pair, token, amountIn, tokenReserve, pairedReserve);
+            if (amountOut > 0) {
+                tokenAmount -= amountIn;
+                reserveAmount += amountOut;
+            }
+        } else if (pairedReserve * tokenAmount < reserveAmount * tokenReserve) {
+            uint256 amountIn = Math.min(
+                Math.sqrt(Math.mulDiv(k, reserveAmount, tokenAmount)) - pairedReserve,
+                reserveAmount / 2
+            );
+            uint256 amountOut = _swap(pair, pairedAsset, amountIn, pairedReserve, tokenReserve);
+            if (amountOut > 0) {
+                reserveAmount -= amountIn;
+                tokenAmount += amountOut;
+            }
+        }
+
+        (tokenReserve, pairedReserve) = _reserves(pair, token);
+        uint256 reserveNeeded = tokenAmount * pairedReserve / tokenReserve;
+        if (reserveNeeded <= reserveAmount) {
+            return (tokenAmount, reserveNeeded);
+        }
+        return (reserveAmount * tokenReserve / pairedReserve, reserveAmount);
+    }
+
+    /**
+     * @dev Sell `amountIn` of `assetIn` into the pair at Uniswap V2's 0.3% fee
+     * @return amountOut What the pair paid out, 0 if too little to swap
+     */
+    function _swap(
+        IUniswapV2Pair pair,
+        address assetIn,
+        uint256 amountIn,
+        uint256 reserveIn,
+        uint256 reserveOut
+    ) internal returns (uint256 amountOut) {
+        amountOut = amountIn * 997 * reserveOut / (reserveIn * 1000 + amountIn * 997);
+        if (amountOut == 0) {
+            return 0;
+        }
+        IERC20(assetIn).safeTransfer(address(pair), amountIn);
+        (uint256 amount0Out, uint256 amount1Out) = assetIn == pair.token0()
+            ? (uint256(0), amountOut)
+            : (amountOut, uint256(0));
+        pair.swap(amount0Out, amount1Out, address(this), "");
+    }
+
+    /// @dev The pair's reserves of `token` and of the asset it is paired with
+    function _reserves(IUniswapV2Pair pair, address token) internal view returns (uint256, uint256) {
+        (uint112 reserve0, uint112 reserve1, ) = pair.getReserves();
+        return token == pair.token0() ? (uint256(reserve0), uint256(reserve1)) : (uint256(reserve1), uint256(reserve0));
+    }
+
+    /// @dev Send what did not fit the pair to the dead address with the liquidity
+    function _lockBalance(address asset) internal {
+        uint256 balance = IERC20(asset).balanceOf(address(this));
+        if (balance > 0) {
+            IERC20(asset).safeTransfer(LIQUIDITY_LOCK, balance);
+        }
+    }
+}
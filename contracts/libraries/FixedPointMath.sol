@@ -0,0 +1,92 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title FixedPointMath
+ * @notice 18-decimal fixed-point exp and ln for the curve strategies
+ * @dev Plain range reduction plus Taylor/atanh series, kept simple so that
+ *      examples/curve-shapes.js can reproduce every rounding step in BigInt
+ */
+library FixedPointMath {
+
+    uint256 internal constant WAD = 1e18;
+
+    /// @dev ln(2) in WAD, rounded down
+    int256 internal constant LN2 = 693147180559945309;
+
+    /// @dev Largest input whose exp still leaves headroom for curve math (~e^130)
+    int256 internal constant MAX_EXP_INPUT = 130e18;
+
+    /// @dev exp of anything below this rounds to zero in WAD
+    int256 internal constant MIN_EXP_INPUT = -42e18;
+
+    /**
+     * @notice e^x for a signed WAD exponent
+     * @param x Exponent in WAD
+     * @return result e^x in WAD, rounded down
+     */
+    function expWad(int256 x) internal pure returns (uint256 result) {
+        require(x <= MAX_EXP_INPUT, "Exp overflow");
+        if (x < MIN_EXP_INPUT) return 0;
+
+        // e^x = 2^k * e^r with r in [0, ln 2)
+        int256 k = x / LN2;
+        if (x < 0 && k * LN2 != x) k -= 1;
+        uint256 r = uint256(x - k * LN2);
+
+        // Taylor series of e^r
+        uint256 term = WAD;
+        result = WAD;
+        for (uint256 i = 1; term != 0; i++) {
+            term = (term * r) / (i * WAD);
+            result += term;
+        }
+
+        result = k >= 0 ? result << uint256(k) : result >> uint256(-k);
+    }
+
+    /**
+     * @notice Natural logarithm of a positive WAD value
+     * @param x Value in WAD
+     * @return result ln(x) in WAD, rounded toward zero
+     */
+    function lnWad(uint256 x) internal pure returns (int256 result) {
+        require(x > 0, "Ln of zero");
+
+        // ln(x) = k * ln 2 + ln(y) with y in [1, 2)
+        int256 k = 0;
+        while (x >= 2 * WAD) {
+            x >>= 1;
+            k++;
+        }
+        while (x < WAD) {
+            x <<= 1;
+            k--;
+        }
+
+        // ln(y) = 2 * atanh(u) with u = (y - 1) / (y + 1) in [0, 1/3)
+        uint256 u = ((x - WAD) * WAD) / (x + WAD);
+        uint256 u2 = (u * u) / WAD;
+        uint256 term = u;
+        uint256 sum = u;
+        for (uint256 i = 3; term != 0; i += 2) {
+            term = (term * u2) / WAD;
+            sum += term / i;
+        }
+
+        result = int256(2 * sum) + k * LN2;
+    }
+
+    /**
+     * @notice ln(1 + e^z), the antiderivative of the logistic function
+     * @param z Exponent in WAD
+     * @return Softplus of z in WAD
+     * @dev Only ever takes exp of a non-positive number, so it cannot overflow
+     */
+    function softplusWad(int256 z) internal pure returns (uint256) {
+        if (z >= 0) {
+            return uint256(z + lnWad(WAD + expWad(-z)));
+        }
+        return uint256(lnWad(WAD + expWad(z)));
+    }
+}
@@ -0,0 +1,61 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/**
+ * @title LinearCurveMath
+ * @notice Pricing of the built-in linear curve, price = basePrice + slope * supply
+ * @dev Shared by BondingCurveMarket and BondingCurveMarketUpgradeable so the
+ *      two markets quote identically. Supply and sizes are whole tokens in
+ *      WAD; prices are reserve base units per whole token.
+ *      examples/curve-math.js mirrors these roundings.
+ */
+library LinearCurveMath {
+
+    uint256 internal constant WAD = 1e18;
+
+    /**
+     * @notice Price of the token at `supply`
+     * @return Marginal price, rounded down
+     */
+    function priceAt(uint256 basePrice, uint256 slope, uint256 supply) internal pure returns (uint256) {
+        return basePrice + Math.mulDiv(slope, supply, WAD);
+    }
+
+    /**
+     * @notice Integral of the price from `supply` to `supply + size`
+     * @return cost Reserve owed for buying `size`, rounded up so buyers never pay less than the curve
+     */
+    function buyCost(
+        uint256 basePrice,
+        uint256 slope,
+        uint256 supply,
+        uint256 size
+    ) internal pure returns (uint256 cost) {
+        return Math.mulDiv(
+            size,
+            2 * basePrice * WAD + slope * (2 * supply + size),
+            2 * WAD * WAD,
+            Math.Rounding.Ceil
+        );
+    }
+
+    /**
+     * @notice Integral of the price from `supply - size` to `supply`
+     * @return proceeds Reserve paid for selling `size`, rounded down so sellers never take more than the curve
+     */
+    function sellProceeds(
+        uint256 basePrice,
+        uint256 slope,
+        uint256 supply,
+        uint256 size
+    ) internal pure returns (uint256 proceeds) {
+        return Math.mulDiv(
+            size,
+            2 * basePrice * WAD + slope * (2 * supply - size),
+            2 * WAD * WAD,
+            Math.Rounding.Floor
+        );
+    }
+}
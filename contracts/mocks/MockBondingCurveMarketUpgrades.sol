@@ -0,0 +1,84 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../upgradeable/BondingCurveMarketUpgradeable.sol";
+
+/**
+ * @title MockBondingCurveMarketV2
+ * @notice Storage-compatible upgrade of BondingCurveMarketUpgradeable (tests only)
+ * @dev New state goes in a namespace of its own, leaving MarketStorage untouched
+ */
+contract MockBondingCurveMarketV2 is BondingCurveMarketUpgradeable {
+    /// @custom:storage-location erc7201:bondingcurve.storage.BondingCurveMarketV2
+    struct MarketV2Storage {
+        uint256 upgradedAt;
+    }
+
+    // keccak256(abi.encode(uint256(keccak256("bondingcurve.storage.BondingCurveMarketV2")) - 1)) & ~bytes32(uint256(0xff))
+    bytes32 private constant MARKET_V2_STORAGE_LOCATION =
+        0x5f7129412666eff4f4a4f8c60121b48aff300dc5dfafa51be34be787b748d000;
+
+    function initializeV2() external reinitializer(2) {
+        _getMarketV2Storage().upgradedAt = block.timestamp;
+    }
+
+    function upgradedAt() external view returns (uint256) {
+        return _getMarketV2Storage().upgradedAt;
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+
+    function _getMarketV2Storage() private pure returns (MarketV2Storage storage $) {
+        assembly {
+            $.slot := MARKET_V2_STORAGE_LOCATION
+        }
+    }
+}
+
+/**
+ * @title MockBondingCurveMarketBadLayout
+ * @notice Upgrade candidate that inserts a field into MarketStorage (tests only)
+ * @dev The upgrades plugin must reject it: every field after the insertion
+ *      would read the slot of the one before it
+ */
+contract MockBondingCurveMarketBadLayout is
+    Initializable,
+    AccessControlUpgradeable,
+    PausableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    UUPSUpgradeable
+{
+    /// @custom:storage-location erc7201:bondingcurve.storage.BondingCurveMarket
+    struct MarketStorage {
+        IERC20 token;
+        IERC20 reserveAsset;
+        BondingCurveMarketUpgradeable.SupplyMode supplyMode;
+        uint8 tokenDecimals;
+        uint8 reserveDecimals;
+        uint256 basePrice;
+        uint256 slope;
+        uint256 maxSupply;
+        uint256 currentSupply;
+        uint256 buyFeeBps;
+        uint256 sellFeeBps;
+        address feeRecipient;
+        uint256 accumulatedFees;
+        BondingCurveMarketUpgradeable.PendingFeeChange pendingFeeChange;
+    }
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    function initialize() public initializer {
+        __AccessControl_init();
+        __Pausable_init();
+        __ReentrancyGuard_init();
+        __UUPSUpgradeable_init();
+    }
+
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+}
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./MockERC20.sol";
+
+/**
+ * @title MockERC20Decimals
+ * @notice MockERC20 with configurable decimals (tests only)
+ */
+contract MockERC20Decimals is MockERC20 {
+    uint8 private immutable _decimals;
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint256 initialSupply,
+        uint8 decimals_
+    ) MockERC20(name, symbol, initialSupply) {
+        _decimals = decimals_;
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+}
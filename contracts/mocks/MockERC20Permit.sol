@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "./MockERC20.sol";
+
+/**
+ * @title MockERC20Permit
+ * @notice MockERC20 with EIP-2612 permits (tests only)
+ */
+contract MockERC20Permit is MockERC20, ERC20Permit {
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint256 initialSupply
+    ) MockERC20(name, symbol, initialSupply) ERC20Permit(name) {}
+}
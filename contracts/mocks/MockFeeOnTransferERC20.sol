@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./MockERC20.sol";
+
+/**
+ * @title MockFeeOnTransferERC20
+ * @notice MockERC20 that burns a fixed share of every transfer (tests only)
+ */
+contract MockFeeOnTransferERC20 is MockERC20 {
+    uint256 public transferFeeBps;
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint256 initialSupply,
+        uint256 transferFeeBps_
+    ) MockERC20(name, symbol, initialSupply) {
+        transferFeeBps = transferFeeBps_;
+    }
+
+    function _update(address from, address to, uint256 value) internal override {
+        if (from == address(0) || to == address(0)) {
+            super._update(from, to, value);
+            return;
+        }
+
+        uint256 fee = (value * transferFeeBps) / 10000;
+        super._update(from, address(0), fee);
+        super._update(from, to, value - fee);
+    }
+}
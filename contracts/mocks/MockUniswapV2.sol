@@ -0,0 +1,201 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/**
+ * @title MockWETH
+ * @notice Minimal wrapped ETH (tests only)
+ */
+contract MockWETH is ERC20 {
+    constructor() ERC20("Wrapped Ether", "WETH") {}
+    
+    function deposit() external payable {
+        _mint(msg.sender, msg.value);
+    }
+    
+    function withdraw(uint256 amount) external {
+        _burn(msg.sender, amount);
+        (bool success, ) = msg.sender.call{value: amount}("");
+        require(success, "ETH transfer failed");
+    }
+}
+
+/**
+ * @title MockUniswapV2Pair
+ * @notice Constant-product pair with Uniswap V2's mint and swap rules (tests only)
+ * @dev Tokens are sent to the pair before mint/swap, as the V2 router does.
+ *      No TWAP, skim, flash-swap callback or protocol fee.
+ */
+contract MockUniswapV2Pair is ERC20 {
+    uint256 public constant MINIMUM_LIQUIDITY = 1000;
+    
+    address public immutable token0;
+    address public immutable token1;
+    
+    uint112 private reserve0;
+    uint112 private reserve1;
+    
+    constructor(address _token0, address _token1) ERC20("Mock V2 LP", "MLP") {
+        token0 = _token0;
+        token1 = _token1;
+    }
+    
+    function getReserves() external view returns (uint112, uint112, uint32) {
+        return (reserve0, reserve1, uint32(block.timestamp));
+    }
+    
+    function mint(address to) external returns (uint256 liquidity) {
+        uint256 balance0 = IERC20(token0).balanceOf(address(this));
+        uint256 balance1 = IERC20(token1).balanceOf(address(this));
+        uint256 amount0 = balance0 - reserve0;
+        uint256 amount1 = balance1 - reserve1;
+        
+        if (totalSupply() == 0) {
+            liquidity = Math.sqrt(amount0 * amount1) - MINIMUM_LIQUIDITY;
+            _mint(address(0xdead), MINIMUM_LIQUIDITY);
+        } else {
+            liquidity = Math.min(amount0 * totalSupply() / reserve0, amount1 * totalSupply() / reserve1);
+        }
+        require(liquidity > 0, "Insufficient liquidity minted");
+        _mint(to, liquidity);
+        
+        _update(balance0, balance1);
+    }
+    
+    function swap(uint256 amount0Out, uint256 amount1Out, address to, bytes calldata) external {
+        require(amount0Out > 0 || amount1Out > 0, "Insufficient output amount");
+        require(amount0Out < reserve0 && amount1Out < reserve1, "Insufficient liquidity");
+        
+        if (amount0Out > 0) IERC20(token0).transfer(to, amount0Out);
+        if (amount1Out > 0) IERC20(token1).transfer(to, amount1Out);
+        
+        uint256 balance0 = IERC20(token0).balanceOf(address(this));
+        uint256 balance1 = IERC20(token1).balanceOf(address(this));
+        uint256 amount0In = balance0 > reserve0 - amount0Out ? balance0 - (reserve0 - amount0Out) : 0;
+        uint256 amount1In = balance1 > reserve1 - amount1Out ? balance1 - (reserve1 - amount1Out) : 0;
+        require(amount0In > 0 || amount1In > 0, "Insufficient input amount");
+        
+        // 0.3% fee on the input side
+        uint256 adjusted0 = balance0 * 1000 - amount0In * 3;
+        uint256 adjusted1 = balance1 * 1000 - amount1In * 3;
+        require(adjusted0 * adjusted1 >= uint256(reserve0) * reserve1 * 1000 ** 2, "K");
+        
+        _update(balance0, balance1);
+    }
+    
+    function sync() external {
+        _update(IERC20(token0).balanceOf(address(this)), IERC20(token1).balanceOf(address(this)));
+    }
+    
+    function _update(uint256 balance0, uint256 balance1) private {
+        reserve0 = uint112(balance0);
+        reserve1 = uint112(balance1);
+    }
+}
+
+/**
+ * @title MockUniswapV2Factory
+ * @notice Creates and indexes MockUniswapV2Pair instances (tests only)
+ */
+contract MockUniswapV2Factory {
+    mapping(address => mapping(address => address)) public getPair;
+    
+    function createPair(address tokenA, address tokenB) external returns (address pair) {
+        require(tokenA != tokenB, "Identical addresses");
+        require(getPair[tokenA][tokenB] == address(0), "Pair exists");
+        
+        (address token0, address token1) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+        pair = address(new MockUniswapV2Pair(token0, token1));
+        getPair[token0][token1] = pair;
+        getPair[token1][token0] = pair;
+    }
+}
+
+/**
+ * @title MockUniswapV2Router
+ * @notice Liquidity half of the Uniswap V2 router over the mock factory (tests only)
+ */
+contract MockUniswapV2Router {
+    address public immutable factory;
+    address public immutable WETH;
+    
+    constructor(address _factory, address _weth) {
+        factory = _factory;
+        WETH = _weth;
+    }
+    
+    function addLiquidity(
+        address tokenA,
+        address tokenB,
+        uint256 amountADesired,
+        uint256 amountBDesired,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        address to,
+        uint256 deadline
+    ) external returns (uint256 amountA, uint256 amountB, uint256 liquidity) {
+        require(block.timestamp <= deadline, "Expired");
+        address pair;
+        (pair, amountA, amountB) = _addLiquidity(tokenA, tokenB, amountADesired, amountBDesired, amountAMin, amountBMin);
+        IERC20(tokenA).transferFrom(msg.sender, pair, amountA);
+        IERC20(tokenB).transferFrom(msg.sender, pair, amountB);
+        liquidity = MockUniswapV2Pair(pair).mint(to);
+    }
+    
+    function addLiquidityETH(
+        address token,
+        uint256 amountTokenDesired,
+        uint256 amountTokenMin,
+        uint256 amountETHMin,
+        address to,
+        uint256 deadline
+    ) external payable returns (uint256 amountToken, uint256 amountETH, uint256 liquidity) {
+        require(block.timestamp <= deadline, "Expired");
+        address pair;
+        (pair, amountToken, amountETH) = _addLiquidity(token, WETH, amountTokenDesired, msg.value, amountTokenMin, amountETHMin);
+        IERC20(token).transferFrom(msg.sender, pair, amountToken);
+        MockWETH(WETH).deposit{value: amountETH}();
+        IERC20(WETH).transfer(pair, amountETH);
+        liquidity = MockUniswapV2Pair(pair).mint(to);
+        
+        if (msg.value > amountETH) {
+            (bool success, ) = msg.sender.call{value: msg.value - amountETH}("");
+            require(success, "Refund failed");
+        }
+    }
+    
+    function _addLiquidity(
+        address tokenA,
+        address tokenB,
+        uint256 amountADesired,
+        uint256 amountBDesired,
+        uint256 amountAMin,
+        uint256 amountBMin
+    ) private returns (address pair, uint256 amountA, uint256 amountB) {
+        pair = MockUniswapV2Factory(factory).getPair(tokenA, tokenB);
+        if (pair == address(0)) {
+            pair = MockUniswapV2Factory(factory).createPair(tokenA, tokenB);
+        }
+        
+        (uint112 reserve0, uint112 reserve1, ) = MockUniswapV2Pair(pair).getReserves();
+        (uint256 reserveA, uint256 reserveB) = tokenA == MockUniswapV2Pair(pair).token0()
+            ? (uint256(reserve0), uint256(reserve1))
+            : (uint256(reserve1), uint256(reserve0));
+        
+        if (reserveA == 0 && reserveB == 0) {
+            return (pair, amountADesired, amountBDesired);
+        }
+        
+        uint256 amountBOptimal = amountADesired * reserveB / reserveA;
+        if (amountBOptimal <= amountBDesired) {
+            require(amountBOptimal >= amountBMin, "Insufficient B amount");
+            return (pair, amountADesired, amountBOptimal);
+        }
+        uint256 amountAOptimal = amountBDesired * reserveA / reserveB;
+        require(amountAOptimal >= amountAMin, "Insufficient A amount");
+        return (pair, amountAOptimal, amountBDesired);
+    }
+}
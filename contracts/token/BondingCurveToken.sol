@@ -0,0 +1,72 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./IMintableBurnableToken.sol";
+
+/**
+ * @title BondingCurveToken
+ * @notice ERC20 issued entirely by a mint/burn BondingCurveMarket
+ * @dev Starts with zero supply, so totalSupply always equals the tokens the
+ *      market has minted net of burns. The owner wires up the minter once the
+ *      market is deployed. Supports EIP-2612 permits, so holders can sell
+ *      through the market's sellWithPermit without a separate approve.
+ */
+contract BondingCurveToken is ERC20, ERC20Burnable, ERC20Permit, Ownable, IMintableBurnableToken {
+    
+    // ============ State Variables ============
+    
+    /// @notice Address allowed to mint, normally the market
+    address public minter;
+    
+    // ============ Events ============
+    
+    event MinterUpdated(address indexed newMinter);
+    
+    // ============ Constructor ============
+    
+    /**
+     * @param name Token name
+     * @param symbol Token symbol
+     */
+    constructor(
+        string memory name,
+        string memory symbol
+    ) ERC20(name, symbol) ERC20Permit(name) Ownable(msg.sender) {}
+    
+    // ============ Core Functions ============
+    
+    /**
+     * @notice Mint tokens (minter only)
+     * @param to Recipient of the minted tokens
+     * @param amount Amount to mint in base units
+     */
+    function mint(address to, uint256 amount) external {
+        require(msg.sender == minter, "Caller is not the minter");
+        _mint(to, amount);
+    }
+    
+    /**
+     * @inheritdoc ERC20Burnable
+     */
+    function burnFrom(
+        address account,
+        uint256 amount
+    ) public override(ERC20Burnable, IMintableBurnableToken) {
+        super.burnFrom(account, amount);
+    }
+    
+    // ============ Admin Functions ============
+    
+    /**
+     * @notice Set the address allowed to mint
+     * @param newMinter New minter, or address(0) to stop minting
+     */
+    function setMinter(address newMinter) external onlyOwner {
+        minter = newMinter;
+        emit MinterUpdated(newMinter);
+    }
+}
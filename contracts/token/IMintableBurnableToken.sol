@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title IMintableBurnableToken
+ * @notice Token a mint/burn BondingCurveMarket issues and retires
+ * @dev The market must be allowed to mint; burnFrom spends the seller's allowance
+ */
+interface IMintableBurnableToken is IERC20 {
+    /**
+     * @notice Create new tokens
+     * @param to Recipient of the minted tokens
+     * @param amount Amount to mint in base units
+     */
+    function mint(address to, uint256 amount) external;
+
+    /**
+     * @notice Destroy tokens held by an account, spending the caller's allowance
+     * @param account Holder of the tokens
+     * @param amount Amount to burn in base units
+     */
+    function burnFrom(address account, uint256 amount) external;
+}
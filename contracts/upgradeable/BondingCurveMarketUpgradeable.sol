@@ -0,0 +1,574 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "../token/IMintableBurnableToken.sol";
+import "../libraries/LinearCurveMath.sol";
+
+/**
+ * @title BondingCurveMarketUpgradeable
+ * @notice Linear bonding curve market deployed behind a UUPS proxy
+ * @dev The core of BondingCurveMarket (linear curve, ETH or ERC20 reserve,
+ *      inventory or mint/burn supply, buy/sell fees with the same
+ *      CHANGE_DELAY notice, roles and pausing) as an implementation
+ *      contract: initialize replaces the constructor, and every value the
+ *      original keeps in an immutable lives in storage. Both price through
+ *      LinearCurveMath.
+ *      Not carried over from BondingCurveMarket: curve strategies and curve
+ *      parameter changes (the curve is fixed at initialization), the fee
+ *      split table, referrals and claimFees (fees go to feeRecipient through
+ *      withdrawFees), ETH-budget buys and inverse quotes, buyFor/sellFrom,
+ *      seeded liquidity and its solvency floor, buy limits, graduation, the
+ *      trusted forwarder, permits, the batch auction and price observations.
+ *      A later version can add them in a namespace of its own.
+ *      State sits in an ERC-7201 namespaced struct, so the inherited
+ *      OpenZeppelin contracts and later versions can add storage without
+ *      shifting it. A later version adds fields at the end of MarketStorage
+ *      or in a namespace of its own, never in between.
+ *      DEFAULT_ADMIN_ROLE authorizes upgrades and so can replace all of the
+ *      logic at once; hold it in a timelock or multisig.
+ */
+contract BondingCurveMarketUpgradeable is
+    Initializable,
+    AccessControlUpgradeable,
+    PausableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    UUPSUpgradeable
+{
+    using SafeERC20 for IERC20;
+
+    // ============ Types ============
+
+    /// @notice Where bought tokens come from and where sold tokens go
+    enum SupplyMode {
+        Inventory, // Transfer from a pre-funded balance; sold tokens return to it
+        MintBurn   // Mint on buy and burn on sell; the market must be the token's minter
+    }
+
+    /// @custom:storage-location erc7201:bondingcurve.storage.BondingCurveMarket
+    struct MarketStorage {
+        IERC20 token;
+        IERC20 reserveAsset;
+        SupplyMode supplyMode;
+        uint8 tokenDecimals;
+        uint8 reserveDecimals;
+        uint256 basePrice;
+        uint256 slope;
+        uint256 currentSupply;
+        uint256 buyFeeBps;
+        uint256 sellFeeBps;
+        address feeRecipient;
+        uint256 accumulatedFees;
+        PendingFeeChange pendingFeeChange;
+    }
+
+    /// @notice Queued fee change; effectiveAt is 0 when nothing is queued
+    struct PendingFeeChange {
+        uint256 buyFeeBps;
+        uint256 sellFeeBps;
+        address feeRecipient;
+        uint256 effectiveAt;
+    }
+
+    // ============ Roles ============
+
+    /// @notice May queue, execute and cancel fee changes and withdraw fees
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+
+    /// @notice May pause trading; unpausing needs DEFAULT_ADMIN_ROLE
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    /// @notice May recover tokens sent to the market by mistake
+    bytes32 public constant RECOVERER_ROLE = keccak256("RECOVERER_ROLE");
+
+    // ============ Constants ============
+
+    /// @notice Maximum fee in basis points (10%)
+    uint256 public constant MAX_FEE_BPS = 1000;
+
+    /// @notice Notice period between queueing and applying a fee change
+    uint256 public constant CHANGE_DELAY = 2 days;
+
+    /// @dev keccak256(abi.encode(uint256(keccak256("bondingcurve.storage.BondingCurveMarket")) - 1)) & ~bytes32(uint256(0xff))
+    bytes32 private constant MARKET_STORAGE_LOCATION =
+        0x9036814fab94dcff01c6adbbe54f4171ed484ed189e3a127e757b585c99bd600;
+
+    // ============ Events ============
+
+    event TokensPurchased(
+        address indexed buyer,
+        address indexed recipient,
+        uint256 amount,
+        uint256 cost,
+        uint256 fee,
+        uint256 newSupply
+    );
+
+    event TokensSold(
+        address indexed seller,
+        address indexed recipient,
+        uint256 amount,
+        uint256 proceeds,
+        uint256 fee,
+        uint256 newSupply
+    );
+
+    event FeesWithdrawn(address indexed recipient, uint256 amount);
+
+    event FeeConfigUpdated(uint256 newBuyFeeBps, uint256 newSellFeeBps, address newFeeRecipient);
+
+    event FeeChangeQueued(uint256 newBuyFeeBps, uint256 newSellFeeBps, address newFeeRecipient, uint256 effectiveAt);
+
+    event FeeChangeCancelled(uint256 newBuyFeeBps, uint256 newSellFeeBps, address newFeeRecipient);
+
+    // ============ Modifiers ============
+
+    /// @notice Reject trades mined after the caller's deadline
+    modifier ensure(uint256 deadline) {
+        require(block.timestamp <= deadline, "Transaction expired");
+        _;
+    }
+
+    // ============ Initializer ============
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @notice Set up the market behind a freshly deployed proxy
+     * @param _token Address of the token to trade
+     * @param _basePrice Initial base price in reserve base units per whole token
+     * @param _slope Slope of the linear curve in reserve base units per whole token
+     * @param _buyFeeBps Buy fee in basis points (100 = 1%)
+     * @param _sellFeeBps Sell fee in basis points (100 = 1%)
+     * @param _feeRecipient Address to receive fees
+     * @param _reserveAsset ERC20 reserve asset, or address(0) for native ETH
+     * @param _supplyMode Inventory, or MintBurn for a token the market mints
+     * @dev Runs once, in the proxy's deployment transaction. The caller
+     *      receives DEFAULT_ADMIN_ROLE and every operational role.
+     */
+    function initialize(
+        address _token,
+        uint256 _basePrice,
+        uint256 _slope,
+        uint256 _buyFeeBps,
+        uint256 _sellFeeBps,
+        address _feeRecipient,
+        address _reserveAsset,
+        SupplyMode _supplyMode
+    ) public initializer {
+        require(_token != address(0), "Invalid token address");
+        require(_feeRecipient != address(0), "Invalid fee recipient");
+        require(_buyFeeBps <= MAX_FEE_BPS, "Buy fee too high");
+        require(_sellFeeBps <= MAX_FEE_BPS, "Sell fee too high");
+
+        uint8 decimals = IERC20Metadata(_token).decimals();
+        require(decimals <= 18, "Unsupported token decimals");
+
+        __AccessControl_init();
+        __Pausable_init();
+        __ReentrancyGuard_init();
+        __UUPSUpgradeable_init();
+
+        MarketStorage storage $ = _getMarketStorage();
+        $.token = IERC20(_token);
+        $.reserveAsset = IERC20(_reserveAsset);
+        $.supplyMode = _supplyMode;
+        $.tokenDecimals = decimals;
+        $.reserveDecimals = _reserveAsset == address(0) ? 18 : IERC20Metadata(_reserveAsset).decimals();
+        $.basePrice = _basePrice;
+        $.slope = _slope;
+        $.buyFeeBps = _buyFeeBps;
+        $.sellFeeBps = _sellFeeBps;
+        $.feeRecipient = _feeRecipient;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(FEE_MANAGER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(RECOVERER_ROLE, msg.sender);
+    }
+
+    // ============ Core Functions ============
+
+    /**
+     * @notice Buy tokens using the bonding curve
+     * @param amount Number of tokens to buy
+     * @param maxCost Maximum total reserve cost including fees
+     * @param deadline Timestamp after which the trade reverts
+     * @return totalCost Total reserve cost including fees
+     * @dev ETH reserve: send at least the cost as msg.value, the excess is
+     *      refunded. ERC20 reserve: approve the cost; exactly that much must arrive.
+     */
+    function buy(
+        uint256 amount,
+        uint256 maxCost,
+        uint256 deadline
+    ) external payable nonReentrant whenNotPaused ensure(deadline) returns (uint256 totalCost) {
+        require(amount > 0, "Amount must be positive");
+        MarketStorage storage $ = _getMarketStorage();
+
+        uint256 cost = calculateBuyCost(amount);
+        uint256 fee = (cost * $.buyFeeBps) / 10000;
+        totalCost = cost + fee;
+
+        require(totalCost <= maxCost, "Cost exceeds max");
+        _collectReserve(totalCost);
+
+        // Update state
+        $.currentSupply += amount;
+        $.accumulatedFees += fee;
+
+        // Deliver tokens to buyer
+        if ($.supplyMode == SupplyMode.MintBurn) {
+            IMintableBurnableToken(address($.token)).mint(msg.sender, amount);
+        } else {
+            $.token.safeTransfer(msg.sender, amount);
+        }
+
+        emit TokensPurchased(msg.sender, msg.sender, amount, cost, fee, $.currentSupply);
+    }
+
+    /**
+     * @notice Sell tokens back to the bonding curve
+     * @param amount Number of tokens to sell
+     * @param minProceeds Minimum reserve to receive after fees
+     * @param deadline Timestamp after which the trade reverts
+     * @return proceeds Reserve sent after fees
+     */
+    function sell(
+        uint256 amount,
+        uint256 minProceeds,
+        uint256 deadline
+    ) external nonReentrant whenNotPaused ensure(deadline) returns (uint256 proceeds) {
+        require(amount > 0, "Amount must be positive");
+        MarketStorage storage $ = _getMarketStorage();
+        require(amount <= $.currentSupply, "Insufficient supply");
+
+        uint256 grossProceeds = calculateSellProceeds(amount);
+        uint256 fee = (grossProceeds * $.sellFeeBps) / 10000;
+        proceeds = grossProceeds - fee;
+
+        require(proceeds >= minProceeds, "Proceeds below min");
+        // Fees owed stay put: the proceeds and the fee booked on them come from the rest
+        require(_reserveBalance() >= $.accumulatedFees + grossProceeds, "Insufficient contract balance");
+
+        // Update state
+        $.currentSupply -= amount;
+        $.accumulatedFees += fee;
+
+        // Take tokens back from seller
+        if ($.supplyMode == SupplyMode.MintBurn) {
+            IMintableBurnableToken(address($.token)).burnFrom(msg.sender, amount);
+        } else {
+            $.token.safeTransferFrom(msg.sender, address(this), amount);
+        }
+
+        require(_sendReserve(msg.sender, proceeds), "ETH transfer failed");
+
+        emit TokensSold(msg.sender, msg.sender, amount, proceeds, fee, $.currentSupply);
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Calculate cost to buy tokens (excluding fees)
+     * @param amount Number of tokens to buy, in token base units
+     * @return cost Reserve cost before fees, rounded up
+     */
+    function calculateBuyCost(uint256 amount) public view returns (uint256 cost) {
+        MarketStorage storage $ = _getMarketStorage();
+        return LinearCurveMath.buyCost($.basePrice, $.slope, _toWad($.currentSupply), _toWad(amount));
+    }
+
+    /**
+     * @notice Calculate proceeds from selling tokens (excluding fees)
+     * @param amount Number of tokens to sell, in token base units
+     * @return proceeds Reserve received before fees, rounded down
+     */
+    function calculateSellProceeds(uint256 amount) public view returns (uint256 proceeds) {
+        MarketStorage storage $ = _getMarketStorage();
+        require(amount <= $.currentSupply, "Amount exceeds supply");
+        return LinearCurveMath.sellProceeds($.basePrice, $.slope, _toWad($.currentSupply), _toWad(amount));
+    }
+
+    /**
+     * @notice Get the current price of one whole token
+     * @return Marginal buy price in reserve base units per whole token
+     */
+    function getCurrentBuyPrice() external view returns (uint256) {
+        MarketStorage storage $ = _getMarketStorage();
+        return LinearCurveMath.priceAt($.basePrice, $.slope, _toWad($.currentSupply));
+    }
+
+    /**
+     * @notice Calculate total cost including fees for buying
+     * @param amount Number of tokens
+     * @return cost Reserve cost before fees
+     * @return fee Buy fee
+     * @return totalCost Total reserve required
+     */
+    function getBuyQuote(uint256 amount) external view returns (
+        uint256 cost,
+        uint256 fee,
+        uint256 totalCost
+    ) {
+        cost = calculateBuyCost(amount);
+        fee = (cost * _getMarketStorage().buyFeeBps) / 10000;
+        totalCost = cost + fee;
+    }
+
+    /**
+     * @notice Calculate total proceeds including fees for selling
+     * @param amount Number of tokens
+     * @return proceeds Reserve proceeds before fees
+     * @return fee Sell fee
+     * @return netProceeds Total reserve received
+     */
+    function getSellQuote(uint256 amount) external view returns (
+        uint256 proceeds,
+        uint256 fee,
+        uint256 netProceeds
+    ) {
+        proceeds = calculateSellProceeds(amount);
+        fee = (proceeds * _getMarketStorage().sellFeeBps) / 10000;
+        netProceeds = proceeds - fee;
+    }
+
+    /// @notice The token being traded on this bonding curve
+    function token() external view returns (IERC20) {
+        return _getMarketStorage().token;
+    }
+
+    /// @notice Asset buyers pay and sellers receive, or address(0) for native ETH
+    function reserveAsset() external view returns (IERC20) {
+        return _getMarketStorage().reserveAsset;
+    }
+
+    /// @notice How the market sources and retires tokens
+    function supplyMode() external view returns (SupplyMode) {
+        return _getMarketStorage().supplyMode;
+    }
+
+    /// @notice Decimals of the traded token, read at initialization
+    function tokenDecimals() external view returns (uint8) {
+        return _getMarketStorage().tokenDecimals;
+    }
+
+    /// @notice Decimals of the reserve asset (18 for ETH)
+    function reserveDecimals() external view returns (uint8) {
+        return _getMarketStorage().reserveDecimals;
+    }
+
+    /// @notice Base price in reserve base units per whole token
+    function basePrice() external view returns (uint256) {
+        return _getMarketStorage().basePrice;
+    }
+
+    /// @notice Slope of the linear curve
+    function slope() external view returns (uint256) {
+        return _getMarketStorage().slope;
+    }
+
+    /// @notice Current circulating supply, in token base units
+    function currentSupply() external view returns (uint256) {
+        return _getMarketStorage().currentSupply;
+    }
+
+    /// @notice Buy fee in basis points
+    function buyFeeBps() external view returns (uint256) {
+        return _getMarketStorage().buyFeeBps;
+    }
+
+    /// @notice Sell fee in basis points
+    function sellFeeBps() external view returns (uint256) {
+        return _getMarketStorage().sellFeeBps;
+    }
+
+    /// @notice Protocol fee recipient
+    function feeRecipient() external view returns (address) {
+        return _getMarketStorage().feeRecipient;
+    }
+
+    /// @notice Fees collected and not yet withdrawn
+    function accumulatedFees() external view returns (uint256) {
+        return _getMarketStorage().accumulatedFees;
+    }
+
+    /// @notice Fee change waiting out CHANGE_DELAY
+    function pendingFeeChange() external view returns (PendingFeeChange memory) {
+        return _getMarketStorage().pendingFeeChange;
+    }
+
+    // ============ Admin Functions ============
+
+    /**
+     * @notice Send accumulated fees to the fee recipient
+     * @return amount Reserve sent
+     */
+    function withdrawFees() external onlyRole(FEE_MANAGER_ROLE) nonReentrant returns (uint256 amount) {
+        MarketStorage storage $ = _getMarketStorage();
+        amount = $.accumulatedFees;
+        require(amount > 0, "No fees to withdraw");
+
+        $.accumulatedFees = 0;
+        require(_sendReserve($.feeRecipient, amount), "Fee withdrawal failed");
+
+        emit FeesWithdrawn($.feeRecipient, amount);
+    }
+
+    /**
+     * @notice Announce a new fee configuration, applied after CHANGE_DELAY
+     * @param _buyFeeBps New buy fee in basis points
+     * @param _sellFeeBps New sell fee in basis points
+     * @param _feeRecipient New fee recipient
+     * @dev As in BondingCurveMarket, holders get CHANGE_DELAY to react. An
+     *      upgrade can still change fees at once, so DEFAULT_ADMIN_ROLE
+     *      needs a delay of its own (a timelock controller)
+     */
+    function queueFeeConfig(
+        uint256 _buyFeeBps,
+        uint256 _sellFeeBps,
+        address _feeRecipient
+    ) external onlyRole(FEE_MANAGER_ROLE) {
+        require(_buyFeeBps <= MAX_FEE_BPS, "Buy fee too high");
+        require(_sellFeeBps <= MAX_FEE_BPS, "Sell fee too high");
+        require(_feeRecipient != address(0), "Invalid fee recipient");
+        MarketStorage storage $ = _getMarketStorage();
+        require($.pendingFeeChange.effectiveAt == 0, "Change already pending");
+
+        uint256 effectiveAt = block.timestamp + CHANGE_DELAY;
+        $.pendingFeeChange = PendingFeeChange(_buyFeeBps, _sellFeeBps, _feeRecipient, effectiveAt);
+
+        emit FeeChangeQueued(_buyFeeBps, _sellFeeBps, _feeRecipient, effectiveAt);
+    }
+
+    /**
+     * @notice Apply the queued fee change once its delay has passed
+     * @dev Fees accrued but not yet withdrawn go to the new recipient; call
+     *      withdrawFees first to pay them to the current one
+     */
+    function executeFeeConfig() external onlyRole(FEE_MANAGER_ROLE) {
+        MarketStorage storage $ = _getMarketStorage();
+        PendingFeeChange memory change = $.pendingFeeChange;
+        require(change.effectiveAt != 0, "No pending change");
+        require(block.timestamp >= change.effectiveAt, "Change not yet effective");
+
+        delete $.pendingFeeChange;
+        $.buyFeeBps = change.buyFeeBps;
+        $.sellFeeBps = change.sellFeeBps;
+        $.feeRecipient = change.feeRecipient;
+
+        emit FeeConfigUpdated(change.buyFeeBps, change.sellFeeBps, change.feeRecipient);
+    }
+
+    /**
+     * @notice Drop the queued fee change
+     */
+    function cancelFeeConfig() external onlyRole(FEE_MANAGER_ROLE) {
+        MarketStorage storage $ = _getMarketStorage();
+        PendingFeeChange memory change = $.pendingFeeChange;
+        require(change.effectiveAt != 0, "No pending change");
+
+        delete $.pendingFeeChange;
+
+        emit FeeChangeCancelled(change.buyFeeBps, change.sellFeeBps, change.feeRecipient);
+    }
+
+    /**
+     * @notice Pause trading (pauser)
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @notice Resume trading (only admin)
+     */
+    function unpause() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @notice Emergency token recovery (recoverer), sent to the caller
+     * @param _token Token to recover
+     * @param amount Amount to recover
+     */
+    function recoverTokens(address _token, uint256 amount) external onlyRole(RECOVERER_ROLE) {
+        MarketStorage storage $ = _getMarketStorage();
+        require(_token != address($.token), "Cannot recover market token");
+        require(_token != address($.reserveAsset), "Cannot recover reserve asset");
+        IERC20(_token).safeTransfer(msg.sender, amount);
+    }
+
+    // ============ Internal Functions ============
+
+    /// @dev Only DEFAULT_ADMIN_ROLE may point the proxy at a new implementation
+    function _authorizeUpgrade(address) internal override onlyRole(DEFAULT_ADMIN_ROLE) {}
+
+    /// @dev The market's namespaced storage
+    function _getMarketStorage() private pure returns (MarketStorage storage $) {
+        assembly {
+            $.slot := MARKET_STORAGE_LOCATION
+        }
+    }
+
+    /// @dev Whether the reserve is native ETH
+    function _isNativeReserve() internal view returns (bool) {
+        return address(_getMarketStorage().reserveAsset) == address(0);
+    }
+
+    /// @dev Reserve held by the market, fees included
+    function _reserveBalance() internal view returns (uint256) {
+        if (_isNativeReserve()) return address(this).balance;
+        return _getMarketStorage().reserveAsset.balanceOf(address(this));
+    }
+
+    /// @dev Take exactly `amount` of reserve from the caller, refunding any excess ETH
+    function _collectReserve(uint256 amount) internal {
+        if (_isNativeReserve()) {
+            require(msg.value >= amount, "Insufficient ETH sent");
+            if (msg.value > amount) {
+                (bool success, ) = msg.sender.call{value: msg.value - amount}("");
+                require(success, "Refund failed");
+            }
+        } else {
+            require(msg.value == 0, "ETH not accepted");
+            IERC20 reserve = _getMarketStorage().reserveAsset;
+            uint256 balanceBefore = reserve.balanceOf(address(this));
+            reserve.safeTransferFrom(msg.sender, address(this), amount);
+            require(reserve.balanceOf(address(this)) - balanceBefore >= amount, "Reserve transfer short");
+        }
+    }
+
+    /**
+     * @dev Pay out reserve; ERC20 failures revert inside SafeERC20
+     * @return success Whether a native transfer succeeded
+     */
+    function _sendReserve(address to, uint256 amount) internal returns (bool success) {
+        if (_isNativeReserve()) {
+            (success, ) = to.call{value: amount}("");
+        } else {
+            _getMarketStorage().reserveAsset.safeTransfer(to, amount);
+            success = true;
+        }
+    }
+
+    /// @dev Token base units to whole tokens in WAD
+    function _toWad(uint256 amount) internal view returns (uint256) {
+        return amount * 10 ** (18 - _getMarketStorage().tokenDecimals);
+    }
+
+    /// @dev Keep the string revert reason clients and tests match on
+    function _requireNotPaused() internal view override {
+        require(!paused(), "Pausable: paused");
+    }
+}
@@ -6,29 +6,136 @@
  */
 
 const { ethers } = require('ethers');
+const { getCurrentBuyPrice } = require('./curve-math');
+const { createCurve, CURVE_STRATEGY_ABI } = require('./curve-shapes');
+const { signPermit } = require('./permit');
+const { ORACLE_ABI, getPriceHistory, computeTwap } = require('./twap');
 
 // Contract ABIs
 const BONDING_CURVE_ABI = [
-  "function buy(uint256 amount, uint256 maxCost) external payable",
-  "function sell(uint256 amount, uint256 minProceeds) external",
+  "function buy(uint256 amount, uint256 maxCost, uint256 deadline) external payable",
+  "function sell(uint256 amount, uint256 minProceeds, uint256 deadline) external",
+  "function buyFor(uint256 amount, uint256 maxCost, uint256 deadline, address recipient) external payable",
+  "function sellFrom(uint256 amount, uint256 minProceeds, uint256 deadline, address recipient) external",
+  "function sellWithPermit(uint256 amount, uint256 minProceeds, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external",
+  "function buyWithExactEth(uint256 minAmount, uint256 deadline) external payable returns (uint256 amount)",
+  "function buyWithExactReserve(uint256 reserveAmount, uint256 minAmount, uint256 deadline) external payable returns (uint256 amount)",
+  "function getBuyAmountForEth(uint256 ethAmount) external view returns (uint256)",
+  "function getSellAmountForEth(uint256 ethAmount) external view returns (uint256)",
   "function getBuyQuote(uint256 amount) external view returns (uint256 cost, uint256 fee, uint256 totalCost)",
   "function getSellQuote(uint256 amount) external view returns (uint256 proceeds, uint256 fee, uint256 netProceeds)",
   "function getCurrentBuyPrice() external view returns (uint256)",
   "function getCurrentSellPrice() external view returns (uint256)",
-  "function totalSupply() external view returns (uint256)",
+  "function currentSupply() external view returns (uint256)",
   "function basePrice() external view returns (uint256)",
   "function slope() external view returns (uint256)",
+  "function curve() external view returns (address)",
+  "function token() external view returns (address)",
+  "function reserveAsset() external view returns (address)",
+  "function reserveDecimals() external view returns (uint8)",
+  "function supplyMode() external view returns (uint8)",
+  "function buyFeeBps() external view returns (uint256)",
+  "function sellFeeBps() external view returns (uint256)",
   "function accumulatedFees() external view returns (uint256)",
-  "event Buy(address indexed buyer, uint256 amount, uint256 cost, uint256 fee)",
-  "event Sell(address indexed seller, uint256 amount, uint256 proceeds, uint256 fee)"
+  "function totalClaimableFees() external view returns (uint256)",
+  "function claimableFees(address account) external view returns (uint256)",
+  "function feeRecipient() external view returns (address)",
+  "function referralFeeBps() external view returns (uint256)",
+  "function getFeeShares() external view returns (tuple(address recipient, uint256 bps)[])",
+  "function distributeFees() external",
+  "function claimFees() external returns (uint256 amount)",
+  "function seededLiquidity() external view returns (uint256)",
+  "function depositLiquidity(uint256 amount) external payable",
+  "function withdrawLiquidity(uint256 amount) external",
+  "function getReserveHealth() external view returns (uint256 requiredReserve, uint256 actualReserve, uint256 surplus, uint256 deficit)",
+  "function graduatedPair() external view returns (address)",
+  "function graduator() external view returns (address)",
+  "function graduationReserve() external view returns (uint256)",
+  "function graduationSupply() external view returns (uint256)",
+  "function maxBuyPerTx() external view returns (uint256)",
+  "function maxWalletPurchase() external view returns (uint256)",
+  "function maxSupplyPerBlock() external view returns (uint256)",
+  "function getBuyLimit(address buyer) external view returns (uint256)",
+  "function CHANGE_DELAY() external view returns (uint256)",
+  "function pendingCurveChange() external view returns (uint256 basePrice, uint256 slope, uint256 effectiveAt, uint8 solveFor)",
+  "function solveCurveParameters(uint8 solveFor, uint256 value) external view returns (uint256 newBasePrice, uint256 newSlope)",
+  "function pendingFeeChange() external view returns (uint256 buyFeeBps, uint256 sellFeeBps, address feeRecipient, uint256 effectiveAt)",
+  "event CurveChangeQueued(uint256 newBasePrice, uint256 newSlope, uint8 solveFor, uint256 effectiveAt)",
+  "event CurveChangeCancelled(uint256 newBasePrice, uint256 newSlope)",
+  "event CurveParametersUpdated(uint256 newBasePrice, uint256 newSlope)",
+  "event FeeChangeQueued(uint256 newBuyFeeBps, uint256 newSellFeeBps, address newFeeRecipient, uint256 effectiveAt)",
+  "event FeeChangeCancelled(uint256 newBuyFeeBps, uint256 newSellFeeBps, address newFeeRecipient)",
+  "event FeeConfigUpdated(uint256 newBuyFeeBps, uint256 newSellFeeBps, address newFeeRecipient)",
+  "event FeesDistributed(uint256 amount)",
+  "event FeesClaimed(address indexed recipient, uint256 amount)",
+  "event FeeSplitUpdated(address[] recipients, uint256[] shareBps)",
+  "event ReferralFeePaid(address indexed referrer, address indexed trader, uint256 amount)",
+  "event Graduated(address indexed pair, uint256 reserveAmount, uint256 tokenAmount, uint256 liquidity)",
+  "event LiquidityDeposited(address indexed depositor, uint256 amount)",
+  "event LiquidityWithdrawn(address indexed recipient, uint256 amount)",
+  "event TokensPurchased(address indexed buyer, address indexed recipient, uint256 amount, uint256 cost, uint256 fee, uint256 newSupply)",
+  "event TokensSold(address indexed seller, address indexed recipient, uint256 amount, uint256 proceeds, uint256 fee, uint256 newSupply)"
+];
+
+// BondingCurveMarket.SupplyMode, indexed by enum value
+const SUPPLY_MODES = ['inventory', 'mint-burn'];
+
+// BondingCurveMarket.CurveSolve, indexed by enum value
+const CURVE_SOLVE_TARGETS = [null, 'basePrice', 'slope'];
+
+// Trades revert on-chain if mined later than this
+const DEFAULT_DEADLINE_SECONDS = 5 * 60;
+
+const FACTORY_ABI = [
+  "function allMarketsLength() external view returns (uint256)",
+  "function getMarkets(uint256 offset, uint256 limit) external view returns (address[])",
+  "function getMarketByToken(address token) external view returns (address)",
+  "event MarketCreated(address indexed token, address indexed market, address indexed creator, uint256 index)"
 ];
 
 const ERC20_ABI = [
+  "function approve(address spender, uint256 amount) external returns (bool)",
+  "function allowance(address owner, address spender) external view returns (uint256)",
   "function balanceOf(address account) external view returns (uint256)",
+  "function totalSupply() external view returns (uint256)",
   "function decimals() external view returns (uint8)",
   "function symbol() external view returns (string)"
 ];
 
+/**
+ * Load the asset a market trades against
+ * `contract` is null when the reserve is native ETH
+ */
+async function loadReserve(market, runner) {
+  const [address, decimals] = await Promise.all([
+    market.reserveAsset(),
+    market.reserveDecimals()
+  ]);
+  const isNative = address === ethers.ZeroAddress;
+  const contract = isNative ? null : new ethers.Contract(address, ERC20_ABI, runner);
+
+  return {
+    address,
+    isNative,
+    decimals: Number(decimals),
+    symbol: isNative ? 'ETH' : await contract.symbol(),
+    contract
+  };
+}
+
+/**
+ * Format a queued curve change, leaving out the parameter a reserve-matched
+ * change solves for at execution
+ */
+function formatCurveChange(basePrice, slope, solveFor, reserve) {
+  const target = CURVE_SOLVE_TARGETS[Number(solveFor)];
+  return {
+    solveFor: target,
+    basePrice: target === 'basePrice' ? null : ethers.formatUnits(basePrice, reserve.decimals),
+    slope: target === 'slope' ? null : ethers.formatUnits(slope, reserve.decimals)
+  };
+}
+
 /**
  * Market Monitor - Track market activity and analytics
  */
@@ -37,6 +144,28 @@ class MarketMonitor {
     this.market = new ethers.Contract(marketAddress, BONDING_CURVE_ABI, provider);
     this.token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
     this.provider = provider;
+    this.reserve = null;
+  }
+
+  /**
+   * Reserve asset details, loaded once
+   */
+  async getReserve() {
+    if (!this.reserve) {
+      this.reserve = await loadReserve(this.market, this.provider);
+    }
+    return this.reserve;
+  }
+
+  /**
+   * Reserve held by the market, fees included
+   */
+  async getReserveBalance() {
+    const reserve = await this.getReserve();
+    const marketAddress = await this.market.getAddress();
+    return reserve.isNative
+      ? this.provider.getBalance(marketAddress)
+      : reserve.contract.balanceOf(marketAddress);
   }
 
   /**
@@ -49,67 +178,477 @@ class MarketMonitor {
       supply,
       basePrice,
       slope,
+      buyFeeBps,
+      sellFeeBps,
       accumulatedFees,
       symbol,
       decimals,
-      ethBalance
+      reserveBalance,
+      curveModel,
+      reserve,
+      supplyMode,
+      tokenSupply,
+      pendingChanges,
+      reserveHealth,
+      seededLiquidity,
+      feeBreakdown,
+      graduation,
+      buyLimits
     ] = await Promise.all([
       this.market.getCurrentBuyPrice(),
       this.market.getCurrentSellPrice(),
-      this.market.totalSupply(),
+      this.market.currentSupply(),
       this.market.basePrice(),
       this.market.slope(),
+      this.market.buyFeeBps(),
+      this.market.sellFeeBps(),
       this.market.accumulatedFees(),
       this.token.symbol(),
       this.token.decimals(),
-      this.provider.getBalance(await this.market.getAddress())
+      this.getReserveBalance(),
+      this.getCurve(),
+      this.getReserve(),
+      this.market.supplyMode(),
+      this.token.totalSupply(),
+      this.getPendingChanges(),
+      this.getReserveHealth(),
+      this.market.seededLiquidity(),
+      this.getFeeBreakdown(),
+      this.getGraduation(),
+      this.getBuyLimits()
     ]);
 
+    // Reserve held for sellers splits into owner deposits and what trading brought in
+    const tradingReserve = BigInt(reserveHealth.actualRaw);
+    const organicReserve = tradingReserve > seededLiquidity ? tradingReserve - seededLiquidity : 0n;
+
     return {
       token: {
         symbol,
         decimals: Number(decimals)
       },
+      reserve: {
+        address: reserve.address,
+        symbol: reserve.symbol,
+        decimals: reserve.decimals
+      },
       pricing: {
-        buyPrice: ethers.formatEther(buyPrice),
-        sellPrice: ethers.formatEther(sellPrice),
-        spread: ethers.formatEther(buyPrice - sellPrice),
+        buyPrice: ethers.formatUnits(buyPrice, reserve.decimals),
+        sellPrice: ethers.formatUnits(sellPrice, reserve.decimals),
+        spread: ethers.formatUnits(buyPrice - sellPrice, reserve.decimals),
         spreadPercent: Number(buyPrice - sellPrice) * 100 / Number(buyPrice)
       },
       curve: {
-        basePrice: ethers.formatEther(basePrice),
-        slope: ethers.formatEther(slope)
+        type: curveModel ? curveModel.curveType : 'linear',
+        parameters: curveModel ? curveModel.parameters.map(p => p.toString()) : [],
+        basePrice: ethers.formatUnits(basePrice, reserve.decimals),
+        slope: ethers.formatUnits(slope, reserve.decimals)
       },
       supply: {
+        mode: SUPPLY_MODES[Number(supplyMode)],
         total: ethers.formatUnits(supply, decimals),
-        totalRaw: supply.toString()
+        totalRaw: supply.toString(),
+        // In mint-burn mode the market is the only issuer, so these should match
+        tokenTotalSupply: ethers.formatUnits(tokenSupply, decimals)
       },
       fees: {
-        accumulated: ethers.formatEther(accumulatedFees),
-        accumulatedRaw: accumulatedFees.toString()
+        buyFeePercent: Number(buyFeeBps) / 100,
+        sellFeePercent: Number(sellFeeBps) / 100,
+        accumulated: ethers.formatUnits(accumulatedFees, reserve.decimals),
+        accumulatedRaw: accumulatedFees.toString(),
+        ...feeBreakdown
       },
       liquidity: {
-        ethBalance: ethers.formatEther(ethBalance),
-        ethBalanceRaw: ethBalance.toString()
+        reserveBalance: ethers.formatUnits(reserveBalance, reserve.decimals),
+        reserveBalanceRaw: reserveBalance.toString(),
+        seeded: ethers.formatUnits(seededLiquidity, reserve.decimals),
+        seededRaw: seededLiquidity.toString(),
+        organic: ethers.formatUnits(organicReserve, reserve.decimals),
+        organicRaw: organicReserve.toString()
       },
+      reserveHealth,
+      graduation,
+      buyLimits,
+      pendingChanges,
       timestamp: new Date().toISOString()
     };
   }
 
+  /**
+   * Graduation thresholds and, once graduated, the pool trading moved to
+   * `progress` is how far the nearer threshold is (1 = graduated); null if
+   * the market never graduates
+   */
+  async getGraduation() {
+    const [graduator, pair, reserveThreshold, supplyThreshold, supply, [, tradingReserve], reserve, decimals] = await Promise.all([
+      this.market.graduator(),
+      this.market.graduatedPair(),
+      this.market.graduationReserve(),
+      this.market.graduationSupply(),
+      this.market.currentSupply(),
+      this.market.getReserveHealth(),
+      this.getReserve(),
+      this.token.decimals()
+    ]);
+
+    const graduated = pair !== ethers.ZeroAddress;
+    const ratios = [];
+    if (reserveThreshold > 0n) ratios.push(Number(tradingReserve * 10000n / reserveThreshold) / 10000);
+    if (supplyThreshold > 0n) ratios.push(Number(supply * 10000n / supplyThreshold) / 10000);
+
+    return {
+      enabled: graduator !== ethers.ZeroAddress,
+      graduator,
+      graduated,
+      pair: graduated ? pair : null,
+      reserveThreshold: ethers.formatUnits(reserveThreshold, reserve.decimals),
+      supplyThreshold: ethers.formatUnits(supplyThreshold, decimals),
+      progress: graduated ? 1 : (ratios.length ? Math.min(Math.max(...ratios), 1) : null)
+    };
+  }
+
+  /**
+   * Anti-whale limits on buys, in tokens; null where the market sets none
+   */
+  async getBuyLimits() {
+    const [perTx, perWallet, perBlock, decimals] = await Promise.all([
+      this.market.maxBuyPerTx(),
+      this.market.maxWalletPurchase(),
+      this.market.maxSupplyPerBlock(),
+      this.token.decimals()
+    ]);
+
+    const format = (limit) => (limit > 0n ? ethers.formatUnits(limit, decimals) : null);
+    return {
+      maxBuyPerTx: format(perTx),
+      maxWalletPurchase: format(perWallet),
+      maxSupplyPerBlock: format(perBlock)
+    };
+  }
+
+  /**
+   * Who the fees are owed to
+   * Each split recipient shows what it can claim now and its share of the
+   * fees not yet distributed; with no split table the fee recipient takes
+   * everything. `claimable` also counts referral fees.
+   */
+  async getFeeBreakdown() {
+    const [shares, feeRecipient, accumulatedFees, totalClaimable, referralFeeBps, reserve] = await Promise.all([
+      this.market.getFeeShares(),
+      this.market.feeRecipient(),
+      this.market.accumulatedFees(),
+      this.market.totalClaimableFees(),
+      this.market.referralFeeBps(),
+      this.getReserve()
+    ]);
+
+    const table = shares.length
+      ? shares.map(({ recipient, bps }) => ({ recipient, bps }))
+      : [{ recipient: feeRecipient, bps: 10000n }];
+
+    // Mirrors _distributeFees: the last share takes the rounding dust
+    let undistributed = accumulatedFees;
+    const split = await Promise.all(table.map(async ({ recipient, bps }, i) => {
+      const pending = i === table.length - 1 ? undistributed : accumulatedFees * bps / 10000n;
+      undistributed -= pending;
+      const claimable = await this.market.claimableFees(recipient);
+      return {
+        recipient,
+        sharePercent: Number(bps) / 100,
+        claimable: ethers.formatUnits(claimable, reserve.decimals),
+        pending: ethers.formatUnits(pending, reserve.decimals)
+      };
+    }));
+
+    return {
+      referralFeePercent: Number(referralFeeBps) / 100,
+      totalClaimable: ethers.formatUnits(totalClaimable, reserve.decimals),
+      totalClaimableRaw: totalClaimable.toString(),
+      split
+    };
+  }
+
+  /**
+   * Whether the reserve covers a sell of the whole supply
+   * `coverage` is the reserve held for sellers (fees excluded) divided by
+   * what that sell would pay; null while nothing is owed
+   */
+  async getReserveHealth() {
+    const [[requiredReserve, actualReserve, surplus, deficit], reserve] = await Promise.all([
+      this.market.getReserveHealth(),
+      this.getReserve()
+    ]);
+
+    return {
+      required: ethers.formatUnits(requiredReserve, reserve.decimals),
+      actual: ethers.formatUnits(actualReserve, reserve.decimals),
+      surplus: ethers.formatUnits(surplus, reserve.decimals),
+      deficit: ethers.formatUnits(deficit, reserve.decimals),
+      requiredRaw: requiredReserve.toString(),
+      actualRaw: actualReserve.toString(),
+      coverage: requiredReserve === 0n ? null : Number(actualReserve * 10000n / requiredReserve) / 10000,
+      solvent: deficit === 0n
+    };
+  }
+
+  /**
+   * Poll market stats and alert when reserve coverage drops below `minCoverage`
+   * Callbacks: onStats (every poll), onLowCoverage (when coverage falls below
+   * the threshold) and onCoverageRestored (when it recovers). Returns a
+   * function that stops polling.
+   */
+  async watchReserveHealth(callbacks, options = {}) {
+    const { minCoverage = 1, interval = 60000 } = options;
+    let low = false;
+
+    const poll = async () => {
+      try {
+        const stats = await this.getMarketStats();
+        const health = stats.reserveHealth;
+        if (callbacks.onStats) await callbacks.onStats(stats);
+
+        const isLow = health.coverage !== null && health.coverage < minCoverage;
+        if (isLow !== low) {
+          low = isLow;
+          const name = isLow ? 'onLowCoverage' : 'onCoverageRestored';
+          if (callbacks[name]) {
+            await callbacks[name]({ ...health, minCoverage, timestamp: stats.timestamp });
+          }
+        }
+      } catch (error) {
+        console.error('Reserve health poll error:', error.message);
+      }
+    };
+
+    await poll();
+    const timer = setInterval(poll, interval);
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Curve and fee changes the owner has queued but not yet executed
+   * Each entry is null when nothing is queued. A reserve-matched curve change
+   * reports the parameter it will solve for as `solveFor` and leaves that
+   * parameter null, since it is only fixed at execution.
+   */
+  async getPendingChanges() {
+    const [curveChange, feeChange, reserve, block] = await Promise.all([
+      this.market.pendingCurveChange(),
+      this.market.pendingFeeChange(),
+      this.getReserve(),
+      this.provider.getBlock('latest')
+    ]);
+
+    const timing = (effectiveAt) => ({
+      effectiveAt: Number(effectiveAt),
+      effectiveDate: new Date(Number(effectiveAt) * 1000).toISOString(),
+      secondsRemaining: Math.max(0, Number(effectiveAt) - block.timestamp),
+      executable: block.timestamp >= Number(effectiveAt)
+    });
+
+    return {
+      curve: curveChange.effectiveAt === 0n ? null : {
+        ...formatCurveChange(curveChange.basePrice, curveChange.slope, curveChange.solveFor, reserve),
+        ...timing(curveChange.effectiveAt)
+      },
+      fees: feeChange.effectiveAt === 0n ? null : {
+        buyFeePercent: Number(feeChange.buyFeeBps) / 100,
+        sellFeePercent: Number(feeChange.sellFeeBps) / 100,
+        feeRecipient: feeChange.feeRecipient,
+        ...timing(feeChange.effectiveAt)
+      }
+    };
+  }
+
+  /**
+   * Alert subscribers to queued curve and fee changes before they apply
+   * Event callbacks: onChangeQueued, onChangeCancelled, onChangeExecuted.
+   * Polling calls onChangeImminent once per queued change when it is within
+   * `alertBeforeSeconds` of taking effect. Returns a function that stops polling.
+   */
+  async watchPendingChanges(callbacks, options = {}) {
+    const { alertBeforeSeconds = 3600, interval = 60000 } = options;
+    const reserve = await this.getReserve();
+    const notify = async (name, data) => {
+      if (callbacks[name]) {
+        await callbacks[name]({ ...data, timestamp: new Date().toISOString() });
+      }
+    };
+
+    this.market.on('CurveChangeQueued', (basePrice, slope, solveFor, effectiveAt, event) => notify('onChangeQueued', {
+      kind: 'curve',
+      ...formatCurveChange(basePrice, slope, solveFor, reserve),
+      effectiveAt: Number(effectiveAt),
+      txHash: event.log.transactionHash
+    }));
+    this.market.on('FeeChangeQueued', (buyFeeBps, sellFeeBps, feeRecipient, effectiveAt, event) => notify('onChangeQueued', {
+      kind: 'fees',
+      buyFeePercent: Number(buyFeeBps) / 100,
+      sellFeePercent: Number(sellFeeBps) / 100,
+      feeRecipient,
+      effectiveAt: Number(effectiveAt),
+      txHash: event.log.transactionHash
+    }));
+    this.market.on('CurveChangeCancelled', (basePrice, slope, event) => notify('onChangeCancelled', {
+      kind: 'curve',
+      txHash: event.log.transactionHash
+    }));
+    this.market.on('FeeChangeCancelled', (buyFeeBps, sellFeeBps, feeRecipient, event) => notify('onChangeCancelled', {
+      kind: 'fees',
+      txHash: event.log.transactionHash
+    }));
+    this.market.on('CurveParametersUpdated', (basePrice, slope, event) => notify('onChangeExecuted', {
+      kind: 'curve',
+      txHash: event.log.transactionHash
+    }));
+    this.market.on('FeeConfigUpdated', (buyFeeBps, sellFeeBps, feeRecipient, event) => notify('onChangeExecuted', {
+      kind: 'fees',
+      txHash: event.log.transactionHash
+    }));
+
+    // A change is identified by its kind and effective time, so a change that
+    // is cancelled and queued again alerts again
+    const alerted = new Set();
+    const poll = async () => {
+      try {
+        const pending = await this.getPendingChanges();
+        for (const kind of ['curve', 'fees']) {
+          const change = pending[kind];
+          const key = change && `${kind}:${change.effectiveAt}`;
+          if (change && change.secondsRemaining <= alertBeforeSeconds && !alerted.has(key)) {
+            alerted.add(key);
+            await notify('onChangeImminent', { kind, ...change });
+          }
+        }
+      } catch (error) {
+        console.error('Pending change poll error:', error.message);
+      }
+    };
+
+    await poll();
+    const timer = setInterval(poll, interval);
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Load the market's curve strategy as an offline curve
+   * Returns null for markets using the built-in linear curve
+   */
+  async getCurve() {
+    const curveAddress = await this.market.curve();
+    if (curveAddress === ethers.ZeroAddress) return null;
+
+    const strategy = new ethers.Contract(curveAddress, CURVE_STRATEGY_ABI, this.provider);
+    const [curveType, parameters] = await Promise.all([
+      strategy.curveType(),
+      strategy.curveParameters()
+    ]);
+    return createCurve(curveType, parameters);
+  }
+
+  /**
+   * Sample the marginal buy price across supply for analytics
+   * Computed offline with the same math as the contract, so one RPC round
+   * trip covers any number of points
+   */
+  async getPriceCurve(maxSupply, points = 100) {
+    const [basePrice, slope, decimals, curve, reserve] = await Promise.all([
+      this.market.basePrice(),
+      this.market.slope(),
+      this.token.decimals(),
+      this.getCurve(),
+      this.getReserve()
+    ]);
+
+    const samples = [];
+    const step = maxSupply / points;
+
+    for (let i = 0; i <= points; i++) {
+      const supply = ethers.parseUnits(Math.floor(i * step).toString(), decimals);
+      const price = getCurrentBuyPrice({ basePrice, slope, currentSupply: supply, decimals, curve });
+
+      samples.push({
+        supply: ethers.formatUnits(supply, decimals),
+        price: ethers.formatUnits(price, reserve.decimals),
+        priceRaw: price.toString()
+      });
+    }
+
+    return samples;
+  }
+
+  /**
+   * TWAP over the last `window` seconds from a BondingCurveOracle, checked
+   * against the same average rebuilt from the market's events since
+   * `fromBlock` (which must precede the window, e.g. the deployment block)
+   * Both are read at the same block, so `matches` should always be true.
+   */
+  async checkTwap(oracleAddress, window, fromBlock) {
+    const oracle = new ethers.Contract(oracleAddress, ORACLE_ABI, this.provider);
+    const block = await this.provider.getBlock('latest');
+
+    const [onChain, curve, reserve] = await Promise.all([
+      oracle.consult(window, { blockTag: block.number }),
+      this.getCurve(),
+      this.getReserve()
+    ]);
+    const history = await getPriceHistory(await this.market.getAddress(), this.provider, fromBlock, block.number, { curve });
+    const offChain = computeTwap(history, window, block.timestamp);
+
+    return {
+      window,
+      blockNumber: block.number,
+      onChain: ethers.formatUnits(onChain, reserve.decimals),
+      offChain: ethers.formatUnits(offChain, reserve.decimals),
+      matches: onChain === offChain
+    };
+  }
+
+  /**
+   * Monitor every market a factory has created, including markets created later
+   * Returns a Map of market address to MarketMonitor that grows as markets appear
+   */
+  static async followFactory(factoryAddress, provider, callbacks = {}) {
+    const factory = new MarketFactory(factoryAddress, provider);
+    const monitors = new Map();
+
+    const follow = async ({ market, token }) => {
+      if (monitors.has(market)) return;
+
+      const monitor = new MarketMonitor(market, token, provider);
+      monitors.set(market, monitor);
+      await monitor.startEventMonitoring(callbacks);
+
+      if (callbacks.onMarket) {
+        await callbacks.onMarket({ market, token, monitor });
+      }
+    };
+
+    // Subscribe first so markets created while catching up are not missed
+    factory.onMarketCreated(follow);
+    for (const entry of await factory.listMarkets()) {
+      await follow(entry);
+    }
+
+    return monitors;
+  }
+
   /**
    * Monitor events in real-time
    */
   async startEventMonitoring(callbacks) {
     console.log('Starting event monitoring...');
+    const reserve = await this.getReserve();
 
-    // Listen for Buy events
-    this.market.on('Buy', async (buyer, amount, cost, fee, event) => {
+    // Listen for buys; recipient differs from buyer for routers and gifts
+    this.market.on('TokensPurchased', async (buyer, recipient, amount, cost, fee, newSupply, event) => {
       const data = {
         type: 'BUY',
         buyer,
+        recipient,
         amount: amount.toString(),
-        cost: ethers.formatEther(cost),
-        fee: ethers.formatEther(fee),
+        cost: ethers.formatUnits(cost, reserve.decimals),
+        fee: ethers.formatUnits(fee, reserve.decimals),
         blockNumber: event.log.blockNumber,
         txHash: event.log.transactionHash,
         timestamp: new Date().toISOString()
@@ -122,14 +661,15 @@ class MarketMonitor {
       console.log('Buy Event:', data);
     });
 
-    // Listen for Sell events
-    this.market.on('Sell', async (seller, amount, proceeds, fee, event) => {
+    // Listen for sells; recipient is who was paid
+    this.market.on('TokensSold', async (seller, recipient, amount, proceeds, fee, newSupply, event) => {
       const data = {
         type: 'SELL',
         seller,
+        recipient,
         amount: amount.toString(),
-        proceeds: ethers.formatEther(proceeds),
-        fee: ethers.formatEther(fee),
+        proceeds: ethers.formatUnits(proceeds, reserve.decimals),
+        fee: ethers.formatUnits(fee, reserve.decimals),
         blockNumber: event.log.blockNumber,
         txHash: event.log.transactionHash,
         timestamp: new Date().toISOString()
@@ -141,36 +681,69 @@ class MarketMonitor {
       
       console.log('Sell Event:', data);
     });
+
+    // The curve closes for good; holders trade on the pool from here on
+    this.market.on('Graduated', async (pair, reserveAmount, tokenAmount, liquidity, event) => {
+      const data = {
+        type: 'GRADUATED',
+        pair,
+        reserveAmount: ethers.formatUnits(reserveAmount, reserve.decimals),
+        tokenAmount: tokenAmount.toString(),
+        liquidity: liquidity.toString(),
+        blockNumber: event.log.blockNumber,
+        txHash: event.log.transactionHash,
+        timestamp: new Date().toISOString()
+      };
+
+      if (callbacks.onGraduated) {
+        await callbacks.onGraduated(data);
+      }
+
+      console.log('Graduated Event:', data);
+    });
   }
 
   /**
    * Get historical events
    */
   async getHistoricalEvents(fromBlock = 0, toBlock = 'latest') {
-    const buyFilter = this.market.filters.Buy();
-    const sellFilter = this.market.filters.Sell();
+    const reserve = await this.getReserve();
+    const buyFilter = this.market.filters.TokensPurchased();
+    const sellFilter = this.market.filters.TokensSold();
 
-    const [buyEvents, sellEvents] = await Promise.all([
+    const [buyEvents, sellEvents, referralEvents] = await Promise.all([
       this.market.queryFilter(buyFilter, fromBlock, toBlock),
-      this.market.queryFilter(sellFilter, fromBlock, toBlock)
+      this.market.queryFilter(sellFilter, fromBlock, toBlock),
+      this.market.queryFilter(this.market.filters.ReferralFeePaid(), fromBlock, toBlock)
     ]);
 
     const events = [
       ...buyEvents.map(e => ({
         type: 'BUY',
         buyer: e.args.buyer,
+        recipient: e.args.recipient,
         amount: e.args.amount.toString(),
-        cost: ethers.formatEther(e.args.cost),
-        fee: ethers.formatEther(e.args.fee),
+        cost: ethers.formatUnits(e.args.cost, reserve.decimals),
+        fee: ethers.formatUnits(e.args.fee, reserve.decimals),
         blockNumber: e.blockNumber,
         txHash: e.transactionHash
       })),
       ...sellEvents.map(e => ({
         type: 'SELL',
         seller: e.args.seller,
+        recipient: e.args.recipient,
         amount: e.args.amount.toString(),
-        proceeds: ethers.formatEther(e.args.proceeds),
-        fee: ethers.formatEther(e.args.fee),
+        proceeds: ethers.formatUnits(e.args.proceeds, reserve.decimals),
+        fee: ethers.formatUnits(e.args.fee, reserve.decimals),
+        blockNumber: e.blockNumber,
+        txHash: e.transactionHash
+      })),
+      // Part of the fee of a trade in the same transaction, not a trade itself
+      ...referralEvents.map(e => ({
+        type: 'REFERRAL',
+        referrer: e.args.referrer,
+        trader: e.args.trader,
+        amount: ethers.formatUnits(e.args.amount, reserve.decimals),
         blockNumber: e.blockNumber,
         txHash: e.transactionHash
       }))
@@ -188,14 +761,16 @@ class MarketMonitor {
   async calculateMetrics(events) {
     const buyEvents = events.filter(e => e.type === 'BUY');
     const sellEvents = events.filter(e => e.type === 'SELL');
+    const referralEvents = events.filter(e => e.type === 'REFERRAL');
 
     const buyVolume = buyEvents.reduce((sum, e) => sum + parseFloat(e.cost), 0);
     const sellVolume = sellEvents.reduce((sum, e) => sum + parseFloat(e.proceeds), 0);
-    const totalFees = events.reduce((sum, e) => sum + parseFloat(e.fee), 0);
+    const totalFees = [...buyEvents, ...sellEvents].reduce((sum, e) => sum + parseFloat(e.fee), 0);
+    const referralFees = referralEvents.reduce((sum, e) => sum + parseFloat(e.amount), 0);
 
     return {
       trades: {
-        total: events.length,
+        total: buyEvents.length + sellEvents.length,
         buys: buyEvents.length,
         sells: sellEvents.length
       },
@@ -205,7 +780,9 @@ class MarketMonitor {
         total: (buyVolume + sellVolume).toFixed(4)
       },
       fees: {
-        total: totalFees.toFixed(4)
+        total: totalFees.toFixed(4),
+        referrals: referralFees.toFixed(4),
+        referrers: new Set(referralEvents.map(e => e.referrer)).size
       },
       uniqueUsers: new Set([
         ...buyEvents.map(e => e.buyer),
@@ -215,20 +792,155 @@ class MarketMonitor {
   }
 }
 
+/**
+ * Market Factory - Read the on-chain market registry
+ */
+class MarketFactory {
+  constructor(factoryAddress, provider) {
+    this.factory = new ethers.Contract(factoryAddress, FACTORY_ABI, provider);
+    this.provider = provider;
+  }
+
+  /**
+   * List every market with the token it trades
+   */
+  async listMarkets(pageSize = 100) {
+    const total = Number(await this.factory.allMarketsLength());
+
+    const addresses = [];
+    for (let offset = 0; offset < total; offset += pageSize) {
+      addresses.push(...await this.factory.getMarkets(offset, pageSize));
+    }
+
+    return Promise.all(addresses.map(async (marketAddress) => {
+      const market = new ethers.Contract(marketAddress, BONDING_CURVE_ABI, this.provider);
+      return { market: marketAddress, token: await market.token() };
+    }));
+  }
+
+  /**
+   * Market address for a token, or null if the token has no market
+   */
+  async getMarketByToken(tokenAddress) {
+    const market = await this.factory.getMarketByToken(tokenAddress);
+    return market === ethers.ZeroAddress ? null : market;
+  }
+
+  /**
+   * Listen for newly created markets
+   */
+  onMarketCreated(callback) {
+    this.factory.on('MarketCreated', async (token, market, creator, index, event) => {
+      await callback({ token, market, creator, index: Number(index), event });
+    });
+  }
+}
+
 /**
  * Automated Trading Bot - Execute trades based on conditions
  */
 class TradingBot {
-  constructor(marketAddress, tokenAddress, wallet) {
+  constructor(marketAddress, tokenAddress, wallet, options = {}) {
     this.market = new ethers.Contract(marketAddress, BONDING_CURVE_ABI, wallet);
     this.token = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
     this.wallet = wallet;
+    this.deadlineSeconds = options.deadlineSeconds ?? DEFAULT_DEADLINE_SECONDS;
+    this.reserve = null;
+  }
+
+  /**
+   * Reserve asset details, loaded once
+   */
+  async getReserve() {
+    if (!this.reserve) {
+      this.reserve = await loadReserve(this.market, this.wallet);
+    }
+    return this.reserve;
+  }
+
+  /**
+   * Approve the market to pull an ERC20 reserve amount if the allowance is short
+   * No-op for ETH markets
+   */
+  async approveReserve(amountWei) {
+    const reserve = await this.getReserve();
+    if (reserve.isNative) return;
+
+    const marketAddress = await this.market.getAddress();
+    const allowance = await reserve.contract.allowance(this.wallet.address, marketAddress);
+    if (allowance < amountWei) {
+      console.log(`Approving ${reserve.symbol}...`);
+      const approveTx = await reserve.contract.approve(marketAddress, amountWei);
+      await approveTx.wait();
+      console.log('Approval confirmed');
+    }
+  }
+
+  /**
+   * Unix timestamp after which a trade submitted now should revert
+   */
+  getDeadline() {
+    return Math.floor(Date.now() / 1000) + this.deadlineSeconds;
+  }
+
+  /**
+   * Throw instead of retrying trades the curve will never take again
+   */
+  async assertNotGraduated() {
+    const pair = await this.market.graduatedPair();
+    if (pair !== ethers.ZeroAddress) {
+      throw new Error(`Market graduated; trade on the AMM pool at ${pair}`);
+    }
+  }
+
+  /**
+   * Quote a buy for this wallet within the market's buy limits
+   * An amount over the limit would revert, so the quote carries a `warning`;
+   * with `{ clamp: true }` it is quoted for the limit instead
+   */
+  async getBuyQuote(amount, { clamp = false } = {}) {
+    const [decimals, reserve, limitWei] = await Promise.all([
+      this.token.decimals(),
+      this.getReserve(),
+      this.market.getBuyLimit(this.wallet.address)
+    ]);
+    const requestedWei = ethers.parseUnits(amount.toString(), decimals);
+    const overLimit = requestedWei > limitWei;
+    const amountWei = overLimit && clamp ? limitWei : requestedWei;
+    const quote = await this.market.getBuyQuote(amountWei);
+
+    const limit = limitWei === ethers.MaxUint256 ? null : ethers.formatUnits(limitWei, decimals);
+    let warning = null;
+    if (overLimit) {
+      warning = clamp
+        ? `Reduced to the buy limit of ${limit} tokens`
+        : `Exceeds the buy limit of ${limit} tokens; this buy would revert`;
+    }
+
+    return {
+      amount: ethers.formatUnits(amountWei, decimals),
+      amountRaw: amountWei.toString(),
+      cost: ethers.formatUnits(quote.cost, reserve.decimals),
+      fee: ethers.formatUnits(quote.fee, reserve.decimals),
+      totalCost: ethers.formatUnits(quote.totalCost, reserve.decimals),
+      totalCostRaw: quote.totalCost.toString(),
+      limit,
+      clamped: overLimit && clamp,
+      warning
+    };
   }
 
   /**
    * Execute buy with retry logic
    */
   async executeBuy(amount, slippagePercent = 5, maxRetries = 3) {
+    await this.assertNotGraduated();
+
+    // Retrying cannot get past a buy limit
+    const { warning } = await this.getBuyQuote(amount);
+    if (warning) {
+      throw new Error(warning);
+    }
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
         console.log(`Buy attempt ${attempt}/${maxRetries}...`);
@@ -239,12 +951,16 @@ class TradingBot {
         const quote = await this.market.getBuyQuote(amountWei);
 
         // Calculate max cost with slippage
-        const slippageMultiplier = BigInt(100 + slippagePercent) * BigInt(100);
+        const slippageMultiplier = BigInt(Math.round((100 + slippagePercent) * 100));
         const maxCost = quote.totalCost * slippageMultiplier / BigInt(10000);
 
+        // ETH is sent with the call (excess refunded); an ERC20 reserve is pulled
+        const reserve = await this.getReserve();
+        await this.approveReserve(maxCost);
+
         // Execute
-        const tx = await this.market.buy(amountWei, maxCost, {
-          value: maxCost,
+        const tx = await this.market.buy(amountWei, maxCost, this.getDeadline(), {
+          value: reserve.isNative ? maxCost : 0n,
           gasLimit: 200000
         });
 
@@ -271,10 +987,74 @@ class TradingBot {
     }
   }
 
+  /**
+   * Quote how many tokens a reserve budget buys, fees included
+   */
+  async quoteBuyForEth(ethAmount) {
+    const [decimals, reserve] = await Promise.all([this.token.decimals(), this.getReserve()]);
+    const amountWei = await this.market.getBuyAmountForEth(ethers.parseUnits(ethAmount.toString(), reserve.decimals));
+    return ethers.formatUnits(amountWei, decimals);
+  }
+
+  /**
+   * Quote how many tokens must be sold to receive a reserve amount after fees
+   */
+  async quoteSellForEth(ethAmount) {
+    const [decimals, reserve] = await Promise.all([this.token.decimals(), this.getReserve()]);
+    const amountWei = await this.market.getSellAmountForEth(ethers.parseUnits(ethAmount.toString(), reserve.decimals));
+    return ethers.formatUnits(amountWei, decimals);
+  }
+
+  /**
+   * Spend an exact reserve amount (ETH or the reserve token) with retry logic
+   */
+  async executeBuyWithEth(ethAmount, slippagePercent = 5, maxRetries = 3) {
+    await this.assertNotGraduated();
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        console.log(`Exact reserve buy attempt ${attempt}/${maxRetries}...`);
+
+        // Calculate min tokens out with slippage
+        const reserve = await this.getReserve();
+        const reserveWei = ethers.parseUnits(ethAmount.toString(), reserve.decimals);
+        const quotedAmount = await this.market.getBuyAmountForEth(reserveWei);
+        const slippageMultiplier = BigInt(Math.round((100 - slippagePercent) * 100));
+        const minAmount = quotedAmount * slippageMultiplier / BigInt(10000);
+
+        await this.approveReserve(reserveWei);
+        const tx = await this.market.buyWithExactReserve(reserveWei, minAmount, this.getDeadline(), {
+          value: reserve.isNative ? reserveWei : 0n,
+          gasLimit: 250000
+        });
+
+        console.log(`Buy submitted: ${tx.hash}`);
+        const receipt = await tx.wait();
+        console.log(`Buy confirmed in block ${receipt.blockNumber}`);
+
+        return {
+          success: true,
+          txHash: receipt.hash,
+          blockNumber: receipt.blockNumber
+        };
+
+      } catch (error) {
+        console.error(`Exact reserve buy attempt ${attempt} failed:`, error.message);
+        
+        if (attempt === maxRetries) {
+          throw error;
+        }
+        
+        // Wait before retry
+        await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
+      }
+    }
+  }
+
   /**
    * Execute sell with retry logic
    */
   async executeSell(amount, slippagePercent = 5, maxRetries = 3) {
+    await this.assertNotGraduated();
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
         console.log(`Sell attempt ${attempt}/${maxRetries}...`);
@@ -283,33 +1063,36 @@ class TradingBot {
         const decimals = await this.token.decimals();
         const amountWei = ethers.parseUnits(amount.toString(), decimals);
 
-        // Check and approve if needed
-        const allowance = await this.token.allowance(
-          this.wallet.address,
-          await this.market.getAddress()
-        );
+        // Check allowance; sign a permit if the token supports one, else approve
+        const marketAddress = await this.market.getAddress();
+        const allowance = await this.token.allowance(this.wallet.address, marketAddress);
 
+        let permit = null;
         if (allowance < amountWei) {
-          console.log('Approving tokens...');
-          const approveTx = await this.token.approve(
-            await this.market.getAddress(),
-            amountWei
-          );
-          await approveTx.wait();
-          console.log('Approval confirmed');
+          permit = await signPermit(this.wallet, await this.token.getAddress(), marketAddress, amountWei, this.getDeadline());
+          if (!permit) {
+            console.log('Approving tokens...');
+            const approveTx = await this.token.approve(marketAddress, amountWei);
+            await approveTx.wait();
+            console.log('Approval confirmed');
+          }
         }
 
         // Get quote
         const quote = await this.market.getSellQuote(amountWei);
 
         // Calculate min proceeds with slippage
-        const slippageMultiplier = BigInt(100 - slippagePercent) * BigInt(100);
+        const slippageMultiplier = BigInt(Math.round((100 - slippagePercent) * 100));
         const minProceeds = quote.netProceeds * slippageMultiplier / BigInt(10000);
 
         // Execute
-        const tx = await this.market.sell(amountWei, minProceeds, {
-          gasLimit: 200000
-        });
+        const tx = permit
+          ? await this.market.sellWithPermit(amountWei, minProceeds, permit.deadline, permit.v, permit.r, permit.s, {
+            gasLimit: 250000
+          })
+          : await this.market.sell(amountWei, minProceeds, this.getDeadline(), {
+            gasLimit: 200000
+          });
 
         console.log(`Sell submitted: ${tx.hash}`);
         const receipt = await tx.wait();
@@ -378,6 +1161,7 @@ class TradingBot {
 class PriceAlertSystem {
   constructor(marketAddress, tokenAddress, provider) {
     this.market = new ethers.Contract(marketAddress, BONDING_CURVE_ABI, provider);
+    this.provider = provider;
     this.alerts = [];
   }
 
@@ -402,11 +1186,12 @@ class PriceAlertSystem {
    */
   async startMonitoring(interval = 10000) {
     console.log('Starting price monitoring...');
+    const { decimals } = await loadReserve(this.market, this.provider);
 
     setInterval(async () => {
       try {
         const buyPrice = await this.market.getCurrentBuyPrice();
-        const priceEth = parseFloat(ethers.formatEther(buyPrice));
+        const priceEth = parseFloat(ethers.formatUnits(buyPrice, decimals));
 
         for (const alert of this.alerts) {
           if (alert.triggered) continue;
@@ -463,21 +1248,55 @@ async function exampleUsage() {
     onSell: async (data) => {
       console.log('Sell detected:', data);
       // Send notification, update database, etc.
+    },
+    onGraduated: async (data) => {
+      console.log(`Market graduated, trading continues on ${data.pair}`);
     }
   });
 
+  // Warn before queued curve or fee changes take effect
+  await monitor.watchPendingChanges({
+    onChangeQueued: async (change) => {
+      console.log('Change announced:', change);
+    },
+    onChangeImminent: async (change) => {
+      console.log(`ALERT: ${change.kind} change applies at ${change.effectiveDate}`, change);
+      // Notify holders so they can exit before repricing
+    }
+  }, { alertBeforeSeconds: 6 * 3600 });
+
+  // Alert when the reserve no longer covers selling the whole supply
+  await monitor.watchReserveHealth({
+    onLowCoverage: async (health) => {
+      console.log(`ALERT: reserve coverage ${health.coverage} below ${health.minCoverage}`, health);
+    },
+    onCoverageRestored: async (health) => {
+      console.log('Reserve coverage restored:', health);
+    }
+  }, { minCoverage: 1.05 });
+
   // 2. Historical Analysis
   console.log('\n=== Historical Analysis ===');
   const events = await monitor.getHistoricalEvents(0, 'latest');
   const metrics = await monitor.calculateMetrics(events);
   console.log('Trading Metrics:', JSON.stringify(metrics, null, 2));
 
+  // Hourly TWAP from the on-chain oracle, checked against the event history
+  if (process.env.ORACLE_ADDRESS) {
+    const twap = await monitor.checkTwap(process.env.ORACLE_ADDRESS, 3600, Number(process.env.MARKET_DEPLOY_BLOCK ?? 0));
+    console.log(`1h TWAP: ${twap.onChain}`, twap.matches ? '(matches events)' : `(events give ${twap.offChain})`);
+  }
+
   // 3. Automated Trading
   console.log('\n=== Automated Trading ===');
   const bot = new TradingBot(MARKET_ADDRESS, TOKEN_ADDRESS, wallet);
   
   try {
-    const buyResult = await bot.executeBuy(10, 5); // Buy 10 tokens with 5% slippage
+    // Stay within the market's buy limits
+    const quote = await bot.getBuyQuote(10, { clamp: true });
+    if (quote.clamped) console.log(quote.warning);
+
+    const buyResult = await bot.executeBuy(quote.amount, 5); // Buy with 5% slippage
     console.log('Buy Result:', buyResult);
   } catch (error) {
     console.error('Buy failed:', error.message);
@@ -502,6 +1321,7 @@ async function exampleUsage() {
 // Export classes
 module.exports = {
   MarketMonitor,
+  MarketFactory,
   TradingBot,
   PriceAlertSystem,
   exampleUsage
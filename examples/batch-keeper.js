@@ -0,0 +1,120 @@
+/**
+ * Batch Auction Keeper for BondingCurveMarket
+ *
+ * Settles the epochs of BondingCurveBatchAuction contracts as they end.
+ * settle() is permissionless, so any account can run a keeper; it pays the
+ * gas of clearing each epoch and nothing else.
+ *
+ * Each poll, an auction is settled when canSettle() reports an ended epoch
+ * with orders in it. The call is simulated first, so an epoch that cannot
+ * clear yet (e.g. its market is paused) is retried on the next poll instead
+ * of costing gas.
+ */
+
+const { ethers } = require('ethers');
+
+const BATCH_AUCTION_ABI = [
+  "function settle() external",
+  "function canSettle() external view returns (bool)",
+  "function currentEpoch() external view returns (uint256)",
+  "event EpochSettled(uint256 indexed epochId, uint256 totalBuyReserve, uint256 totalSellTokens, uint256 curveBought, uint256 curveSold, uint256 tokensForBuyers, uint256 reserveForSellers)"
+];
+
+class BatchAuctionKeeper {
+  constructor(auctionAddresses, wallet, options = {}) {
+    this.wallet = wallet;
+    this.auctions = auctionAddresses.map((address) => new ethers.Contract(address, BATCH_AUCTION_ABI, wallet));
+    this.pollInterval = options.pollInterval ?? 15000;
+    this.timer = null;
+  }
+
+  /**
+   * Settle `auction`'s current epoch if it is due
+   * Returns the EpochSettled event's fields, or null if nothing was settled
+   */
+  async settleIfDue(auction) {
+    if (!(await auction.canSettle())) {
+      return null;
+    }
+
+    try {
+      await auction.settle.staticCall();
+    } catch (error) {
+      console.warn(`Cannot settle ${await auction.getAddress()} yet: ${error.reason ?? error.shortMessage ?? error.message}`);
+      return null;
+    }
+
+    const tx = await auction.settle();
+    const receipt = await tx.wait();
+    const event = receipt.logs
+      .map(log => {
+        try {
+          return auction.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find(event => event && event.name === 'EpochSettled');
+
+    const settled = {
+      auction: await auction.getAddress(),
+      epochId: Number(event.args.epochId),
+      curveBought: event.args.curveBought,
+      curveSold: event.args.curveSold,
+      txHash: receipt.hash
+    };
+    console.log(`Settled epoch ${settled.epochId} of ${settled.auction}: ${receipt.hash}`);
+    return settled;
+  }
+
+  /**
+   * Check every auction once; one failing does not hold up the others
+   */
+  async poll() {
+    const results = await Promise.allSettled(this.auctions.map((auction) => this.settleIfDue(auction)));
+    results
+      .filter((result) => result.status === 'rejected')
+      .forEach((result) => console.error('Settlement failed:', result.reason));
+    return results.filter((result) => result.status === 'fulfilled' && result.value).map((result) => result.value);
+  }
+
+  /**
+   * Poll every pollInterval milliseconds until stop()
+   */
+  start() {
+    const run = async () => {
+      await this.poll();
+      if (this.timer) {
+        this.timer = setTimeout(run, this.pollInterval);
+      }
+    };
+    this.timer = setTimeout(run, 0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+async function main() {
+  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+  const wallet = new ethers.Wallet(process.env.KEEPER_PRIVATE_KEY, provider);
+
+  const keeper = new BatchAuctionKeeper((process.env.AUCTION_ADDRESSES ?? '').split(',').filter(Boolean), wallet, {
+    pollInterval: Number(process.env.POLL_INTERVAL_MS ?? 15000)
+  });
+
+  console.log(`Keeper ${wallet.address} settling ${keeper.auctions.length} auction(s)`);
+  keeper.start();
+}
+
+module.exports = {
+  BatchAuctionKeeper,
+  BATCH_AUCTION_ABI
+};
+
+// Run the keeper if called directly
+if (require.main === module) {
+  main().catch(console.error);
+}
@@ -0,0 +1,422 @@
+/**
+ * Offline Curve Math for BondingCurveMarket
+ *
+ * Pure BigInt mirror of the contract's pricing functions. Every helper
+ * reproduces the Solidity arithmetic step for step - integer division
+ * rounding, the feeBps / 10000 fee split and checked uint256 overflow -
+ * so results match the on-chain views to the wei without an RPC call.
+ *
+ * All functions take a curve state snapshot:
+ *   { basePrice, slope, currentSupply, buyFeeBps, sellFeeBps, decimals, curve }
+ * with every numeric field a BigInt (or anything BigInt() accepts).
+ * Like the contract, amounts and supply are in token base units while
+ * prices are wei per whole token; `decimals` (default 18) converts between
+ * the two, so pass the token's decimals for anything but 18-decimal tokens.
+ * `curve` is optional: when set to a curve from curve-shapes.js, pricing
+ * follows that strategy instead of basePrice + slope * supply, just as the
+ * contract does when it is deployed with a curve strategy.
+ */
+
+const MAX_UINT256 = (1n << 256n) - 1n;
+const BPS_DENOMINATOR = 10000n;
+const WAD = 10n ** 18n;
+
+/**
+ * Solidity 0.8 checked arithmetic: reverts become thrown errors
+ */
+function checked(value) {
+  if (value < 0n || value > MAX_UINT256) {
+    throw new Error('Arithmetic overflow');
+  }
+  return value;
+}
+
+const add = (a, b) => checked(a + b);
+const sub = (a, b) => checked(a - b);
+const mul = (a, b) => checked(a * b);
+
+/**
+ * Normalize a state snapshot into BigInt fields
+ */
+function toCurveState(state) {
+  return {
+    basePrice: BigInt(state.basePrice),
+    slope: BigInt(state.slope),
+    currentSupply: BigInt(state.currentSupply),
+    buyFeeBps: BigInt(state.buyFeeBps ?? 0),
+    sellFeeBps: BigInt(state.sellFeeBps ?? 0),
+    decimals: BigInt(state.decimals ?? 18),
+    curve: state.curve ?? null
+  };
+}
+
+/**
+ * Token base units to whole tokens in WAD, as the contract's _toWad
+ */
+function toWad(state, amount) {
+  const { decimals } = toCurveState(state);
+  if (decimals > 18n) throw new Error('Unsupported token decimals');
+  return mul(BigInt(amount), 10n ** (18n - decimals));
+}
+
+/**
+ * Mirror of OpenZeppelin Math.mulDiv with Floor or Ceil rounding
+ */
+function mulDiv(a, b, denominator, roundUp = false) {
+  if (denominator === 0n) throw new Error('Division by zero');
+  const product = a * b;
+  const result = product / denominator;
+  return checked(roundUp && product % denominator !== 0n ? result + 1n : result);
+}
+
+/**
+ * Mirror of the contract's _priceAt(supply) for a WAD supply
+ */
+function priceAt(state, supply) {
+  const { basePrice, slope, curve } = toCurveState(state);
+  if (curve) return curve.priceAt(supply);
+  return add(basePrice, mulDiv(slope, supply, WAD));
+}
+
+/**
+ * Mirror of calculateBuyCost(amount) - cost before fees, rounded up
+ */
+function calculateBuyCost(state, amount) {
+  const { basePrice, slope, currentSupply, curve } = toCurveState(state);
+  const supply = toWad(state, currentSupply);
+  const size = toWad(state, amount);
+
+  if (curve) {
+    return curve.integral(supply, add(supply, size));
+  }
+
+  return mulDiv(
+    size,
+    add(mul(mul(2n, basePrice), WAD), mul(slope, add(mul(2n, supply), size))),
+    2n * WAD * WAD,
+    true
+  );
+}
+
+/**
+ * Mirror of calculateSellProceeds(amount) - proceeds before fees, rounded down
+ */
+function calculateSellProceeds(state, amount) {
+  const { basePrice, slope, currentSupply, curve } = toCurveState(state);
+  amount = BigInt(amount);
+
+  if (amount > currentSupply) {
+    throw new Error('Amount exceeds supply');
+  }
+
+  const supply = toWad(state, currentSupply);
+  const size = toWad(state, amount);
+
+  if (curve) {
+    return curve.integral(supply - size, supply);
+  }
+
+  return mulDiv(
+    size,
+    add(mul(mul(2n, basePrice), WAD), mul(slope, sub(mul(2n, supply), size))),
+    2n * WAD * WAD
+  );
+}
+
+/**
+ * Mirror of getCurrentBuyPrice() - wei per whole token
+ */
+function getCurrentBuyPrice(state) {
+  const { currentSupply } = toCurveState(state);
+  return priceAt(state, toWad(state, currentSupply));
+}
+
+/**
+ * Mirror of getCurrentSellPrice() - wei per whole token, one token below supply
+ */
+function getCurrentSellPrice(state) {
+  const { currentSupply } = toCurveState(state);
+  if (currentSupply === 0n) return 0n;
+  const supply = toWad(state, currentSupply);
+  return priceAt(state, supply > WAD ? supply - WAD : 0n);
+}
+
+/**
+ * Mirror of getBuyQuote(amount)
+ */
+function getBuyQuote(state, amount) {
+  const { buyFeeBps } = toCurveState(state);
+  const cost = calculateBuyCost(state, amount);
+  const fee = mul(cost, buyFeeBps) / BPS_DENOMINATOR;
+
+  return { cost, fee, totalCost: add(cost, fee) };
+}
+
+/**
+ * Mirror of getSellQuote(amount)
+ */
+function getSellQuote(state, amount) {
+  const { sellFeeBps } = toCurveState(state);
+  const proceeds = calculateSellProceeds(state, amount);
+  const fee = mul(proceeds, sellFeeBps) / BPS_DENOMINATOR;
+
+  return { proceeds, fee, netProceeds: sub(proceeds, fee) };
+}
+
+/**
+ * Integer square root rounded down, as OpenZeppelin Math.sqrt
+ */
+function sqrt(value) {
+  if (value < 2n) return value;
+
+  let x = value;
+  let y = (x + 1n) / 2n;
+  while (y < x) {
+    x = y;
+    y = (x + value / x) / 2n;
+  }
+  return x;
+}
+
+const ceilDiv = (a, b) => (a === 0n ? 0n : (a - 1n) / b + 1n);
+
+/**
+ * Mirror of _searchBuyAmount - largest amount whose cost fits maxCost
+ */
+function searchBuyAmount(state, estimate, maxCost) {
+  let amount = estimate;
+  let step = 1n;
+  while (amount > 0n && calculateBuyCost(state, amount) > maxCost) {
+    amount = amount > step ? amount - step : 0n;
+    step *= 2n;
+  }
+
+  let high = amount + 1n;
+  step = 1n;
+  while (calculateBuyCost(state, high) <= maxCost) {
+    amount = high;
+    step *= 2n;
+    high = amount + step;
+  }
+
+  while (high - amount > 1n) {
+    const mid = (amount + high) / 2n;
+    if (calculateBuyCost(state, mid) <= maxCost) {
+      amount = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return amount;
+}
+
+/**
+ * Mirror of _searchSellAmount - smallest amount whose proceeds reach minProceeds
+ */
+function searchSellAmount(state, estimate, minProceeds) {
+  const { currentSupply } = toCurveState(state);
+
+  let amount = estimate;
+  let step = 1n;
+  while (calculateSellProceeds(state, amount) < minProceeds) {
+    amount = amount + step < currentSupply ? amount + step : currentSupply;
+    step *= 2n;
+  }
+
+  let low = amount - 1n;
+  step = 1n;
+  while (low > 0n && calculateSellProceeds(state, low) >= minProceeds) {
+    amount = low;
+    step *= 2n;
+    low = low > step ? low - step : 0n;
+  }
+
+  while (amount - low > 1n) {
+    const mid = (low + amount) / 2n;
+    if (calculateSellProceeds(state, mid) >= minProceeds) {
+      amount = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return amount;
+}
+
+/**
+ * Mirror of getBuyAmountForEth(ethAmount)
+ * Largest token amount whose total cost, fees included, fits the budget
+ */
+function getBuyAmountForEth(state, ethAmount) {
+  const { basePrice, slope, currentSupply, buyFeeBps, curve } = toCurveState(state);
+  const wadScale = toWad(state, 1n);
+  ethAmount = BigInt(ethAmount);
+
+  // Largest pre-fee cost whose cost + fee fits the budget
+  let maxCost = mul(ethAmount, BPS_DENOMINATOR) / add(BPS_DENOMINATOR, buyFeeBps);
+  while (add(add(maxCost, 1n), mul(add(maxCost, 1n), buyFeeBps) / BPS_DENOMINATOR) <= ethAmount) {
+    maxCost++;
+  }
+
+  if (curve) {
+    return curve.amountForCost(toWad(state, currentSupply), maxCost) / wadScale;
+  }
+
+  if (slope === 0n) {
+    if (basePrice === 0n) throw new Error('Price is zero');
+    return mulDiv(maxCost, WAD, basePrice) / wadScale;
+  }
+
+  const p = getCurrentBuyPrice(state);
+  const estimate = mulDiv(sub(sqrt(add(mul(p, p), mul(mul(2n, slope), maxCost))), p), WAD, slope) / wadScale;
+
+  return searchBuyAmount(state, estimate, maxCost);
+}
+
+/**
+ * Mirror of getSellAmountForEth(ethAmount)
+ * Smallest token amount whose proceeds, after fees, reach the target
+ */
+function getSellAmountForEth(state, ethAmount) {
+  const { basePrice, slope, currentSupply, sellFeeBps, curve } = toCurveState(state);
+  const wadScale = toWad(state, 1n);
+  ethAmount = BigInt(ethAmount);
+
+  if (ethAmount === 0n) return 0n;
+  if (sellFeeBps >= BPS_DENOMINATOR) throw new Error('Sell fee too high');
+
+  // Smallest pre-fee proceeds whose proceeds - fee reaches the target
+  let minProceeds = ceilDiv(mul(ethAmount, BPS_DENOMINATOR), sub(BPS_DENOMINATOR, sellFeeBps));
+  while (minProceeds > 0n && (minProceeds - 1n) - mul(minProceeds - 1n, sellFeeBps) / BPS_DENOMINATOR >= ethAmount) {
+    minProceeds--;
+  }
+
+  // A flat curve at zero pays nothing for any amount
+  const flat = !curve && slope === 0n;
+  if (flat && basePrice === 0n) throw new Error('Price is zero');
+  if (calculateSellProceeds(state, currentSupply) < minProceeds) {
+    throw new Error('Amount exceeds supply');
+  }
+
+  if (curve) {
+    return ceilDiv(curve.amountForProceeds(toWad(state, currentSupply), minProceeds), wadScale);
+  }
+
+  if (flat) {
+    return ceilDiv(mulDiv(minProceeds, WAD, basePrice, true), wadScale);
+  }
+
+  const t = getCurrentBuyPrice(state);
+  const disc = mul(mul(2n, slope), minProceeds);
+  const root = mul(t, t) > disc ? sqrt(mul(t, t) - disc) : 0n;
+  const estimate = mulDiv(t - root, WAD, slope) / wadScale;
+
+  return searchSellAmount(state, estimate < currentSupply ? estimate : currentSupply, minProceeds);
+}
+
+/**
+ * Return a copy of the state as it would be after buying `amount`
+ */
+function applyBuy(state, amount) {
+  const curve = toCurveState(state);
+  return { ...curve, currentSupply: add(curve.currentSupply, BigInt(amount)) };
+}
+
+/**
+ * Return a copy of the state as it would be after selling `amount`
+ */
+function applySell(state, amount) {
+  const curve = toCurveState(state);
+  return { ...curve, currentSupply: sub(curve.currentSupply, BigInt(amount)) };
+}
+
+/**
+ * Mirror of solveCurveParameters(solveFor, value) - linear parameters whose
+ * sell integral over the current supply equals `reserve`
+ * `solveFor` is 'basePrice' or 'slope'; `value` is the new value of the other
+ * parameter. `reserve` is the market's balance less accumulated fees.
+ */
+function solveCurveParameters(state, reserve, solveFor, value) {
+  const { basePrice, slope, currentSupply, curve } = toCurveState(state);
+  if (curve) throw new Error('Curve is not linear');
+
+  const supply = toWad(state, currentSupply);
+  reserve = BigInt(reserve);
+  value = BigInt(value);
+
+  if (solveFor === 'slope') {
+    if (supply === 0n) return { basePrice: value, slope };
+    if (mul(reserve, WAD) < mul(supply, value)) throw new Error('Reserve cannot cover curve');
+    return {
+      basePrice: value,
+      slope: mulDiv(2n * WAD, mul(reserve, WAD) - mul(supply, value), mul(supply, supply))
+    };
+  }
+
+  if (solveFor === 'basePrice') {
+    if (supply === 0n) return { basePrice, slope: value };
+    const slopeArea = mul(mul(value, supply), supply);
+    const reserveArea = mul(mul(mul(2n, reserve), WAD), WAD);
+    if (reserveArea < slopeArea) throw new Error('Reserve cannot cover curve');
+    return {
+      basePrice: (reserveArea - slopeArea) / mul(mul(2n, supply), WAD),
+      slope: value
+    };
+  }
+
+  throw new Error('Invalid solve target');
+}
+
+/**
+ * Preview a linear curve change against the market's reserve
+ * `change` is { basePrice, slope } to apply as given, or
+ * { solveFor: 'slope', basePrice } / { solveFor: 'basePrice', slope } for a
+ * reserve-matched change. Returns the parameters that would apply, what the
+ * new curve owes sellers for the whole supply, the surplus (negative for a
+ * deficit) and whether executeCurveParameters would accept the change.
+ */
+function previewCurveChange(state, reserve, change) {
+  const current = toCurveState(state);
+  reserve = BigInt(reserve);
+
+  let next;
+  if (change.solveFor) {
+    const value = change.solveFor === 'slope' ? change.basePrice : change.slope;
+    next = { ...current, ...solveCurveParameters(current, reserve, change.solveFor, value) };
+  } else {
+    next = { ...current, basePrice: BigInt(change.basePrice), slope: BigInt(change.slope) };
+  }
+
+  const requiredReserve = calculateSellProceeds(next, next.currentSupply);
+
+  return {
+    basePrice: next.basePrice,
+    slope: next.slope,
+    reserve,
+    previousRequiredReserve: calculateSellProceeds(current, current.currentSupply),
+    requiredReserve,
+    surplus: reserve - requiredReserve,
+    collateralized: requiredReserve <= reserve,
+    buyPrice: { before: getCurrentBuyPrice(current), after: getCurrentBuyPrice(next) },
+    sellPrice: { before: getCurrentSellPrice(current), after: getCurrentSellPrice(next) }
+  };
+}
+
+module.exports = {
+  MAX_UINT256,
+  BPS_DENOMINATOR,
+  WAD,
+  toCurveState,
+  toWad,
+  calculateBuyCost,
+  calculateSellProceeds,
+  getCurrentBuyPrice,
+  getCurrentSellPrice,
+  getBuyQuote,
+  getSellQuote,
+  getBuyAmountForEth,
+  getSellAmountForEth,
+  applyBuy,
+  applySell,
+  solveCurveParameters,
+  previewCurveChange
+};
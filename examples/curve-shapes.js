@@ -0,0 +1,363 @@
+/**
+ * Offline Curve Shapes for BondingCurveMarket
+ *
+ * BigInt mirrors of the curve strategy contracts in contracts/curves and of
+ * the FixedPointMath library they share. The series, bisection and mulDiv
+ * rounding run the same steps as the Solidity code, so a curve built here
+ * prices to the wei of the deployed strategy.
+ *
+ * Every curve exposes:
+ *   { curveType, parameters, priceAt, integral, amountForCost, amountForProceeds }
+ * and can be passed as `state.curve` to the helpers in curve-math.js.
+ */
+
+const MAX_UINT256 = (1n << 256n) - 1n;
+const WAD = 10n ** 18n;
+const ONE_TOKEN = 10n ** 18n;
+
+// FixedPointMath constants
+const LN2 = 693147180559945309n;
+const MAX_EXP_INPUT = 130n * WAD;
+const MIN_EXP_INPUT = -42n * WAD;
+
+const MAX_EXPONENT = 4n;
+const MAX_BREAKPOINTS = 16;
+const MAX_SIGNED_INPUT = 2n ** 127n - 1n;
+
+/**
+ * Solidity 0.8 checked uint256 arithmetic: reverts become thrown errors
+ */
+function checked(value) {
+  if (value < 0n || value > MAX_UINT256) {
+    throw new Error('Arithmetic overflow');
+  }
+  return value;
+}
+
+/**
+ * Mirror of OpenZeppelin Math.mulDiv - floor(a * b / denominator)
+ */
+function mulDiv(a, b, denominator) {
+  if (denominator === 0n) throw new Error('Division by zero');
+  return checked((a * b) / denominator);
+}
+
+/**
+ * Mirror of FixedPointMath.expWad - e^x for a signed WAD exponent
+ */
+function expWad(x) {
+  x = BigInt(x);
+  if (x > MAX_EXP_INPUT) throw new Error('Exp overflow');
+  if (x < MIN_EXP_INPUT) return 0n;
+
+  // e^x = 2^k * e^r with r in [0, ln 2)
+  let k = x / LN2;
+  if (x < 0n && k * LN2 !== x) k -= 1n;
+  const r = x - k * LN2;
+
+  // Taylor series of e^r
+  let term = WAD;
+  let result = WAD;
+  for (let i = 1n; term !== 0n; i++) {
+    term = (term * r) / (i * WAD);
+    result += term;
+  }
+
+  return k >= 0n ? result << k : result >> -k;
+}
+
+/**
+ * Mirror of FixedPointMath.lnWad - natural logarithm of a positive WAD value
+ */
+function lnWad(x) {
+  x = BigInt(x);
+  if (x <= 0n) throw new Error('Ln of zero');
+
+  // ln(x) = k * ln 2 + ln(y) with y in [1, 2)
+  let k = 0n;
+  while (x >= 2n * WAD) {
+    x >>= 1n;
+    k++;
+  }
+  while (x < WAD) {
+    x <<= 1n;
+    k--;
+  }
+
+  // ln(y) = 2 * atanh(u) with u = (y - 1) / (y + 1)
+  const u = ((x - WAD) * WAD) / (x + WAD);
+  const u2 = (u * u) / WAD;
+  let term = u;
+  let sum = u;
+  for (let i = 3n; term !== 0n; i += 2n) {
+    term = (term * u2) / WAD;
+    sum += term / i;
+  }
+
+  return 2n * sum + k * LN2;
+}
+
+/**
+ * Mirror of FixedPointMath.softplusWad - ln(1 + e^z)
+ */
+function softplusWad(z) {
+  z = BigInt(z);
+  if (z >= 0n) {
+    return checked(z + lnWad(WAD + expWad(-z)));
+  }
+  return checked(lnWad(WAD + expWad(z)));
+}
+
+/**
+ * Wrap a shape's price and area functions with the shared CurveStrategy logic
+ */
+function buildCurve(curveType, parameters, priceAt, area) {
+  function integral(fromSupply, toSupply) {
+    fromSupply = BigInt(fromSupply);
+    toSupply = BigInt(toSupply);
+    if (fromSupply > toSupply) throw new Error('Invalid range');
+
+    const upper = area(toSupply);
+    const lower = area(fromSupply);
+    return upper > lower ? upper - lower : 0n;
+  }
+
+  function amountForCost(supply, cost) {
+    supply = BigInt(supply);
+    cost = BigInt(cost);
+
+    let amount = 0n;
+    let high = ONE_TOKEN;
+    while (integral(supply, checked(supply + high)) <= cost) {
+      amount = high;
+      high = checked(high * 2n);
+    }
+
+    while (high - amount > 1n) {
+      const mid = (amount + high) / 2n;
+      if (integral(supply, supply + mid) <= cost) {
+        amount = mid;
+      } else {
+        high = mid;
+      }
+    }
+    return amount;
+  }
+
+  function amountForProceeds(supply, proceeds) {
+    supply = BigInt(supply);
+    proceeds = BigInt(proceeds);
+
+    if (proceeds === 0n) return 0n;
+    if (integral(0n, supply) < proceeds) throw new Error('Amount exceeds supply');
+
+    let low = 0n;
+    let amount = supply;
+    while (amount - low > 1n) {
+      const mid = (low + amount) / 2n;
+      if (integral(supply - mid, supply) >= proceeds) {
+        amount = mid;
+      } else {
+        low = mid;
+      }
+    }
+    return amount;
+  }
+
+  return {
+    curveType,
+    parameters,
+    priceAt: (supply) => priceAt(BigInt(supply)),
+    integral,
+    amountForCost,
+    amountForProceeds
+  };
+}
+
+/**
+ * Mirror of ExponentialCurve - price = initialPrice * e^(growthRate * supply)
+ */
+function exponentialCurve(initialPrice, growthRate) {
+  initialPrice = BigInt(initialPrice);
+  growthRate = BigInt(growthRate);
+  if (initialPrice === 0n) throw new Error('Invalid initial price');
+
+  const exp = (supply) => {
+    const exponent = mulDiv(growthRate, supply, WAD);
+    if (exponent > MAX_EXP_INPUT) throw new Error('Exp overflow');
+    return expWad(exponent);
+  };
+
+  return buildCurve(
+    'exponential',
+    [initialPrice, growthRate],
+    (supply) => mulDiv(initialPrice, exp(supply), WAD),
+    (supply) => {
+      if (growthRate === 0n) return mulDiv(initialPrice, supply, WAD);
+      return mulDiv(initialPrice, exp(supply) - WAD, growthRate);
+    }
+  );
+}
+
+/**
+ * Mirror of PolynomialCurve - price = basePrice + coefficient * supply^exponent
+ */
+function polynomialCurve(basePrice, coefficient, exponent) {
+  basePrice = BigInt(basePrice);
+  coefficient = BigInt(coefficient);
+  exponent = BigInt(exponent);
+  if (exponent < 1n || exponent > MAX_EXPONENT) throw new Error('Invalid exponent');
+
+  const pow = (supply, n) => {
+    let result = supply;
+    for (let i = 1n; i < n; i++) {
+      result = mulDiv(result, supply, WAD);
+    }
+    return result;
+  };
+
+  return buildCurve(
+    'polynomial',
+    [basePrice, coefficient, exponent],
+    (supply) => checked(basePrice + mulDiv(coefficient, pow(supply, exponent), WAD)),
+    (supply) => {
+      const baseArea = mulDiv(basePrice, supply, WAD);
+      const powerArea = mulDiv(coefficient, pow(supply, exponent + 1n), WAD * (exponent + 1n));
+      return checked(baseArea + powerArea);
+    }
+  );
+}
+
+/**
+ * Mirror of SigmoidCurve - price = maxPrice / (1 + e^(-steepness * (supply - midpoint)))
+ */
+function sigmoidCurve(maxPrice, steepness, midpoint) {
+  maxPrice = BigInt(maxPrice);
+  steepness = BigInt(steepness);
+  midpoint = BigInt(midpoint);
+  if (maxPrice === 0n) throw new Error('Invalid max price');
+  if (steepness > MAX_SIGNED_INPUT) throw new Error('Invalid steepness');
+  if (midpoint > MAX_SIGNED_INPUT) throw new Error('Invalid midpoint');
+
+  const z = (supply) => {
+    if (supply > MAX_SIGNED_INPUT) throw new Error('Supply too large');
+    return ((supply - midpoint) * steepness) / WAD;
+  };
+
+  return buildCurve(
+    'sigmoid',
+    [maxPrice, steepness, midpoint],
+    (supply) => {
+      const negZ = -z(supply);
+      if (negZ > MAX_EXP_INPUT) return 0n;
+      return mulDiv(maxPrice, WAD, WAD + expWad(negZ));
+    },
+    (supply) => {
+      if (steepness === 0n) return mulDiv(maxPrice, supply, 2n * WAD);
+
+      const upper = softplusWad(z(supply));
+      const lower = softplusWad(z(0n));
+      if (upper <= lower) return 0n;
+
+      return mulDiv(maxPrice, upper - lower, steepness);
+    }
+  );
+}
+
+/**
+ * Mirror of PiecewiseLinearCurve - price interpolated between (supply, price) breakpoints
+ */
+function piecewiseLinearCurve(supplies, prices) {
+  supplies = supplies.map(BigInt);
+  prices = prices.map(BigInt);
+  if (supplies.length !== prices.length) throw new Error('Length mismatch');
+  if (supplies.length === 0 || supplies.length > MAX_BREAKPOINTS) throw new Error('Invalid breakpoints');
+  if (supplies[0] !== 0n) throw new Error('First breakpoint must be zero');
+  for (let i = 1; i < supplies.length; i++) {
+    if (supplies[i] <= supplies[i - 1]) throw new Error('Supplies not increasing');
+  }
+
+  const last = supplies.length - 1;
+
+  const segment = (supply) => {
+    let i = 0;
+    while (i < last && supplies[i + 1] <= supply) i++;
+    return i;
+  };
+
+  const priceAt = (supply) => {
+    const i = segment(supply);
+    if (i === last) return prices[i];
+
+    const offset = supply - supplies[i];
+    const width = supplies[i + 1] - supplies[i];
+    if (prices[i + 1] >= prices[i]) {
+      return prices[i] + mulDiv(prices[i + 1] - prices[i], offset, width);
+    }
+    return prices[i] - mulDiv(prices[i] - prices[i + 1], offset, width);
+  };
+
+  const area = (supply) => {
+    const end = segment(supply);
+
+    let total = 0n;
+    for (let i = 0; i < end; i++) {
+      total += mulDiv(prices[i] + prices[i + 1], supplies[i + 1] - supplies[i], 2n * WAD);
+    }
+
+    const offset = supply - supplies[end];
+    if (end === last) {
+      total += mulDiv(prices[end], offset, WAD);
+    } else {
+      total += mulDiv(prices[end] + priceAt(supply), offset, 2n * WAD);
+    }
+    return checked(total);
+  };
+
+  const parameters = supplies.flatMap((supply, i) => [supply, prices[i]]);
+  return buildCurve('piecewise-linear', parameters, priceAt, area);
+}
+
+/**
+ * Build a curve from a strategy's curveType() and curveParameters()
+ */
+function createCurve(curveType, parameters) {
+  const params = Array.from(parameters, BigInt);
+
+  switch (curveType) {
+    case 'exponential':
+      return exponentialCurve(params[0], params[1]);
+    case 'polynomial':
+      return polynomialCurve(params[0], params[1], params[2]);
+    case 'sigmoid':
+      return sigmoidCurve(params[0], params[1], params[2]);
+    case 'piecewise-linear':
+      return piecewiseLinearCurve(
+        params.filter((_, i) => i % 2 === 0),
+        params.filter((_, i) => i % 2 === 1)
+      );
+    default:
+      throw new Error(`Unknown curve type: ${curveType}`);
+  }
+}
+
+// Minimal ABI for reading a market's curve strategy
+const CURVE_STRATEGY_ABI = [
+  "function curveType() external pure returns (string)",
+  "function curveParameters() external view returns (uint256[])",
+  "function priceAt(uint256 supply) external view returns (uint256)"
+];
+
+module.exports = {
+  WAD,
+  CURVE_STRATEGY_ABI,
+  mulDiv,
+  expWad,
+  lnWad,
+  softplusWad,
+  exponentialCurve,
+  polynomialCurve,
+  sigmoidCurve,
+  piecewiseLinearCurve,
+  createCurve
+};
@@ -6,22 +6,91 @@
  */
 
 import { ethers } from 'ethers';
+import { getCurrentBuyPrice } from './curve-math.js';
+import { createCurve, CURVE_STRATEGY_ABI } from './curve-shapes.js';
+import { FORWARDER_ABI, signForwardRequest, serializeForwardRequest } from './meta-tx.js';
+import { signPermit } from './permit.js';
 
 // Contract ABI (minimal - include only functions you need)
 const BONDING_CURVE_ABI = [
-  "function buy(uint256 amount, uint256 maxCost) external payable",
-  "function sell(uint256 amount, uint256 minProceeds) external",
+  "function buy(uint256 amount, uint256 maxCost, uint256 deadline) external payable",
+  "function sell(uint256 amount, uint256 minProceeds, uint256 deadline) external",
+  "function buyWithReferrer(uint256 amount, uint256 maxCost, uint256 deadline, address referrer) external payable",
+  "function sellWithReferrer(uint256 amount, uint256 minProceeds, uint256 deadline, address referrer) external",
+  "function buyFor(uint256 amount, uint256 maxCost, uint256 deadline, address recipient) external payable",
+  "function sellFrom(uint256 amount, uint256 minProceeds, uint256 deadline, address recipient) external",
+  "function sellWithPermit(uint256 amount, uint256 minProceeds, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external",
+  "function claimFees() external returns (uint256 amount)",
+  "function claimableFees(address account) external view returns (uint256)",
+  "function referralFeeBps() external view returns (uint256)",
+  "function buyWithExactEth(uint256 minAmount, uint256 deadline) external payable returns (uint256 amount)",
+  "function buyWithExactReserve(uint256 reserveAmount, uint256 minAmount, uint256 deadline) external payable returns (uint256 amount)",
+  "function getBuyAmountForEth(uint256 ethAmount) external view returns (uint256)",
+  "function getSellAmountForEth(uint256 ethAmount) external view returns (uint256)",
   "function getBuyQuote(uint256 amount) external view returns (uint256 cost, uint256 fee, uint256 totalCost)",
   "function getSellQuote(uint256 amount) external view returns (uint256 proceeds, uint256 fee, uint256 netProceeds)",
   "function getCurrentBuyPrice() external view returns (uint256)",
   "function getCurrentSellPrice() external view returns (uint256)",
-  "function totalSupply() external view returns (uint256)",
+  "function currentSupply() external view returns (uint256)",
   "function basePrice() external view returns (uint256)",
   "function slope() external view returns (uint256)",
+  "function curve() external view returns (address)",
+  "function token() external view returns (address)",
+  "function reserveAsset() external view returns (address)",
+  "function reserveDecimals() external view returns (uint8)",
+  "function supplyMode() external view returns (uint8)",
   "function buyFeeBps() external view returns (uint256)",
   "function sellFeeBps() external view returns (uint256)",
-  "event Buy(address indexed buyer, uint256 amount, uint256 cost, uint256 fee)",
-  "event Sell(address indexed seller, uint256 amount, uint256 proceeds, uint256 fee)"
+  "function paused() external view returns (bool)",
+  "function graduatedPair() external view returns (address)",
+  "function graduationReserve() external view returns (uint256)",
+  "function graduationSupply() external view returns (uint256)",
+  "function getReserveHealth() external view returns (uint256 requiredReserve, uint256 actualReserve, uint256 surplus, uint256 deficit)",
+  "function getBuyLimit(address buyer) external view returns (uint256)",
+  "function trustedForwarder() external view returns (address)",
+  "function batchAuction() external view returns (address)",
+  "event Graduated(address indexed pair, uint256 reserveAmount, uint256 tokenAmount, uint256 liquidity)",
+  "event TokensPurchased(address indexed buyer, address indexed recipient, uint256 amount, uint256 cost, uint256 fee, uint256 newSupply)",
+  "event TokensSold(address indexed seller, address indexed recipient, uint256 amount, uint256 proceeds, uint256 fee, uint256 newSupply)",
+  "event FeesClaimed(address indexed recipient, uint256 amount)",
+  "event Paused(address account)",
+  "event Unpaused(address account)"
+];
+
+// BondingCurveMarket.SupplyMode, indexed by enum value
+const SUPPLY_MODES = ['inventory', 'mint-burn'];
+
+// Trades revert on-chain if mined later than this
+const DEFAULT_DEADLINE_SECONDS = 20 * 60;
+
+const FACTORY_ABI = [
+  "function allMarketsLength() external view returns (uint256)",
+  "function getMarkets(uint256 offset, uint256 limit) external view returns (address[])",
+  "function getMarketByToken(address token) external view returns (address)",
+  "event MarketCreated(address indexed token, address indexed market, address indexed creator, uint256 index)"
+];
+
+const ROUTER_ABI = [
+  "function swap(address marketIn, address marketOut, uint256 amountIn, uint256 minAmountOut, uint256 deadline, address recipient) external returns (uint256 amountOut)",
+  "function getSwapQuote(address marketIn, address marketOut, uint256 amountIn) external view returns (uint256 amountOut, uint256 reserveAmount)",
+  "event Swapped(address indexed sender, address indexed marketIn, address indexed marketOut, address recipient, uint256 amountIn, uint256 amountOut, uint256 reserveAmount)"
+];
+
+const BATCH_AUCTION_ABI = [
+  "function placeBuyOrder(uint256 reserveAmount) external payable returns (uint256 epochId)",
+  "function placeSellOrder(uint256 amount) external returns (uint256 epochId)",
+  "function cancelOrders() external",
+  "function claim(uint256 epochId) external returns (uint256 tokens, uint256 reserve)",
+  "function claimable(uint256 epochId, address trader) external view returns (uint256 tokens, uint256 reserve)",
+  "function buyOrders(uint256 epochId, address trader) external view returns (uint256)",
+  "function sellOrders(uint256 epochId, address trader) external view returns (uint256)",
+  "function epochs(uint256 epochId) external view returns (uint64 endsAt, bool settled, uint256 totalBuyReserve, uint256 totalSellTokens, uint256 tokensForBuyers, uint256 reserveForBuyers, uint256 reserveForSellers, uint256 tokensForSellers)",
+  "function currentEpoch() external view returns (uint256)",
+  "function orderEpoch() external view returns (uint256)",
+  "function epochDuration() external view returns (uint256)",
+  "event BuyOrderPlaced(uint256 indexed epochId, address indexed trader, uint256 reserveAmount)",
+  "event SellOrderPlaced(uint256 indexed epochId, address indexed trader, uint256 amount)",
+  "event OrdersClaimed(uint256 indexed epochId, address indexed trader, uint256 tokens, uint256 reserve)"
 ];
 
 const ERC20_ABI = [
@@ -33,10 +102,21 @@ const ERC20_ABI = [
 ];
 
 class BondingCurveMarket {
-  constructor(marketAddress, tokenAddress, provider) {
+  constructor(marketAddress, tokenAddress, provider, options = {}) {
     this.marketAddress = marketAddress;
     this.tokenAddress = tokenAddress;
     this.provider = provider;
+    this.deadlineSeconds = options.deadlineSeconds ?? DEFAULT_DEADLINE_SECONDS;
+    // Account credited part of the fee on trades made through this client
+    this.referrer = options.referrer ?? null;
+    // BondingCurveRouter used by swap(); quoteSwap() works without one
+    this.routerAddress = options.router ?? null;
+    // Gasless mode: { url, forwarder } of a relayer (examples/relayer.js).
+    // Trades are then signed and posted to it instead of sent directly
+    this.relayer = options.relayer ?? null;
+    this.forwarderChecked = false;
+    // BondingCurveBatchAuction of a market in batch-auction mode, loaded on first use
+    this.auction = undefined;
     
     // Create contract instances
     this.market = new ethers.Contract(marketAddress, BONDING_CURVE_ABI, provider);
@@ -58,55 +138,256 @@ class BondingCurveMarket {
     // Update contract instances with signer
     this.market = this.market.connect(signer);
     this.token = this.token.connect(signer);
+    this.reserve = null;
+    this.auction = undefined;
     
     return signer;
   }
 
+  /**
+   * Load the asset the market trades against
+   * `contract` is null when the reserve is native ETH
+   */
+  async getReserve() {
+    if (this.reserve) return this.reserve;
+
+    const [address, decimals] = await Promise.all([
+      this.market.reserveAsset(),
+      this.market.reserveDecimals()
+    ]);
+    const isNative = address === ethers.ZeroAddress;
+    const contract = isNative ? null : new ethers.Contract(address, ERC20_ABI, this.market.runner);
+
+    this.reserve = {
+      address,
+      isNative,
+      decimals: Number(decimals),
+      symbol: isNative ? 'ETH' : await contract.symbol(),
+      contract
+    };
+    return this.reserve;
+  }
+
+  /**
+   * Approve the market (or `spender`) to pull an ERC20 reserve amount if the
+   * allowance is short
+   * No-op for ETH markets
+   */
+  async approveReserve(amountWei, spender = this.marketAddress) {
+    const reserve = await this.getReserve();
+    if (reserve.isNative) return;
+
+    const allowance = await reserve.contract.allowance(
+      await this.market.runner.getAddress(),
+      spender
+    );
+
+    if (allowance < amountWei) {
+      console.log(`Approving ${reserve.symbol}...`);
+      const approveTx = await reserve.contract.approve(spender, amountWei);
+      await approveTx.wait();
+      console.log('Approval confirmed');
+    }
+  }
+
+  /**
+   * Unix timestamp after which a trade submitted now should revert
+   */
+  getDeadline() {
+    return Math.floor(Date.now() / 1000) + this.deadlineSeconds;
+  }
+
+  /**
+   * Call a market function from the connected wallet, through the relayer
+   * in gasless mode
+   * Relayed calls are signed as an EIP-2771 ForwardRequest and submitted by
+   * the relayer, which pays the gas; they cannot carry ETH, so gasless buys
+   * need an ERC20 reserve. Approvals are still sent directly. Returns
+   * `{ hash, wait() }` like a sent transaction.
+   */
+  async sendMarketCall(method, args, overrides = {}) {
+    if (!this.relayer) {
+      return this.market[method](...args, overrides);
+    }
+    if (overrides.value) {
+      throw new Error('Relayed calls cannot send ETH; gasless buys need an ERC20 reserve');
+    }
+
+    const forwarder = new ethers.Contract(this.relayer.forwarder, FORWARDER_ABI, this.provider);
+    if (!this.forwarderChecked) {
+      const trusted = await this.market.trustedForwarder();
+      if (trusted.toLowerCase() !== this.relayer.forwarder.toLowerCase()) {
+        throw new Error(`Market does not trust forwarder ${this.relayer.forwarder}`);
+      }
+      this.forwarderChecked = true;
+    }
+
+    const request = await signForwardRequest(this.market.runner, forwarder, {
+      to: this.marketAddress,
+      data: this.market.interface.encodeFunctionData(method, args),
+      deadline: this.getDeadline()
+    });
+
+    const response = await fetch(`${this.relayer.url}/relay`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(serializeForwardRequest(request))
+    });
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error(`Relayer refused ${method}: ${body.error}`);
+    }
+
+    console.log(`${method} relayed by ${this.relayer.url}`);
+    return {
+      hash: body.hash,
+      wait: () => this.provider.waitForTransaction(body.hash)
+    };
+  }
+
   /**
    * Get current market information
    */
   async getMarketInfo() {
-    const [buyPrice, sellPrice, supply, basePrice, slope, buyFee, sellFee, symbol, decimals] = 
+    const [buyPrice, sellPrice, supply, basePrice, slope, buyFee, sellFee, paused, symbol, decimals, reserve, supplyMode, graduatedPair] = 
       await Promise.all([
         this.market.getCurrentBuyPrice(),
         this.market.getCurrentSellPrice(),
-        this.market.totalSupply(),
+        this.market.currentSupply(),
         this.market.basePrice(),
         this.market.slope(),
         this.market.buyFeeBps(),
         this.market.sellFeeBps(),
+        this.market.paused(),
         this.token.symbol(),
-        this.token.decimals()
+        this.token.decimals(),
+        this.getReserve(),
+        this.market.supplyMode(),
+        this.market.graduatedPair()
       ]);
 
     return {
-      buyPrice: ethers.formatEther(buyPrice),
-      sellPrice: ethers.formatEther(sellPrice),
+      buyPrice: ethers.formatUnits(buyPrice, reserve.decimals),
+      sellPrice: ethers.formatUnits(sellPrice, reserve.decimals),
       supply: ethers.formatUnits(supply, decimals),
-      basePrice: ethers.formatEther(basePrice),
-      slope: ethers.formatEther(slope),
+      supplyMode: SUPPLY_MODES[Number(supplyMode)],
+      basePrice: ethers.formatUnits(basePrice, reserve.decimals),
+      slope: ethers.formatUnits(slope, reserve.decimals),
       buyFeePercent: Number(buyFee) / 100,
       sellFeePercent: Number(sellFee) / 100,
+      paused: paused,
       tokenSymbol: symbol,
-      tokenDecimals: Number(decimals)
+      tokenDecimals: Number(decimals),
+      reserveSymbol: reserve.symbol,
+      // Once graduated, the curve is closed and trading continues on this pool
+      graduated: graduatedPair !== ethers.ZeroAddress,
+      graduatedPair: graduatedPair === ethers.ZeroAddress ? null : graduatedPair
     };
   }
 
+  /**
+   * Graduation status and progress towards the thresholds
+   * `progress` is the larger of reserve/threshold and supply/threshold
+   * (1 = graduates on the next buy); null if the market never graduates
+   */
+  async getGraduation() {
+    const [pair, reserveThreshold, supplyThreshold, supply, [, tradingReserve], reserve, decimals] = await Promise.all([
+      this.market.graduatedPair(),
+      this.market.graduationReserve(),
+      this.market.graduationSupply(),
+      this.market.currentSupply(),
+      this.market.getReserveHealth(),
+      this.getReserve(),
+      this.token.decimals()
+    ]);
+
+    const ratios = [];
+    if (reserveThreshold > 0n) ratios.push(Number(tradingReserve * 10000n / reserveThreshold) / 10000);
+    if (supplyThreshold > 0n) ratios.push(Number(supply * 10000n / supplyThreshold) / 10000);
+
+    return {
+      graduated: pair !== ethers.ZeroAddress,
+      pair: pair === ethers.ZeroAddress ? null : pair,
+      reserveThreshold: reserveThreshold > 0n ? ethers.formatUnits(reserveThreshold, reserve.decimals) : null,
+      supplyThreshold: supplyThreshold > 0n ? ethers.formatUnits(supplyThreshold, decimals) : null,
+      progress: pair !== ethers.ZeroAddress ? 1 : (ratios.length ? Math.min(Math.max(...ratios), 1) : null)
+    };
+  }
+
+  /**
+   * Check whether trading is paused
+   */
+  async isPaused() {
+    return this.market.paused();
+  }
+
+  /**
+   * Fail fast instead of sending a transaction that reverts while paused
+   */
+  async assertTradingActive() {
+    const pair = await this.market.graduatedPair();
+    if (pair !== ethers.ZeroAddress) {
+      throw new Error(`Market graduated; trading continues on the AMM pool at ${pair}`);
+    }
+    if (await this.market.paused()) {
+      throw new Error('Trading is paused');
+    }
+    if (await this.getBatchAuction()) {
+      throw new Error('Market trades in batches; use placeBuyOrder / placeSellOrder');
+    }
+  }
+
+  /**
+   * Most tokens (base units) the connected wallet may buy right now under the
+   * market's per-transaction, per-wallet and per-block limits
+   * Without a connected wallet only the transaction and block limits apply
+   */
+  async getBuyLimit() {
+    return this.market.getBuyLimit(await this.getAccount());
+  }
+
+  /**
+   * Connected wallet's address, or the zero address before connecting
+   */
+  async getAccount() {
+    const runner = this.market.runner;
+    return typeof runner?.getAddress === 'function' ? runner.getAddress() : ethers.ZeroAddress;
+  }
+
   /**
    * Get buy quote with formatted values
+   * An amount over the buy limit would revert, so the quote carries a
+   * `warning`; with `{ clamp: true }` it is quoted for the limit instead
    */
-  async getBuyQuote(amount) {
+  async getBuyQuote(amount, { clamp = false } = {}) {
     const decimals = await this.token.decimals();
-    const amountWei = ethers.parseUnits(amount.toString(), decimals);
+    const requestedWei = ethers.parseUnits(amount.toString(), decimals);
+    const limitWei = await this.getBuyLimit();
+    const overLimit = requestedWei > limitWei;
+    const amountWei = overLimit && clamp ? limitWei : requestedWei;
     
-    const quote = await this.market.getBuyQuote(amountWei);
+    const [quote, reserve] = await Promise.all([
+      this.market.getBuyQuote(amountWei),
+      this.getReserve()
+    ]);
+    
+    const limit = limitWei === ethers.MaxUint256 ? null : ethers.formatUnits(limitWei, decimals);
+    let warning = null;
+    if (overLimit) {
+      warning = clamp
+        ? `Reduced to the buy limit of ${limit} tokens`
+        : `Exceeds the buy limit of ${limit} tokens; this buy would revert`;
+    }
     
     return {
-      amount: amount,
-      cost: ethers.formatEther(quote.cost),
-      fee: ethers.formatEther(quote.fee),
-      totalCost: ethers.formatEther(quote.totalCost),
-      averagePrice: ethers.formatEther(quote.totalCost / amountWei * BigInt(10 ** decimals))
+      amount: overLimit && clamp ? limit : amount,
+      cost: ethers.formatUnits(quote.cost, reserve.decimals),
+      fee: ethers.formatUnits(quote.fee, reserve.decimals),
+      totalCost: ethers.formatUnits(quote.totalCost, reserve.decimals),
+      averagePrice: amountWei > 0n ? ethers.formatUnits(quote.totalCost * 10n ** decimals / amountWei, reserve.decimals) : null,
+      limit,
+      clamped: overLimit && clamp,
+      warning
     };
   }
 
@@ -117,21 +398,72 @@ class BondingCurveMarket {
     const decimals = await this.token.decimals();
     const amountWei = ethers.parseUnits(amount.toString(), decimals);
     
-    const quote = await this.market.getSellQuote(amountWei);
+    const [quote, reserve] = await Promise.all([
+      this.market.getSellQuote(amountWei),
+      this.getReserve()
+    ]);
     
     return {
       amount: amount,
-      proceeds: ethers.formatEther(quote.proceeds),
-      fee: ethers.formatEther(quote.fee),
-      netProceeds: ethers.formatEther(quote.netProceeds),
-      averagePrice: ethers.formatEther(quote.netProceeds / amountWei * BigInt(10 ** decimals))
+      proceeds: ethers.formatUnits(quote.proceeds, reserve.decimals),
+      fee: ethers.formatUnits(quote.fee, reserve.decimals),
+      netProceeds: ethers.formatUnits(quote.netProceeds, reserve.decimals),
+      averagePrice: ethers.formatUnits(quote.netProceeds * 10n ** decimals / amountWei, reserve.decimals)
+    };
+  }
+
+  /**
+   * Get the number of tokens a reserve budget (ETH or the reserve token)
+   * buys, fees included
+   */
+  async getBuyAmountForEth(ethAmount) {
+    const decimals = await this.token.decimals();
+    const reserve = await this.getReserve();
+    const ethWei = ethers.parseUnits(ethAmount.toString(), reserve.decimals);
+    
+    const amountWei = await this.market.getBuyAmountForEth(ethWei);
+    
+    return {
+      ethAmount: ethAmount,
+      amount: ethers.formatUnits(amountWei, decimals)
+    };
+  }
+
+  /**
+   * Get the number of tokens to sell to receive a reserve amount after fees
+   */
+  async getSellAmountForEth(ethAmount) {
+    const decimals = await this.token.decimals();
+    const reserve = await this.getReserve();
+    const ethWei = ethers.parseUnits(ethAmount.toString(), reserve.decimals);
+    
+    const amountWei = await this.market.getSellAmountForEth(ethWei);
+    
+    return {
+      ethAmount: ethAmount,
+      amount: ethers.formatUnits(amountWei, decimals)
     };
   }
 
+  /**
+   * The market has no referred variant of buyFor/sellFrom, so a trade for
+   * another account cannot credit this client's referrer
+   */
+  assertRecipientAllowed(recipient) {
+    if (recipient && this.referrer) {
+      throw new Error('A recipient cannot be combined with a referrer');
+    }
+  }
+
   /**
    * Execute buy with slippage protection
+   * `recipient` receives the tokens instead of the connected wallet, e.g. to
+   * buy for a friend; the connected wallet still pays
    */
-  async buy(amount, slippagePercent = 5) {
+  async buy(amount, slippagePercent = 5, { recipient = null } = {}) {
+    this.assertRecipientAllowed(recipient);
+    await this.assertTradingActive();
+    
     const decimals = await this.token.decimals();
     const amountWei = ethers.parseUnits(amount.toString(), decimals);
     
@@ -139,13 +471,23 @@ class BondingCurveMarket {
     const quote = await this.market.getBuyQuote(amountWei);
     
     // Apply slippage
-    const slippageMultiplier = BigInt(100 + slippagePercent) * BigInt(100);
+    const slippageMultiplier = BigInt(Math.round((100 + slippagePercent) * 100));
     const maxCost = quote.totalCost * slippageMultiplier / BigInt(10000);
     
+    // ETH is sent with the call (excess refunded); an ERC20 reserve is pulled
+    const reserve = await this.getReserve();
+    await this.approveReserve(maxCost);
+    
     // Execute buy
-    const tx = await this.market.buy(amountWei, maxCost, {
-      value: maxCost
-    });
+    const overrides = { value: reserve.isNative ? maxCost : 0n };
+    let tx;
+    if (recipient) {
+      tx = await this.sendMarketCall('buyFor', [amountWei, maxCost, this.getDeadline(), recipient], overrides);
+    } else if (this.referrer) {
+      tx = await this.sendMarketCall('buyWithReferrer', [amountWei, maxCost, this.getDeadline(), this.referrer], overrides);
+    } else {
+      tx = await this.sendMarketCall('buy', [amountWei, maxCost, this.getDeadline()], overrides);
+    }
     
     console.log('Buy transaction submitted:', tx.hash);
     
@@ -162,15 +504,116 @@ class BondingCurveMarket {
           return null;
         }
       })
-      .find(event => event && event.name === 'Buy');
+      .find(event => event && event.name === 'TokensPurchased');
+    
+    if (event) {
+      return {
+        success: true,
+        txHash: receipt.hash,
+        amount: ethers.formatUnits(event.args.amount, decimals),
+        recipient: event.args.recipient,
+        cost: ethers.formatUnits(event.args.cost, reserve.decimals),
+        fee: ethers.formatUnits(event.args.fee, reserve.decimals)
+      };
+    }
+    
+    return { success: true, txHash: receipt.hash };
+  }
+
+  /**
+   * Spend an exact ETH amount on as many tokens as it buys
+   */
+  async buyWithExactEth(ethAmount, slippagePercent = 5) {
+    await this.assertTradingActive();
+    
+    const decimals = await this.token.decimals();
+    const reserve = await this.getReserve();
+    if (!reserve.isNative) {
+      throw new Error(`Market is priced in ${reserve.symbol}, use buyWithExactReserve`);
+    }
+    const ethWei = ethers.parseEther(ethAmount.toString());
+    
+    // Apply slippage to the quoted token amount
+    const quotedAmount = await this.market.getBuyAmountForEth(ethWei);
+    const slippageMultiplier = BigInt(Math.round((100 - slippagePercent) * 100));
+    const minAmount = quotedAmount * slippageMultiplier / BigInt(10000);
+    
+    const tx = await this.market.buyWithExactEth(minAmount, this.getDeadline(), {
+      value: ethWei
+    });
+    
+    console.log('Buy transaction submitted:', tx.hash);
+    
+    const receipt = await tx.wait();
+    console.log('Buy transaction confirmed:', receipt.hash);
+    
+    const event = receipt.logs
+      .map(log => {
+        try {
+          return this.market.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find(event => event && event.name === 'TokensPurchased');
     
     if (event) {
       return {
         success: true,
         txHash: receipt.hash,
         amount: ethers.formatUnits(event.args.amount, decimals),
-        cost: ethers.formatEther(event.args.cost),
-        fee: ethers.formatEther(event.args.fee)
+        cost: ethers.formatUnits(event.args.cost, reserve.decimals),
+        fee: ethers.formatUnits(event.args.fee, reserve.decimals)
+      };
+    }
+    
+    return { success: true, txHash: receipt.hash };
+  }
+
+  /**
+   * Spend an exact reserve amount (ETH or the reserve token) on as many
+   * tokens as it buys
+   */
+  async buyWithExactReserve(reserveAmount, slippagePercent = 5) {
+    await this.assertTradingActive();
+    
+    const decimals = await this.token.decimals();
+    const reserve = await this.getReserve();
+    const reserveWei = ethers.parseUnits(reserveAmount.toString(), reserve.decimals);
+    
+    // Apply slippage to the quoted token amount
+    const quotedAmount = await this.market.getBuyAmountForEth(reserveWei);
+    const slippageMultiplier = BigInt(Math.round((100 - slippagePercent) * 100));
+    const minAmount = quotedAmount * slippageMultiplier / BigInt(10000);
+    
+    await this.approveReserve(reserveWei);
+    
+    const tx = await this.sendMarketCall('buyWithExactReserve', [reserveWei, minAmount, this.getDeadline()], {
+      value: reserve.isNative ? reserveWei : 0n
+    });
+    
+    console.log('Buy transaction submitted:', tx.hash);
+    
+    const receipt = await tx.wait();
+    console.log('Buy transaction confirmed:', receipt.hash);
+    
+    const event = receipt.logs
+      .map(log => {
+        try {
+          return this.market.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find(event => event && event.name === 'TokensPurchased');
+    
+    if (event) {
+      return {
+        success: true,
+        txHash: receipt.hash,
+        amount: ethers.formatUnits(event.args.amount, decimals),
+        cost: ethers.formatUnits(event.args.cost, reserve.decimals),
+        fee: ethers.formatUnits(event.args.fee, reserve.decimals)
       };
     }
     
@@ -179,33 +622,59 @@ class BondingCurveMarket {
 
   /**
    * Execute sell with slippage protection
+   * `recipient` is paid the proceeds instead of the connected wallet; the
+   * tokens still come from the connected wallet. If the allowance is short
+   * and the token supports EIP-2612, a permit is signed and the sell goes
+   * through sellWithPermit; otherwise the market is approved first.
    */
-  async sell(amount, slippagePercent = 5) {
+  async sell(amount, slippagePercent = 5, { recipient = null } = {}) {
+    this.assertRecipientAllowed(recipient);
+    await this.assertTradingActive();
+    
     const decimals = await this.token.decimals();
     const amountWei = ethers.parseUnits(amount.toString(), decimals);
     
-    // Check and approve if needed
+    // Check and approve if needed; sellWithPermit pays neither a recipient nor a referrer
     const allowance = await this.token.allowance(
       await this.market.runner.getAddress(),
       this.marketAddress
     );
     
+    let permit = null;
     if (allowance < amountWei) {
-      console.log('Approving tokens...');
-      const approveTx = await this.token.approve(this.marketAddress, amountWei);
-      await approveTx.wait();
-      console.log('Approval confirmed');
+      if (!recipient && !this.referrer) {
+        permit = await signPermit(this.market.runner, this.tokenAddress, this.marketAddress, amountWei, this.getDeadline());
+      }
+      if (permit) {
+        console.log('Signed permit for the sell');
+      } else {
+        console.log('Approving tokens...');
+        const approveTx = await this.token.approve(this.marketAddress, amountWei);
+        await approveTx.wait();
+        console.log('Approval confirmed');
+      }
     }
     
     // Get quote
     const quote = await this.market.getSellQuote(amountWei);
     
     // Apply slippage
-    const slippageMultiplier = BigInt(100 - slippagePercent) * BigInt(100);
+    const slippageMultiplier = BigInt(Math.round((100 - slippagePercent) * 100));
     const minProceeds = quote.netProceeds * slippageMultiplier / BigInt(10000);
     
     // Execute sell
-    const tx = await this.market.sell(amountWei, minProceeds);
+    const reserve = await this.getReserve();
+    let tx;
+    if (permit) {
+      const { deadline, v, r, s } = permit;
+      tx = await this.sendMarketCall('sellWithPermit', [amountWei, minProceeds, deadline, v, r, s]);
+    } else if (recipient) {
+      tx = await this.sendMarketCall('sellFrom', [amountWei, minProceeds, this.getDeadline(), recipient]);
+    } else if (this.referrer) {
+      tx = await this.sendMarketCall('sellWithReferrer', [amountWei, minProceeds, this.getDeadline(), this.referrer]);
+    } else {
+      tx = await this.sendMarketCall('sell', [amountWei, minProceeds, this.getDeadline()]);
+    }
     
     console.log('Sell transaction submitted:', tx.hash);
     
@@ -222,21 +691,344 @@ class BondingCurveMarket {
           return null;
         }
       })
-      .find(event => event && event.name === 'Sell');
+      .find(event => event && event.name === 'TokensSold');
     
     if (event) {
       return {
         success: true,
         txHash: receipt.hash,
         amount: ethers.formatUnits(event.args.amount, decimals),
-        proceeds: ethers.formatEther(event.args.proceeds),
-        fee: ethers.formatEther(event.args.fee)
+        recipient: event.args.recipient,
+        proceeds: ethers.formatUnits(event.args.proceeds, reserve.decimals),
+        fee: ethers.formatUnits(event.args.fee, reserve.decimals)
       };
     }
     
     return { success: true, txHash: receipt.hash };
   }
 
+  /**
+   * Quote swapping this market's token for another market's token
+   * Chains this curve's sell quote into the target curve's budget buy quote,
+   * the same two legs BondingCurveRouter.swap executes. Both markets must
+   * share a reserve asset. `refund` is reserve the buy cannot use, returned
+   * to the sender; `warning` is set if the output exceeds the buy limit.
+   */
+  async quoteSwap(targetMarketAddress, amount) {
+    const target = new ethers.Contract(targetMarketAddress, BONDING_CURVE_ABI, this.provider);
+    const [decimals, reserve, targetReserve, targetTokenAddress, account] = await Promise.all([
+      this.token.decimals(),
+      this.getReserve(),
+      target.reserveAsset(),
+      target.token(),
+      this.getAccount()
+    ]);
+    if (targetReserve !== reserve.address) {
+      throw new Error('Markets trade against different reserve assets');
+    }
+
+    const amountWei = ethers.parseUnits(amount.toString(), decimals);
+    const sellQuote = await this.market.getSellQuote(amountWei);
+    const amountOutWei = await target.getBuyAmountForEth(sellQuote.netProceeds);
+
+    const targetToken = new ethers.Contract(targetTokenAddress, ERC20_ABI, this.provider);
+    const [buyQuote, limitWei, targetDecimals] = await Promise.all([
+      target.getBuyQuote(amountOutWei),
+      target.getBuyLimit(account),
+      targetToken.decimals()
+    ]);
+
+    return {
+      amountIn: amount,
+      amountOut: ethers.formatUnits(amountOutWei, targetDecimals),
+      tokenOut: targetTokenAddress,
+      tokenOutDecimals: Number(targetDecimals),
+      reserveAmount: ethers.formatUnits(sellQuote.netProceeds, reserve.decimals),
+      sellFee: ethers.formatUnits(sellQuote.fee, reserve.decimals),
+      buyFee: ethers.formatUnits(buyQuote.fee, reserve.decimals),
+      refund: ethers.formatUnits(sellQuote.netProceeds - buyQuote.totalCost, reserve.decimals),
+      rate: amountWei > 0n ? ethers.formatUnits(amountOutWei * 10n ** decimals / amountWei, targetDecimals) : null,
+      warning: amountOutWei > limitWei
+        ? `Exceeds the target market's buy limit of ${ethers.formatUnits(limitWei, targetDecimals)} tokens; this swap would revert`
+        : null
+    };
+  }
+
+  /**
+   * Swap this market's token for another market's token in one transaction
+   * through the router given as `options.router`. Slippage applies to the
+   * output of both legs together; `recipient` receives the output tokens.
+   */
+  async swap(targetMarketAddress, amount, slippagePercent = 5, { recipient = null } = {}) {
+    if (!this.routerAddress) {
+      throw new Error('No router configured; pass options.router');
+    }
+    await this.assertTradingActive();
+
+    const quote = await this.quoteSwap(targetMarketAddress, amount);
+    if (quote.warning) {
+      throw new Error(quote.warning);
+    }
+
+    const decimals = await this.token.decimals();
+    const amountWei = ethers.parseUnits(amount.toString(), decimals);
+    const router = new ethers.Contract(this.routerAddress, ROUTER_ABI, this.market.runner);
+
+    const amountOut = ethers.parseUnits(quote.amountOut, quote.tokenOutDecimals);
+    const slippageMultiplier = BigInt(Math.round((100 - slippagePercent) * 100));
+    const minAmountOut = amountOut * slippageMultiplier / BigInt(10000);
+
+    const account = await this.getAccount();
+    const allowance = await this.token.allowance(account, this.routerAddress);
+    if (allowance < amountWei) {
+      console.log('Approving tokens for the router...');
+      const approveTx = await this.token.approve(this.routerAddress, amountWei);
+      await approveTx.wait();
+      console.log('Approval confirmed');
+    }
+
+    const tx = await router.swap(
+      this.marketAddress,
+      targetMarketAddress,
+      amountWei,
+      minAmountOut,
+      this.getDeadline(),
+      recipient ?? account
+    );
+    console.log('Swap transaction submitted:', tx.hash);
+
+    const receipt = await tx.wait();
+    console.log('Swap transaction confirmed:', receipt.hash);
+
+    const event = receipt.logs
+      .map(log => {
+        try {
+          return router.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find(event => event && event.name === 'Swapped');
+
+    return {
+      success: true,
+      txHash: receipt.hash,
+      amountOut: event ? ethers.formatUnits(event.args.amountOut, quote.tokenOutDecimals) : null,
+      recipient: event ? event.args.recipient : null
+    };
+  }
+
+  /**
+   * Get fees an account can claim (fee split shares and referral fees)
+   */
+  async getClaimableFees(address) {
+    const reserve = await this.getReserve();
+    return ethers.formatUnits(await this.market.claimableFees(address), reserve.decimals);
+  }
+
+  /**
+   * Claim the connected account's fees
+   */
+  async claimFees() {
+    const reserve = await this.getReserve();
+    const tx = await this.sendMarketCall('claimFees', []);
+    console.log('Claim transaction submitted:', tx.hash);
+
+    const receipt = await tx.wait();
+    const event = receipt.logs
+      .map(log => {
+        try {
+          return this.market.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find(event => event && event.name === 'FeesClaimed');
+
+    return {
+      success: true,
+      txHash: receipt.hash,
+      amount: event ? ethers.formatUnits(event.args.amount, reserve.decimals) : '0'
+    };
+  }
+
+  /**
+   * The market's batch auction contract, or null if it trades directly
+   * In batch-auction mode only the auction trades on the curve: orders are
+   * collected for an epoch and cleared together at one price, then claimed.
+   */
+  async getBatchAuction() {
+    if (this.auction !== undefined) return this.auction;
+
+    const address = await this.market.batchAuction();
+    this.auction = address === ethers.ZeroAddress
+      ? null
+      : new ethers.Contract(address, BATCH_AUCTION_ABI, this.market.runner);
+    return this.auction;
+  }
+
+  /**
+   * Batch auction, throwing if the market is not in batch-auction mode
+   */
+  async requireBatchAuction() {
+    const auction = await this.getBatchAuction();
+    if (!auction) {
+      throw new Error('Market is not in batch-auction mode; use buy / sell');
+    }
+    return auction;
+  }
+
+  /**
+   * Epoch new orders join and when it closes for settlement
+   */
+  async getAuctionInfo() {
+    const auction = await this.requireBatchAuction();
+    const [currentEpoch, orderEpoch, epochDuration] = await Promise.all([
+      auction.currentEpoch(),
+      auction.orderEpoch(),
+      auction.epochDuration()
+    ]);
+    const current = await auction.epochs(currentEpoch);
+
+    // An epoch opened by orders placed after the current one ended closes a
+    // full period after it is settled
+    return {
+      auction: await auction.getAddress(),
+      orderEpoch: Number(orderEpoch),
+      closesAt: orderEpoch === currentEpoch ? Number(current.endsAt) : null,
+      epochDuration: Number(epochDuration)
+    };
+  }
+
+  /**
+   * Order tokens for `reserveAmount` of the reserve in the open epoch
+   * The whole amount is escrowed; after settlement, claimOrders pays the
+   * tokens it bought at the epoch's clearing price plus any unspent reserve.
+   * Auction calls are always sent from the connected wallet, even in
+   * gasless mode.
+   */
+  async placeBuyOrder(reserveAmount) {
+    const auction = await this.requireBatchAuction();
+    const reserve = await this.getReserve();
+    const reserveWei = ethers.parseUnits(reserveAmount.toString(), reserve.decimals);
+
+    await this.approveReserve(reserveWei, await auction.getAddress());
+    const tx = await auction.placeBuyOrder(reserveWei, { value: reserve.isNative ? reserveWei : 0n });
+    console.log('Buy order submitted:', tx.hash);
+
+    const receipt = await tx.wait();
+    const event = this.parseAuctionEvent(auction, receipt, 'BuyOrderPlaced');
+    return { success: true, txHash: receipt.hash, epochId: Number(event.args.epochId) };
+  }
+
+  /**
+   * Order a sale of `amount` tokens in the open epoch
+   * The tokens are escrowed; after settlement, claimOrders pays the reserve
+   * they fetched at the epoch's clearing price plus any tokens left unsold.
+   */
+  async placeSellOrder(amount) {
+    const auction = await this.requireBatchAuction();
+    const auctionAddress = await auction.getAddress();
+    const decimals = await this.token.decimals();
+    const amountWei = ethers.parseUnits(amount.toString(), decimals);
+
+    const allowance = await this.token.allowance(await this.market.runner.getAddress(), auctionAddress);
+    if (allowance < amountWei) {
+      console.log('Approving tokens...');
+      const approveTx = await this.token.approve(auctionAddress, amountWei);
+      await approveTx.wait();
+      console.log('Approval confirmed');
+    }
+
+    const tx = await auction.placeSellOrder(amountWei);
+    console.log('Sell order submitted:', tx.hash);
+
+    const receipt = await tx.wait();
+    const event = this.parseAuctionEvent(auction, receipt, 'SellOrderPlaced');
+    return { success: true, txHash: receipt.hash, epochId: Number(event.args.epochId) };
+  }
+
+  /**
+   * Withdraw the connected wallet's orders from the open epoch
+   */
+  async cancelOrders() {
+    const auction = await this.requireBatchAuction();
+    const tx = await auction.cancelOrders();
+    const receipt = await tx.wait();
+    return { success: true, txHash: receipt.hash };
+  }
+
+  /**
+   * Orders `address` placed and has not claimed yet, by epoch
+   * Epochs come from the order events; amounts and claims from the
+   * auction's current state, so cancelled and claimed orders drop out.
+   */
+  async getOrders(address) {
+    const auction = await this.requireBatchAuction();
+    const [buys, sells, decimals, reserve] = await Promise.all([
+      auction.queryFilter(auction.filters.BuyOrderPlaced(null, address)),
+      auction.queryFilter(auction.filters.SellOrderPlaced(null, address)),
+      this.token.decimals(),
+      this.getReserve()
+    ]);
+    const epochIds = [...new Set([...buys, ...sells].map((event) => event.args.epochId))].sort((a, b) => (a < b ? -1 : 1));
+
+    const orders = await Promise.all(epochIds.map(async (epochId) => {
+      const [buyReserve, sellAmount, epoch, [tokens, reserveOwed]] = await Promise.all([
+        auction.buyOrders(epochId, address),
+        auction.sellOrders(epochId, address),
+        auction.epochs(epochId),
+        auction.claimable(epochId, address)
+      ]);
+      if (buyReserve === 0n && sellAmount === 0n) return null;
+
+      return {
+        epochId: Number(epochId),
+        buyReserve: ethers.formatUnits(buyReserve, reserve.decimals),
+        sellAmount: ethers.formatUnits(sellAmount, decimals),
+        settled: epoch.settled,
+        claimableTokens: ethers.formatUnits(tokens, decimals),
+        claimableReserve: ethers.formatUnits(reserveOwed, reserve.decimals)
+      };
+    }));
+    return orders.filter(Boolean);
+  }
+
+  /**
+   * Claim the connected wallet's tokens and reserve from a settled epoch
+   */
+  async claimOrders(epochId) {
+    const auction = await this.requireBatchAuction();
+    const [decimals, reserve] = await Promise.all([this.token.decimals(), this.getReserve()]);
+
+    const tx = await auction.claim(epochId);
+    console.log('Claim transaction submitted:', tx.hash);
+
+    const receipt = await tx.wait();
+    const event = this.parseAuctionEvent(auction, receipt, 'OrdersClaimed');
+    return {
+      success: true,
+      txHash: receipt.hash,
+      tokens: ethers.formatUnits(event.args.tokens, decimals),
+      reserve: ethers.formatUnits(event.args.reserve, reserve.decimals)
+    };
+  }
+
+  /**
+   * Find an auction event in a receipt
+   */
+  parseAuctionEvent(auction, receipt, name) {
+    return receipt.logs
+      .map(log => {
+        try {
+          return auction.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find(event => event && event.name === name);
+  }
+
   /**
    * Get user's token balance
    */
@@ -247,12 +1039,13 @@ class BondingCurveMarket {
   }
 
   /**
-   * Listen for Buy events
+   * Listen for buys; `recipient` received the tokens
    */
   onBuy(callback) {
-    this.market.on('Buy', (buyer, amount, cost, fee, event) => {
+    this.market.on('TokensPurchased', (buyer, recipient, amount, cost, fee, newSupply, event) => {
       callback({
         buyer,
+        recipient,
         amount: amount.toString(),
         cost: cost.toString(),
         fee: fee.toString(),
@@ -262,12 +1055,13 @@ class BondingCurveMarket {
   }
 
   /**
-   * Listen for Sell events
+   * Listen for sells; `recipient` was paid the proceeds
    */
   onSell(callback) {
-    this.market.on('Sell', (seller, amount, proceeds, fee, event) => {
+    this.market.on('TokensSold', (seller, recipient, amount, proceeds, fee, newSupply, event) => {
       callback({
         seller,
+        recipient,
         amount: amount.toString(),
         proceeds: proceeds.toString(),
         fee: fee.toString(),
@@ -276,25 +1070,79 @@ class BondingCurveMarket {
     });
   }
 
+  /**
+   * Listen for trading being paused or resumed
+   * Returns a function that stops listening
+   */
+  onPauseChange(callback) {
+    const paused = (account, event) => callback({ paused: true, account, event });
+    const unpaused = (account, event) => callback({ paused: false, account, event });
+    this.market.on('Paused', paused);
+    this.market.on('Unpaused', unpaused);
+    return () => {
+      this.market.off('Paused', paused);
+      this.market.off('Unpaused', unpaused);
+    };
+  }
+
+  /**
+   * Listen for the market graduating to an AMM pool
+   * Returns a function that stops listening
+   */
+  onGraduated(callback) {
+    const graduated = (pair, reserveAmount, tokenAmount, liquidity, event) => {
+      callback({
+        pair,
+        reserveAmount: reserveAmount.toString(),
+        tokenAmount: tokenAmount.toString(),
+        event
+      });
+    };
+    this.market.on('Graduated', graduated);
+    return () => this.market.off('Graduated', graduated);
+  }
+
+  /**
+   * Load the market's curve strategy as an offline curve
+   * Returns null for markets using the built-in linear curve
+   */
+  async getCurve() {
+    const curveAddress = await this.market.curve();
+    if (curveAddress === ethers.ZeroAddress) return null;
+
+    const strategy = new ethers.Contract(curveAddress, CURVE_STRATEGY_ABI, this.provider);
+    const [curveType, parameters] = await Promise.all([
+      strategy.curveType(),
+      strategy.curveParameters()
+    ]);
+    return createCurve(curveType, parameters);
+  }
+
   /**
    * Calculate price chart data points
+   * Prices come from the shared curve math, so they match getCurrentBuyPrice()
+   * for any curve shape
    */
   async calculatePriceChart(maxSupply, points = 100) {
-    const basePrice = await this.market.basePrice();
-    const slope = await this.market.slope();
-    const currentSupply = await this.market.totalSupply();
-    const decimals = await this.token.decimals();
+    const [basePrice, slope, currentSupply, decimals, curve, reserve] = await Promise.all([
+      this.market.basePrice(),
+      this.market.slope(),
+      this.market.currentSupply(),
+      this.token.decimals(),
+      this.getCurve(),
+      this.getReserve()
+    ]);
     
     const data = [];
     const step = maxSupply / points;
     
     for (let i = 0; i <= points; i++) {
-      const supply = BigInt(Math.floor(i * step));
-      const price = basePrice + slope * supply / BigInt(10 ** decimals);
+      const supply = ethers.parseUnits(Math.floor(i * step).toString(), decimals);
+      const price = getCurrentBuyPrice({ basePrice, slope, currentSupply: supply, decimals, curve });
       
       data.push({
         supply: Number(ethers.formatUnits(supply, decimals)),
-        price: Number(ethers.formatEther(price)),
+        price: Number(ethers.formatUnits(price, reserve.decimals)),
         isCurrent: supply === currentSupply
       });
     }
@@ -303,6 +1151,54 @@ class BondingCurveMarket {
   }
 }
 
+/**
+ * Client for the on-chain market registry
+ */
+class BondingCurveMarketFactory {
+  constructor(factoryAddress, provider, options = {}) {
+    this.factoryAddress = factoryAddress;
+    this.provider = provider;
+    this.options = options;
+    this.factory = new ethers.Contract(factoryAddress, FACTORY_ABI, provider);
+  }
+
+  /**
+   * List every market with the token it trades
+   */
+  async listMarkets(pageSize = 100) {
+    const total = Number(await this.factory.allMarketsLength());
+
+    const addresses = [];
+    for (let offset = 0; offset < total; offset += pageSize) {
+      addresses.push(...await this.factory.getMarkets(offset, pageSize));
+    }
+
+    return Promise.all(addresses.map(async (marketAddress) => {
+      const market = new ethers.Contract(marketAddress, BONDING_CURVE_ABI, this.provider);
+      return { market: marketAddress, token: await market.token() };
+    }));
+  }
+
+  /**
+   * Get a market client for a token, or null if the token has no market
+   */
+  async getMarketByToken(tokenAddress) {
+    const marketAddress = await this.factory.getMarketByToken(tokenAddress);
+    if (marketAddress === ethers.ZeroAddress) return null;
+
+    return new BondingCurveMarket(marketAddress, tokenAddress, this.provider, this.options);
+  }
+
+  /**
+   * Listen for newly created markets
+   */
+  onMarketCreated(callback) {
+    this.factory.on('MarketCreated', (token, market, creator, index, event) => {
+      callback({ token, market, creator, index: Number(index), event });
+    });
+  }
+}
+
 // Usage Example
 async function example() {
   // Initialize
@@ -324,10 +1220,28 @@ async function example() {
   const buyQuote = await market.getBuyQuote(10);
   console.log('Buy Quote for 10 tokens:', buyQuote);
   
+  // Markets may cap buys per transaction, wallet and block; clamp a large
+  // order to what the wallet may buy now instead of signing a revert
+  const cappedQuote = await market.getBuyQuote(100000, { clamp: true });
+  console.log(cappedQuote.warning ?? 'No limit hit', cappedQuote.amount);
+  
   // Execute buy with 5% slippage
   const buyResult = await market.buy(10, 5);
   console.log('Buy Result:', buyResult);
   
+  // Spend exactly 0.1 ETH
+  const ethQuote = await market.getBuyAmountForEth(0.1);
+  console.log('Tokens for 0.1 ETH:', ethQuote.amount);
+  const exactEthResult = await market.buyWithExactEth(0.1, 5);
+  console.log('Exact ETH Buy Result:', exactEthResult);
+  
+  // Markets priced in an ERC20 reserve (e.g. a stablecoin) take the budget in
+  // that token; the SDK approves the market first when needed
+  const reserve = await market.getReserve();
+  console.log('Reserve asset:', reserve.symbol);
+  const exactReserveResult = await market.buyWithExactReserve(100, 5);
+  console.log('Exact Reserve Buy Result:', exactReserveResult);
+  
   // Get sell quote
   const sellQuote = await market.getSellQuote(5);
   console.log('Sell Quote for 5 tokens:', sellQuote);
@@ -336,6 +1250,50 @@ async function example() {
   const sellResult = await market.sell(5, 5);
   console.log('Sell Result:', sellResult);
   
+  // Swap into another market's token in one transaction (same reserve asset)
+  const OTHER_MARKET_ADDRESS = '0x...';
+  const routed = new BondingCurveMarket(MARKET_ADDRESS, TOKEN_ADDRESS, provider, { router: '0x...' });
+  await routed.connectWallet();
+  const swapQuote = await routed.quoteSwap(OTHER_MARKET_ADDRESS, 5);
+  console.log(`5 tokens swap into ${swapQuote.amountOut}`, swapQuote);
+  console.log('Swap Result:', await routed.swap(OTHER_MARKET_ADDRESS, 5, 2));
+  
+  // Buy for someone else; tokens go to the recipient, the connected wallet pays
+  const giftResult = await market.buy(10, 5, { recipient: '0x...' });
+  console.log('Gift Buy Result:', giftResult);
+  
+  // Gasless trading: requests are signed here and submitted by a relayer
+  // that pays the gas (sells, fee claims, and buys in ERC20-priced markets)
+  const gasless = new BondingCurveMarket(MARKET_ADDRESS, TOKEN_ADDRESS, provider, {
+    relayer: { url: 'http://localhost:8546', forwarder: '0x...' }
+  });
+  await gasless.connectWallet();
+  console.log('Gasless Sell Result:', await gasless.sell(5, 5));
+  
+  // A client built with a referrer routes trades through buyWithReferrer /
+  // sellWithReferrer; the referrer later claims its share of the fees
+  const referred = new BondingCurveMarket(MARKET_ADDRESS, TOKEN_ADDRESS, provider, { referrer: '0x...' });
+  await referred.connectWallet();
+  await referred.buy(10, 5);
+  console.log('Claimable fees:', await market.getClaimableFees(await signer.getAddress()));
+  
+  // Batch-auction markets take orders instead: each epoch clears every order
+  // at one price, so a trade cannot be sandwiched within it
+  if (await market.getBatchAuction()) {
+    const { orderEpoch, closesAt } = await market.getAuctionInfo();
+    console.log(`Orders join epoch ${orderEpoch}, closing at ${closesAt}`);
+    await market.placeBuyOrder(0.5);
+    
+    // Once a keeper has settled the epoch, claim the tokens and any unspent reserve
+    for (const order of await market.getOrders(await signer.getAddress())) {
+      if (order.settled) console.log('Claimed:', await market.claimOrders(order.epochId));
+    }
+  }
+  
+  // Once graduated, the market points to the AMM pool trading continues on
+  const graduation = await market.getGraduation();
+  console.log(graduation.graduated ? `Trade on ${graduation.pair}` : `Graduation progress: ${graduation.progress}`);
+  
   // Get price chart
   const chartData = await market.calculatePriceChart(10000, 100);
   console.log('Chart Data:', chartData);
@@ -372,9 +1330,20 @@ class BondingCurveWidget extends React.Component {
   }
 
   async componentDidMount() {
+    // Refresh as soon as trading is paused, resumed or moves to the AMM.
+    // Subscribed before loading, so an unmount during the load still removes them
+    this.unsubscribe = [
+      this.market.onPauseChange(() => this.loadMarketInfo()),
+      this.market.onGraduated(() => this.loadMarketInfo())
+    ];
     await this.loadMarketInfo();
   }
 
+  componentWillUnmount() {
+    this.unsubscribe.forEach((stop) => stop());
+    this.unmounted = true;
+  }
+
   async connectWallet() {
     try {
       await this.market.connectWallet();
@@ -387,7 +1356,9 @@ class BondingCurveWidget extends React.Component {
 
   async loadMarketInfo() {
     const info = await this.market.getMarketInfo();
-    this.setState({ marketInfo: info });
+    if (!this.unmounted) {
+      this.setState({ marketInfo: info });
+    }
   }
 
   async updateBuyQuote(amount) {
@@ -452,6 +1423,9 @@ class BondingCurveWidget extends React.Component {
 
   render() {
     const { connected, marketInfo, buyAmount, sellAmount, buyQuote, sellQuote, loading } = this.state;
+    const paused = Boolean(marketInfo && marketInfo.paused);
+    const graduated = Boolean(marketInfo && marketInfo.graduated);
+    const closed = paused || graduated;
 
     return (
       <div className="bonding-curve-widget">
@@ -461,13 +1435,25 @@ class BondingCurveWidget extends React.Component {
           </button>
         ) : (
           <>
+            {paused && !graduated && (
+              <div className="paused-banner">
+                Trading is currently paused by the market operator.
+              </div>
+            )}
+
+            {graduated && (
+              <div className="graduated-banner">
+                This market has graduated. Trade {marketInfo.tokenSymbol} on its AMM pool at {marketInfo.graduatedPair}.
+              </div>
+            )}
+
             <div className="market-info">
               <h3>Market Information</h3>
               {marketInfo && (
                 <>
                   <p>Token: {marketInfo.tokenSymbol}</p>
-                  <p>Current Buy Price: {marketInfo.buyPrice} ETH</p>
-                  <p>Current Sell Price: {marketInfo.sellPrice} ETH</p>
+                  <p>Current Buy Price: {marketInfo.buyPrice} {marketInfo.reserveSymbol}</p>
+                  <p>Current Sell Price: {marketInfo.sellPrice} {marketInfo.reserveSymbol}</p>
                   <p>Total Supply: {marketInfo.supply}</p>
                   <p>Buy Fee: {marketInfo.buyFeePercent}%</p>
                   <p>Sell Fee: {marketInfo.sellFeePercent}%</p>
@@ -489,12 +1475,13 @@ class BondingCurveWidget extends React.Component {
               />
               {buyQuote && (
                 <div className="quote">
-                  <p>Cost: {buyQuote.totalCost} ETH</p>
-                  <p>Fee: {buyQuote.fee} ETH</p>
-                  <p>Avg Price: {buyQuote.averagePrice} ETH</p>
+                  {buyQuote.warning && <p className="warning">{buyQuote.warning}</p>}
+                  <p>Cost: {buyQuote.totalCost} {marketInfo?.reserveSymbol}</p>
+                  <p>Fee: {buyQuote.fee} {marketInfo?.reserveSymbol}</p>
+                  <p>Avg Price: {buyQuote.averagePrice} {marketInfo?.reserveSymbol}</p>
                 </div>
               )}
-              <button onClick={() => this.executeBuy()} disabled={loading || !buyAmount}>
+              <button onClick={() => this.executeBuy()} disabled={loading || closed || !buyAmount}>
                 {loading ? 'Processing...' : 'Buy'}
               </button>
             </div>
@@ -513,12 +1500,12 @@ class BondingCurveWidget extends React.Component {
               />
               {sellQuote && (
                 <div className="quote">
-                  <p>Proceeds: {sellQuote.netProceeds} ETH</p>
-                  <p>Fee: {sellQuote.fee} ETH</p>
-                  <p>Avg Price: {sellQuote.averagePrice} ETH</p>
+                  <p>Proceeds: {sellQuote.netProceeds} {marketInfo?.reserveSymbol}</p>
+                  <p>Fee: {sellQuote.fee} {marketInfo?.reserveSymbol}</p>
+                  <p>Avg Price: {sellQuote.averagePrice} {marketInfo?.reserveSymbol}</p>
                 </div>
               )}
-              <button onClick={() => this.executeSell()} disabled={loading || !sellAmount}>
+              <button onClick={() => this.executeSell()} disabled={loading || closed || !sellAmount}>
                 {loading ? 'Processing...' : 'Sell'}
               </button>
             </div>
@@ -529,4 +1516,4 @@ class BondingCurveWidget extends React.Component {
   }
 }
 
-export { BondingCurveMarket, BondingCurveWidget };
+export { BondingCurveMarket, BondingCurveMarketFactory, BondingCurveWidget };
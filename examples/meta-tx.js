@@ -0,0 +1,152 @@
+/**
+ * EIP-2771 Meta-Transactions for BondingCurveMarket
+ *
+ * Shared by the frontend client, which signs requests, and relayer.js,
+ * which checks and submits them. A request is OpenZeppelin's
+ * ERC2771Forwarder ForwardRequest: the user signs it as EIP-712 typed data
+ * under BondingCurveForwarder's domain, and a relayer passes it to the
+ * forwarder's execute, paying the gas. A market whose trustedForwarder is
+ * that forwarder treats the signer as the caller.
+ *
+ * Requests travel as JSON, so serializeForwardRequest turns the BigInt
+ * fields into decimal strings and parseForwardRequest turns them back.
+ */
+
+const { ethers } = require('ethers');
+
+const FORWARDER_ABI = [
+  "function execute((address from, address to, uint256 value, uint256 gas, uint48 deadline, bytes data, bytes signature) request) external payable",
+  "function verify((address from, address to, uint256 value, uint256 gas, uint48 deadline, bytes data, bytes signature) request) external view returns (bool)",
+  "function nonces(address owner) external view returns (uint256)",
+  "function eip712Domain() external view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+  "event ExecutedForwardRequest(address indexed signer, uint256 nonce, bool success)"
+];
+
+// ERC2771Forwarder's EIP-712 type. The signed message includes the signer's
+// nonce; the submitted request carries the signature instead
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint48' },
+    { name: 'data', type: 'bytes' }
+  ]
+};
+
+// Headroom added to the estimated gas of the forwarded call
+const GAS_MARGIN_PERCENT = 20n;
+
+/**
+ * EIP-712 domain of a forwarder contract, as read from the chain
+ */
+async function getForwarderDomain(forwarder) {
+  const domain = await forwarder.eip712Domain();
+  return {
+    name: domain.name,
+    version: domain.version,
+    chainId: domain.chainId,
+    verifyingContract: domain.verifyingContract
+  };
+}
+
+/**
+ * Sign a call to `to` as a ForwardRequest
+ * `gas` defaults to an estimate of the call as the target will see it:
+ * sent by the forwarder, with the signer appended to the calldata.
+ * Returns the request ready for execute, with BigInt fields.
+ */
+async function signForwardRequest(signer, forwarder, { to, data, deadline, value = 0n, gas = null }) {
+  const from = await signer.getAddress();
+
+  if (gas === null) {
+    const estimate = await signer.provider.estimateGas({
+      from: await forwarder.getAddress(),
+      to,
+      value,
+      data: ethers.concat([data, from])
+    });
+    gas = estimate + estimate * GAS_MARGIN_PERCENT / 100n;
+  }
+
+  const [nonce, domain] = await Promise.all([
+    forwarder.nonces(from),
+    getForwarderDomain(forwarder)
+  ]);
+  const request = {
+    from,
+    to: ethers.getAddress(to),
+    value: BigInt(value),
+    gas: BigInt(gas),
+    deadline: BigInt(deadline),
+    data
+  };
+
+  const signature = await signer.signTypedData(domain, FORWARD_REQUEST_TYPES, { ...request, nonce });
+  return { ...request, signature };
+}
+
+/**
+ * Address that signed `request` under `domain` with the given nonce
+ */
+function recoverForwardRequestSigner(domain, request, nonce) {
+  const { signature, ...message } = request;
+  return ethers.verifyTypedData(domain, FORWARD_REQUEST_TYPES, { ...message, nonce }, signature);
+}
+
+/**
+ * JSON-safe copy of a request: BigInt fields as decimal strings
+ */
+function serializeForwardRequest(request) {
+  return {
+    from: request.from,
+    to: request.to,
+    value: request.value.toString(),
+    gas: request.gas.toString(),
+    deadline: request.deadline.toString(),
+    data: request.data,
+    signature: request.signature
+  };
+}
+
+/**
+ * Request from its JSON form, throwing on missing or malformed fields
+ */
+function parseForwardRequest(json) {
+  const field = (name, parse) => {
+    if (json?.[name] === undefined || json[name] === null) {
+      throw new Error(`Malformed request: missing ${name}`);
+    }
+    try {
+      return parse(json[name]);
+    } catch {
+      throw new Error(`Malformed request: invalid ${name}`);
+    }
+  };
+  const bytes = (value) => {
+    if (!ethers.isHexString(value)) throw new Error();
+    return value;
+  };
+
+  return {
+    from: field('from', ethers.getAddress),
+    to: field('to', ethers.getAddress),
+    value: field('value', BigInt),
+    gas: field('gas', BigInt),
+    deadline: field('deadline', BigInt),
+    data: field('data', bytes),
+    signature: field('signature', bytes)
+  };
+}
+
+module.exports = {
+  FORWARDER_ABI,
+  FORWARD_REQUEST_TYPES,
+  getForwarderDomain,
+  signForwardRequest,
+  recoverForwardRequestSigner,
+  serializeForwardRequest,
+  parseForwardRequest
+};
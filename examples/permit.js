@@ -0,0 +1,92 @@
+/**
+ * EIP-2612 Permits for BondingCurveMarket
+ *
+ * Shared by the frontend and backend clients. A seller whose token supports
+ * permit signs the approval off-chain and passes it to the market's
+ * sellWithPermit, instead of sending and waiting for an approve transaction.
+ *
+ * signPermit returns null for tokens without permit, and for tokens whose
+ * EIP-712 domain cannot be reproduced (a signature under the wrong domain
+ * would be ignored by the market and the sell would revert), so callers
+ * fall back to approve.
+ */
+
+const { ethers } = require('ethers');
+
+const PERMIT_ABI = [
+  "function nonces(address owner) external view returns (uint256)",
+  "function DOMAIN_SEPARATOR() external view returns (bytes32)",
+  "function eip712Domain() external view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+  "function name() external view returns (string)"
+];
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+/**
+ * EIP-712 domain `tokenAddress` signs permits under, or null if it has no permit
+ * Read from ERC-5267 eip712Domain() where available, otherwise assumed to be
+ * the token's name with version "1"; either way it must hash to the
+ * token's DOMAIN_SEPARATOR().
+ */
+async function getPermitDomain(tokenAddress, runner) {
+  const token = new ethers.Contract(tokenAddress, PERMIT_ABI, runner);
+
+  let separator;
+  try {
+    separator = await token.DOMAIN_SEPARATOR();
+  } catch {
+    return null;
+  }
+
+  let domain;
+  try {
+    const { name, version, chainId, verifyingContract } = await token.eip712Domain();
+    domain = { name, version, chainId, verifyingContract };
+  } catch {
+    const { chainId } = await runner.provider.getNetwork();
+    domain = { name: await token.name(), version: '1', chainId, verifyingContract: tokenAddress };
+  }
+
+  return ethers.TypedDataEncoder.hashDomain(domain) === separator ? domain : null;
+}
+
+/**
+ * Sign a permit letting `spender` take `value` of the signer's tokens until `deadline`
+ * Returns `{ deadline, v, r, s }` for sellWithPermit, or null if the token
+ * has no usable permit.
+ */
+async function signPermit(signer, tokenAddress, spender, value, deadline) {
+  const domain = await getPermitDomain(tokenAddress, signer);
+  if (!domain) {
+    return null;
+  }
+
+  const owner = await signer.getAddress();
+  const token = new ethers.Contract(tokenAddress, PERMIT_ABI, signer);
+  const nonce = await token.nonces(owner);
+
+  const signature = await signer.signTypedData(domain, PERMIT_TYPES, {
+    owner,
+    spender,
+    value,
+    nonce,
+    deadline
+  });
+  const { v, r, s } = ethers.Signature.from(signature);
+  return { deadline: BigInt(deadline), v, r, s };
+}
+
+module.exports = {
+  PERMIT_ABI,
+  PERMIT_TYPES,
+  getPermitDomain,
+  signPermit
+};
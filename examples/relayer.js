@@ -0,0 +1,275 @@
+/**
+ * Gasless Trading Relayer for BondingCurveMarket
+ *
+ * Accepts EIP-712 signed ForwardRequests over HTTP and submits them through
+ * BondingCurveForwarder, paying the gas from the relayer's wallet. Holders
+ * without ETH can then sell, claim fees, or buy from ERC20-priced markets;
+ * with sellWithPermit, a seller of a permit token needs no approve either.
+ *
+ * Every request is checked before any gas is spent:
+ * - the target is one of the configured markets and the function is relayed
+ * - it carries no ETH, asks for no more than maxGasPerRequest and has not expired
+ * - the signature recovers to `from` under the forwarder's current nonce
+ * - `from` is within its quota of requests per window
+ * - the forwarded call succeeds when simulated
+ *
+ * Quotas are kept in memory, so they reset when the process restarts; run
+ * one instance, or back `usage` with a shared store.
+ *
+ * HTTP API:
+ *   POST /relay            body: serialized request (see meta-tx.js)  -> { hash, function }
+ *   GET  /quota/<address>                                             -> { used, limit, resetsAt }
+ */
+
+const http = require('http');
+const { ethers } = require('ethers');
+const {
+  FORWARDER_ABI,
+  getForwarderDomain,
+  recoverForwardRequestSigner,
+  parseForwardRequest
+} = require('./meta-tx');
+
+// Market functions a relayer may forward, with their ABI
+const RELAYED_MARKET_ABI = [
+  "function buy(uint256 amount, uint256 maxCost, uint256 deadline) external payable",
+  "function buyFor(uint256 amount, uint256 maxCost, uint256 deadline, address recipient) external payable",
+  "function buyWithReferrer(uint256 amount, uint256 maxCost, uint256 deadline, address referrer) external payable",
+  "function buyWithExactReserve(uint256 reserveAmount, uint256 minAmount, uint256 deadline) external payable returns (uint256 amount)",
+  "function sell(uint256 amount, uint256 minProceeds, uint256 deadline) external",
+  "function sellFrom(uint256 amount, uint256 minProceeds, uint256 deadline, address recipient) external",
+  "function sellWithReferrer(uint256 amount, uint256 minProceeds, uint256 deadline, address referrer) external",
+  "function sellWithPermit(uint256 amount, uint256 minProceeds, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external",
+  "function claimFees() external returns (uint256 amount)"
+];
+
+const DEFAULT_ALLOWED_FUNCTIONS = [
+  'buy',
+  'buyFor',
+  'buyWithReferrer',
+  'buyWithExactReserve',
+  'sell',
+  'sellFrom',
+  'sellWithReferrer',
+  'sellWithPermit',
+  'claimFees'
+];
+
+// Largest request body accepted over HTTP
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Error carrying the HTTP status the server answers with
+ */
+function rejection(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class MetaTxRelayer {
+  constructor(forwarderAddress, wallet, options = {}) {
+    this.wallet = wallet;
+    this.forwarder = new ethers.Contract(forwarderAddress, FORWARDER_ABI, wallet);
+    this.marketInterface = new ethers.Interface(RELAYED_MARKET_ABI);
+
+    // Markets requests may target; anything else is rejected
+    this.markets = new Set((options.markets ?? []).map((address) => ethers.getAddress(address)));
+    this.allowedFunctions = new Set(options.allowedFunctions ?? DEFAULT_ALLOWED_FUNCTIONS);
+
+    // Per-user quota: at most maxRequestsPerWindow relayed requests per windowSeconds
+    this.maxRequestsPerWindow = options.maxRequestsPerWindow ?? 10;
+    this.windowSeconds = options.windowSeconds ?? 24 * 60 * 60;
+    this.maxGasPerRequest = BigInt(options.maxGasPerRequest ?? 500000);
+
+    // Signer address -> one { timestamp } slot (seconds) per request counted
+    // against its quota; a refused request removes its own slot object
+    this.usage = new Map();
+    this.domain = null;
+  }
+
+  /**
+   * Requests `address` has left in the current window
+   */
+  getQuota(address, now = Math.floor(Date.now() / 1000)) {
+    const recent = this.recentRequests(ethers.getAddress(address), now);
+    return {
+      used: recent.length,
+      limit: this.maxRequestsPerWindow,
+      resetsAt: recent.length > 0 ? recent[0].timestamp + this.windowSeconds : null
+    };
+  }
+
+  /**
+   * Slots of `address`'s requests still inside the window
+   */
+  recentRequests(address, now) {
+    const recent = (this.usage.get(address) ?? []).filter((slot) => slot.timestamp > now - this.windowSeconds);
+    this.usage.set(address, recent);
+    return recent;
+  }
+
+  /**
+   * Check a request and submit it through the forwarder
+   * `payload` is the request in its JSON form. Throws an error with an
+   * HTTP `status` if the request is refused.
+   */
+  async relay(payload) {
+    let request;
+    try {
+      request = parseForwardRequest(payload);
+    } catch (error) {
+      throw rejection(400, error.message);
+    }
+    const now = Math.floor(Date.now() / 1000);
+
+    if (!this.markets.has(request.to)) {
+      throw rejection(403, `Not a relayed market: ${request.to}`);
+    }
+    let call;
+    try {
+      call = this.marketInterface.parseTransaction({ data: request.data });
+    } catch {
+      throw rejection(400, 'Unsupported call');
+    }
+    if (!call || !this.allowedFunctions.has(call.name)) {
+      throw rejection(403, 'Function is not relayed');
+    }
+    if (request.value !== 0n) {
+      throw rejection(400, 'Relayed requests cannot carry ETH');
+    }
+    if (request.gas > this.maxGasPerRequest) {
+      throw rejection(400, `Gas limit above ${this.maxGasPerRequest}`);
+    }
+    if (request.deadline <= BigInt(now)) {
+      throw rejection(400, 'Request expired');
+    }
+
+    // Checked off-chain so a bad signature never costs gas
+    this.domain ??= await getForwarderDomain(this.forwarder);
+    const nonce = await this.forwarder.nonces(request.from);
+    let signer;
+    try {
+      signer = recoverForwardRequestSigner(this.domain, request, nonce);
+    } catch {
+      signer = null;
+    }
+    if (signer !== request.from) {
+      throw rejection(401, 'Invalid signature');
+    }
+
+    // Reserve a slot before awaiting anything else, so parallel requests
+    // from one signer cannot overrun the quota
+    const recent = this.recentRequests(request.from, now);
+    if (recent.length >= this.maxRequestsPerWindow) {
+      throw rejection(429, `Quota of ${this.maxRequestsPerWindow} requests per ${this.windowSeconds}s used up`);
+    }
+    const slot = { timestamp: now };
+    recent.push(slot);
+
+    try {
+      // A call that reverts would still cost the relayer its gas
+      try {
+        await this.forwarder.execute.staticCall(request);
+      } catch (error) {
+        throw rejection(422, `Request would revert: ${error.reason ?? error.shortMessage ?? error.message}`);
+      }
+
+      const tx = await this.forwarder.execute(request);
+      console.log(`Relayed ${call.name} for ${request.from}: ${tx.hash}`);
+      return { hash: tx.hash, function: call.name };
+    } catch (error) {
+      // Refused requests do not count against the quota. Parallel requests
+      // may have replaced the array since, but it still holds this slot
+      const current = this.usage.get(request.from) ?? [];
+      const index = current.indexOf(slot);
+      if (index !== -1) current.splice(index, 1);
+      throw error;
+    }
+  }
+
+  /**
+   * Serve the HTTP API on `port`; resolves with the listening server
+   */
+  listen(port = 8546) {
+    const server = http.createServer((req, res) => this.handle(req, res));
+    return new Promise((resolve) => server.listen(port, () => resolve(server)));
+  }
+
+  async handle(req, res) {
+    const send = (status, body) => {
+      res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type'
+      });
+      res.end(body === undefined ? undefined : JSON.stringify(body));
+    };
+
+    try {
+      if (req.method === 'OPTIONS') {
+        return send(204);
+      }
+      if (req.method === 'POST' && req.url === '/relay') {
+        return send(200, await this.relay(await readJson(req)));
+      }
+      const quota = req.method === 'GET' && req.url.match(/^\/quota\/(0x[0-9a-fA-F]{40})$/);
+      if (quota) {
+        return send(200, this.getQuota(quota[1]));
+      }
+      send(404, { error: 'Not found' });
+    } catch (error) {
+      if (!error.status) console.error('Relay failed:', error);
+      send(error.status ?? 500, { error: error.status ? error.message : 'Relay failed' });
+    }
+  }
+}
+
+/**
+ * Parse a JSON request body of at most MAX_BODY_BYTES
+ */
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(rejection(413, 'Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch {
+        reject(rejection(400, 'Body is not JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+async function main() {
+  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+  const wallet = new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, provider);
+
+  const relayer = new MetaTxRelayer(process.env.FORWARDER_ADDRESS, wallet, {
+    markets: (process.env.MARKET_ADDRESSES ?? '').split(',').filter(Boolean),
+    maxRequestsPerWindow: Number(process.env.MAX_REQUESTS_PER_DAY ?? 10)
+  });
+
+  const port = Number(process.env.PORT ?? 8546);
+  await relayer.listen(port);
+  console.log(`Relayer ${wallet.address} listening on port ${port} for ${[...relayer.markets].join(', ')}`);
+}
+
+module.exports = {
+  MetaTxRelayer,
+  RELAYED_MARKET_ABI,
+  DEFAULT_ALLOWED_FUNCTIONS
+};
+
+// Run the relayer if called directly
+if (require.main === module) {
+  main().catch(console.error);
+}
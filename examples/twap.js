@@ -0,0 +1,109 @@
+/**
+ * Off-chain TWAP for BondingCurveMarket
+ *
+ * Rebuilds the price a market held from its indexed events and averages it
+ * over time the way BondingCurveOracle.consult does, so off-chain and
+ * on-chain numbers can be checked against each other to the wei.
+ *
+ * The price is getCurrentBuyPrice() (via curve-math.js) after the last
+ * trade or curve change in a block, and counts from that block's timestamp
+ * until the next block that moves it - the same rule as the market's
+ * price accumulator.
+ *
+ * getPriceHistory reads the market's state at `fromBlock`, so for old
+ * blocks it needs a node that serves historical state (an archive node).
+ */
+
+const { ethers } = require('ethers');
+const { getCurrentBuyPrice } = require('./curve-math');
+
+const PRICE_HISTORY_ABI = [
+  "function currentSupply() external view returns (uint256)",
+  "function basePrice() external view returns (uint256)",
+  "function slope() external view returns (uint256)",
+  "function tokenDecimals() external view returns (uint8)",
+  "event TokensPurchased(address indexed buyer, address indexed recipient, uint256 amount, uint256 cost, uint256 fee, uint256 newSupply)",
+  "event TokensSold(address indexed seller, address indexed recipient, uint256 amount, uint256 proceeds, uint256 fee, uint256 newSupply)",
+  "event CurveParametersUpdated(uint256 newBasePrice, uint256 newSlope)"
+];
+
+const ORACLE_ABI = [
+  "function consult(uint32 window) external view returns (uint256 price)",
+  "function priceCumulative() external view returns (uint256)",
+  "function maxWindow() external view returns (uint256)",
+  "function market() external view returns (address)"
+];
+
+/**
+ * Prices a market held from `fromBlock` to `toBlock`, oldest first
+ * Returns `[{ blockNumber, timestamp, price }]`: the state at `fromBlock`,
+ * then one entry per later block whose trades or curve change moved the
+ * price. Pass the market's curve (from curve-shapes.js) if it has one.
+ */
+async function getPriceHistory(marketAddress, provider, fromBlock, toBlock = 'latest', { curve = null } = {}) {
+  const market = new ethers.Contract(marketAddress, PRICE_HISTORY_ABI, provider);
+  const at = { blockTag: fromBlock };
+
+  const [currentSupply, basePrice, slope, decimals, startBlock, ...logs] = await Promise.all([
+    market.currentSupply(at),
+    market.basePrice(at),
+    market.slope(at),
+    market.tokenDecimals(),
+    provider.getBlock(fromBlock),
+    market.queryFilter('TokensPurchased', fromBlock + 1, toBlock),
+    market.queryFilter('TokensSold', fromBlock + 1, toBlock),
+    market.queryFilter('CurveParametersUpdated', fromBlock + 1, toBlock)
+  ]);
+
+  const state = { currentSupply, basePrice, slope, decimals, curve };
+  const history = [{ blockNumber: fromBlock, timestamp: startBlock.timestamp, price: getCurrentBuyPrice(state) }];
+
+  const events = logs.flat().sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+  for (let i = 0; i < events.length; i++) {
+    const event = events[i];
+    if (event.eventName === 'CurveParametersUpdated') {
+      state.basePrice = event.args.newBasePrice;
+      state.slope = event.args.newSlope;
+    } else {
+      state.currentSupply = event.args.newSupply;
+    }
+
+    // Only the price after a block's last change counts
+    if (events[i + 1]?.blockNumber !== event.blockNumber) {
+      const block = await event.getBlock();
+      history.push({ blockNumber: event.blockNumber, timestamp: block.timestamp, price: getCurrentBuyPrice(state) });
+    }
+  }
+
+  return history;
+}
+
+/**
+ * Time-weighted average price over the `window` seconds ending at `end`
+ * Rounded down like BondingCurveOracle.consult; `history` (from
+ * getPriceHistory) must start at or before `end - window`.
+ */
+function computeTwap(history, window, end) {
+  const start = BigInt(end) - BigInt(window);
+  if (window <= 0 || history.length === 0 || BigInt(history[0].timestamp) > start) {
+    throw new Error('Price history does not cover the window');
+  }
+
+  let total = 0n;
+  for (let i = 0; i < history.length; i++) {
+    const from = BigInt(history[i].timestamp) > start ? BigInt(history[i].timestamp) : start;
+    const next = i + 1 < history.length ? BigInt(history[i + 1].timestamp) : BigInt(end);
+    const to = next < BigInt(end) ? next : BigInt(end);
+    if (to > from) {
+      total += BigInt(history[i].price) * (to - from);
+    }
+  }
+  return total / BigInt(window);
+}
+
+module.exports = {
+  PRICE_HISTORY_ABI,
+  ORACLE_ABI,
+  getPriceHistory,
+  computeTwap
+};
@@ -1,17 +1,21 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("@nomicfoundation/hardhat-verify");
+require("@openzeppelin/hardhat-upgrades");
 require("hardhat-gas-reporter");
 require("solidity-coverage");
 require("dotenv").config();
+require("./tasks/market-admin");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
     version: "0.8.20",
     settings: {
+      // Low runs favour code size over call cost, keeping BondingCurveMarket
+      // under the 24KB contract size limit (EIP-170)
       optimizer: {
         enabled: true,
-        runs: 200,
+        runs: 50,
       },
       viaIR: false,
     },
@@ -0,0 +1,82 @@
+const { ethers } = require("hardhat");
+const { deployMarketDeployer } = require("./market-deployer");
+
+/**
+ * Deploy BondingCurveMarketFactory, a BondingCurveRouter for swaps
+ * between its markets and a BondingCurveForwarder for gasless trading
+ *
+ * Markets are then created with `FACTORY_ADDRESS=<factory> scripts/deploy.js`
+ * and listed from the factory's registry instead of console output.
+ */
+async function main() {
+  console.log("Starting BondingCurveMarketFactory deployment...\n");
+
+  const [deployer] = await ethers.getSigners();
+  console.log("Deploying with account:", deployer.address);
+  console.log("Account balance:", ethers.formatEther(await ethers.provider.getBalance(deployer.address)), "ETH\n");
+
+  // The market creation code is too large to embed in the factory: it is
+  // stored in data contracts that BondingCurveMarketDeployer reads back
+  const { marketDeployer, chunks } = await deployMarketDeployer(deployer);
+  const marketDeployerAddress = await marketDeployer.getAddress();
+  console.log("✅ Market code stored in:              ", chunks.join(", "));
+  console.log("✅ BondingCurveMarketDeployer deployed to:", marketDeployerAddress);
+
+  const Factory = await ethers.getContractFactory("BondingCurveMarketFactory");
+  const factory = await Factory.deploy(marketDeployerAddress);
+  await factory.waitForDeployment();
+  const factoryAddress = await factory.getAddress();
+
+  console.log("✅ BondingCurveMarketFactory deployed to:", factoryAddress);
+  console.log("✅ Owner (may create markets):         ", await factory.owner());
+
+  // Stateless: swaps any two markets that share a reserve asset
+  const Router = await ethers.getContractFactory("BondingCurveRouter");
+  const router = await Router.deploy();
+  await router.waitForDeployment();
+  const routerAddress = await router.getAddress();
+  console.log("✅ BondingCurveRouter deployed to:      ", routerAddress);
+
+  // EIP-2771 forwarder that relayers submit signed requests through;
+  // markets opt in with setTrustedForwarder
+  const Forwarder = await ethers.getContractFactory("BondingCurveForwarder");
+  const forwarder = await Forwarder.deploy();
+  await forwarder.waitForDeployment();
+  const forwarderAddress = await forwarder.getAddress();
+  console.log("✅ BondingCurveForwarder deployed to:   ", forwarderAddress);
+
+  console.log("\n📝 Save this for market deployments:");
+  console.log(`export FACTORY_ADDRESS=${factoryAddress}`);
+  console.log(`export ROUTER_ADDRESS=${routerAddress}`);
+  console.log(`export FORWARDER_ADDRESS=${forwarderAddress}`);
+
+  console.log("\n📋 Next Steps:");
+  console.log("1. Verify contract on block explorer:");
+  console.log(`   npx hardhat verify --network <network> ${marketDeployerAddress} '["${chunks.join('","')}"]'`);
+  console.log(`   npx hardhat verify --network <network> ${factoryAddress} ${marketDeployerAddress}`);
+  console.log(`   npx hardhat verify --network <network> ${routerAddress}`);
+  console.log(`   npx hardhat verify --network <network> ${forwarderAddress}`);
+  console.log("\n2. Create a market:");
+  console.log("   FACTORY_ADDRESS=... TOKEN_ADDRESS=... npx hardhat run scripts/deploy.js --network <network>");
+
+  return {
+    factory: factoryAddress,
+    marketDeployer: marketDeployerAddress,
+    router: routerAddress,
+    forwarder: forwarderAddress,
+    deployer: deployer.address
+  };
+}
+
+main()
+  .then(() => {
+    console.log("\n✅ Deployment completed successfully!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n❌ Deployment failed:");
+    console.error(error);
+    process.exit(1);
+  });
+
+module.exports = { main };
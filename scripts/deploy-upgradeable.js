@@ -0,0 +1,115 @@
+const { ethers, upgrades } = require("hardhat");
+
+/**
+ * Deploy BondingCurveMarketUpgradeable behind a UUPS proxy
+ *
+ * The upgrades plugin validates the implementation (no constructor logic,
+ * no selfdestruct or delegatecall, namespaced storage) before deploying it,
+ * and records its storage layout in .openzeppelin/<network>.json so that
+ * scripts/upgrade-market.js can check later versions against it. Commit
+ * that file.
+ */
+const DEPLOYMENT_CONFIG = {
+  // Token to trade; inventory mode needs the market funded afterwards
+  tokenAddress: process.env.TOKEN_ADDRESS || "",
+
+  // "inventory" or "mint-burn" (the token must then make the proxy its minter)
+  supplyMode: process.env.SUPPLY_MODE || "inventory",
+
+  // ERC20 reserve asset, or empty for native ETH
+  reserveAsset: process.env.RESERVE_ASSET || ethers.ZeroAddress,
+
+  // Curve parameters
+  basePrice: ethers.parseEther("0.001"), // Starting price: 0.001 ETH
+  slope: ethers.parseEther("0.0001"),    // Price increase per token: 0.0001 ETH
+
+  // Fee configuration (in basis points, 100 = 1%)
+  buyFeeBps: 250,
+  sellFeeBps: 250,
+  feeRecipient: process.env.FEE_RECIPIENT || "",
+};
+
+// BondingCurveMarketUpgradeable.SupplyMode values
+const SUPPLY_MODES = {
+  inventory: 0,
+  "mint-burn": 1
+};
+
+async function main() {
+  console.log("Starting BondingCurveMarketUpgradeable deployment...\n");
+
+  const [deployer] = await ethers.getSigners();
+  console.log("Deploying with account:", deployer.address);
+  console.log("Account balance:", ethers.formatEther(await ethers.provider.getBalance(deployer.address)), "ETH\n");
+
+  if (!DEPLOYMENT_CONFIG.tokenAddress) {
+    console.error("❌ ERROR: TOKEN_ADDRESS not set in environment or config");
+    process.exit(1);
+  }
+
+  const supplyMode = SUPPLY_MODES[DEPLOYMENT_CONFIG.supplyMode];
+  if (supplyMode === undefined) {
+    console.error("❌ ERROR: Unknown SUPPLY_MODE", DEPLOYMENT_CONFIG.supplyMode);
+    console.log("Supported modes:", Object.keys(SUPPLY_MODES).join(", "));
+    process.exit(1);
+  }
+
+  if (!DEPLOYMENT_CONFIG.feeRecipient) {
+    console.log("⚠️  Warning: FEE_RECIPIENT not set, using deployer address");
+    DEPLOYMENT_CONFIG.feeRecipient = deployer.address;
+  }
+
+  console.log("Deploying implementation and UUPS proxy...");
+  const Market = await ethers.getContractFactory("BondingCurveMarketUpgradeable");
+  const market = await upgrades.deployProxy(
+    Market,
+    [
+      DEPLOYMENT_CONFIG.tokenAddress,
+      DEPLOYMENT_CONFIG.basePrice,
+      DEPLOYMENT_CONFIG.slope,
+      DEPLOYMENT_CONFIG.buyFeeBps,
+      DEPLOYMENT_CONFIG.sellFeeBps,
+      DEPLOYMENT_CONFIG.feeRecipient,
+      DEPLOYMENT_CONFIG.reserveAsset,
+      supplyMode
+    ],
+    { kind: "uups", initializer: "initialize" }
+  );
+  await market.waitForDeployment();
+
+  const proxyAddress = await market.getAddress();
+  const implementationAddress = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+
+  console.log("✅ Proxy (market address):  ", proxyAddress);
+  console.log("✅ Implementation:          ", implementationAddress);
+  console.log("✅ Admin (may upgrade):     ", deployer.address);
+
+  console.log("\n📋 Next Steps:");
+  console.log("1. Verify the implementation and proxy on block explorer:");
+  console.log(`   npx hardhat verify --network <network> ${proxyAddress}`);
+  if (supplyMode === SUPPLY_MODES.inventory) {
+    console.log("\n2. Fund the market with tokens to sell:");
+    console.log(`   token.transfer("${proxyAddress}", amount)`);
+  } else {
+    console.log("\n2. Make the market the token's minter:");
+    console.log(`   token.setMinter("${proxyAddress}")`);
+  }
+  console.log("\n3. Move DEFAULT_ADMIN_ROLE to a timelock or multisig: it authorizes upgrades");
+  console.log("\n4. Upgrade later with:");
+  console.log(`   PROXY_ADDRESS=${proxyAddress} npx hardhat run scripts/upgrade-market.js --network <network>`);
+
+  return { proxy: proxyAddress, implementation: implementationAddress, deployer: deployer.address };
+}
+
+main()
+  .then(() => {
+    console.log("\n✅ Deployment completed successfully!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n❌ Deployment failed:");
+    console.error(error);
+    process.exit(1);
+  });
+
+module.exports = { main };
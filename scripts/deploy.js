@@ -5,13 +5,53 @@ const { ethers } = require("hardhat");
  * Customize these values before deployment
  */
 const DEPLOYMENT_CONFIG = {
-  // Token address (must be deployed first)
+  // Token address (must be deployed first in inventory mode)
   tokenAddress: process.env.TOKEN_ADDRESS || "0x0000000000000000000000000000000000000000",
   
+  // Supply mode: "inventory" sells a pre-funded balance of TOKEN_ADDRESS;
+  // "mint-burn" mints on buy and burns on sell. In mint-burn mode without a
+  // TOKEN_ADDRESS, a BondingCurveToken is deployed and the market made its minter
+  supplyMode: process.env.SUPPLY_MODE || "inventory",
+  tokenName: process.env.TOKEN_NAME || "Bonding Curve Token",
+  tokenSymbol: process.env.TOKEN_SYMBOL || "BCT",
+  
+  // Optional BondingCurveMarketFactory (scripts/deploy-factory.js): when set,
+  // the market is created through the factory and recorded in its registry
+  factoryAddress: process.env.FACTORY_ADDRESS || "",
+  
+  // Reserve asset buyers pay in: an ERC20 address (e.g. a stablecoin), or
+  // empty for native ETH. Prices below are in the reserve's base units
+  reserveAsset: process.env.RESERVE_ASSET || ethers.ZeroAddress,
+  
   // Curve parameters
   basePrice: ethers.parseEther("0.001"), // Starting price: 0.001 ETH
   slope: ethers.parseEther("0.0001"),    // Price increase per token: 0.0001 ETH
   
+  // Curve shape: "linear" uses basePrice/slope above; any other type deploys
+  // the matching strategy from contracts/curves with these constructor args
+  curveType: process.env.CURVE_TYPE || "linear",
+  curves: {
+    exponential: {
+      contract: "ExponentialCurve",
+      args: [ethers.parseEther("0.001"), ethers.parseEther("0.0001")] // initialPrice, growthRate
+    },
+    polynomial: {
+      contract: "PolynomialCurve",
+      args: [ethers.parseEther("0.001"), ethers.parseEther("0.00000001"), 2] // basePrice, coefficient, exponent
+    },
+    sigmoid: {
+      contract: "SigmoidCurve",
+      args: [ethers.parseEther("1"), ethers.parseEther("0.0001"), ethers.parseEther("50000")] // maxPrice, steepness, midpoint
+    },
+    "piecewise-linear": {
+      contract: "PiecewiseLinearCurve",
+      args: [
+        [0, ethers.parseEther("10000"), ethers.parseEther("50000")],         // breakpoint supplies
+        [ethers.parseEther("0.001"), ethers.parseEther("0.002"), ethers.parseEther("0.01")] // breakpoint prices
+      ]
+    }
+  },
+  
   // Fee configuration (in basis points, 100 = 1%)
   buyFeeBps: 250,  // 2.5% buy fee
   sellFeeBps: 250, // 2.5% sell fee
@@ -19,8 +59,34 @@ const DEPLOYMENT_CONFIG = {
   // Fee recipient address
   feeRecipient: process.env.FEE_RECIPIENT || "",
   
-  // Initial token supply to transfer to market (for selling)
+  // Initial token supply to transfer to market (inventory mode only)
   initialMarketSupply: ethers.parseEther("100000"), // 100,000 tokens
+  
+  // Optional graduation: with a Uniswap V2 style router set, a
+  // UniswapV2Graduator is deployed and the market moves its reserve into a
+  // pair once GRADUATION_RESERVE (whole reserve units) is raised. In
+  // inventory mode the market must still hold enough tokens to pair with it
+  graduationRouter: process.env.GRADUATION_ROUTER || "",
+  graduationReserve: process.env.GRADUATION_RESERVE || "",
+  
+  // Optional EIP-2771 forwarder (from scripts/deploy-factory.js) whose
+  // relayed calls the market accepts, for gasless trading
+  trustedForwarder: process.env.FORWARDER_ADDRESS || "",
+  
+  // Optional batch-auction mode: with an epoch length in seconds set, a
+  // BondingCurveBatchAuction is deployed and becomes the only account that
+  // trades on the curve. Run examples/batch-keeper.js to settle its epochs
+  batchEpochSeconds: process.env.BATCH_EPOCH_SECONDS || "",
+  
+  // Optional BondingCurveOracle reading the market's price accumulators,
+  // for a TWAP other contracts can use instead of the spot price
+  deployPriceOracle: process.env.DEPLOY_PRICE_ORACLE === "true",
+};
+
+// BondingCurveMarket.SupplyMode values
+const SUPPLY_MODES = {
+  inventory: 0,
+  "mint-burn": 1
 };
 
 async function main() {
@@ -32,12 +98,30 @@ async function main() {
   console.log("Account balance:", ethers.formatEther(await ethers.provider.getBalance(deployer.address)), "ETH\n");
 
   // Validate configuration
-  if (DEPLOYMENT_CONFIG.tokenAddress === "0x0000000000000000000000000000000000000000") {
-    console.error("❌ ERROR: TOKEN_ADDRESS not set in environment or config");
-    console.log("Please set TOKEN_ADDRESS to your ERC20 token contract address");
+  const supplyMode = SUPPLY_MODES[DEPLOYMENT_CONFIG.supplyMode];
+  if (supplyMode === undefined) {
+    console.error("❌ ERROR: Unknown SUPPLY_MODE", DEPLOYMENT_CONFIG.supplyMode);
+    console.log("Supported modes:", Object.keys(SUPPLY_MODES).join(", "));
     process.exit(1);
   }
 
+  const isMintBurn = supplyMode === SUPPLY_MODES["mint-burn"];
+  let deployedToken = null;
+  if (DEPLOYMENT_CONFIG.tokenAddress === "0x0000000000000000000000000000000000000000") {
+    if (!isMintBurn) {
+      console.error("❌ ERROR: TOKEN_ADDRESS not set in environment or config");
+      console.log("Please set TOKEN_ADDRESS to your ERC20 token contract address");
+      process.exit(1);
+    }
+
+    console.log(`Deploying BondingCurveToken ${DEPLOYMENT_CONFIG.tokenName} (${DEPLOYMENT_CONFIG.tokenSymbol})...`);
+    const BondingCurveToken = await ethers.getContractFactory("BondingCurveToken");
+    deployedToken = await BondingCurveToken.deploy(DEPLOYMENT_CONFIG.tokenName, DEPLOYMENT_CONFIG.tokenSymbol);
+    await deployedToken.waitForDeployment();
+    DEPLOYMENT_CONFIG.tokenAddress = await deployedToken.getAddress();
+    console.log("✅ Token deployed to:", DEPLOYMENT_CONFIG.tokenAddress, "\n");
+  }
+
   if (!DEPLOYMENT_CONFIG.feeRecipient) {
     console.log("⚠️  Warning: FEE_RECIPIENT not set, using deployer address");
     DEPLOYMENT_CONFIG.feeRecipient = deployer.address;
@@ -46,32 +130,95 @@ async function main() {
   console.log("Deployment Configuration:");
   console.log("========================");
   console.log("Token Address:      ", DEPLOYMENT_CONFIG.tokenAddress);
+  console.log("Supply Mode:        ", DEPLOYMENT_CONFIG.supplyMode);
+  console.log("Factory:            ", DEPLOYMENT_CONFIG.factoryAddress || "none (direct deployment)");
+  console.log("Reserve Asset:      ", DEPLOYMENT_CONFIG.reserveAsset === ethers.ZeroAddress ? "native ETH" : DEPLOYMENT_CONFIG.reserveAsset);
   console.log("Base Price:         ", ethers.formatEther(DEPLOYMENT_CONFIG.basePrice), "ETH");
   console.log("Slope:              ", ethers.formatEther(DEPLOYMENT_CONFIG.slope), "ETH per token");
+  console.log("Curve Type:         ", DEPLOYMENT_CONFIG.curveType);
   console.log("Buy Fee:            ", DEPLOYMENT_CONFIG.buyFeeBps / 100, "%");
   console.log("Sell Fee:           ", DEPLOYMENT_CONFIG.sellFeeBps / 100, "%");
   console.log("Fee Recipient:      ", DEPLOYMENT_CONFIG.feeRecipient);
-  console.log("Initial Supply:     ", ethers.formatEther(DEPLOYMENT_CONFIG.initialMarketSupply), "tokens\n");
+  console.log("Initial Supply:     ", isMintBurn ? "none (minted on buy)" : ethers.formatEther(DEPLOYMENT_CONFIG.initialMarketSupply) + " tokens", "\n");
+
+  // Deploy the curve strategy, if any
+  let curveAddress = ethers.ZeroAddress;
+  if (DEPLOYMENT_CONFIG.curveType !== "linear") {
+    const curveConfig = DEPLOYMENT_CONFIG.curves[DEPLOYMENT_CONFIG.curveType];
+    if (!curveConfig) {
+      console.error("❌ ERROR: Unknown CURVE_TYPE", DEPLOYMENT_CONFIG.curveType);
+      console.log("Supported types: linear,", Object.keys(DEPLOYMENT_CONFIG.curves).join(", "));
+      process.exit(1);
+    }
+
+    console.log(`Deploying ${curveConfig.contract} strategy...`);
+    const Curve = await ethers.getContractFactory(curveConfig.contract);
+    const curve = await Curve.deploy(...curveConfig.args);
+    await curve.waitForDeployment();
+    curveAddress = await curve.getAddress();
+    console.log("✅ Curve strategy deployed to:", curveAddress, "\n");
+  }
 
   // Deploy BondingCurveMarket
-  console.log("Deploying BondingCurveMarket contract...");
-  const BondingCurveMarket = await ethers.getContractFactory("BondingCurveMarket");
-  const market = await BondingCurveMarket.deploy(
-    DEPLOYMENT_CONFIG.tokenAddress,
-    DEPLOYMENT_CONFIG.basePrice,
-    DEPLOYMENT_CONFIG.slope,
-    DEPLOYMENT_CONFIG.buyFeeBps,
-    DEPLOYMENT_CONFIG.sellFeeBps,
-    DEPLOYMENT_CONFIG.feeRecipient
-  );
-
-  await market.waitForDeployment();
+  let market;
+  let marketBlock;
+  if (DEPLOYMENT_CONFIG.factoryAddress) {
+    console.log("Creating BondingCurveMarket through factory", DEPLOYMENT_CONFIG.factoryAddress, "...");
+    const factory = await ethers.getContractAt("BondingCurveMarketFactory", DEPLOYMENT_CONFIG.factoryAddress);
+    const createTx = await factory.createMarket({
+      token: DEPLOYMENT_CONFIG.tokenAddress,
+      basePrice: DEPLOYMENT_CONFIG.basePrice,
+      slope: DEPLOYMENT_CONFIG.slope,
+      buyFeeBps: DEPLOYMENT_CONFIG.buyFeeBps,
+      sellFeeBps: DEPLOYMENT_CONFIG.sellFeeBps,
+      feeRecipient: DEPLOYMENT_CONFIG.feeRecipient,
+      curve: curveAddress,
+      reserveAsset: DEPLOYMENT_CONFIG.reserveAsset,
+      supplyMode
+    });
+    marketBlock = (await createTx.wait()).blockNumber;
+    
+    market = await ethers.getContractAt(
+      "BondingCurveMarket",
+      await factory.getMarketByToken(DEPLOYMENT_CONFIG.tokenAddress)
+    );
+  } else {
+    console.log("Deploying BondingCurveMarket contract...");
+    const BondingCurveMarket = await ethers.getContractFactory("BondingCurveMarket");
+    market = await BondingCurveMarket.deploy(
+      DEPLOYMENT_CONFIG.tokenAddress,
+      DEPLOYMENT_CONFIG.basePrice,
+      DEPLOYMENT_CONFIG.slope,
+      DEPLOYMENT_CONFIG.buyFeeBps,
+      DEPLOYMENT_CONFIG.sellFeeBps,
+      DEPLOYMENT_CONFIG.feeRecipient,
+      curveAddress,
+      DEPLOYMENT_CONFIG.reserveAsset,
+      supplyMode
+    );
+    await market.waitForDeployment();
+    marketBlock = (await market.deploymentTransaction().wait()).blockNumber;
+  }
+
   const marketAddress = await market.getAddress();
   
   console.log("✅ BondingCurveMarket deployed to:", marketAddress);
 
-  // Transfer initial token supply to market (if needed)
-  if (DEPLOYMENT_CONFIG.initialMarketSupply > 0) {
+  // Let the market mint a token deployed above; an existing token's owner
+  // must call setMinter(market) themselves
+  if (isMintBurn) {
+    if (deployedToken) {
+      console.log("\nGranting minter rights to market...");
+      const minterTx = await deployedToken.setMinter(marketAddress);
+      await minterTx.wait();
+      console.log("✅ Market is the token minter");
+    } else {
+      console.log("\n⚠️  Warning: call setMinter(" + marketAddress + ") on the token before trading");
+    }
+  }
+
+  // Transfer initial token supply to market (inventory mode only)
+  if (!isMintBurn && DEPLOYMENT_CONFIG.initialMarketSupply > 0) {
     console.log("\nTransferring initial token supply to market...");
     
     const token = await ethers.getContractAt("IERC20", DEPLOYMENT_CONFIG.tokenAddress);
@@ -88,6 +235,52 @@ async function main() {
     }
   }
 
+  // Configure graduation before anyone trades
+  if (DEPLOYMENT_CONFIG.graduationRouter) {
+    console.log("\nDeploying UniswapV2Graduator...");
+    const Graduator = await ethers.getContractFactory("UniswapV2Graduator");
+    const graduator = await Graduator.deploy(DEPLOYMENT_CONFIG.graduationRouter);
+    await graduator.waitForDeployment();
+    
+    const threshold = ethers.parseUnits(DEPLOYMENT_CONFIG.graduationReserve || "0", await market.reserveDecimals());
+    const graduationTx = await market.setGraduation(await graduator.getAddress(), threshold, 0);
+    await graduationTx.wait();
+    console.log("✅ Market graduates through", await graduator.getAddress(), "at a reserve of", DEPLOYMENT_CONFIG.graduationReserve);
+  }
+
+  // The forwarder, like graduation, can only be set before the first trade
+  if (DEPLOYMENT_CONFIG.trustedForwarder) {
+    console.log("\nTrusting forwarder for gasless trading...");
+    const forwarderTx = await market.setTrustedForwarder(DEPLOYMENT_CONFIG.trustedForwarder);
+    await forwarderTx.wait();
+    console.log("✅ Market accepts requests relayed by", DEPLOYMENT_CONFIG.trustedForwarder);
+  }
+
+  // So is the batch auction
+  let auctionAddress = null;
+  if (DEPLOYMENT_CONFIG.batchEpochSeconds) {
+    console.log("\nDeploying BondingCurveBatchAuction...");
+    const Auction = await ethers.getContractFactory("BondingCurveBatchAuction");
+    const auction = await Auction.deploy(marketAddress, DEPLOYMENT_CONFIG.batchEpochSeconds);
+    await auction.waitForDeployment();
+    auctionAddress = await auction.getAddress();
+    
+    const auctionTx = await market.setBatchAuction(auctionAddress);
+    await auctionTx.wait();
+    console.log("✅ Market trades in", DEPLOYMENT_CONFIG.batchEpochSeconds, "second epochs through", auctionAddress);
+  }
+
+  // The oracle only reads the market, so it can come at any time
+  let oracleAddress = null;
+  if (DEPLOYMENT_CONFIG.deployPriceOracle) {
+    console.log("\nDeploying BondingCurveOracle...");
+    const Oracle = await ethers.getContractFactory("BondingCurveOracle");
+    const oracle = await Oracle.deploy(marketAddress);
+    await oracle.waitForDeployment();
+    oracleAddress = await oracle.getAddress();
+    console.log("✅ TWAP oracle deployed to:", oracleAddress);
+  }
+
   // Verify deployment
   console.log("\nVerifying deployment...");
   const verifiedBasePrice = await market.basePrice();
@@ -95,12 +288,18 @@ async function main() {
   const verifiedBuyFee = await market.buyFeeBps();
   const verifiedSellFee = await market.sellFeeBps();
   const verifiedFeeRecipient = await market.feeRecipient();
+  const verifiedCurve = await market.curve();
+  const verifiedReserve = await market.reserveAsset();
+  const verifiedSupplyMode = await market.supplyMode();
 
   console.log("✅ Base Price verified:     ", ethers.formatEther(verifiedBasePrice), "ETH");
   console.log("✅ Slope verified:          ", ethers.formatEther(verifiedSlope), "ETH per token");
   console.log("✅ Buy Fee verified:        ", verifiedBuyFee.toString(), "bps");
   console.log("✅ Sell Fee verified:       ", verifiedSellFee.toString(), "bps");
   console.log("✅ Fee Recipient verified:  ", verifiedFeeRecipient);
+  console.log("✅ Curve verified:          ", verifiedCurve === ethers.ZeroAddress ? "linear" : verifiedCurve);
+  console.log("✅ Reserve verified:        ", verifiedReserve === ethers.ZeroAddress ? "native ETH" : verifiedReserve);
+  console.log("✅ Supply Mode verified:    ", Number(verifiedSupplyMode) === SUPPLY_MODES["mint-burn"] ? "mint-burn" : "inventory");
 
   // Print summary
   console.log("\n" + "=".repeat(60));
@@ -116,21 +315,31 @@ async function main() {
   console.log("\n📝 Save these for verification:");
   console.log(`export MARKET_ADDRESS=${marketAddress}`);
   console.log(`export TOKEN_ADDRESS=${DEPLOYMENT_CONFIG.tokenAddress}`);
+  if (auctionAddress) {
+    console.log(`export AUCTION_ADDRESSES=${auctionAddress}`);
+  }
+  if (oracleAddress) {
+    console.log(`export ORACLE_ADDRESS=${oracleAddress}`);
+    console.log(`export MARKET_DEPLOY_BLOCK=${marketBlock}`);
+  }
 
   // Print next steps
   console.log("\n📋 Next Steps:");
   console.log("1. Verify contract on block explorer:");
-  console.log(`   npx hardhat verify --network <network> ${marketAddress} "${DEPLOYMENT_CONFIG.tokenAddress}" "${DEPLOYMENT_CONFIG.basePrice}" "${DEPLOYMENT_CONFIG.slope}" ${DEPLOYMENT_CONFIG.buyFeeBps} ${DEPLOYMENT_CONFIG.sellFeeBps} "${DEPLOYMENT_CONFIG.feeRecipient}"`);
+  console.log(`   npx hardhat verify --network <network> ${marketAddress} "${DEPLOYMENT_CONFIG.tokenAddress}" "${DEPLOYMENT_CONFIG.basePrice}" "${DEPLOYMENT_CONFIG.slope}" ${DEPLOYMENT_CONFIG.buyFeeBps} ${DEPLOYMENT_CONFIG.sellFeeBps} "${DEPLOYMENT_CONFIG.feeRecipient}" "${curveAddress}" "${DEPLOYMENT_CONFIG.reserveAsset}" ${supplyMode}`);
   console.log("\n2. Test the market:");
   console.log("   - Get buy quote: market.getBuyQuote(amount)");
-  console.log("   - Execute buy: market.buy(amount, maxCost, {value: maxCost})");
+  console.log("   - Execute buy: market.buy(amount, maxCost, deadline, {value: maxCost})");
   console.log("\n3. Monitor fees:");
   console.log("   - Check accumulated: market.accumulatedFees()");
-  console.log("   - Withdraw fees: market.withdrawFees()");
+  console.log("   - Distribute fees: market.distributeFees(), then each recipient calls market.claimFees()");
 
   return {
     market: marketAddress,
     token: DEPLOYMENT_CONFIG.tokenAddress,
+    curve: curveAddress,
+    auction: auctionAddress,
+    oracle: oracleAddress,
     deployer: deployer.address
   };
 }
@@ -0,0 +1,53 @@
+const { ethers, artifacts } = require("hardhat");
+
+/**
+ * BondingCurveMarketDeployer setup
+ *
+ * The market's creation code is over the contract size limit, so the
+ * deployer cannot embed it. Instead each slice of it becomes the code of a
+ * data contract, and the deployer is given their addresses to read it back.
+ * Used by scripts/deploy-factory.js and the factory tests.
+ */
+
+// Largest data contract: the size limit less the leading STOP byte
+const MAX_CHUNK_SIZE = 24575;
+
+/**
+ * Creation code of a contract whose runtime code is a STOP byte followed by `data`
+ */
+function dataContractCreationCode(data) {
+  const size = data.length + 1;
+  // PUSH2 size, DUP1, PUSH1 0x0c, PUSH1 0, CODECOPY, PUSH1 0, RETURN: copy what follows these 12 bytes
+  const prefix = ethers.concat(["0x61", ethers.toBeHex(size, 2), "0x80600c6000396000f3"]);
+  return ethers.concat([prefix, "0x00", data]);
+}
+
+/**
+ * Store the BondingCurveMarket creation code and deploy a deployer reading it
+ * @returns {Promise<{ marketDeployer: import("ethers").Contract, chunks: string[] }>}
+ */
+async function deployMarketDeployer(signer) {
+  signer = signer || (await ethers.getSigners())[0];
+  const { bytecode } = await artifacts.readArtifact("BondingCurveMarket");
+  const code = ethers.getBytes(bytecode);
+
+  const chunks = [];
+  for (let offset = 0; offset < code.length; offset += MAX_CHUNK_SIZE) {
+    const data = code.slice(offset, offset + MAX_CHUNK_SIZE);
+    const tx = await signer.sendTransaction({ data: dataContractCreationCode(data) });
+    const receipt = await tx.wait();
+    chunks.push(receipt.contractAddress);
+  }
+
+  const Deployer = await ethers.getContractFactory("BondingCurveMarketDeployer", signer);
+  const marketDeployer = await Deployer.deploy(chunks);
+  await marketDeployer.waitForDeployment();
+
+  if ((await marketDeployer.marketCodeHash()) !== ethers.keccak256(bytecode)) {
+    throw new Error("Stored market code does not match the BondingCurveMarket artifact");
+  }
+
+  return { marketDeployer, chunks };
+}
+
+module.exports = { deployMarketDeployer, dataContractCreationCode };
@@ -0,0 +1,87 @@
+const { ethers, upgrades } = require("hardhat");
+
+/**
+ * Upgrade a BondingCurveMarketUpgradeable proxy to a new implementation
+ *
+ * The new implementation is first checked against the storage layout
+ * recorded for the proxy: a version that removes, reorders or retypes a
+ * storage field is rejected before anything is deployed.
+ *
+ * PREPARE_ONLY=true deploys the validated implementation without upgrading,
+ * for an admin (e.g. a multisig) to call upgradeToAndCall itself.
+ */
+const UPGRADE_CONFIG = {
+  // Proxy printed by scripts/deploy-upgradeable.js
+  proxyAddress: process.env.PROXY_ADDRESS || "",
+
+  // Contract name of the new implementation
+  implementation: process.env.IMPLEMENTATION || "BondingCurveMarketUpgradeable",
+
+  // Optional reinitializer to call during the upgrade, e.g. "initializeV2"
+  call: process.env.UPGRADE_CALL || "",
+
+  prepareOnly: process.env.PREPARE_ONLY === "true",
+};
+
+async function main() {
+  console.log("Starting BondingCurveMarketUpgradeable upgrade...\n");
+
+  const [deployer] = await ethers.getSigners();
+  console.log("Upgrading with account:", deployer.address);
+
+  if (!UPGRADE_CONFIG.proxyAddress) {
+    console.error("❌ ERROR: PROXY_ADDRESS not set in environment");
+    process.exit(1);
+  }
+
+  const proxyAddress = UPGRADE_CONFIG.proxyAddress;
+  const previousImplementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+  console.log("Proxy:                  ", proxyAddress);
+  console.log("Current implementation: ", previousImplementation);
+  console.log("New implementation:     ", UPGRADE_CONFIG.implementation, "\n");
+
+  const NewImplementation = await ethers.getContractFactory(UPGRADE_CONFIG.implementation);
+
+  // Throws with a per-field report if the layouts are incompatible
+  console.log("Validating storage layout...");
+  await upgrades.validateUpgrade(proxyAddress, NewImplementation, { kind: "uups" });
+  console.log("✅ Storage layout is compatible\n");
+
+  if (UPGRADE_CONFIG.prepareOnly) {
+    const implementationAddress = await upgrades.prepareUpgrade(proxyAddress, NewImplementation, { kind: "uups" });
+    console.log("✅ Implementation deployed to:", implementationAddress);
+    console.log("\n📋 Next Steps:");
+    console.log("Have an account with DEFAULT_ADMIN_ROLE call on the proxy:");
+    console.log(`   upgradeToAndCall(${implementationAddress}, ${UPGRADE_CONFIG.call ? `<encoded ${UPGRADE_CONFIG.call}()>` : "0x"})`);
+    return { proxy: proxyAddress, implementation: implementationAddress };
+  }
+
+  const market = await upgrades.upgradeProxy(proxyAddress, NewImplementation, {
+    kind: "uups",
+    call: UPGRADE_CONFIG.call || undefined
+  });
+  await market.waitForDeployment();
+
+  const implementationAddress = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+  console.log("✅ Proxy now points to:", implementationAddress);
+
+  // Spot-check that state carried over
+  console.log("\nMarket state after upgrade:");
+  console.log("Current Supply:   ", ethers.formatEther(await market.currentSupply()), "tokens");
+  console.log("Accumulated Fees: ", ethers.formatEther(await market.accumulatedFees()));
+
+  return { proxy: proxyAddress, implementation: implementationAddress, previousImplementation };
+}
+
+main()
+  .then(() => {
+    console.log("\n✅ Upgrade completed successfully!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("\n❌ Upgrade failed:");
+    console.error(error);
+    process.exit(1);
+  });
+
+module.exports = { main };
@@ -0,0 +1,242 @@
+const { task, types } = require("hardhat/config");
+
+/**
+ * Market Admin CLI
+ *
+ * Hardhat tasks for the role-scoped admin functions of BondingCurveMarket.
+ * Every task takes `--market <address>` and runs as the first configured
+ * account; it checks that account holds the required role before sending.
+ *
+ *   npx hardhat market:roles --market 0x... --network sepolia
+ *   npx hardhat market:grant-role --market 0x... --role pauser --account 0x...
+ *   npx hardhat market:queue-curve --market 0x... --base-price 0.002 --slope 0.0002
+ *
+ * Prices are given in whole reserve units (ETH, or the reserve token) and
+ * converted with the market's reserveDecimals.
+ */
+
+// CLI role names and the market constants that hold their ids
+const ROLES = {
+  admin: "DEFAULT_ADMIN_ROLE",
+  "curve-admin": "CURVE_ADMIN_ROLE",
+  "fee-manager": "FEE_MANAGER_ROLE",
+  pauser: "PAUSER_ROLE",
+  recoverer: "RECOVERER_ROLE"
+};
+
+// BondingCurveMarket.CurveSolve
+const CURVE_SOLVE = { "base-price": 1, slope: 2 };
+
+async function loadMarket(hre, address) {
+  const [signer] = await hre.ethers.getSigners();
+  const market = await hre.ethers.getContractAt("BondingCurveMarket", address, signer);
+  return { market, signer };
+}
+
+async function roleId(market, name) {
+  if (!ROLES[name]) {
+    throw new Error(`Unknown role "${name}". Use one of: ${Object.keys(ROLES).join(", ")}`);
+  }
+  return market[ROLES[name]]();
+}
+
+async function requireRole(market, signer, name) {
+  if (!(await market.hasRole(await roleId(market, name), signer.address))) {
+    throw new Error(`${signer.address} does not hold the ${name} role`);
+  }
+}
+
+async function parseReserve(hre, market, value) {
+  return hre.ethers.parseUnits(value, await market.reserveDecimals());
+}
+
+async function send(label, txPromise) {
+  const tx = await txPromise;
+  console.log(`⏳ ${label}: ${tx.hash}`);
+  await tx.wait();
+  console.log(`✅ ${label} confirmed`);
+}
+
+/**
+ * Define a task that needs `role` and sends one transaction
+ */
+function adminTask(name, description, role, action) {
+  return task(name, description)
+    .addParam("market", "Market address")
+    .setAction(async (args, hre) => {
+      const { market, signer } = await loadMarket(hre, args.market);
+      await requireRole(market, signer, role);
+      await action({ ...args, market, signer }, hre);
+    });
+}
+
+task("market:roles", "Show who holds each market role")
+  .addParam("market", "Market address")
+  .addOptionalParam("fromBlock", "First block to scan for role events", 0, types.int)
+  .setAction(async ({ market: address, fromBlock }, hre) => {
+    const { market } = await loadMarket(hre, address);
+
+    // AccessControl is not enumerable: replay grants and revocations
+    const holders = new Map();
+    const events = [
+      ...(await market.queryFilter(market.filters.RoleGranted(), fromBlock)),
+      ...(await market.queryFilter(market.filters.RoleRevoked(), fromBlock))
+    ].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    for (const event of events) {
+      const [role, account] = event.args;
+      if (!holders.has(role)) holders.set(role, new Set());
+      if (event.fragment.name === "RoleGranted") {
+        holders.get(role).add(account);
+      } else {
+        holders.get(role).delete(account);
+      }
+    }
+
+    console.log(`Roles of market ${address}\n`);
+    for (const name of Object.keys(ROLES)) {
+      const accounts = [...(holders.get(await roleId(market, name)) || [])];
+      console.log(`${name}:`);
+      console.log(accounts.length ? accounts.map((a) => `  ${a}`).join("\n") : "  (none)");
+    }
+  });
+
+adminTask("market:grant-role", "Grant a market role", "admin", async ({ market, role, account }) => {
+  await send(`Grant ${role} to ${account}`, market.grantRole(await roleId(market, role), account));
+})
+  .addParam("role", `Role: ${Object.keys(ROLES).join(", ")}`)
+  .addParam("account", "Account to grant the role to");
+
+adminTask("market:revoke-role", "Revoke a market role", "admin", async ({ market, role, account }) => {
+  await send(`Revoke ${role} from ${account}`, market.revokeRole(await roleId(market, role), account));
+})
+  .addParam("role", `Role: ${Object.keys(ROLES).join(", ")}`)
+  .addParam("account", "Account to revoke the role from");
+
+adminTask("market:queue-curve", "Announce new linear curve parameters", "curve-admin", async (args, hre) => {
+  const { market } = args;
+  const basePrice = await parseReserve(hre, market, args.basePrice);
+  const slope = await parseReserve(hre, market, args.slope);
+  await send("Queue curve change", market.queueCurveParameters(basePrice, slope));
+})
+  .addParam("basePrice", "New base price per whole token")
+  .addParam("slope", "New slope per whole token");
+
+adminTask("market:queue-reserve-matched", "Announce a curve change solved against the reserve", "curve-admin", async (args, hre) => {
+  const { market, solveFor } = args;
+  if (!CURVE_SOLVE[solveFor]) {
+    throw new Error(`Unknown solve target "${solveFor}". Use base-price or slope`);
+  }
+  const value = await parseReserve(hre, market, args.value);
+  const [basePrice, slope] = await market.solveCurveParameters(CURVE_SOLVE[solveFor], value);
+  console.log(`At current reserve this solves to basePrice=${basePrice} slope=${slope} (base units)`);
+  await send("Queue reserve-matched curve change", market.queueReserveMatchedCurve(CURVE_SOLVE[solveFor], value));
+})
+  .addParam("solveFor", "Parameter to solve for: base-price or slope")
+  .addParam("value", "New value of the other parameter, per whole token");
+
+adminTask("market:execute-curve", "Apply the queued curve change", "curve-admin", async ({ market }) => {
+  await send("Execute curve change", market.executeCurveParameters());
+});
+
+adminTask("market:cancel-curve", "Drop the queued curve change", "curve-admin", async ({ market }) => {
+  await send("Cancel curve change", market.cancelCurveParameters());
+});
+
+adminTask("market:queue-fees", "Announce a new fee configuration", "fee-manager", async (args) => {
+  const { market } = args;
+  const recipient = args.recipient || (await market.feeRecipient());
+  await send("Queue fee change", market.queueFeeConfig(args.buyBps, args.sellBps, recipient));
+})
+  .addParam("buyBps", "Buy fee in basis points", undefined, types.int)
+  .addParam("sellBps", "Sell fee in basis points", undefined, types.int)
+  .addOptionalParam("recipient", "Fee recipient (defaults to the current one)");
+
+adminTask("market:execute-fees", "Apply the queued fee change", "fee-manager", async ({ market }) => {
+  await send("Execute fee change", market.executeFeeConfig());
+});
+
+adminTask("market:cancel-fees", "Drop the queued fee change", "fee-manager", async ({ market }) => {
+  await send("Cancel fee change", market.cancelFeeConfig());
+});
+
+adminTask("market:set-fee-split", "Replace the fee split table", "fee-manager", async ({ market, recipients, shares }) => {
+  const accounts = recipients ? recipients.split(",") : [];
+  const bps = shares ? shares.split(",").map(Number) : [];
+  await send("Set fee split", market.setFeeSplit(accounts, bps));
+})
+  .addOptionalParam("recipients", "Comma-separated recipients; omit to send all fees to the fee recipient")
+  .addOptionalParam("shares", "Comma-separated shares in basis points, totalling 10000");
+
+adminTask("market:set-referral-fee", "Set the share of each fee paid to referrers", "fee-manager", async ({ market, bps }) => {
+  await send(`Set referral fee to ${bps} bps`, market.setReferralFeeBps(bps));
+})
+  .addParam("bps", "Referral share of the fee in basis points", undefined, types.int);
+
+// Distributing and claiming need no role
+task("market:distribute-fees", "Split accumulated fees among the fee recipients")
+  .addParam("market", "Market address")
+  .setAction(async ({ market: address }, hre) => {
+    const { market } = await loadMarket(hre, address);
+    await send("Distribute fees", market.distributeFees());
+  });
+
+task("market:claim-fees", "Claim the fees owed to the first account")
+  .addParam("market", "Market address")
+  .setAction(async ({ market: address }, hre) => {
+    const { market, signer } = await loadMarket(hre, address);
+    const claimable = await market.claimableFees(signer.address);
+    console.log(`Claimable: ${hre.ethers.formatUnits(claimable, await market.reserveDecimals())}`);
+    await send("Claim fees", market.claimFees());
+  });
+
+adminTask("market:set-graduation", "Set when the market graduates to an AMM (before the first trade)", "admin", async (args, hre) => {
+  const { market } = args;
+  const reserve = await parseReserve(hre, market, args.reserve);
+  const token = await hre.ethers.getContractAt("IERC20Metadata", await market.token());
+  const supply = hre.ethers.parseUnits(args.supply, await token.decimals());
+  await send("Set graduation", market.setGraduation(args.graduator, reserve, supply));
+})
+  .addParam("graduator", "Graduator contract, e.g. a UniswapV2Graduator")
+  .addOptionalParam("reserve", "Trading reserve that triggers graduation, in whole reserve units", "0")
+  .addOptionalParam("supply", "Supply that triggers graduation, in whole tokens", "0");
+
+adminTask("market:set-buy-limits", "Set the anti-whale limits on buys (0 = no limit)", "admin", async (args, hre) => {
+  const { market } = args;
+  const token = await hre.ethers.getContractAt("IERC20Metadata", await market.token());
+  const decimals = await token.decimals();
+  const [perTx, perWallet, perBlock] = [args.perTx, args.perWallet, args.perBlock].map((v) => hre.ethers.parseUnits(v, decimals));
+  await send("Set buy limits", market.setBuyLimits(perTx, perWallet, perBlock));
+})
+  .addOptionalParam("perTx", "Most tokens one buy may take, in whole tokens", "0")
+  .addOptionalParam("perWallet", "Most tokens one wallet may hold through curve purchases, in whole tokens", "0")
+  .addOptionalParam("perBlock", "Most the supply may grow within one block, in whole tokens", "0");
+
+adminTask("market:set-forwarder", "Accept gasless trades relayed by an EIP-2771 forwarder (before the first trade)", "admin", async ({ market, forwarder }) => {
+  await send(`Set trusted forwarder to ${forwarder}`, market.setTrustedForwarder(forwarder));
+})
+  .addParam("forwarder", "BondingCurveForwarder address, or the zero address to stop accepting relayed calls");
+
+adminTask("market:set-batch-auction", "Trade only through a batch auction (before the first trade)", "admin", async ({ market, auction }) => {
+  await send(`Set batch auction to ${auction}`, market.setBatchAuction(auction));
+})
+  .addParam("auction", "BondingCurveBatchAuction address, or the zero address to trade directly");
+
+adminTask("market:pause", "Pause trading", "pauser", async ({ market }) => {
+  await send("Pause", market.pause());
+});
+
+adminTask("market:unpause", "Resume trading", "admin", async ({ market }) => {
+  await send("Unpause", market.unpause());
+});
+
+adminTask("market:recover", "Recover tokens sent to the market by mistake", "recoverer", async (args, hre) => {
+  const { market } = args;
+  const erc20 = await hre.ethers.getContractAt("IERC20Metadata", args.token);
+  const amount = hre.ethers.parseUnits(args.amount, await erc20.decimals());
+  await send(`Recover ${args.amount} of ${args.token}`, market.recoverTokens(args.token, amount));
+})
+  .addParam("token", "Token to recover")
+  .addParam("amount", "Amount in whole tokens");
+
+module.exports = { ROLES };
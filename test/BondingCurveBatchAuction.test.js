@@ -0,0 +1,335 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { BatchAuctionKeeper } = require("../examples/batch-keeper");
+
+const NO_DEADLINE = ethers.MaxUint256;
+const SupplyMode = { Inventory: 0, MintBurn: 1 };
+const EPOCH = 600;
+
+describe("BondingCurveBatchAuction", function () {
+  async function deployAuctionFixture() {
+    const [owner, treasury, user1, user2, user3, keeper] = await ethers.getSigners();
+
+    const MockToken = await ethers.getContractFactory("MockERC20");
+    const token = await MockToken.deploy("Test Token", "TEST", ethers.parseEther("1000000"));
+
+    const BondingCurveMarket = await ethers.getContractFactory("BondingCurveMarket");
+    const market = await BondingCurveMarket.deploy(
+      await token.getAddress(),
+      ethers.parseEther("0.001"),
+      ethers.parseEther("0.0001"),
+      250,
+      250,
+      treasury.address,
+      ethers.ZeroAddress,
+      ethers.ZeroAddress,
+      SupplyMode.Inventory
+    );
+    await token.transfer(await market.getAddress(), ethers.parseEther("100000"));
+
+    const Auction = await ethers.getContractFactory("BondingCurveBatchAuction");
+    const auction = await Auction.deploy(await market.getAddress(), EPOCH);
+    await market.setBatchAuction(await auction.getAddress());
+
+    for (const user of [user1, user2, user3]) {
+      await token.connect(user).approve(await auction.getAddress(), ethers.MaxUint256);
+    }
+
+    return { auction, market, token, owner, treasury, user1, user2, user3, keeper };
+  }
+
+  // Fixture where user1 and user2 hold 100 and 50 tokens bought through epoch 0
+  async function holdersFixture() {
+    const fixture = await deployAuctionFixture();
+    const { auction, market, token, owner, user1, user2 } = fixture;
+
+    const [, , cost] = await market.getBuyQuote(ethers.parseEther("150"));
+    await auction.connect(owner).placeBuyOrder(cost, { value: cost });
+    await time.increase(EPOCH);
+    await auction.settle();
+    await auction.connect(owner).claim(0);
+    await token.connect(owner).transfer(user1.address, ethers.parseEther("100"));
+    await token.connect(owner).transfer(user2.address, ethers.parseEther("50"));
+
+    return fixture;
+  }
+
+  async function settleEpoch(auction) {
+    await time.increase(EPOCH);
+    return auction.settle();
+  }
+
+  describe("Batch Mode", function () {
+    it("Should only let the auction trade on the curve", async function () {
+      const { market, token, user1 } = await loadFixture(holdersFixture);
+
+      await expect(market.connect(user1).buy(1, NO_DEADLINE, NO_DEADLINE, { value: ethers.parseEther("1") }))
+        .to.be.revertedWith("Batch auction only");
+      await expect(market.connect(user1).buyWithExactEth(0, NO_DEADLINE, { value: ethers.parseEther("1") }))
+        .to.be.revertedWith("Batch auction only");
+
+      await token.connect(user1).approve(await market.getAddress(), ethers.parseEther("1"));
+      await expect(market.connect(user1).sell(ethers.parseEther("1"), 0, NO_DEADLINE))
+        .to.be.revertedWith("Batch auction only");
+    });
+
+    it("Should only let the admin set the auction before trading", async function () {
+      const { market, auction, user1 } = await loadFixture(deployAuctionFixture);
+
+      await expect(market.connect(user1).setBatchAuction(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount");
+      await expect(market.setBatchAuction(ethers.ZeroAddress))
+        .to.emit(market, "BatchAuctionUpdated")
+        .withArgs(ethers.ZeroAddress);
+      await market.setBatchAuction(await auction.getAddress());
+
+      const [, , cost] = await market.getBuyQuote(ethers.parseEther("1"));
+      await auction.placeBuyOrder(cost, { value: cost });
+      await settleEpoch(auction);
+
+      await expect(market.setBatchAuction(ethers.ZeroAddress)).to.be.revertedWith("Trading already started");
+    });
+  });
+
+  describe("Epochs", function () {
+    it("Should collect orders in the open epoch and the next once it ends", async function () {
+      const { auction, user1 } = await loadFixture(deployAuctionFixture);
+
+      await expect(auction.connect(user1).placeBuyOrder(100, { value: 100 }))
+        .to.emit(auction, "BuyOrderPlaced")
+        .withArgs(0, user1.address, 100);
+
+      await time.increase(EPOCH);
+      expect(await auction.orderEpoch()).to.equal(1);
+      await auction.connect(user1).placeBuyOrder(100, { value: 100 });
+      expect(await auction.buyOrders(1, user1.address)).to.equal(100);
+      expect((await auction.epochs(0)).totalBuyReserve).to.equal(100);
+    });
+
+    it("Should not settle an open epoch", async function () {
+      const { auction, user1 } = await loadFixture(deployAuctionFixture);
+      await auction.connect(user1).placeBuyOrder(100, { value: 100 });
+
+      expect(await auction.canSettle()).to.equal(false);
+      await expect(auction.settle()).to.be.revertedWith("Epoch still open");
+
+      await time.increase(EPOCH);
+      expect(await auction.canSettle()).to.equal(true);
+    });
+
+    it("Should open the next epoch for a full period after settling", async function () {
+      const { auction, keeper } = await loadFixture(deployAuctionFixture);
+      expect(await auction.canSettle()).to.equal(false);
+
+      await time.increase(EPOCH);
+      expect(await auction.canSettle()).to.equal(false); // nothing to clear
+      await auction.connect(keeper).settle();
+
+      expect(await auction.currentEpoch()).to.equal(1);
+      expect((await auction.epochs(1)).endsAt).to.equal((await time.latest()) + EPOCH);
+    });
+
+    it("Should cancel orders only while their epoch is open", async function () {
+      const { auction, token, user1 } = await loadFixture(holdersFixture);
+      await auction.connect(user1).placeSellOrder(ethers.parseEther("10"));
+      await auction.connect(user1).placeBuyOrder(500, { value: 500 });
+
+      await expect(auction.connect(user1).cancelOrders())
+        .to.emit(auction, "OrdersCancelled")
+        .withArgs(1, user1.address, 500, ethers.parseEther("10"));
+      expect(await token.balanceOf(user1.address)).to.equal(ethers.parseEther("100"));
+      expect((await auction.epochs(1)).totalSellTokens).to.equal(0);
+
+      await auction.connect(user1).placeSellOrder(ethers.parseEther("10"));
+      await time.increase(EPOCH);
+      await expect(auction.connect(user1).cancelOrders()).to.be.revertedWith("No orders");
+    });
+  });
+
+  describe("Clearing", function () {
+    it("Should fill every buyer at the net curve buy's average price", async function () {
+      const { auction, market, token, user1, user2 } = await loadFixture(deployAuctionFixture);
+      const small = ethers.parseEther("0.1");
+      const large = ethers.parseEther("0.9");
+      await auction.connect(user1).placeBuyOrder(small, { value: small });
+      await auction.connect(user2).placeBuyOrder(large, { value: large });
+      const expected = await market.getBuyAmountForEth(small + large);
+
+      await settleEpoch(auction);
+      const epoch = await auction.epochs(0);
+      const bought = await market.currentSupply();
+      expect(bought).to.equal(expected);
+      expect(epoch.tokensForBuyers).to.equal(bought);
+
+      await auction.connect(user1).claim(0);
+      await auction.connect(user2).claim(0);
+      const tokens1 = await token.balanceOf(user1.address);
+      const tokens2 = await token.balanceOf(user2.address);
+      expect(tokens2).to.be.closeTo(tokens1 * 9n, 9n);
+      expect(tokens1 + tokens2).to.be.closeTo(bought, 2n);
+    });
+
+    it("Should match buys with sells and trade only the imbalance", async function () {
+      const { auction, market, token, user1, user2, user3 } = await loadFixture(holdersFixture);
+      const supplyBefore = await market.currentSupply();
+      const reserveBefore = await ethers.provider.getBalance(await market.getAddress());
+
+      const sold = ethers.parseEther("20");
+      const budget = ethers.parseEther("0.5");
+      await auction.connect(user1).placeSellOrder(sold);
+      await auction.connect(user3).placeBuyOrder(budget, { value: budget });
+
+      await expect(settleEpoch(auction)).to.emit(auction, "EpochSettled");
+      const epoch = await auction.epochs(1);
+      const curveBought = (await market.currentSupply()) - supplyBefore;
+      const curveCost = (await ethers.provider.getBalance(await market.getAddress())) - reserveBefore;
+      expect(curveBought).to.be.gt(0);
+
+      // Buyers get the sellers' tokens plus the curve's, and both sides trade at its average price
+      expect(epoch.tokensForBuyers).to.equal(sold + curveBought);
+      expect(epoch.reserveForSellers).to.equal(sold * curveCost / curveBought);
+      expect(epoch.reserveForBuyers).to.equal(budget - curveCost - epoch.reserveForSellers);
+
+      await expect(auction.connect(user3).claim(1))
+        .to.changeTokenBalance(token, user3, sold + curveBought);
+      await expect(auction.connect(user1).claim(1))
+        .to.changeEtherBalance(user1, epoch.reserveForSellers);
+      expect(await auction.claimable(1, user2.address)).to.deep.equal([0n, 0n]);
+    });
+
+    it("Should sell the imbalance and pay every seller the curve's average proceeds", async function () {
+      const { auction, market, token, user1, user2, user3 } = await loadFixture(holdersFixture);
+      const supplyBefore = await market.currentSupply();
+
+      await auction.connect(user1).placeSellOrder(ethers.parseEther("60"));
+      await auction.connect(user2).placeSellOrder(ethers.parseEther("30"));
+      const budget = ethers.parseEther("0.01");
+      await auction.connect(user3).placeBuyOrder(budget, { value: budget });
+
+      await settleEpoch(auction);
+      const epoch = await auction.epochs(1);
+      const curveSold = supplyBefore - (await market.currentSupply());
+      expect(curveSold).to.be.gt(0);
+      expect(epoch.tokensForBuyers + epoch.tokensForSellers + curveSold).to.equal(ethers.parseEther("90"));
+
+      const [tokens1, reserve1] = await auction.claimable(1, user1.address);
+      const [tokens2, reserve2] = await auction.claimable(1, user2.address);
+      expect(reserve1 - reserve2 * 2n).to.be.lte(1n);
+      expect(tokens1 - tokens2 * 2n).to.be.lte(1n);
+
+      // The buyer pays the same price per token as the sellers receive
+      const [bought] = await auction.claimable(1, user3.address);
+      const proceeds = epoch.reserveForSellers - budget;
+      expect(budget * curveSold / bought).to.be.closeTo(proceeds, proceeds / 10n ** 9n);
+
+      await auction.connect(user3).claim(1);
+      expect(await token.balanceOf(user3.address)).to.equal(bought);
+    });
+
+    it("Should clear within the spread without touching the curve", async function () {
+      const { auction, market, user1, user3 } = await loadFixture(holdersFixture);
+      const supplyBefore = await market.currentSupply();
+      const sold = ethers.parseEther("10");
+
+      // Pay the current marginal price: above what a sale nets, below what a buy costs
+      const budget = sold * (await market.getCurrentBuyPrice()) / ethers.parseEther("1");
+      await auction.connect(user1).placeSellOrder(sold);
+      await auction.connect(user3).placeBuyOrder(budget, { value: budget });
+
+      await settleEpoch(auction);
+      expect(await market.currentSupply()).to.equal(supplyBefore);
+      expect(await auction.claimable(1, user3.address)).to.deep.equal([sold, 0n]);
+      expect(await auction.claimable(1, user1.address)).to.deep.equal([0n, budget]);
+    });
+
+    it("Should return reserve a capped buy cannot spend", async function () {
+      const { auction, market, user1 } = await loadFixture(deployAuctionFixture);
+      await market.setBuyLimits(ethers.parseEther("10"), 0, 0);
+      const budget = ethers.parseEther("1");
+      await auction.connect(user1).placeBuyOrder(budget, { value: budget });
+      const [, , cost] = await market.getBuyQuote(ethers.parseEther("10"));
+
+      await settleEpoch(auction);
+      expect(await market.currentSupply()).to.equal(ethers.parseEther("10"));
+      expect(await auction.claimable(0, user1.address)).to.deep.equal([ethers.parseEther("10"), budget - cost]);
+    });
+    it("Should hold buyers to the curve's price when the auction cannot buy", async function () {
+      const { auction, market, user1, user3 } = await loadFixture(holdersFixture);
+      // The auction holds its whole wallet allowance, so the curve cannot take a net buy
+      await market.setBuyLimits(0, await market.currentSupply(), 0);
+      expect(await market.getBuyLimit(await auction.getAddress())).to.equal(0);
+
+      const sold = ethers.parseEther("1");
+      const budget = ethers.parseEther("10");
+      await auction.connect(user1).placeSellOrder(sold);
+      await auction.connect(user3).placeBuyOrder(budget, { value: budget });
+      const [, , cost] = await market.getBuyQuote(sold);
+
+      await settleEpoch(auction);
+      expect(await auction.claimable(1, user3.address)).to.deep.equal([sold, budget - cost]);
+      expect(await auction.claimable(1, user1.address)).to.deep.equal([0n, cost]);
+    });
+  });
+
+  describe("Claims", function () {
+    it("Should pay out once, after settlement", async function () {
+      const { auction, token, user1 } = await loadFixture(deployAuctionFixture);
+      const budget = ethers.parseEther("0.1");
+      await auction.connect(user1).placeBuyOrder(budget, { value: budget });
+
+      await expect(auction.connect(user1).claim(0)).to.be.revertedWith("Epoch not settled");
+      await settleEpoch(auction);
+
+      const [tokens] = await auction.claimable(0, user1.address);
+      await expect(auction.connect(user1).claim(0))
+        .to.emit(auction, "OrdersClaimed")
+        .withArgs(0, user1.address, tokens, 0);
+      expect(await token.balanceOf(user1.address)).to.equal(tokens);
+      await expect(auction.connect(user1).claim(0)).to.be.revertedWith("No orders");
+    });
+
+    it("Should give the same price whatever order the orders arrive in", async function () {
+      const { auction, token, user1, user2 } = await loadFixture(deployAuctionFixture);
+      const budget = ethers.parseEther("0.5");
+      await auction.connect(user1).placeBuyOrder(budget, { value: budget });
+      await auction.connect(user2).placeBuyOrder(budget, { value: budget });
+
+      await settleEpoch(auction);
+      await auction.connect(user1).claim(0);
+      await auction.connect(user2).claim(0);
+      expect(await token.balanceOf(user1.address)).to.equal(await token.balanceOf(user2.address));
+    });
+  });
+
+  describe("Keeper", function () {
+    it("Should settle an auction once its epoch has ended", async function () {
+      const { auction, keeper, user1 } = await loadFixture(deployAuctionFixture);
+      const bot = new BatchAuctionKeeper([await auction.getAddress()], keeper);
+      await auction.connect(user1).placeBuyOrder(100, { value: 100 });
+
+      expect(await bot.poll()).to.deep.equal([]);
+      await time.increase(EPOCH);
+
+      const [settled] = await bot.poll();
+      expect(settled.epochId).to.equal(0);
+      expect(await auction.currentEpoch()).to.equal(1);
+      expect(await bot.poll()).to.deep.equal([]);
+    });
+
+    it("Should wait without spending gas while an epoch cannot clear", async function () {
+      const { auction, market, keeper, user1 } = await loadFixture(deployAuctionFixture);
+      const bot = new BatchAuctionKeeper([await auction.getAddress()], keeper);
+      await auction.connect(user1).placeBuyOrder(100, { value: 100 });
+      await time.increase(EPOCH);
+      await market.pause();
+
+      const nonce = await ethers.provider.getTransactionCount(keeper.address);
+      expect(await bot.poll()).to.deep.equal([]);
+      expect(await ethers.provider.getTransactionCount(keeper.address)).to.equal(nonce);
+
+      await market.unpause();
+      expect(await bot.poll()).to.have.lengthOf(1);
+    });
+  });
+});
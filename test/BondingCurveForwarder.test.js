@@ -0,0 +1,336 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signForwardRequest, serializeForwardRequest } = require("../examples/meta-tx");
+const { MetaTxRelayer } = require("../examples/relayer");
+
+const NO_DEADLINE = ethers.MaxUint256;
+const SupplyMode = { Inventory: 0, MintBurn: 1 };
+
+describe("BondingCurveForwarder", function () {
+  async function deployForwarderFixture() {
+    const [owner, treasury, user1, user2, relayerWallet] = await ethers.getSigners();
+
+    const MockToken = await ethers.getContractFactory("MockERC20");
+    const token = await MockToken.deploy("Test Token", "TEST", ethers.parseEther("1000000"));
+    const reserve = await MockToken.deploy("Reserve Token", "RSV", ethers.parseEther("1000000"));
+
+    const Forwarder = await ethers.getContractFactory("BondingCurveForwarder");
+    const forwarder = await Forwarder.deploy();
+
+    // ERC20 reserve, so buys need no ETH and can be relayed
+    const BondingCurveMarket = await ethers.getContractFactory("BondingCurveMarket");
+    const market = await BondingCurveMarket.deploy(
+      await token.getAddress(),
+      ethers.parseEther("0.001"),
+      ethers.parseEther("0.0001"),
+      250,
+      250,
+      treasury.address,
+      ethers.ZeroAddress,
+      await reserve.getAddress(),
+      SupplyMode.Inventory
+    );
+    await market.setTrustedForwarder(await forwarder.getAddress());
+    await token.transfer(await market.getAddress(), ethers.parseEther("100000"));
+
+    // Users hold reserve tokens and approve once; they never hold ETH for trades
+    for (const user of [user1, user2]) {
+      await reserve.transfer(user.address, ethers.parseEther("100"));
+      await reserve.connect(user).approve(await market.getAddress(), ethers.MaxUint256);
+      await token.connect(user).approve(await market.getAddress(), ethers.MaxUint256);
+    }
+
+    return { forwarder, market, token, reserve, owner, treasury, user1, user2, relayerWallet };
+  }
+
+  // Sign `method(args)` on the market as `signer`
+  async function signMarketCall(forwarder, market, signer, method, args) {
+    return signForwardRequest(signer, forwarder, {
+      to: await market.getAddress(),
+      data: market.interface.encodeFunctionData(method, args),
+      deadline: (await time.latest()) + 3600
+    });
+  }
+
+  describe("Relayed Trading", function () {
+    it("Should buy for the signer of a relayed request", async function () {
+      const { forwarder, market, token, reserve, user1, relayerWallet } = await loadFixture(deployForwarderFixture);
+      const amount = ethers.parseEther("10");
+      const [cost, fee, totalCost] = await market.getBuyQuote(amount);
+
+      const request = await signMarketCall(forwarder, market, user1, "buy", [amount, totalCost, NO_DEADLINE]);
+      await expect(forwarder.connect(relayerWallet).execute(request))
+        .to.emit(market, "TokensPurchased")
+        .withArgs(user1.address, user1.address, amount, cost, fee, amount);
+
+      expect(await token.balanceOf(user1.address)).to.equal(amount);
+      expect(await reserve.balanceOf(user1.address)).to.equal(ethers.parseEther("100") - totalCost);
+      expect(await market.purchasedBy(user1.address)).to.equal(amount);
+    });
+
+    it("Should sell for the signer of a relayed request", async function () {
+      const { forwarder, market, token, reserve, user1, relayerWallet } = await loadFixture(deployForwarderFixture);
+      const amount = ethers.parseEther("10");
+      const [, , totalCost] = await market.getBuyQuote(amount);
+      await market.connect(user1).buy(amount, totalCost, NO_DEADLINE);
+
+      const [, , netProceeds] = await market.getSellQuote(amount);
+      const request = await signMarketCall(forwarder, market, user1, "sell", [amount, netProceeds, NO_DEADLINE]);
+      await expect(forwarder.connect(relayerWallet).execute(request))
+        .to.changeTokenBalances(reserve, [user1, relayerWallet], [netProceeds, 0]);
+
+      expect(await token.balanceOf(user1.address)).to.equal(0);
+      expect(await market.currentSupply()).to.equal(0);
+    });
+
+    it("Should claim fees for the signer of a relayed request", async function () {
+      const { forwarder, market, reserve, treasury, user1, relayerWallet } = await loadFixture(deployForwarderFixture);
+      const [, , totalCost] = await market.getBuyQuote(ethers.parseEther("10"));
+      await market.connect(user1).buy(ethers.parseEther("10"), totalCost, NO_DEADLINE);
+      await market.distributeFees();
+      const claimable = await market.claimableFees(treasury.address);
+      expect(claimable).to.be.gt(0);
+
+      const request = await signMarketCall(forwarder, market, treasury, "claimFees", []);
+      await expect(forwarder.connect(relayerWallet).execute(request))
+        .to.changeTokenBalance(reserve, treasury, claimable);
+      expect(await market.claimableFees(treasury.address)).to.equal(0);
+    });
+
+    it("Should ignore an address appended by an untrusted caller", async function () {
+      const { market, token, user1, user2 } = await loadFixture(deployForwarderFixture);
+      const amount = ethers.parseEther("10");
+      const [, , totalCost] = await market.getBuyQuote(amount);
+
+      const data = market.interface.encodeFunctionData("buy", [amount, totalCost, NO_DEADLINE]);
+      await user2.sendTransaction({ to: await market.getAddress(), data: ethers.concat([data, user1.address]) });
+
+      expect(await token.balanceOf(user2.address)).to.equal(amount);
+      expect(await token.balanceOf(user1.address)).to.equal(0);
+    });
+
+    it("Should reject a request whose signature does not match", async function () {
+      const { forwarder, market, user1, user2, relayerWallet } = await loadFixture(deployForwarderFixture);
+      const [, , totalCost] = await market.getBuyQuote(ethers.parseEther("10"));
+
+      const request = await signMarketCall(forwarder, market, user1, "buy", [ethers.parseEther("10"), totalCost, NO_DEADLINE]);
+      await expect(forwarder.connect(relayerWallet).execute({ ...request, from: user2.address }))
+        .to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderInvalidSigner");
+    });
+
+    it("Should not relay to a market that does not trust the forwarder", async function () {
+      const { forwarder, market, user1, relayerWallet } = await loadFixture(deployForwarderFixture);
+      await market.setTrustedForwarder(ethers.ZeroAddress);
+
+      const request = await signForwardRequest(user1, forwarder, {
+        to: await market.getAddress(),
+        data: market.interface.encodeFunctionData("claimFees"),
+        deadline: (await time.latest()) + 3600,
+        gas: 100000n
+      });
+      await expect(forwarder.connect(relayerWallet).execute(request))
+        .to.be.revertedWithCustomError(forwarder, "ERC2771UntrustfulTarget");
+    });
+  });
+
+  describe("Forwarder Configuration", function () {
+    it("Should report the trusted forwarder", async function () {
+      const { forwarder, market, user1 } = await loadFixture(deployForwarderFixture);
+
+      expect(await market.trustedForwarder()).to.equal(await forwarder.getAddress());
+      expect(await market.isTrustedForwarder(await forwarder.getAddress())).to.equal(true);
+      expect(await market.isTrustedForwarder(user1.address)).to.equal(false);
+    });
+
+    it("Should emit when the forwarder changes", async function () {
+      const { market, user1 } = await loadFixture(deployForwarderFixture);
+
+      await expect(market.setTrustedForwarder(user1.address))
+        .to.emit(market, "TrustedForwarderUpdated")
+        .withArgs(user1.address);
+    });
+
+    it("Should only let the admin set the forwarder", async function () {
+      const { market, user1 } = await loadFixture(deployForwarderFixture);
+
+      await expect(market.connect(user1).setTrustedForwarder(user1.address))
+        .to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await market.DEFAULT_ADMIN_ROLE());
+    });
+
+    it("Should not change the forwarder once trading started", async function () {
+      const { market, user1 } = await loadFixture(deployForwarderFixture);
+      const [, , totalCost] = await market.getBuyQuote(ethers.parseEther("1"));
+      await market.connect(user1).buy(ethers.parseEther("1"), totalCost, NO_DEADLINE);
+
+      await expect(market.setTrustedForwarder(ethers.ZeroAddress))
+        .to.be.revertedWith("Trading already started");
+    });
+  });
+
+  describe("Relayer", function () {
+    // Quotas live in the relayer's memory, outside the chain snapshot, so
+    // each test gets a fresh relayer
+    async function deployRelayerFixture() {
+      const fixture = await loadFixture(deployForwarderFixture);
+      const relayer = new MetaTxRelayer(await fixture.forwarder.getAddress(), fixture.relayerWallet, {
+        markets: [await fixture.market.getAddress()],
+        maxRequestsPerWindow: 2
+      });
+      return { ...fixture, relayer };
+    }
+
+    async function signedBuy(fixture, signer, amount = ethers.parseEther("1")) {
+      const { forwarder, market } = fixture;
+      const [, , totalCost] = await market.getBuyQuote(amount);
+      const request = await signMarketCall(forwarder, market, signer, "buy", [amount, totalCost, NO_DEADLINE]);
+      return serializeForwardRequest(request);
+    }
+
+    async function expectRefusal(promise, status, message) {
+      const error = await promise.then(() => null, (e) => e);
+      expect(error, "request was relayed").to.not.equal(null);
+      expect(error.status).to.equal(status);
+      expect(error.message).to.match(message);
+    }
+
+    it("Should submit a valid request and count it against the quota", async function () {
+      const fixture = await deployRelayerFixture();
+      const { relayer, token, user1 } = fixture;
+
+      const result = await relayer.relay(await signedBuy(fixture, user1));
+      expect(result.function).to.equal("buy");
+      await (await ethers.provider.getTransaction(result.hash)).wait();
+
+      expect(await token.balanceOf(user1.address)).to.equal(ethers.parseEther("1"));
+      expect(relayer.getQuota(user1.address)).to.include({ used: 1, limit: 2 });
+    });
+
+    it("Should refuse requests over the signer's quota", async function () {
+      const fixture = await deployRelayerFixture();
+      const { relayer, user1, user2 } = fixture;
+
+      await relayer.relay(await signedBuy(fixture, user1));
+      await relayer.relay(await signedBuy(fixture, user1));
+      await expectRefusal(relayer.relay(await signedBuy(fixture, user1)), 429, /Quota of 2 requests/);
+
+      // Other signers keep their own quota
+      await relayer.relay(await signedBuy(fixture, user2));
+    });
+
+    it("Should refuse requests with a bad signature", async function () {
+      const fixture = await deployRelayerFixture();
+      const { relayer, user1, user2 } = fixture;
+
+      const payload = await signedBuy(fixture, user1);
+      await expectRefusal(relayer.relay({ ...payload, from: user2.address }), 401, /Invalid signature/);
+      expect(relayer.getQuota(user2.address).used).to.equal(0);
+    });
+
+    it("Should refuse other targets and functions", async function () {
+      const fixture = await deployRelayerFixture();
+      const { relayer, forwarder, market, reserve, user1 } = fixture;
+
+      const transfer = await signForwardRequest(user1, forwarder, {
+        to: await reserve.getAddress(),
+        data: reserve.interface.encodeFunctionData("transfer", [user1.address, 1]),
+        deadline: (await time.latest()) + 3600,
+        gas: 100000n
+      });
+      await expectRefusal(relayer.relay(serializeForwardRequest(transfer)), 403, /Not a relayed market/);
+
+      const pause = await signForwardRequest(user1, forwarder, {
+        to: await market.getAddress(),
+        data: market.interface.encodeFunctionData("pause"),
+        deadline: (await time.latest()) + 3600,
+        gas: 100000n
+      });
+      await expectRefusal(relayer.relay(serializeForwardRequest(pause)), 403, /Function is not relayed/);
+    });
+
+    it("Should refuse malformed, expired and oversized requests", async function () {
+      const fixture = await deployRelayerFixture();
+      const { relayer, user1 } = fixture;
+      const payload = await signedBuy(fixture, user1);
+
+      await expectRefusal(relayer.relay({ ...payload, gas: undefined }), 400, /missing gas/);
+      await expectRefusal(relayer.relay({ ...payload, deadline: "1" }), 400, /Request expired/);
+      await expectRefusal(relayer.relay({ ...payload, gas: "10000000" }), 400, /Gas limit above/);
+      await expectRefusal(relayer.relay({ ...payload, value: "1" }), 400, /cannot carry ETH/);
+
+      // A known selector with arguments cut short is refused before the signature is checked
+      await expectRefusal(relayer.relay({ ...payload, data: payload.data.slice(0, 10 + 64) }), 400, /Unsupported call/);
+      expect(relayer.getQuota(user1.address).used).to.equal(0);
+    });
+
+    it("Should refuse a request that would revert without using quota", async function () {
+      const fixture = await deployRelayerFixture();
+      const { relayer, forwarder, market, user1 } = fixture;
+
+      // user1 holds no tokens to sell
+      const request = await signForwardRequest(user1, forwarder, {
+        to: await market.getAddress(),
+        data: market.interface.encodeFunctionData("sell", [ethers.parseEther("1"), 0, NO_DEADLINE]),
+        deadline: (await time.latest()) + 3600,
+        gas: 200000n
+      });
+      await expectRefusal(relayer.relay(serializeForwardRequest(request)), 422, /Request would revert/);
+      expect(relayer.getQuota(user1.address).used).to.equal(0);
+    });
+
+    it("Should only release the quota slot of a refused request among parallel ones", async function () {
+      const fixture = await deployRelayerFixture();
+      const { relayer, forwarder, market, user1 } = fixture;
+
+      // user1 holds no tokens to sell, so the sell is refused while the buy goes through
+      const sell = await signForwardRequest(user1, forwarder, {
+        to: await market.getAddress(),
+        data: market.interface.encodeFunctionData("sell", [ethers.parseEther("1"), 0, NO_DEADLINE]),
+        deadline: (await time.latest()) + 3600,
+        gas: 200000n
+      });
+      const [bought, sold] = await Promise.allSettled([
+        relayer.relay(await signedBuy(fixture, user1)),
+        relayer.relay(serializeForwardRequest(sell))
+      ]);
+      expect(bought.status).to.equal("fulfilled");
+      expect(sold.status).to.equal("rejected");
+      expect(sold.reason.status).to.equal(422);
+      await (await ethers.provider.getTransaction(bought.value.hash)).wait();
+
+      const [slot] = relayer.usage.get(user1.address);
+      expect(relayer.getQuota(user1.address)).to.include({ used: 1, resetsAt: slot.timestamp + relayer.windowSeconds });
+      await relayer.relay(await signedBuy(fixture, user1));
+      await expectRefusal(relayer.relay(await signedBuy(fixture, user1)), 429, /Quota of 2 requests/);
+    });
+
+    it("Should serve relay and quota requests over HTTP", async function () {
+      const fixture = await deployRelayerFixture();
+      const { relayer, token, user1 } = fixture;
+
+      const server = await relayer.listen(0);
+      const url = `http://127.0.0.1:${server.address().port}`;
+      try {
+        const response = await fetch(`${url}/relay`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(await signedBuy(fixture, user1))
+        });
+        expect(response.status).to.equal(200);
+        const { hash } = await response.json();
+        await (await ethers.provider.getTransaction(hash)).wait();
+        expect(await token.balanceOf(user1.address)).to.equal(ethers.parseEther("1"));
+
+        const quota = await (await fetch(`${url}/quota/${user1.address}`)).json();
+        expect(quota).to.include({ used: 1, limit: 2 });
+
+        const refused = await fetch(`${url}/relay`, { method: "POST", body: "not json" });
+        expect(refused.status).to.equal(400);
+        expect(await refused.json()).to.deep.equal({ error: "Body is not JSON" });
+      } finally {
+        server.close();
+      }
+    });
+  });
+});
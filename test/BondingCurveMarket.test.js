@@ -1,6 +1,27 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
-const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { ethers, network } = require("hardhat");
+const { loadFixture, time, mine, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const curveMath = require("../examples/curve-math");
+const { signPermit } = require("../examples/permit");
+
+const NO_DEADLINE = ethers.MaxUint256;
+const SupplyMode = { Inventory: 0, MintBurn: 1 };
+const CurveSolve = { None: 0, BasePrice: 1, Slope: 2 };
+
+// Queue a curve change, wait out the notice period and apply it
+async function applyCurveParameters(market, basePrice, slope) {
+  await market.queueCurveParameters(basePrice, slope);
+  await time.increase(await market.CHANGE_DELAY());
+  return market.executeCurveParameters();
+}
+
+// Queue a fee change, wait out the notice period and apply it
+async function applyFeeConfig(market, buyFeeBps, sellFeeBps, feeRecipient) {
+  await market.queueFeeConfig(buyFeeBps, sellFeeBps, feeRecipient);
+  await time.increase(await market.CHANGE_DELAY());
+  return market.executeFeeConfig();
+}
 
 describe("BondingCurveMarket", function () {
   // Fixture for deploying the contract
@@ -24,7 +45,10 @@ describe("BondingCurveMarket", function () {
       slope,
       buyFee,
       sellFee,
-      treasury.address
+      treasury.address,
+      ethers.ZeroAddress, // built-in linear curve
+      ethers.ZeroAddress, // native ETH reserve
+      SupplyMode.Inventory
     );
 
     // Transfer tokens to market for selling
@@ -58,7 +82,7 @@ describe("BondingCurveMarket", function () {
 
     it("Should initialize with zero supply", async function () {
       const { market } = await loadFixture(deployMarketFixture);
-      expect(await market.totalSupply()).to.equal(0);
+      expect(await market.currentSupply()).to.equal(0);
     });
   });
 
@@ -75,7 +99,7 @@ describe("BondingCurveMarket", function () {
       // Buy 100 tokens
       const amount = ethers.parseEther("100");
       const quote = await market.getBuyQuote(amount);
-      await market.connect(await ethers.provider.getSigner(1)).buy(amount, quote.totalCost, { value: quote.totalCost });
+      await market.connect(await ethers.provider.getSigner(1)).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
 
       // Price should be basePrice + (slope * 100)
       const expectedPrice = basePrice + (slope * 100n);
@@ -89,11 +113,10 @@ describe("BondingCurveMarket", function () {
       // Buy 100 tokens first
       const buyAmount = ethers.parseEther("100");
       const buyQuote = await market.getBuyQuote(buyAmount);
-      await market.connect(user1).buy(buyAmount, buyQuote.totalCost, { value: buyQuote.totalCost });
+      await market.connect(user1).buy(buyAmount, buyQuote.totalCost, NO_DEADLINE, { value: buyQuote.totalCost });
 
-      // Sell price should be basePrice + (slope * (100 - 1)) because we're selling from supply 100
-      const supply = await market.totalSupply();
-      const expectedSellPrice = basePrice + (slope * (supply - 1n));
+      // Sell price is the price of the last whole token: basePrice + (slope * (100 - 1))
+      const expectedSellPrice = basePrice + (slope * 99n);
       const sellPrice = await market.getCurrentSellPrice();
       expect(sellPrice).to.equal(expectedSellPrice);
     });
@@ -107,7 +130,7 @@ describe("BondingCurveMarket", function () {
       const quote = await market.getBuyQuote(amount);
       
       await expect(
-        market.connect(user1).buy(amount, quote.totalCost, { value: quote.totalCost })
+        market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost })
       ).to.changeTokenBalance(token, user1, amount);
     });
 
@@ -116,9 +139,9 @@ describe("BondingCurveMarket", function () {
       
       const amount = ethers.parseEther("10");
       const quote = await market.getBuyQuote(amount);
-      await market.connect(user1).buy(amount, quote.totalCost, { value: quote.totalCost });
+      await market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
       
-      expect(await market.totalSupply()).to.equal(amount);
+      expect(await market.currentSupply()).to.equal(amount);
     });
 
     it("Should collect fees on buy", async function () {
@@ -127,7 +150,7 @@ describe("BondingCurveMarket", function () {
       const amount = ethers.parseEther("10");
       const quote = await market.getBuyQuote(amount);
       
-      await market.connect(user1).buy(amount, quote.totalCost, { value: quote.totalCost });
+      await market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
       
       expect(await market.accumulatedFees()).to.equal(quote.fee);
     });
@@ -140,7 +163,7 @@ describe("BondingCurveMarket", function () {
       const excess = ethers.parseEther("1");
       
       await expect(
-        market.connect(user1).buy(amount, quote.totalCost, { value: quote.totalCost + excess })
+        market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost + excess })
       ).to.changeEtherBalance(user1, -(quote.totalCost));
     });
 
@@ -152,10 +175,22 @@ describe("BondingCurveMarket", function () {
       const lowMax = quote.totalCost - 1n;
       
       await expect(
-        market.connect(user1).buy(amount, lowMax, { value: quote.totalCost })
+        market.connect(user1).buy(amount, lowMax, NO_DEADLINE, { value: quote.totalCost })
       ).to.be.revertedWith("Cost exceeds max");
     });
 
+    it("Should revert if deadline passed", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+      
+      const amount = ethers.parseEther("10");
+      const quote = await market.getBuyQuote(amount);
+      const deadline = (await time.latest()) - 1;
+      
+      await expect(
+        market.connect(user1).buy(amount, quote.totalCost, deadline, { value: quote.totalCost })
+      ).to.be.revertedWith("Transaction expired");
+    });
+
     it("Should revert if insufficient ETH sent", async function () {
       const { market, user1 } = await loadFixture(deployMarketFixture);
       
@@ -163,7 +198,7 @@ describe("BondingCurveMarket", function () {
       const quote = await market.getBuyQuote(amount);
       
       await expect(
-        market.connect(user1).buy(amount, quote.totalCost, { value: quote.totalCost - 1n })
+        market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost - 1n })
       ).to.be.revertedWith("Insufficient ETH sent");
     });
 
@@ -171,20 +206,20 @@ describe("BondingCurveMarket", function () {
       const { market, user1 } = await loadFixture(deployMarketFixture);
       
       await expect(
-        market.connect(user1).buy(0, 0, { value: 0 })
-      ).to.be.revertedWith("Amount must be > 0");
+        market.connect(user1).buy(0, 0, NO_DEADLINE, { value: 0 })
+      ).to.be.revertedWith("Amount must be positive");
     });
 
-    it("Should emit Buy event", async function () {
+    it("Should emit TokensPurchased", async function () {
       const { market, user1 } = await loadFixture(deployMarketFixture);
       
       const amount = ethers.parseEther("10");
       const quote = await market.getBuyQuote(amount);
       
       await expect(
-        market.connect(user1).buy(amount, quote.totalCost, { value: quote.totalCost })
-      ).to.emit(market, "Buy")
-        .withArgs(user1.address, amount, quote.cost, quote.fee);
+        market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost })
+      ).to.emit(market, "TokensPurchased")
+        .withArgs(user1.address, user1.address, amount, quote.cost, quote.fee, amount);
     });
   });
 
@@ -195,7 +230,7 @@ describe("BondingCurveMarket", function () {
       // Buy first
       const buyAmount = ethers.parseEther("100");
       const buyQuote = await market.getBuyQuote(buyAmount);
-      await market.connect(user1).buy(buyAmount, buyQuote.totalCost, { value: buyQuote.totalCost });
+      await market.connect(user1).buy(buyAmount, buyQuote.totalCost, NO_DEADLINE, { value: buyQuote.totalCost });
       
       // Then sell
       const sellAmount = ethers.parseEther("50");
@@ -203,7 +238,7 @@ describe("BondingCurveMarket", function () {
       const sellQuote = await market.getSellQuote(sellAmount);
       
       await expect(
-        market.connect(user1).sell(sellAmount, sellQuote.netProceeds)
+        market.connect(user1).sell(sellAmount, sellQuote.netProceeds, NO_DEADLINE)
       ).to.changeTokenBalance(token, user1, -sellAmount);
     });
 
@@ -213,7 +248,7 @@ describe("BondingCurveMarket", function () {
       // Buy first
       const buyAmount = ethers.parseEther("100");
       const buyQuote = await market.getBuyQuote(buyAmount);
-      await market.connect(user1).buy(buyAmount, buyQuote.totalCost, { value: buyQuote.totalCost });
+      await market.connect(user1).buy(buyAmount, buyQuote.totalCost, NO_DEADLINE, { value: buyQuote.totalCost });
       
       // Then sell
       const sellAmount = ethers.parseEther("50");
@@ -221,7 +256,7 @@ describe("BondingCurveMarket", function () {
       const sellQuote = await market.getSellQuote(sellAmount);
       
       await expect(
-        market.connect(user1).sell(sellAmount, sellQuote.netProceeds)
+        market.connect(user1).sell(sellAmount, sellQuote.netProceeds, NO_DEADLINE)
       ).to.changeEtherBalance(user1, sellQuote.netProceeds);
     });
 
@@ -231,15 +266,15 @@ describe("BondingCurveMarket", function () {
       // Buy first
       const buyAmount = ethers.parseEther("100");
       const buyQuote = await market.getBuyQuote(buyAmount);
-      await market.connect(user1).buy(buyAmount, buyQuote.totalCost, { value: buyQuote.totalCost });
+      await market.connect(user1).buy(buyAmount, buyQuote.totalCost, NO_DEADLINE, { value: buyQuote.totalCost });
       
       // Then sell
       const sellAmount = ethers.parseEther("50");
       await token.connect(user1).approve(await market.getAddress(), sellAmount);
       const sellQuote = await market.getSellQuote(sellAmount);
-      await market.connect(user1).sell(sellAmount, sellQuote.netProceeds);
+      await market.connect(user1).sell(sellAmount, sellQuote.netProceeds, NO_DEADLINE);
       
-      expect(await market.totalSupply()).to.equal(buyAmount - sellAmount);
+      expect(await market.currentSupply()).to.equal(buyAmount - sellAmount);
     });
 
     it("Should collect fees on sell", async function () {
@@ -248,7 +283,7 @@ describe("BondingCurveMarket", function () {
       // Buy first
       const buyAmount = ethers.parseEther("100");
       const buyQuote = await market.getBuyQuote(buyAmount);
-      await market.connect(user1).buy(buyAmount, buyQuote.totalCost, { value: buyQuote.totalCost });
+      await market.connect(user1).buy(buyAmount, buyQuote.totalCost, NO_DEADLINE, { value: buyQuote.totalCost });
       
       const feesAfterBuy = await market.accumulatedFees();
       
@@ -256,7 +291,7 @@ describe("BondingCurveMarket", function () {
       const sellAmount = ethers.parseEther("50");
       await token.connect(user1).approve(await market.getAddress(), sellAmount);
       const sellQuote = await market.getSellQuote(sellAmount);
-      await market.connect(user1).sell(sellAmount, sellQuote.netProceeds);
+      await market.connect(user1).sell(sellAmount, sellQuote.netProceeds, NO_DEADLINE);
       
       expect(await market.accumulatedFees()).to.equal(feesAfterBuy + sellQuote.fee);
     });
@@ -267,7 +302,7 @@ describe("BondingCurveMarket", function () {
       // Buy first
       const buyAmount = ethers.parseEther("100");
       const buyQuote = await market.getBuyQuote(buyAmount);
-      await market.connect(user1).buy(buyAmount, buyQuote.totalCost, { value: buyQuote.totalCost });
+      await market.connect(user1).buy(buyAmount, buyQuote.totalCost, NO_DEADLINE, { value: buyQuote.totalCost });
       
       // Then sell with too high minProceeds
       const sellAmount = ethers.parseEther("50");
@@ -275,16 +310,35 @@ describe("BondingCurveMarket", function () {
       const sellQuote = await market.getSellQuote(sellAmount);
       
       await expect(
-        market.connect(user1).sell(sellAmount, sellQuote.netProceeds + 1n)
+        market.connect(user1).sell(sellAmount, sellQuote.netProceeds + 1n, NO_DEADLINE)
       ).to.be.revertedWith("Proceeds below min");
     });
 
+    it("Should revert if deadline passed on sell", async function () {
+      const { market, token, user1 } = await loadFixture(deployMarketFixture);
+      
+      // Buy first
+      const buyAmount = ethers.parseEther("100");
+      const buyQuote = await market.getBuyQuote(buyAmount);
+      await market.connect(user1).buy(buyAmount, buyQuote.totalCost, NO_DEADLINE, { value: buyQuote.totalCost });
+      
+      // Then sell after the deadline
+      const sellAmount = ethers.parseEther("50");
+      await token.connect(user1).approve(await market.getAddress(), sellAmount);
+      const sellQuote = await market.getSellQuote(sellAmount);
+      const deadline = (await time.latest()) - 1;
+      
+      await expect(
+        market.connect(user1).sell(sellAmount, sellQuote.netProceeds, deadline)
+      ).to.be.revertedWith("Transaction expired");
+    });
+
     it("Should revert on zero amount sell", async function () {
       const { market, user1 } = await loadFixture(deployMarketFixture);
       
       await expect(
-        market.connect(user1).sell(0, 0)
-      ).to.be.revertedWith("Amount must be > 0");
+        market.connect(user1).sell(0, 0, NO_DEADLINE)
+      ).to.be.revertedWith("Amount must be positive");
     });
 
     it("Should revert if selling more than supply", async function () {
@@ -293,24 +347,24 @@ describe("BondingCurveMarket", function () {
       // Buy first
       const buyAmount = ethers.parseEther("100");
       const buyQuote = await market.getBuyQuote(buyAmount);
-      await market.connect(user1).buy(buyAmount, buyQuote.totalCost, { value: buyQuote.totalCost });
+      await market.connect(user1).buy(buyAmount, buyQuote.totalCost, NO_DEADLINE, { value: buyQuote.totalCost });
       
       // Try to sell more than supply
       const sellAmount = ethers.parseEther("101");
       await token.connect(user1).approve(await market.getAddress(), sellAmount);
       
       await expect(
-        market.connect(user1).sell(sellAmount, 0)
+        market.connect(user1).sell(sellAmount, 0, NO_DEADLINE)
       ).to.be.revertedWith("Insufficient supply");
     });
 
-    it("Should emit Sell event", async function () {
+    it("Should emit TokensSold", async function () {
       const { market, token, user1 } = await loadFixture(deployMarketFixture);
       
       // Buy first
       const buyAmount = ethers.parseEther("100");
       const buyQuote = await market.getBuyQuote(buyAmount);
-      await market.connect(user1).buy(buyAmount, buyQuote.totalCost, { value: buyQuote.totalCost });
+      await market.connect(user1).buy(buyAmount, buyQuote.totalCost, NO_DEADLINE, { value: buyQuote.totalCost });
       
       // Then sell
       const sellAmount = ethers.parseEther("50");
@@ -318,66 +372,241 @@ describe("BondingCurveMarket", function () {
       const sellQuote = await market.getSellQuote(sellAmount);
       
       await expect(
-        market.connect(user1).sell(sellAmount, sellQuote.netProceeds)
-      ).to.emit(market, "Sell")
-        .withArgs(user1.address, sellAmount, sellQuote.proceeds, sellQuote.fee);
+        market.connect(user1).sell(sellAmount, sellQuote.netProceeds, NO_DEADLINE)
+      ).to.emit(market, "TokensSold")
+        .withArgs(user1.address, user1.address, sellAmount, sellQuote.netProceeds, sellQuote.fee, buyAmount - sellAmount);
     });
   });
 
   describe("Fee Management", function () {
-    it("Should allow owner to withdraw fees", async function () {
+    it("Should let the fee recipient claim distributed fees", async function () {
       const { market, treasury, user1 } = await loadFixture(deployMarketFixture);
       
       // Generate fees
       const amount = ethers.parseEther("10");
       const quote = await market.getBuyQuote(amount);
-      await market.connect(user1).buy(amount, quote.totalCost, { value: quote.totalCost });
+      await market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
       
       const fees = await market.accumulatedFees();
+      await market.distributeFees();
       
       await expect(
-        market.withdrawFees()
+        market.connect(treasury).claimFees()
       ).to.changeEtherBalance(treasury, fees);
     });
 
-    it("Should reset accumulated fees after withdrawal", async function () {
-      const { market, user1 } = await loadFixture(deployMarketFixture);
+    it("Should reset accumulated fees after distribution", async function () {
+      const { market, treasury, user1 } = await loadFixture(deployMarketFixture);
       
       // Generate fees
       const amount = ethers.parseEther("10");
       const quote = await market.getBuyQuote(amount);
-      await market.connect(user1).buy(amount, quote.totalCost, { value: quote.totalCost });
+      await market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
       
-      await market.withdrawFees();
+      await market.distributeFees();
       
       expect(await market.accumulatedFees()).to.equal(0);
+      expect(await market.claimableFees(treasury.address)).to.equal(quote.fee);
+      expect(await market.totalClaimableFees()).to.equal(quote.fee);
     });
 
-    it("Should revert if non-owner tries to withdraw fees", async function () {
+    it("Should revert if an account without fees tries to claim", async function () {
       const { market, user1 } = await loadFixture(deployMarketFixture);
       
       await expect(
-        market.connect(user1).withdrawFees()
-      ).to.be.reverted;
+        market.connect(user1).claimFees()
+      ).to.be.revertedWith("No fees to claim");
+      await expect(
+        market.distributeFees()
+      ).to.be.revertedWith("No fees to distribute");
     });
 
-    it("Should emit FeeWithdrawal event", async function () {
+    it("Should emit FeesClaimed event", async function () {
       const { market, treasury, user1 } = await loadFixture(deployMarketFixture);
       
       // Generate fees
       const amount = ethers.parseEther("10");
       const quote = await market.getBuyQuote(amount);
-      await market.connect(user1).buy(amount, quote.totalCost, { value: quote.totalCost });
+      await market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
       
       const fees = await market.accumulatedFees();
       
+      await expect(market.distributeFees()).to.emit(market, "FeesDistributed").withArgs(fees);
       await expect(
-        market.withdrawFees()
-      ).to.emit(market, "FeeWithdrawal")
+        market.connect(treasury).claimFees()
+      ).to.emit(market, "FeesClaimed")
         .withArgs(treasury.address, fees);
     });
   });
 
+  describe("Fee Split", function () {
+    async function tradeForFees(market, user, amount = ethers.parseEther("10")) {
+      const quote = await market.getBuyQuote(amount);
+      await market.connect(user).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
+      return quote.fee;
+    }
+
+    it("Should split distributed fees by share", async function () {
+      const { market, treasury, user1, user2, user3 } = await loadFixture(deployMarketFixture);
+
+      await market.setFeeSplit([treasury.address, user2.address, user3.address], [5000, 3333, 1667]);
+      const fee = await tradeForFees(market, user1);
+      await market.distributeFees();
+
+      const first = (fee * 5000n) / 10000n;
+      const second = (fee * 3333n) / 10000n;
+      expect(await market.claimableFees(treasury.address)).to.equal(first);
+      expect(await market.claimableFees(user2.address)).to.equal(second);
+      // The last share takes the rounding dust
+      expect(await market.claimableFees(user3.address)).to.equal(fee - first - second);
+      expect(await market.totalClaimableFees()).to.equal(fee);
+    });
+
+    it("Should return the split table", async function () {
+      const { market, treasury, user2 } = await loadFixture(deployMarketFixture);
+
+      expect(await market.getFeeShares()).to.deep.equal([]);
+
+      await expect(market.setFeeSplit([treasury.address, user2.address], [7000, 3000]))
+        .to.emit(market, "FeeSplitUpdated")
+        .withArgs([treasury.address, user2.address], [7000, 3000]);
+      const shares = await market.getFeeShares();
+      expect(shares.map((s) => [s.recipient, s.bps])).to.deep.equal([
+        [treasury.address, 7000n],
+        [user2.address, 3000n]
+      ]);
+    });
+
+    it("Should reject an invalid split", async function () {
+      const { market, treasury, user2 } = await loadFixture(deployMarketFixture);
+
+      await expect(market.setFeeSplit([treasury.address], [5000, 5000])).to.be.revertedWith("Length mismatch");
+      await expect(market.setFeeSplit([treasury.address, user2.address], [5000, 4000]))
+        .to.be.revertedWith("Shares must total 10000");
+      await expect(market.setFeeSplit([treasury.address, ethers.ZeroAddress], [5000, 5000]))
+        .to.be.revertedWith("Invalid fee recipient");
+
+      const eleven = Array(11).fill(treasury.address);
+      await expect(market.setFeeSplit(eleven, Array(11).fill(1000))).to.be.revertedWith("Too many recipients");
+    });
+
+    it("Should distribute pending fees under the old split before replacing it", async function () {
+      const { market, treasury, user1, user2 } = await loadFixture(deployMarketFixture);
+
+      const fee = await tradeForFees(market, user1);
+      await market.setFeeSplit([user2.address], [10000]);
+
+      expect(await market.accumulatedFees()).to.equal(0);
+      expect(await market.claimableFees(treasury.address)).to.equal(fee);
+      expect(await market.claimableFees(user2.address)).to.equal(0);
+    });
+
+    it("Should fall back to the fee recipient when the split is cleared", async function () {
+      const { market, treasury, user1, user2 } = await loadFixture(deployMarketFixture);
+
+      await market.setFeeSplit([user2.address], [10000]);
+      await market.setFeeSplit([], []);
+      const fee = await tradeForFees(market, user1);
+      await market.distributeFees();
+
+      expect(await market.claimableFees(treasury.address)).to.equal(fee);
+    });
+
+    it("Should only allow a fee manager to set the split", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+
+      await expect(market.connect(user1).setFeeSplit([user1.address], [10000]))
+        .to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount");
+      await expect(market.connect(user1).setReferralFeeBps(1000))
+        .to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should keep claimable fees out of the trading reserve", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+
+      await tradeForFees(market, user1);
+      const before = await market.getReserveHealth();
+      await market.distributeFees();
+      const after = await market.getReserveHealth();
+
+      expect(after.actualReserve).to.equal(before.actualReserve);
+      expect(after.deficit).to.equal(0);
+    });
+  });
+
+  describe("Referral Fees", function () {
+    it("Should credit the referrer with its share of the buy fee", async function () {
+      const { market, treasury, user1, user2 } = await loadFixture(deployMarketFixture);
+      await market.setReferralFeeBps(2000);
+
+      const amount = ethers.parseEther("10");
+      const quote = await market.getBuyQuote(amount);
+      const referral = (quote.fee * 2000n) / 10000n;
+
+      await expect(
+        market.connect(user1).buyWithReferrer(amount, quote.totalCost, NO_DEADLINE, user2.address, { value: quote.totalCost })
+      ).to.emit(market, "ReferralFeePaid")
+        .withArgs(user2.address, user1.address, referral);
+
+      expect(await market.claimableFees(user2.address)).to.equal(referral);
+      expect(await market.accumulatedFees()).to.equal(quote.fee - referral);
+
+      await expect(market.connect(user2).claimFees()).to.changeEtherBalance(user2, referral);
+      await market.distributeFees();
+      expect(await market.claimableFees(treasury.address)).to.equal(quote.fee - referral);
+    });
+
+    it("Should credit the referrer on sells", async function () {
+      const { market, token, user1, user2 } = await loadFixture(deployMarketFixture);
+      await market.setReferralFeeBps(5000);
+
+      const amount = ethers.parseEther("10");
+      const buyQuote = await market.getBuyQuote(amount);
+      await market.connect(user1).buy(amount, buyQuote.totalCost, NO_DEADLINE, { value: buyQuote.totalCost });
+      await token.connect(user1).approve(await market.getAddress(), amount);
+
+      const sellQuote = await market.getSellQuote(amount);
+      await expect(
+        market.connect(user1).sellWithReferrer(amount, sellQuote.netProceeds, NO_DEADLINE, user2.address)
+      ).to.changeEtherBalance(user1, sellQuote.netProceeds);
+      expect(await market.claimableFees(user2.address)).to.equal(sellQuote.fee / 2n);
+    });
+
+    it("Should not pay a self-referral or a zero referrer", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+      await market.setReferralFeeBps(2000);
+
+      const amount = ethers.parseEther("10");
+      const quote = await market.getBuyQuote(amount);
+      await expect(
+        market.connect(user1).buyWithReferrer(amount, quote.totalCost, NO_DEADLINE, user1.address, { value: quote.totalCost })
+      ).to.not.emit(market, "ReferralFeePaid");
+      await market.connect(user1).buyWithReferrer(amount, ethers.MaxUint256, NO_DEADLINE, ethers.ZeroAddress, { value: quote.totalCost * 2n });
+
+      expect(await market.claimableFees(user1.address)).to.equal(0);
+    });
+
+    it("Should pay nothing while the referral fee is zero", async function () {
+      const { market, user1, user2 } = await loadFixture(deployMarketFixture);
+
+      const amount = ethers.parseEther("10");
+      const quote = await market.getBuyQuote(amount);
+      await market.connect(user1).buyWithReferrer(amount, quote.totalCost, NO_DEADLINE, user2.address, { value: quote.totalCost });
+
+      expect(await market.claimableFees(user2.address)).to.equal(0);
+      expect(await market.accumulatedFees()).to.equal(quote.fee);
+    });
+
+    it("Should cap the referral fee", async function () {
+      const { market } = await loadFixture(deployMarketFixture);
+
+      await expect(market.setReferralFeeBps(5001)).to.be.revertedWith("Referral fee too high");
+      await expect(market.setReferralFeeBps(5000))
+        .to.emit(market, "ReferralFeeUpdated")
+        .withArgs(5000);
+    });
+  });
+
   describe("Admin Functions", function () {
     it("Should allow owner to update curve parameters", async function () {
       const { market } = await loadFixture(deployMarketFixture);
@@ -385,49 +614,76 @@ describe("BondingCurveMarket", function () {
       const newBasePrice = ethers.parseEther("0.002");
       const newSlope = ethers.parseEther("0.0002");
       
-      await market.updateCurveParameters(newBasePrice, newSlope);
+      await applyCurveParameters(market, newBasePrice, newSlope);
       
       expect(await market.basePrice()).to.equal(newBasePrice);
       expect(await market.slope()).to.equal(newSlope);
     });
 
     it("Should allow owner to update fee parameters", async function () {
-      const { market } = await loadFixture(deployMarketFixture);
+      const { market, treasury } = await loadFixture(deployMarketFixture);
       
       const newBuyFee = 500; // 5%
       const newSellFee = 300; // 3%
       
-      await market.updateFeeParameters(newBuyFee, newSellFee);
+      await applyFeeConfig(market, newBuyFee, newSellFee, treasury.address);
       
       expect(await market.buyFeeBps()).to.equal(newBuyFee);
       expect(await market.sellFeeBps()).to.equal(newSellFee);
     });
 
+    it("Should emit FeeConfigUpdated event", async function () {
+      const { market, treasury } = await loadFixture(deployMarketFixture);
+      
+      await expect(
+        applyFeeConfig(market, 100, 800, treasury.address)
+      ).to.emit(market, "FeeConfigUpdated")
+        .withArgs(100, 800, treasury.address);
+    });
+
     it("Should revert if fees exceed maximum", async function () {
-      const { market } = await loadFixture(deployMarketFixture);
+      const { market, treasury } = await loadFixture(deployMarketFixture);
       
       await expect(
-        market.updateFeeParameters(1001, 250)
+        market.queueFeeConfig(1001, 250, treasury.address)
       ).to.be.revertedWith("Buy fee too high");
       
       await expect(
-        market.updateFeeParameters(250, 1001)
+        market.queueFeeConfig(250, 1001, treasury.address)
       ).to.be.revertedWith("Sell fee too high");
     });
 
+    it("Should apply buy and sell fees independently", async function () {
+      const { market, token, treasury, user1 } = await loadFixture(deployMarketFixture);
+      
+      await applyFeeConfig(market, 0, 1000, treasury.address);
+      
+      const amount = ethers.parseEther("10");
+      const buyQuote = await market.getBuyQuote(amount);
+      expect(buyQuote.fee).to.equal(0);
+      await market.connect(user1).buy(amount, buyQuote.totalCost, NO_DEADLINE, { value: buyQuote.totalCost });
+      
+      await token.connect(user1).approve(await market.getAddress(), amount);
+      const sellQuote = await market.getSellQuote(amount);
+      expect(sellQuote.fee).to.equal(sellQuote.proceeds / 10n);
+      await market.connect(user1).sell(amount, sellQuote.netProceeds, NO_DEADLINE);
+      
+      expect(await market.accumulatedFees()).to.equal(sellQuote.fee);
+    });
+
     it("Should allow owner to update fee recipient", async function () {
-      const { market, user1 } = await loadFixture(deployMarketFixture);
+      const { market, buyFee, sellFee, user1 } = await loadFixture(deployMarketFixture);
       
-      await market.updateFeeRecipient(user1.address);
+      await applyFeeConfig(market, buyFee, sellFee, user1.address);
       
       expect(await market.feeRecipient()).to.equal(user1.address);
     });
 
     it("Should revert if setting zero address as fee recipient", async function () {
-      const { market } = await loadFixture(deployMarketFixture);
+      const { market, buyFee, sellFee } = await loadFixture(deployMarketFixture);
       
       await expect(
-        market.updateFeeRecipient(ethers.ZeroAddress)
+        market.queueFeeConfig(buyFee, sellFee, ethers.ZeroAddress)
       ).to.be.revertedWith("Invalid fee recipient");
     });
 
@@ -440,7 +696,7 @@ describe("BondingCurveMarket", function () {
       const quote = await market.getBuyQuote(amount);
       
       await expect(
-        market.connect(user1).buy(amount, quote.totalCost, { value: quote.totalCost })
+        market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost })
       ).to.be.revertedWith("Pausable: paused");
     });
 
@@ -454,10 +710,66 @@ describe("BondingCurveMarket", function () {
       const quote = await market.getBuyQuote(amount);
       
       await expect(
-        market.connect(user1).buy(amount, quote.totalCost, { value: quote.totalCost })
+        market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost })
       ).to.not.be.reverted;
     });
 
+    it("Should block sells while paused", async function () {
+      const { market, token, user1 } = await loadFixture(deployMarketFixture);
+      
+      const amount = ethers.parseEther("10");
+      const quote = await market.getBuyQuote(amount);
+      await market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
+      await token.connect(user1).approve(await market.getAddress(), amount);
+      
+      await market.pause();
+      
+      await expect(
+        market.connect(user1).sell(amount, 0, NO_DEADLINE)
+      ).to.be.revertedWith("Pausable: paused");
+      await expect(
+        market.connect(user1).buyWithExactEth(0, NO_DEADLINE, { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("Pausable: paused");
+    });
+
+    it("Should keep views and fee withdrawal working while paused", async function () {
+      const { market, treasury, user1 } = await loadFixture(deployMarketFixture);
+      
+      const amount = ethers.parseEther("10");
+      const quote = await market.getBuyQuote(amount);
+      await market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
+      
+      await market.pause();
+      
+      expect((await market.getBuyQuote(amount)).totalCost).to.be.gt(0);
+      await market.distributeFees();
+      await expect(
+        market.connect(treasury).claimFees()
+      ).to.changeEtherBalance(treasury, quote.fee);
+    });
+
+    it("Should allow a pauser to pause but not unpause", async function () {
+      const { market, user2 } = await loadFixture(deployMarketFixture);
+      
+      await market.grantRole(await market.PAUSER_ROLE(), user2.address);
+      
+      await market.connect(user2).pause();
+      expect(await market.paused()).to.equal(true);
+      
+      await expect(
+        market.connect(user2).unpause()
+      ).to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should revert if non-pauser tries to pause", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+      
+      await expect(
+        market.connect(user1).pause()
+      ).to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await market.PAUSER_ROLE());
+    });
+
     it("Should allow emergency token recovery", async function () {
       const { market, token, owner, user1 } = await loadFixture(deployMarketFixture);
       
@@ -469,51 +781,1448 @@ describe("BondingCurveMarket", function () {
       await otherToken.transfer(await market.getAddress(), ethers.parseEther("100"));
       
       // Recover
-      await market.emergencyTokenRecovery(await otherToken.getAddress(), ethers.parseEther("100"));
+      await market.recoverTokens(await otherToken.getAddress(), ethers.parseEther("100"));
       
-      expect(await otherToken.balanceOf(owner.address)).to.equal(ethers.parseEther("999900"));
+      expect(await otherToken.balanceOf(owner.address)).to.equal(ethers.parseEther("1000"));
     });
 
     it("Should prevent recovering market token", async function () {
       const { market, token } = await loadFixture(deployMarketFixture);
       
       await expect(
-        market.emergencyTokenRecovery(await token.getAddress(), ethers.parseEther("100"))
+        market.recoverTokens(await token.getAddress(), ethers.parseEther("100"))
       ).to.be.revertedWith("Cannot recover market token");
     });
   });
 
-  describe("Quote Accuracy", function () {
-    it("Should have consistent buy and sell quotes", async function () {
-      const { market, token, user1 } = await loadFixture(deployMarketFixture);
-      
+  describe("Roles", function () {
+    it("Should give the deployer every role", async function () {
+      const { market, owner } = await loadFixture(deployMarketFixture);
+
+      for (const role of ["DEFAULT_ADMIN_ROLE", "CURVE_ADMIN_ROLE", "FEE_MANAGER_ROLE", "PAUSER_ROLE", "RECOVERER_ROLE"]) {
+        expect(await market.hasRole(await market[role](), owner.address)).to.equal(true);
+      }
+    });
+
+    it("Should scope a curve admin to curve changes", async function () {
+      const { market, treasury, user1 } = await loadFixture(deployMarketFixture);
+      await market.grantRole(await market.CURVE_ADMIN_ROLE(), user1.address);
+
+      await expect(market.connect(user1).queueCurveParameters(1, 1)).to.emit(market, "CurveChangeQueued");
+      await expect(market.connect(user1).queueFeeConfig(0, 0, treasury.address))
+        .to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await market.FEE_MANAGER_ROLE());
+      await expect(market.connect(user1).pause())
+        .to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should let a fee manager change fees and the fee split", async function () {
+      const { market, treasury, user2 } = await loadFixture(deployMarketFixture);
+      await market.grantRole(await market.FEE_MANAGER_ROLE(), user2.address);
+
+      await market.connect(user2).setFeeSplit([treasury.address], [10000]);
+      await market.connect(user2).queueFeeConfig(100, 100, treasury.address);
+      await expect(market.connect(user2).queueCurveParameters(1, 1))
+        .to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should send recovered tokens to the recoverer", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+      await market.grantRole(await market.RECOVERER_ROLE(), user1.address);
+
+      const MockToken = await ethers.getContractFactory("MockERC20");
+      const otherToken = await MockToken.deploy("Other Token", "OTH", ethers.parseEther("1000"));
+      await otherToken.transfer(await market.getAddress(), ethers.parseEther("100"));
+
+      await market.connect(user1).recoverTokens(await otherToken.getAddress(), ethers.parseEther("100"));
+      expect(await otherToken.balanceOf(user1.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should revoke a role", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+      const role = await market.PAUSER_ROLE();
+
+      await market.grantRole(role, user1.address);
+      await market.revokeRole(role, user1.address);
+
+      expect(await market.hasRole(role, user1.address)).to.equal(false);
+      await expect(market.connect(user1).pause())
+        .to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should only let the admin grant roles", async function () {
+      const { market, user1, user2 } = await loadFixture(deployMarketFixture);
+      await market.grantRole(await market.CURVE_ADMIN_ROLE(), user1.address);
+
+      await expect(market.connect(user1).grantRole(await market.CURVE_ADMIN_ROLE(), user2.address))
+        .to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await market.DEFAULT_ADMIN_ROLE());
+    });
+  });
+
+  describe("Timelocked Changes", function () {
+    it("Should announce a curve change with its effective time", async function () {
+      const { market, basePrice, slope } = await loadFixture(deployMarketFixture);
+      const newBasePrice = ethers.parseEther("0.002");
+      const newSlope = ethers.parseEther("0.0002");
+
+      const tx = await market.queueCurveParameters(newBasePrice, newSlope);
+      const effectiveAt = BigInt(await time.latest()) + (await market.CHANGE_DELAY());
+      await expect(tx).to.emit(market, "CurveChangeQueued").withArgs(newBasePrice, newSlope, CurveSolve.None, effectiveAt);
+
+      const pending = await market.pendingCurveChange();
+      expect(pending.basePrice).to.equal(newBasePrice);
+      expect(pending.slope).to.equal(newSlope);
+      expect(pending.effectiveAt).to.equal(effectiveAt);
+
+      // Nothing changes until the change is executed
+      expect(await market.basePrice()).to.equal(basePrice);
+      expect(await market.slope()).to.equal(slope);
+    });
+
+    it("Should not execute a change before its delay", async function () {
+      const { market, treasury } = await loadFixture(deployMarketFixture);
+
+      await market.queueCurveParameters(1, 1);
+      await market.queueFeeConfig(0, 0, treasury.address);
+      await time.increase((await market.CHANGE_DELAY()) - 10n);
+
+      await expect(market.executeCurveParameters()).to.be.revertedWith("Change not yet effective");
+      await expect(market.executeFeeConfig()).to.be.revertedWith("Change not yet effective");
+    });
+
+    it("Should apply a curve change after its delay and clear it", async function () {
+      const { market } = await loadFixture(deployMarketFixture);
+      const newBasePrice = ethers.parseEther("0.002");
+
+      await market.queueCurveParameters(newBasePrice, 0);
+      await time.increase(await market.CHANGE_DELAY());
+      await expect(market.executeCurveParameters())
+        .to.emit(market, "CurveParametersUpdated")
+        .withArgs(newBasePrice, 0);
+
+      expect(await market.basePrice()).to.equal(newBasePrice);
+      expect((await market.pendingCurveChange()).effectiveAt).to.equal(0);
+      await expect(market.executeCurveParameters()).to.be.revertedWith("No pending change");
+    });
+
+    it("Should announce and apply a fee change", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+
+      await expect(market.queueFeeConfig(100, 200, user1.address)).to.emit(market, "FeeChangeQueued");
+      const pending = await market.pendingFeeChange();
+      expect(pending.buyFeeBps).to.equal(100);
+      expect(pending.sellFeeBps).to.equal(200);
+      expect(pending.feeRecipient).to.equal(user1.address);
+
+      await time.increase(await market.CHANGE_DELAY());
+      await market.executeFeeConfig();
+      expect(await market.buyFeeBps()).to.equal(100);
+      expect(await market.feeRecipient()).to.equal(user1.address);
+    });
+
+    it("Should cancel queued changes", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+
+      await market.queueCurveParameters(1, 2);
+      await market.queueFeeConfig(100, 200, user1.address);
+
+      await expect(market.cancelCurveParameters()).to.emit(market, "CurveChangeCancelled").withArgs(1, 2);
+      await expect(market.cancelFeeConfig())
+        .to.emit(market, "FeeChangeCancelled")
+        .withArgs(100, 200, user1.address);
+
+      await time.increase(await market.CHANGE_DELAY());
+      await expect(market.executeCurveParameters()).to.be.revertedWith("No pending change");
+      await expect(market.executeFeeConfig()).to.be.revertedWith("No pending change");
+      await expect(market.cancelCurveParameters()).to.be.revertedWith("No pending change");
+    });
+
+    it("Should refuse to queue over a pending change", async function () {
+      const { market, treasury } = await loadFixture(deployMarketFixture);
+
+      await market.queueCurveParameters(1, 1);
+      await market.queueFeeConfig(0, 0, treasury.address);
+
+      await expect(market.queueCurveParameters(2, 2)).to.be.revertedWith("Change already pending");
+      await expect(market.queueFeeConfig(1, 1, treasury.address)).to.be.revertedWith("Change already pending");
+    });
+
+    it("Should restrict every step to the role holders", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+
+      await expect(market.connect(user1).queueCurveParameters(1, 1))
+        .to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount");
+      await expect(market.connect(user1).queueFeeConfig(0, 0, user1.address))
+        .to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount");
+
+      await market.queueCurveParameters(1, 1);
+      await time.increase(await market.CHANGE_DELAY());
+      await expect(market.connect(user1).executeCurveParameters())
+        .to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount");
+      await expect(market.connect(user1).cancelCurveParameters())
+        .to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Reserve Health", function () {
+    it("Should report an empty market as healthy", async function () {
+      const { market } = await loadFixture(deployMarketFixture);
+      expect(await market.getReserveHealth()).to.deep.equal([0n, 0n, 0n, 0n]);
+    });
+
+    it("Should compare the reserve to a sell of the whole supply", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
       const amount = ethers.parseEther("100");
-      
-      // Get buy quote
-      const buyQuote = await market.getBuyQuote(amount);
-      
-      // Execute buy
-      await market.connect(user1).buy(amount, buyQuote.totalCost, { value: buyQuote.totalCost });
-      
-      // Get sell quote for same amount
-      const sellQuote = await market.getSellQuote(amount);
-      
-      // Sell should be less than buy due to fees and curve mechanics
-      expect(sellQuote.netProceeds).to.be.lt(buyQuote.totalCost);
+      const quote = await market.getBuyQuote(amount);
+      await market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
+
+      const [required, actual, surplus, deficit] = await market.getReserveHealth();
+      const balance = await ethers.provider.getBalance(await market.getAddress());
+      expect(required).to.equal(await market.calculateSellProceeds(amount));
+      expect(actual).to.equal(balance - (await market.accumulatedFees()));
+      expect(surplus).to.equal(actual - required);
+      expect(deficit).to.equal(0);
     });
 
-    it("Should handle large amounts correctly", async function () {
+    it("Should count seeded liquidity as surplus", async function () {
+      const { market, owner } = await loadFixture(deployMarketFixture);
+      const donation = ethers.parseEther("1");
+      await owner.sendTransaction({ to: await market.getAddress(), value: donation });
+
+      const [, actual, surplus] = await market.getReserveHealth();
+      expect(actual).to.equal(donation);
+      expect(surplus).to.equal(donation);
+    });
+
+    it("Should report a deficit when the reserve falls short", async function () {
       const { market, user1 } = await loadFixture(deployMarketFixture);
-      
-      const largeAmount = ethers.parseEther("10000");
-      const quote = await market.getBuyQuote(largeAmount);
-      
-      expect(quote.totalCost).to.be.gt(0);
+      const amount = ethers.parseEther("100");
+      const quote = await market.getBuyQuote(amount);
+      await market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
+
+      // Leave only the fees owed to the recipient
+      await setBalance(await market.getAddress(), quote.fee);
+
+      const [required, actual, surplus, deficit] = await market.getReserveHealth();
+      expect(actual).to.equal(0);
+      expect(surplus).to.equal(0);
+      expect(deficit).to.equal(required);
+    });
+
+    it("Should not pay sellers out of fees owed when the reserve falls short", async function () {
+      const { market, token, treasury, user1, user2 } = await loadFixture(deployMarketFixture);
+      await market.setReferralFeeBps(2000);
+
+      const amount = ethers.parseEther("100");
+      const quote = await market.getBuyQuote(amount);
+      await market.connect(user1).buyWithReferrer(amount, quote.totalCost, NO_DEADLINE, user2.address, { value: quote.totalCost });
+      await market.distributeFees();
+      const treasuryFees = await market.claimableFees(treasury.address);
+      const referral = await market.claimableFees(user2.address);
+
+      // Lose the trading reserve except what one small sell needs
+      const small = ethers.parseEther("1");
+      const [gross] = await market.getSellQuote(small);
+      await setBalance(await market.getAddress(), treasuryFees + referral + gross);
+      await token.connect(user1).approve(await market.getAddress(), amount);
+
+      await expect(market.connect(user1).sell(amount, 0, NO_DEADLINE)).to.be.revertedWith("Insufficient contract balance");
+      await market.connect(user1).sell(small, 0, NO_DEADLINE);
+      await expect(market.connect(user1).sell(small, 0, NO_DEADLINE)).to.be.revertedWith("Insufficient contract balance");
+
+      await expect(market.connect(treasury).claimFees()).to.changeEtherBalance(treasury, treasuryFees);
+      await expect(market.connect(user2).claimFees()).to.changeEtherBalance(user2, referral);
+    });
+  });
+
+  describe("Seeded Liquidity", function () {
+    it("Should track deposited liquidity", async function () {
+      const { market, owner } = await loadFixture(deployMarketFixture);
+      const amount = ethers.parseEther("1");
+
+      await expect(market.depositLiquidity(amount, { value: amount }))
+        .to.emit(market, "LiquidityDeposited")
+        .withArgs(owner.address, amount);
+      expect(await market.seededLiquidity()).to.equal(amount);
+    });
+
+    it("Should record plain ETH transfers as liquidity", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+      const amount = ethers.parseEther("0.5");
+
+      await expect(user1.sendTransaction({ to: await market.getAddress(), value: amount }))
+        .to.emit(market, "LiquidityDeposited")
+        .withArgs(user1.address, amount);
+      expect(await market.seededLiquidity()).to.equal(amount);
+    });
+
+    it("Should reject a deposit with the wrong ETH amount", async function () {
+      const { market } = await loadFixture(deployMarketFixture);
+
+      await expect(market.depositLiquidity(ethers.parseEther("1"), { value: 1 }))
+        .to.be.revertedWith("Incorrect ETH sent");
+      await expect(market.depositLiquidity(0)).to.be.revertedWith("Amount must be positive");
+    });
+
+    it("Should let the owner withdraw seeded liquidity", async function () {
+      const { market, owner, user1 } = await loadFixture(deployMarketFixture);
+      const amount = ethers.parseEther("1");
+      await market.depositLiquidity(amount, { value: amount });
+
+      // Trading reserve is untouched by the withdrawal
+      const buyAmount = ethers.parseEther("100");
+      const quote = await market.getBuyQuote(buyAmount);
+      await market.connect(user1).buy(buyAmount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
+
+      const tx = market.withdrawLiquidity(amount);
+      await expect(tx).to.emit(market, "LiquidityWithdrawn").withArgs(owner.address, amount);
+      await expect(tx).to.changeEtherBalance(owner, amount);
+      expect(await market.seededLiquidity()).to.equal(0);
+
+      const [, , , deficit] = await market.getReserveHealth();
+      expect(deficit).to.equal(0);
+    });
+
+    it("Should not withdraw below the solvency floor", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+      const amount = ethers.parseEther("1");
+      await market.depositLiquidity(amount, { value: amount });
+
+      const buyAmount = ethers.parseEther("100");
+      const quote = await market.getBuyQuote(buyAmount);
+      await market.connect(user1).buy(buyAmount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
+
+      // Lose part of the reserve, so only the surplus is free
+      const marketAddress = await market.getAddress();
+      await setBalance(marketAddress, (await ethers.provider.getBalance(marketAddress)) - amount / 2n);
+      const [, , surplus] = await market.getReserveHealth();
+
+      await expect(market.withdrawLiquidity(amount)).to.be.revertedWith("Below solvency floor");
+      await expect(market.withdrawLiquidity(surplus + 1n)).to.be.revertedWith("Below solvency floor");
+      await market.withdrawLiquidity(surplus);
+      expect(await market.seededLiquidity()).to.equal(amount - surplus);
+    });
+
+    it("Should restrict withdrawals to seeded liquidity and the admin", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+      const amount = ethers.parseEther("1");
+      await market.depositLiquidity(amount, { value: amount });
+
+      await expect(market.withdrawLiquidity(amount + 1n)).to.be.revertedWith("Exceeds seeded liquidity");
+      await expect(market.connect(user1).withdrawLiquidity(amount))
+        .to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Reserve-Matched Curve Changes", function () {
+    // Market with 100 tokens sold; the reserve is the ETH paid net of fees
+    async function deployTradedMarketFixture() {
+      const fixture = await deployMarketFixture();
+      const { market, user1 } = fixture;
+
+      const amount = ethers.parseEther("100");
+      const quote = await market.getBuyQuote(amount);
+      await market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
+
+      const balance = await ethers.provider.getBalance(await market.getAddress());
+      const reserve = balance - (await market.accumulatedFees());
+      return { ...fixture, amount, reserve };
+    }
+
+    async function curveState(market) {
+      return {
+        basePrice: await market.basePrice(),
+        slope: await market.slope(),
+        currentSupply: await market.currentSupply()
+      };
+    }
+
+    it("Should refuse a change that leaves the reserve undercollateralized", async function () {
+      const { market, slope } = await loadFixture(deployTradedMarketFixture);
+
+      await market.queueCurveParameters(ethers.parseEther("0.002"), slope);
+      await time.increase(await market.CHANGE_DELAY());
+      await expect(market.executeCurveParameters()).to.be.revertedWith("Reserve undercollateralized");
+    });
+
+    it("Should solve the slope against the reserve at execution", async function () {
+      const { market, token, user1, amount, reserve } = await loadFixture(deployTradedMarketFixture);
+      const newBasePrice = ethers.parseEther("0.0005");
+
+      await expect(market.queueReserveMatchedCurve(CurveSolve.Slope, newBasePrice))
+        .to.emit(market, "CurveChangeQueued");
+      expect((await market.pendingCurveChange()).solveFor).to.equal(CurveSolve.Slope);
+
+      const preview = curveMath.previewCurveChange(await curveState(market), reserve, {
+        solveFor: "slope",
+        basePrice: newBasePrice
+      });
+      const [, solvedSlope] = await market.solveCurveParameters(CurveSolve.Slope, newBasePrice);
+      expect(solvedSlope).to.equal(preview.slope);
+
+      await time.increase(await market.CHANGE_DELAY());
+      await expect(market.executeCurveParameters())
+        .to.emit(market, "CurveParametersUpdated")
+        .withArgs(newBasePrice, preview.slope);
+
+      // The whole supply can still exit against the reserve
+      const required = await market.calculateSellProceeds(amount);
+      expect(required).to.equal(preview.requiredReserve);
+      expect(required).to.be.at.most(reserve);
+      await token.connect(user1).approve(await market.getAddress(), amount);
+      await market.connect(user1).sell(amount, 0, NO_DEADLINE);
+    });
+
+    it("Should solve the base price against the reserve", async function () {
+      const { market, amount, reserve } = await loadFixture(deployTradedMarketFixture);
+      const newSlope = ethers.parseEther("0.00005");
+
+      await market.queueReserveMatchedCurve(CurveSolve.BasePrice, newSlope);
+      await time.increase(await market.CHANGE_DELAY());
+      await market.executeCurveParameters();
+
+      expect(await market.slope()).to.equal(newSlope);
+      const required = await market.calculateSellProceeds(amount);
+      expect(required).to.be.at.most(reserve);
+      expect(reserve - required).to.be.below(ethers.parseUnits("1", "gwei"));
+    });
+
+    it("Should solve against the supply at execution, not at queueing", async function () {
+      const { market, user2, reserve } = await loadFixture(deployTradedMarketFixture);
+      const newBasePrice = ethers.parseEther("0.0005");
+      const queuedPreview = curveMath.solveCurveParameters(await curveState(market), reserve, "slope", newBasePrice);
+
+      await market.queueReserveMatchedCurve(CurveSolve.Slope, newBasePrice);
+      const amount = ethers.parseEther("50");
+      const quote = await market.getBuyQuote(amount);
+      await market.connect(user2).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
+
+      await time.increase(await market.CHANGE_DELAY());
+      await market.executeCurveParameters();
+      expect(await market.slope()).to.not.equal(queuedPreview.slope);
+      expect(await market.calculateSellProceeds(await market.currentSupply()))
+        .to.be.at.most(reserve + quote.cost);
+    });
+
+    it("Should refuse a fixed parameter the reserve cannot cover", async function () {
+      const { market } = await loadFixture(deployTradedMarketFixture);
+
+      await expect(market.solveCurveParameters(CurveSolve.Slope, ethers.parseEther("1")))
+        .to.be.revertedWith("Reserve cannot cover curve");
+
+      await market.queueReserveMatchedCurve(CurveSolve.Slope, ethers.parseEther("1"));
+      await time.increase(await market.CHANGE_DELAY());
+      await expect(market.executeCurveParameters()).to.be.revertedWith("Reserve cannot cover curve");
+    });
+
+    it("Should reject a reserve-matched change without a solve target", async function () {
+      const { market } = await loadFixture(deployMarketFixture);
+      await expect(market.queueReserveMatchedCurve(CurveSolve.None, 1)).to.be.revertedWith("Invalid solve target");
+    });
+
+    it("Should keep the solved parameter at zero supply", async function () {
+      const { market, basePrice, slope } = await loadFixture(deployMarketFixture);
+
+      expect(await market.solveCurveParameters(CurveSolve.Slope, 7)).to.deep.equal([7n, slope]);
+      expect(await market.solveCurveParameters(CurveSolve.BasePrice, 7)).to.deep.equal([basePrice, 7n]);
+    });
+  });
+
+  describe("Token Decimals", function () {
+    async function deployWithDecimals(decimals) {
+      const [, treasury] = await ethers.getSigners();
+      const { basePrice, slope, buyFee, sellFee } = await loadFixture(deployMarketFixture);
+
+      const MockToken = await ethers.getContractFactory("MockERC20Decimals");
+      const token = await MockToken.deploy("Six Decimals", "SIX", ethers.parseUnits("1000000", decimals), decimals);
+
+      const BondingCurveMarket = await ethers.getContractFactory("BondingCurveMarket");
+      return BondingCurveMarket.deploy(
+        await token.getAddress(),
+        basePrice,
+        slope,
+        buyFee,
+        sellFee,
+        treasury.address,
+        ethers.ZeroAddress,
+        ethers.ZeroAddress,
+        SupplyMode.Inventory
+      );
+    }
+
+    it("Should price per whole token whatever the decimals", async function () {
+      const { market } = await loadFixture(deployMarketFixture);
+      const sixDecimalMarket = await deployWithDecimals(6);
+
+      expect(await sixDecimalMarket.tokenDecimals()).to.equal(6);
+      expect(await sixDecimalMarket.calculateBuyCost(ethers.parseUnits("10", 6)))
+        .to.equal(await market.calculateBuyCost(ethers.parseEther("10")));
+    });
+
+    it("Should match the JS curve math for non-18 decimals", async function () {
+      const sixDecimalMarket = await deployWithDecimals(6);
+      const state = {
+        basePrice: await sixDecimalMarket.basePrice(),
+        slope: await sixDecimalMarket.slope(),
+        currentSupply: await sixDecimalMarket.currentSupply(),
+        buyFeeBps: await sixDecimalMarket.buyFeeBps(),
+        decimals: 6
+      };
+      const budget = ethers.parseEther("0.5");
+
+      expect(await sixDecimalMarket.getBuyAmountForEth(budget)).to.equal(curveMath.getBuyAmountForEth(state, budget));
+    });
+
+    it("Should round buys up and sells down", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+      const amount = 3n; // 3 base units: the exact cost is a fraction of a wei
+
+      await market.connect(user1).buy(amount, NO_DEADLINE, NO_DEADLINE, { value: ethers.parseEther("1") });
+      expect(await market.calculateSellProceeds(amount)).to.be.lt(await market.calculateBuyCost(amount));
+    });
+
+    it("Should reject tokens with more than 18 decimals", async function () {
+      await expect(deployWithDecimals(24)).to.be.revertedWith("Unsupported token decimals");
+    });
+  });
+
+  describe("Reserve Asset", function () {
+    // Market priced in a 6-decimal stablecoin: 1 USD base price, 0.01 USD slope
+    async function deployStablecoinMarketFixture() {
+      const [owner, treasury, user1] = await ethers.getSigners();
+
+      const MockToken = await ethers.getContractFactory("MockERC20");
+      const token = await MockToken.deploy("Market Token", "MKT", ethers.parseEther("1000000"));
+
+      const MockStable = await ethers.getContractFactory("MockERC20Decimals");
+      const usd = await MockStable.deploy("Mock USD", "mUSD", ethers.parseUnits("1000000", 6), 6);
+
+      const BondingCurveMarket = await ethers.getContractFactory("BondingCurveMarket");
+      const market = await BondingCurveMarket.deploy(
+        await token.getAddress(),
+        ethers.parseUnits("1", 6),
+        ethers.parseUnits("0.01", 6),
+        250,
+        250,
+        treasury.address,
+        ethers.ZeroAddress,
+        await usd.getAddress(),
+        SupplyMode.Inventory
+      );
+      await token.transfer(await market.getAddress(), ethers.parseEther("100000"));
+      await usd.transfer(user1.address, ethers.parseUnits("10000", 6));
+
+      return { market, token, usd, owner, treasury, user1 };
+    }
+
+    it("Should report the reserve asset and its decimals", async function () {
+      const { market, usd } = await loadFixture(deployStablecoinMarketFixture);
+      expect(await market.reserveAsset()).to.equal(await usd.getAddress());
+      expect(await market.reserveDecimals()).to.equal(6);
+
+      const { market: ethMarket } = await loadFixture(deployMarketFixture);
+      expect(await ethMarket.reserveAsset()).to.equal(ethers.ZeroAddress);
+      expect(await ethMarket.reserveDecimals()).to.equal(18);
+    });
+
+    it("Should buy with the reserve token", async function () {
+      const { market, token, usd, user1 } = await loadFixture(deployStablecoinMarketFixture);
+      const amount = ethers.parseEther("10");
+      const quote = await market.getBuyQuote(amount);
+
+      // 10 tokens from supply 0: 10 * 1 + 0.01 * 10^2 / 2 = 10.5 USD before fees
+      expect(quote.cost).to.equal(ethers.parseUnits("10.5", 6));
+
+      await usd.connect(user1).approve(await market.getAddress(), quote.totalCost);
+      await expect(market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE))
+        .to.changeTokenBalances(usd, [user1, market], [-quote.totalCost, quote.totalCost]);
+      expect(await token.balanceOf(user1.address)).to.equal(amount);
+      expect(await market.accumulatedFees()).to.equal(quote.fee);
+    });
+
+    it("Should reject ETH sent to an ERC20 reserve market", async function () {
+      const { market, usd, user1 } = await loadFixture(deployStablecoinMarketFixture);
+      const amount = ethers.parseEther("1");
+      const quote = await market.getBuyQuote(amount);
+
+      await usd.connect(user1).approve(await market.getAddress(), quote.totalCost);
+      await expect(
+        market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: 1 })
+      ).to.be.revertedWith("ETH not accepted");
+      await expect(
+        user1.sendTransaction({ to: await market.getAddress(), value: 1 })
+      ).to.be.revertedWith("ETH not accepted");
+      await expect(
+        market.connect(user1).buyWithExactEth(0, NO_DEADLINE, { value: 1 })
+      ).to.be.revertedWith("Reserve is not ETH");
+    });
+
+    it("Should sell for the reserve token", async function () {
+      const { market, token, usd, user1 } = await loadFixture(deployStablecoinMarketFixture);
+      const amount = ethers.parseEther("10");
+      const buyQuote = await market.getBuyQuote(amount);
+
+      await usd.connect(user1).approve(await market.getAddress(), buyQuote.totalCost);
+      await market.connect(user1).buy(amount, buyQuote.totalCost, NO_DEADLINE);
+
+      const sellQuote = await market.getSellQuote(amount);
+      await token.connect(user1).approve(await market.getAddress(), amount);
+      await expect(market.connect(user1).sell(amount, sellQuote.netProceeds, NO_DEADLINE))
+        .to.changeTokenBalance(usd, user1, sellQuote.netProceeds);
+    });
+
+    it("Should spend an exact reserve amount", async function () {
+      const { market, token, usd, user1 } = await loadFixture(deployStablecoinMarketFixture);
+      const budget = ethers.parseUnits("100", 6);
+      const expected = await market.getBuyAmountForEth(budget);
+
+      await usd.connect(user1).approve(await market.getAddress(), budget);
+      await expect(market.connect(user1).buyWithExactReserve(budget, expected, NO_DEADLINE))
+        .to.changeTokenBalance(usd, user1, -budget);
+      expect(await token.balanceOf(user1.address)).to.equal(expected);
+    });
+
+    it("Should price fee-on-transfer reserves on the amount received", async function () {
+      const [, treasury, user1] = await ethers.getSigners();
+      const { token } = await loadFixture(deployStablecoinMarketFixture);
+
+      const MockFeeToken = await ethers.getContractFactory("MockFeeOnTransferERC20");
+      const feeToken = await MockFeeToken.deploy("Fee USD", "fUSD", ethers.parseEther("1000000"), 100); // 1% per transfer
+
+      const BondingCurveMarket = await ethers.getContractFactory("BondingCurveMarket");
+      const market = await BondingCurveMarket.deploy(
+        await token.getAddress(),
+        ethers.parseEther("1"),
+        0,
+        0,
+        0,
+        treasury.address,
+        ethers.ZeroAddress,
+        await feeToken.getAddress(),
+        SupplyMode.Inventory
+      );
+      await token.transfer(await market.getAddress(), ethers.parseEther("1000"));
+      await feeToken.transfer(user1.address, ethers.parseEther("200")); // user1 receives 198
+
+      // 100 sent arrives as 99, which buys 99 tokens at a flat price of 1
+      await feeToken.connect(user1).approve(await market.getAddress(), ethers.MaxUint256);
+      await market.connect(user1).buyWithExactReserve(ethers.parseEther("100"), 0, NO_DEADLINE);
+      expect(await token.balanceOf(user1.address)).to.equal(ethers.parseEther("99"));
+
+      // An exact-amount buy cannot cover its cost once the transfer fee is taken
+      await expect(
+        market.connect(user1).buy(ethers.parseEther("1"), ethers.parseEther("2"), NO_DEADLINE)
+      ).to.be.revertedWith("Reserve transfer short");
+    });
+
+    it("Should pay claimed fees in the reserve token", async function () {
+      const { market, usd, treasury, user1 } = await loadFixture(deployStablecoinMarketFixture);
+      const amount = ethers.parseEther("10");
+      const quote = await market.getBuyQuote(amount);
+
+      await usd.connect(user1).approve(await market.getAddress(), quote.totalCost);
+      await market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE);
+
+      await market.distributeFees();
+      await expect(market.connect(treasury).claimFees())
+        .to.changeTokenBalance(usd, treasury, quote.fee);
+    });
+
+    it("Should not recover the reserve asset", async function () {
+      const { market, usd } = await loadFixture(deployStablecoinMarketFixture);
+      await expect(market.recoverTokens(await usd.getAddress(), 1)).to.be.revertedWith("Cannot recover reserve asset");
+    });
+
+    it("Should seed and withdraw liquidity in the reserve token", async function () {
+      const { market, usd, owner } = await loadFixture(deployStablecoinMarketFixture);
+      const amount = ethers.parseUnits("500", 6);
+
+      await usd.approve(await market.getAddress(), amount);
+      await expect(market.depositLiquidity(amount, { value: 1 })).to.be.revertedWith("ETH not accepted");
+      await market.depositLiquidity(amount);
+      expect(await market.seededLiquidity()).to.equal(amount);
+
+      await expect(market.withdrawLiquidity(amount)).to.changeTokenBalance(usd, owner, amount);
+    });
+  });
+
+  describe("Mint/Burn Supply", function () {
+    async function deployMintBurnMarketFixture() {
+      const [owner, treasury, user1, user2] = await ethers.getSigners();
+
+      const BondingCurveToken = await ethers.getContractFactory("BondingCurveToken");
+      const token = await BondingCurveToken.deploy("Curve Token", "CRV");
+
+      const BondingCurveMarket = await ethers.getContractFactory("BondingCurveMarket");
+      const market = await BondingCurveMarket.deploy(
+        await token.getAddress(),
+        ethers.parseEther("0.001"),
+        ethers.parseEther("0.0001"),
+        250,
+        250,
+        treasury.address,
+        ethers.ZeroAddress,
+        ethers.ZeroAddress,
+        SupplyMode.MintBurn
+      );
+      await token.setMinter(await market.getAddress());
+
+      return { market, token, owner, treasury, user1, user2 };
+    }
+
+    it("Should mint on buy without any inventory", async function () {
+      const { market, token, user1 } = await loadFixture(deployMintBurnMarketFixture);
+      const amount = ethers.parseEther("10");
+      const quote = await market.getBuyQuote(amount);
+
+      expect(await market.supplyMode()).to.equal(SupplyMode.MintBurn);
+      await market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
+
+      expect(await token.balanceOf(user1.address)).to.equal(amount);
+      expect(await token.balanceOf(await market.getAddress())).to.equal(0);
+      expect(await token.totalSupply()).to.equal(await market.currentSupply());
+    });
+
+    it("Should mint on exact ETH buys", async function () {
+      const { market, token, user1 } = await loadFixture(deployMintBurnMarketFixture);
+      const budget = ethers.parseEther("1");
+      const expected = await market.getBuyAmountForEth(budget);
+
+      await market.connect(user1).buyWithExactEth(expected, NO_DEADLINE, { value: budget });
+      expect(await token.totalSupply()).to.equal(expected);
+    });
+
+    it("Should burn on sell", async function () {
+      const { market, token, user1 } = await loadFixture(deployMintBurnMarketFixture);
+      const amount = ethers.parseEther("10");
+      const quote = await market.getBuyQuote(amount);
+      await market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
+
+      const sellAmount = ethers.parseEther("4");
+      await token.connect(user1).approve(await market.getAddress(), sellAmount);
+      await market.connect(user1).sell(sellAmount, 0, NO_DEADLINE);
+
+      expect(await token.balanceOf(user1.address)).to.equal(amount - sellAmount);
+      expect(await token.balanceOf(await market.getAddress())).to.equal(0);
+      expect(await token.totalSupply()).to.equal(amount - sellAmount);
+      expect(await market.currentSupply()).to.equal(amount - sellAmount);
+    });
+
+    it("Should require the seller's allowance to burn", async function () {
+      const { market, token, user1 } = await loadFixture(deployMintBurnMarketFixture);
+      const amount = ethers.parseEther("10");
+      const quote = await market.getBuyQuote(amount);
+      await market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
+
+      await expect(market.connect(user1).sell(amount, 0, NO_DEADLINE))
+        .to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+    });
+
+    it("Should revert buys until the market is the minter", async function () {
+      const { market, token, user1 } = await loadFixture(deployMintBurnMarketFixture);
+      await token.setMinter(ethers.ZeroAddress);
+
+      await expect(
+        market.connect(user1).buy(ethers.parseEther("1"), NO_DEADLINE, NO_DEADLINE, { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("Caller is not the minter");
+    });
+
+    it("Should only let the token owner set the minter", async function () {
+      const { token, user1 } = await loadFixture(deployMintBurnMarketFixture);
+
+      await expect(token.connect(user1).setMinter(user1.address))
+        .to.be.revertedWithCustomError(token, "OwnableUnauthorizedAccount");
+      await expect(token.connect(user1).mint(user1.address, 1)).to.be.revertedWith("Caller is not the minter");
+    });
+  });
+
+  describe("Sell With Permit", function () {
+    async function deployPermitMarketFixture() {
+      const [owner, treasury, user1, user2] = await ethers.getSigners();
+
+      const MockToken = await ethers.getContractFactory("MockERC20Permit");
+      const token = await MockToken.deploy("Permit Token", "PMT", ethers.parseEther("1000000"));
+
+      const BondingCurveMarket = await ethers.getContractFactory("BondingCurveMarket");
+      const market = await BondingCurveMarket.deploy(
+        await token.getAddress(),
+        ethers.parseEther("0.001"),
+        ethers.parseEther("0.0001"),
+        250,
+        250,
+        treasury.address,
+        ethers.ZeroAddress,
+        ethers.ZeroAddress,
+        SupplyMode.Inventory
+      );
+      await token.transfer(await market.getAddress(), ethers.parseEther("100000"));
+
+      const amount = ethers.parseEther("10");
+      const quote = await market.getBuyQuote(amount);
+      await market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
+
+      return { market, token, owner, treasury, user1, user2, amount };
+    }
+
+    async function permitFor(signer, token, market, value, deadline) {
+      return signPermit(signer, await token.getAddress(), await market.getAddress(), value, deadline);
+    }
+
+    it("Should sell without a prior approval", async function () {
+      const { market, token, user1, amount } = await loadFixture(deployPermitMarketFixture);
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await permitFor(user1, token, market, amount, deadline);
+      const [, fee, netProceeds] = await market.getSellQuote(amount);
+
+      await expect(market.connect(user1).sellWithPermit(amount, netProceeds, deadline, v, r, s))
+        .to.emit(market, "TokensSold")
+        .withArgs(user1.address, user1.address, amount, netProceeds, fee, 0);
+
+      expect(await token.balanceOf(user1.address)).to.equal(0);
+      expect(await token.allowance(user1.address, await market.getAddress())).to.equal(0);
+      expect(await token.nonces(user1.address)).to.equal(1);
+    });
+
+    it("Should sell when the permit was already submitted by someone else", async function () {
+      const { market, token, user1, user2, amount } = await loadFixture(deployPermitMarketFixture);
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await permitFor(user1, token, market, amount, deadline);
+
+      // A front-runner copies the permit from the mempool
+      await token.connect(user2).permit(user1.address, await market.getAddress(), amount, deadline, v, r, s);
+
+      await market.connect(user1).sellWithPermit(amount, 0, deadline, v, r, s);
+      expect(await token.balanceOf(user1.address)).to.equal(0);
+    });
+
+    it("Should revert without a valid permit or allowance", async function () {
+      const { market, token, user1, user2, amount } = await loadFixture(deployPermitMarketFixture);
+      const deadline = (await time.latest()) + 3600;
+
+      // Signed by someone else, or for another amount
+      const forged = await permitFor(user2, token, market, amount, deadline);
+      await expect(market.connect(user1).sellWithPermit(amount, 0, deadline, forged.v, forged.r, forged.s))
+        .to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+
+      const smaller = await permitFor(user1, token, market, amount - 1n, deadline);
+      await expect(market.connect(user1).sellWithPermit(amount, 0, deadline, smaller.v, smaller.r, smaller.s))
+        .to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+    });
+
+    it("Should apply the trade deadline to the permit", async function () {
+      const { market, token, user1, amount } = await loadFixture(deployPermitMarketFixture);
+      const deadline = (await time.latest()) + 60;
+      const { v, r, s } = await permitFor(user1, token, market, amount, deadline);
+
+      await time.increase(120);
+      await expect(market.connect(user1).sellWithPermit(amount, 0, deadline, v, r, s))
+        .to.be.revertedWith("Transaction expired");
+    });
+
+    it("Should fall back to an existing allowance for tokens without permit", async function () {
+      const { market, token, user1 } = await loadFixture(deployMarketFixture);
+      const amount = ethers.parseEther("10");
+      const quote = await market.getBuyQuote(amount);
+      await market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
+
+      // MockERC20 has no permit, so the client helper offers none
+      expect(await signPermit(user1, await token.getAddress(), await market.getAddress(), amount, NO_DEADLINE)).to.equal(null);
+
+      await token.connect(user1).approve(await market.getAddress(), amount);
+      await market.connect(user1).sellWithPermit(amount, 0, NO_DEADLINE, 0, ethers.ZeroHash, ethers.ZeroHash);
+      expect(await token.balanceOf(user1.address)).to.equal(0);
+    });
+
+    it("Should burn with a permit in mint/burn mode", async function () {
+      const [, treasury, user1] = await ethers.getSigners();
+      const BondingCurveToken = await ethers.getContractFactory("BondingCurveToken");
+      const token = await BondingCurveToken.deploy("Curve Token", "CRV");
+      const BondingCurveMarket = await ethers.getContractFactory("BondingCurveMarket");
+      const market = await BondingCurveMarket.deploy(
+        await token.getAddress(),
+        ethers.parseEther("0.001"),
+        ethers.parseEther("0.0001"),
+        250,
+        250,
+        treasury.address,
+        ethers.ZeroAddress,
+        ethers.ZeroAddress,
+        SupplyMode.MintBurn
+      );
+      await token.setMinter(await market.getAddress());
+
+      const amount = ethers.parseEther("10");
+      const quote = await market.getBuyQuote(amount);
+      await market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
+
+      const deadline = (await time.latest()) + 3600;
+      const { v, r, s } = await permitFor(user1, token, market, amount, deadline);
+      await market.connect(user1).sellWithPermit(amount, 0, deadline, v, r, s);
+
+      expect(await token.totalSupply()).to.equal(0);
+      expect(await market.currentSupply()).to.equal(0);
+    });
+  });
+
+  describe("Recipients", function () {
+    it("Should deliver tokens bought with buyFor to the recipient", async function () {
+      const { market, token, user1, user2 } = await loadFixture(deployMarketFixture);
+      const amount = ethers.parseEther("10");
+      const quote = await market.getBuyQuote(amount);
+
+      await expect(
+        market.connect(user1).buyFor(amount, quote.totalCost, NO_DEADLINE, user2.address, { value: quote.totalCost * 2n })
+      ).to.changeEtherBalance(user1, -quote.totalCost);
+
+      expect(await token.balanceOf(user2.address)).to.equal(amount);
+      expect(await token.balanceOf(user1.address)).to.equal(0);
+    });
+
+    it("Should record both caller and recipient on buys", async function () {
+      const { market, user1, user2 } = await loadFixture(deployMarketFixture);
+      const amount = ethers.parseEther("10");
+      const quote = await market.getBuyQuote(amount);
+
+      await expect(market.connect(user1).buyFor(amount, quote.totalCost, NO_DEADLINE, user2.address, { value: quote.totalCost }))
+        .to.emit(market, "TokensPurchased")
+        .withArgs(user1.address, user2.address, amount, quote.cost, quote.fee, amount);
+    });
+
+    it("Should pay sellFrom proceeds to the recipient", async function () {
+      const { market, token, user1, user2 } = await loadFixture(deployMarketFixture);
+      const amount = ethers.parseEther("10");
+      const buyQuote = await market.getBuyQuote(amount);
+      await market.connect(user1).buy(amount, buyQuote.totalCost, NO_DEADLINE, { value: buyQuote.totalCost });
+      await token.connect(user1).approve(await market.getAddress(), amount);
+
+      const quote = await market.getSellQuote(amount);
+      const tx = market.connect(user1).sellFrom(amount, quote.netProceeds, NO_DEADLINE, user2.address);
+      await expect(tx).to.changeEtherBalances([user1, user2], [0, quote.netProceeds]);
+      await expect(tx)
+        .to.emit(market, "TokensSold")
+        .withArgs(user1.address, user2.address, amount, quote.netProceeds, quote.fee, 0);
+      expect(await token.balanceOf(user1.address)).to.equal(0);
+    });
+
+    it("Should sell the caller's tokens, never the recipient's", async function () {
+      const { market, token, user1, user2 } = await loadFixture(deployMarketFixture);
+      const amount = ethers.parseEther("10");
+      const buyQuote = await market.getBuyQuote(amount);
+      await market.connect(user1).buy(amount, buyQuote.totalCost, NO_DEADLINE, { value: buyQuote.totalCost });
+
+      // The recipient holds and has approved the tokens, the caller has none
+      await token.connect(user1).transfer(user2.address, amount);
+      await token.connect(user2).approve(await market.getAddress(), amount);
+      await expect(market.connect(user1).sellFrom(amount, 0, NO_DEADLINE, user2.address))
+        .to.be.reverted;
+      expect(await token.balanceOf(user2.address)).to.equal(amount);
+    });
+
+    it("Should count buyFor against the recipient's buy limit", async function () {
+      const { market, user1, user2 } = await loadFixture(deployMarketFixture);
+      await market.setBuyLimits(0, ethers.parseEther("10"), 0);
+      const amount = ethers.parseEther("10");
+      const quote = await market.getBuyQuote(amount);
+
+      await market.connect(user1).buyFor(amount, quote.totalCost, NO_DEADLINE, user2.address, { value: quote.totalCost });
+      expect(await market.purchasedBy(user2.address)).to.equal(amount);
+      expect(await market.purchasedBy(user1.address)).to.equal(0);
+
+      const next = await market.getBuyQuote(1n);
+      await expect(market.connect(user1).buyFor(1n, next.totalCost, NO_DEADLINE, user2.address, { value: next.totalCost }))
+        .to.be.revertedWith("Exceeds max purchase per wallet");
+    });
+
+    it("Should reject the zero address as recipient", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+      const amount = ethers.parseEther("1");
+      const quote = await market.getBuyQuote(amount);
+
+      await expect(market.connect(user1).buyFor(amount, quote.totalCost, NO_DEADLINE, ethers.ZeroAddress, { value: quote.totalCost }))
+        .to.be.revertedWith("Invalid recipient");
+      await expect(market.connect(user1).sellFrom(amount, 0, NO_DEADLINE, ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid recipient");
+    });
+  });
+
+  describe("Buy Limits", function () {
+    async function buy(market, user, amount) {
+      const quote = await market.getBuyQuote(amount);
+      return market.connect(user).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
+    }
+
+    it("Should have no limits by default", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+
+      expect(await market.getBuyLimit(user1.address)).to.equal(ethers.MaxUint256);
+      await buy(market, user1, ethers.parseEther("500"));
+    });
+
+    it("Should cap a single buy", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+      await market.setBuyLimits(ethers.parseEther("10"), 0, 0);
+
+      await expect(buy(market, user1, ethers.parseEther("11"))).to.be.revertedWith("Exceeds max buy per transaction");
+      await buy(market, user1, ethers.parseEther("10"));
+      expect(await market.getBuyLimit(user1.address)).to.equal(ethers.parseEther("10"));
+    });
+
+    it("Should cap the budget buys too", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+      await market.setBuyLimits(ethers.parseEther("10"), 0, 0);
+
+      await expect(market.connect(user1).buyWithExactEth(0, NO_DEADLINE, { value: ethers.parseEther("1") }))
+        .to.be.revertedWith("Exceeds max buy per transaction");
+    });
+
+    it("Should cap what one wallet buys, net of its sells", async function () {
+      const { market, token, user1, user2 } = await loadFixture(deployMarketFixture);
+      await market.setBuyLimits(0, ethers.parseEther("20"), 0);
+
+      await buy(market, user1, ethers.parseEther("15"));
+      expect(await market.purchasedBy(user1.address)).to.equal(ethers.parseEther("15"));
+      expect(await market.getBuyLimit(user1.address)).to.equal(ethers.parseEther("5"));
+      await expect(buy(market, user1, ethers.parseEther("6"))).to.be.revertedWith("Exceeds max purchase per wallet");
+
+      // Another wallet has its own allowance
+      await buy(market, user2, ethers.parseEther("20"));
+
+      // Selling frees the allowance again
+      await token.connect(user1).approve(await market.getAddress(), ethers.parseEther("10"));
+      await market.connect(user1).sell(ethers.parseEther("10"), 0, NO_DEADLINE);
+      expect(await market.getBuyLimit(user1.address)).to.equal(ethers.parseEther("15"));
+      await buy(market, user1, ethers.parseEther("15"));
+    });
+
+    it("Should not count tokens received by transfer as purchases", async function () {
+      const { market, token, user1, user2 } = await loadFixture(deployMarketFixture);
+      await market.setBuyLimits(0, ethers.parseEther("20"), 0);
+
+      await buy(market, user1, ethers.parseEther("10"));
+      await token.connect(user1).transfer(user2.address, ethers.parseEther("10"));
+
+      // user2 sells tokens it never bought; its purchases stay at zero
+      await token.connect(user2).approve(await market.getAddress(), ethers.parseEther("10"));
+      await market.connect(user2).sell(ethers.parseEther("10"), 0, NO_DEADLINE);
+      expect(await market.purchasedBy(user2.address)).to.equal(0);
+      expect(await market.purchasedBy(user1.address)).to.equal(ethers.parseEther("10"));
+    });
+
+    it("Should cap supply growth within one block", async function () {
+      const { market, user1, user2 } = await loadFixture(deployMarketFixture);
+      await market.setBuyLimits(0, 0, ethers.parseEther("30"));
+      await expect(buy(market, user1, ethers.parseEther("31"))).to.be.revertedWith("Exceeds max supply per block");
+
+      const amount = ethers.parseEther("20");
+      const quote = await market.getBuyQuote(amount);
+      const quote2 = await market.getBuyQuote(amount * 2n);
+
+      await network.provider.send("evm_setAutomine", [false]);
+      try {
+        const first = await market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
+        const second = await market.connect(user2).buy(amount, quote2.totalCost, NO_DEADLINE, { value: quote2.totalCost, gasLimit: 500000 });
+        await mine();
+
+        expect((await ethers.provider.getTransactionReceipt(first.hash)).status).to.equal(1);
+        expect((await ethers.provider.getTransactionReceipt(second.hash)).status).to.equal(0);
+      } finally {
+        await network.provider.send("evm_setAutomine", [true]);
+      }
+
+      // The next block starts from zero again
+      await mine();
+      expect(await market.getBuyLimit(user2.address)).to.equal(ethers.parseEther("30"));
+      await buy(market, user2, amount);
+    });
+
+    it("Should report the block limit before the block ends", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+      await market.setBuyLimits(0, 0, ethers.parseEther("30"));
+
+      await buy(market, user1, ethers.parseEther("20"));
+      expect(await market.blockSupplyBought()).to.equal(ethers.parseEther("20"));
+      expect(await market.lastBuyBlock()).to.equal(await ethers.provider.getBlockNumber());
+    });
+
+    it("Should report the tightest limit", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+      await market.setBuyLimits(ethers.parseEther("10"), ethers.parseEther("25"), ethers.parseEther("100"));
+
+      await buy(market, user1, ethers.parseEther("10"));
+      await buy(market, user1, ethers.parseEther("10"));
+      expect(await market.getBuyLimit(user1.address)).to.equal(ethers.parseEther("5"));
+    });
+
+    it("Should never limit sells", async function () {
+      const { market, token, user1 } = await loadFixture(deployMarketFixture);
+
+      await buy(market, user1, ethers.parseEther("50"));
+      await market.setBuyLimits(ethers.parseEther("1"), ethers.parseEther("1"), ethers.parseEther("1"));
+
+      await token.connect(user1).approve(await market.getAddress(), ethers.parseEther("50"));
+      await market.connect(user1).sell(ethers.parseEther("50"), 0, NO_DEADLINE);
+      expect(await market.currentSupply()).to.equal(0);
+    });
+
+    it("Should only let the admin set limits", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+
+      await expect(market.connect(user1).setBuyLimits(1, 1, 1))
+        .to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount");
+      await expect(market.setBuyLimits(1, 2, 3))
+        .to.emit(market, "BuyLimitsUpdated")
+        .withArgs(1, 2, 3);
+      expect(await market.maxBuyPerTx()).to.equal(1);
+      expect(await market.maxWalletPurchase()).to.equal(2);
+      expect(await market.maxSupplyPerBlock()).to.equal(3);
+    });
+  });
+
+  describe("Graduation", function () {
+    const RESERVE_THRESHOLD = ethers.parseEther("0.05");
+
+    async function deployAmm() {
+      const weth = await (await ethers.getContractFactory("MockWETH")).deploy();
+      const ammFactory = await (await ethers.getContractFactory("MockUniswapV2Factory")).deploy();
+      const router = await (await ethers.getContractFactory("MockUniswapV2Router")).deploy(
+        await ammFactory.getAddress(),
+        await weth.getAddress()
+      );
+      const graduator = await (await ethers.getContractFactory("UniswapV2Graduator")).deploy(await router.getAddress());
+      return { weth, ammFactory, router, graduator };
+    }
+
+    async function deployGraduatingMarketFixture() {
+      const base = await deployMarketFixture();
+      const amm = await deployAmm();
+      await base.market.setGraduation(await amm.graduator.getAddress(), RESERVE_THRESHOLD, 0);
+      return { ...base, ...amm };
+    }
+
+    async function buy(market, user, amount) {
+      const quote = await market.getBuyQuote(amount);
+      return market.connect(user).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
+    }
+
+    it("Should stay on the curve below the threshold", async function () {
+      const { market, user1 } = await loadFixture(deployGraduatingMarketFixture);
+
+      await buy(market, user1, ethers.parseEther("10"));
+      expect(await market.graduatedPair()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should seed a pair at the spot price when a buy crosses the reserve threshold", async function () {
+      const { market, token, user1, weth, ammFactory, graduator } = await loadFixture(deployGraduatingMarketFixture);
+      const marketAddress = await market.getAddress();
+      const amount = ethers.parseEther("40");
+
+      const quote = await market.getBuyQuote(amount);
+      const reserveAmount = quote.cost;
+      const spotPrice = ethers.parseEther("0.001") + ethers.parseEther("0.0001") * 40n;
+      const tokenAmount = (reserveAmount * ethers.parseEther("1")) / spotPrice;
+
+      await expect(buy(market, user1, amount)).to.emit(market, "Graduated");
+
+      const pairAddress = await ammFactory.getPair(await token.getAddress(), await weth.getAddress());
+      expect(await market.graduatedPair()).to.equal(pairAddress);
+
+      const pair = await ethers.getContractAt("MockUniswapV2Pair", pairAddress);
+      const [reserve0, reserve1] = await pair.getReserves();
+      const tokenIsToken0 = (await pair.token0()) === (await token.getAddress());
+      expect(tokenIsToken0 ? reserve0 : reserve1).to.equal(tokenAmount);
+      expect(tokenIsToken0 ? reserve1 : reserve0).to.equal(reserveAmount);
+
+      // Liquidity is locked, and only the fees stay behind
+      expect(await pair.balanceOf(await graduator.LIQUIDITY_LOCK())).to.be.above(0);
+      expect(await ethers.provider.getBalance(marketAddress)).to.equal(quote.fee);
+      expect(await market.seededLiquidity()).to.equal(0);
+    });
+
+    it("Should move seeded liquidity into the pair too", async function () {
+      const { market, user1 } = await loadFixture(deployGraduatingMarketFixture);
+      await market.depositLiquidity(ethers.parseEther("0.05"), { value: ethers.parseEther("0.05") });
+
+      const amount = ethers.parseEther("1");
+      const quote = await market.getBuyQuote(amount);
+      const spotPrice = ethers.parseEther("0.001") + ethers.parseEther("0.0001");
+      const reserveAmount = ethers.parseEther("0.05") + quote.cost;
+      const tokenAmount = (reserveAmount * ethers.parseEther("1")) / spotPrice;
+
+      await expect(buy(market, user1, amount))
+        .to.emit(market, "Graduated")
+        .withArgs(anyValue, reserveAmount, tokenAmount, anyValue);
+    });
+
+    it("Should graduate on a supply threshold", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+      const { graduator } = await deployAmm();
+      await market.setGraduation(await graduator.getAddress(), 0, ethers.parseEther("5"));
+
+      await buy(market, user1, ethers.parseEther("4"));
+      expect(await market.graduatedPair()).to.equal(ethers.ZeroAddress);
+
+      await expect(buy(market, user1, ethers.parseEther("1"))).to.emit(market, "Graduated");
+    });
+
+    it("Should stop curve trading after graduation", async function () {
+      const { market, token, user1 } = await loadFixture(deployGraduatingMarketFixture);
+      await buy(market, user1, ethers.parseEther("40"));
+
+      const amount = ethers.parseEther("1");
+      await expect(market.connect(user1).buy(amount, ethers.MaxUint256, NO_DEADLINE, { value: ethers.parseEther("1") }))
+        .to.be.revertedWith("Market graduated");
+      await expect(market.connect(user1).buyWithExactEth(0, NO_DEADLINE, { value: ethers.parseEther("1") }))
+        .to.be.revertedWith("Market graduated");
+
+      await token.connect(user1).approve(await market.getAddress(), amount);
+      await expect(market.connect(user1).sell(amount, 0, NO_DEADLINE)).to.be.revertedWith("Market graduated");
+
+      await expect(market.depositLiquidity(1, { value: 1 })).to.be.revertedWith("Market graduated");
+    });
+
+    it("Should keep fees claimable after graduation", async function () {
+      const { market, treasury, user1 } = await loadFixture(deployGraduatingMarketFixture);
+      const quote = await market.getBuyQuote(ethers.parseEther("40"));
+      await buy(market, user1, ethers.parseEther("40"));
+
+      await market.distributeFees();
+      await expect(market.connect(treasury).claimFees()).to.changeEtherBalance(treasury, quote.fee);
+    });
+
+    it("Should mint the pool's tokens in mint/burn mode", async function () {
+      const [, treasury, user1] = await ethers.getSigners();
+      const token = await (await ethers.getContractFactory("BondingCurveToken")).deploy("Curve Token", "CRV");
+      const market = await (await ethers.getContractFactory("BondingCurveMarket")).deploy(
+        await token.getAddress(),
+        ethers.parseEther("0.001"),
+        ethers.parseEther("0.0001"),
+        250,
+        250,
+        treasury.address,
+        ethers.ZeroAddress,
+        ethers.ZeroAddress,
+        SupplyMode.MintBurn
+      );
+      await token.setMinter(await market.getAddress());
+      const { graduator } = await deployAmm();
+      await market.setGraduation(await graduator.getAddress(), RESERVE_THRESHOLD, 0);
+
+      await buy(market, user1, ethers.parseEther("40"));
+
+      const pair = await market.graduatedPair();
+      expect(await token.balanceOf(pair)).to.be.above(0);
+      expect(await token.totalSupply()).to.equal(ethers.parseEther("40") + (await token.balanceOf(pair)));
+    });
+
+    // Value at `price` (wei per whole token) of `account`'s share of the pair
+    async function pairShareValue(pair, token, account, price) {
+      const [reserve0, reserve1] = await pair.getReserves();
+      const tokenIsToken0 = (await pair.token0()) === (await token.getAddress());
+      const [tokenReserve, wethReserve] = tokenIsToken0 ? [reserve0, reserve1] : [reserve1, reserve0];
+      const value = tokenReserve * price / ethers.parseEther("1") + wethReserve;
+      return { value: value * (await pair.balanceOf(account)) / (await pair.totalSupply()), tokenReserve, wethReserve };
+    }
+
+    async function seedPair(token, router, owner, tokens, wei) {
+      await token.approve(await router.getAddress(), tokens);
+      await router.addLiquidityETH(await token.getAddress(), tokens, 0, 0, owner.address, NO_DEADLINE, { value: wei });
+    }
+
+    it("Should move a pair seeded with dust at another price to the spot price before adding liquidity", async function () {
+      const { market, token, owner, user1, weth, router, ammFactory, graduator } = await loadFixture(deployGraduatingMarketFixture);
+      const spotPrice = ethers.parseEther("0.001") + ethers.parseEther("0.0001") * 40n;
+
+      // Someone creates the pair first at a fifth of the price the curve will graduate at
+      const seedTokens = 10n ** 15n;
+      const seedWei = 10n ** 12n;
+      await seedPair(token, router, owner, seedTokens, seedWei);
+
+      await expect(buy(market, user1, ethers.parseEther("40"))).to.emit(market, "Graduated");
+      const pairAddress = await ammFactory.getPair(await token.getAddress(), await weth.getAddress());
+      expect(await market.graduatedPair()).to.equal(pairAddress);
+
+      const pair = await ethers.getContractAt("MockUniswapV2Pair", pairAddress);
+      const { value, tokenReserve, wethReserve } = await pairShareValue(pair, token, owner.address, spotPrice);
+      const pairPrice = wethReserve * ethers.parseEther("1") / tokenReserve;
+      expect(pairPrice).to.be.closeTo(spotPrice, spotPrice / 200n);
+
+      // The seeder is arbitraged, not paid out of the graduating reserve
+      expect(value).to.be.at.most(seedTokens * spotPrice / ethers.parseEther("1") + seedWei);
+      expect(await token.balanceOf(await graduator.getAddress())).to.equal(0);
+      expect(await weth.balanceOf(await graduator.getAddress())).to.equal(0);
+    });
+
+    it("Should still graduate into a pair seeded too deep to move", async function () {
+      const { market, token, owner, user1, weth, router, ammFactory } = await loadFixture(deployGraduatingMarketFixture);
+      const spotPrice = ethers.parseEther("0.001") + ethers.parseEther("0.0001") * 40n;
+
+      const seedTokens = ethers.parseEther("1000");
+      const seedWei = ethers.parseEther("0.001");
+      await seedPair(token, router, owner, seedTokens, seedWei);
+
+      await expect(buy(market, user1, ethers.parseEther("40"))).to.emit(market, "Graduated");
+
+      const pair = await ethers.getContractAt("MockUniswapV2Pair", await ammFactory.getPair(await token.getAddress(), await weth.getAddress()));
+      const { value } = await pairShareValue(pair, token, owner.address, spotPrice);
+      expect(value).to.be.at.most(seedTokens * spotPrice / ethers.parseEther("1") + seedWei);
+    });
+
+    it("Should graduate into a pair holding only a donation", async function () {
+      const { market, token, owner, user1, weth, ammFactory, graduator } = await loadFixture(deployGraduatingMarketFixture);
+      await ammFactory.createPair(await token.getAddress(), await weth.getAddress());
+      const pair = await ethers.getContractAt("MockUniswapV2Pair", await ammFactory.getPair(await token.getAddress(), await weth.getAddress()));
+      await token.transfer(await pair.getAddress(), 1);
+      await pair.sync();
+
+      await expect(buy(market, user1, ethers.parseEther("40"))).to.emit(market, "Graduated");
+      expect(await pair.balanceOf(owner.address)).to.equal(0);
+      expect(await pair.balanceOf(await graduator.LIQUIDITY_LOCK())).to.be.above(0);
+    });
+
+    it("Should only configure graduation before the first trade", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+      const { graduator } = await deployAmm();
+
+      await expect(market.setGraduation(ethers.ZeroAddress, RESERVE_THRESHOLD, 0)).to.be.revertedWith("Invalid graduator");
+      await expect(market.connect(user1).setGraduation(await graduator.getAddress(), RESERVE_THRESHOLD, 0))
+        .to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount");
+
+      await expect(market.setGraduation(await graduator.getAddress(), RESERVE_THRESHOLD, 0))
+        .to.emit(market, "GraduationConfigured")
+        .withArgs(await graduator.getAddress(), RESERVE_THRESHOLD, 0);
+
+      await buy(market, user1, ethers.parseEther("1"));
+      await expect(market.setGraduation(ethers.ZeroAddress, 0, 0)).to.be.revertedWith("Trading already started");
+    });
+  });
+
+  describe("Quote Accuracy", function () {
+    it("Should have consistent buy and sell quotes", async function () {
+      const { market, token, user1 } = await loadFixture(deployMarketFixture);
+      
+      const amount = ethers.parseEther("100");
+      
+      // Get buy quote
+      const buyQuote = await market.getBuyQuote(amount);
+      
+      // Execute buy
+      await market.connect(user1).buy(amount, buyQuote.totalCost, NO_DEADLINE, { value: buyQuote.totalCost });
+      
+      // Get sell quote for same amount
+      const sellQuote = await market.getSellQuote(amount);
+      
+      // Sell should be less than buy due to fees and curve mechanics
+      expect(sellQuote.netProceeds).to.be.lt(buyQuote.totalCost);
+    });
+
+    it("Should handle large amounts correctly", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+      
+      const largeAmount = ethers.parseEther("10000");
+      const quote = await market.getBuyQuote(largeAmount);
+      
+      expect(quote.totalCost).to.be.gt(0);
       expect(quote.cost).to.be.gt(0);
       expect(quote.fee).to.be.gt(0);
     });
   });
 
+  describe("Inverse Quotes", function () {
+    async function curveState(market) {
+      return {
+        basePrice: await market.basePrice(),
+        slope: await market.slope(),
+        currentSupply: await market.currentSupply(),
+        buyFeeBps: await market.buyFeeBps(),
+        sellFeeBps: await market.sellFeeBps()
+      };
+    }
+
+    it("Should match the offline buy amount for an ETH budget", async function () {
+      const { market } = await loadFixture(deployMarketFixture);
+      
+      const budget = ethers.parseEther("1");
+      const expected = curveMath.getBuyAmountForEth(await curveState(market), budget);
+      
+      expect(await market.getBuyAmountForEth(budget)).to.equal(expected);
+    });
+
+    it("Should spend exactly msg.value on buyWithExactEth", async function () {
+      const { market, token, user1 } = await loadFixture(deployMarketFixture);
+      
+      const budget = ethers.parseEther("1");
+      const amount = await market.getBuyAmountForEth(budget);
+      
+      await expect(
+        market.connect(user1).buyWithExactEth(0, NO_DEADLINE, { value: budget })
+      ).to.changeEtherBalance(user1, -budget);
+      expect(await token.balanceOf(user1.address)).to.equal(amount);
+    });
+
+    it("Should credit rounding dust to fees on buyWithExactEth", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+      
+      const budget = ethers.parseEther("1");
+      const amount = await market.getBuyAmountForEth(budget);
+      const cost = await market.calculateBuyCost(amount);
+      
+      await market.connect(user1).buyWithExactEth(0, NO_DEADLINE, { value: budget });
+      
+      expect(await market.accumulatedFees()).to.equal(budget - cost);
+    });
+
+    it("Should revert buyWithExactEth below minimum amount", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+      
+      const budget = ethers.parseEther("1");
+      const amount = await market.getBuyAmountForEth(budget);
+      
+      await expect(
+        market.connect(user1).buyWithExactEth(amount + 1n, NO_DEADLINE, { value: budget })
+      ).to.be.revertedWith("Amount below min");
+    });
+
+    it("Should revert buyWithExactEth if ETH buys nothing", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+      
+      await expect(
+        market.connect(user1).buyWithExactEth(0, NO_DEADLINE, { value: 0 })
+      ).to.be.revertedWith("Insufficient ETH sent");
+    });
+
+    it("Should revert inverse quotes on a flat curve priced at zero", async function () {
+      const { token, treasury } = await loadFixture(deployMarketFixture);
+      
+      const BondingCurveMarket = await ethers.getContractFactory("BondingCurveMarket");
+      const free = await BondingCurveMarket.deploy(
+        await token.getAddress(),
+        0,
+        0,
+        250,
+        250,
+        treasury.address,
+        ethers.ZeroAddress,
+        ethers.ZeroAddress,
+        SupplyMode.Inventory
+      );
+      
+      await expect(free.getBuyAmountForEth(ethers.parseEther("1"))).to.be.revertedWith("Price is zero");
+      await expect(free.getSellAmountForEth(ethers.parseEther("1"))).to.be.revertedWith("Price is zero");
+    });
+
+    it("Should match the offline sell amount for an ETH target", async function () {
+      const { market, user1 } = await loadFixture(deployMarketFixture);
+      
+      await market.connect(user1).buyWithExactEth(0, NO_DEADLINE, { value: ethers.parseEther("5") });
+      
+      const target = ethers.parseEther("1");
+      const expected = curveMath.getSellAmountForEth(await curveState(market), target);
+      
+      expect(await market.getSellAmountForEth(target)).to.equal(expected);
+    });
+  });
+
   describe("Multiple Users", function () {
     it("Should handle multiple users buying", async function () {
       const { market, token, user1, user2 } = await loadFixture(deployMarketFixture);
@@ -522,15 +2231,15 @@ describe("BondingCurveMarket", function () {
       
       // User 1 buys
       const quote1 = await market.getBuyQuote(amount);
-      await market.connect(user1).buy(amount, quote1.totalCost, { value: quote1.totalCost });
+      await market.connect(user1).buy(amount, quote1.totalCost, NO_DEADLINE, { value: quote1.totalCost });
       
       // User 2 buys (price should be higher)
       const quote2 = await market.getBuyQuote(amount);
       expect(quote2.cost).to.be.gt(quote1.cost);
       
-      await market.connect(user2).buy(amount, quote2.totalCost, { value: quote2.totalCost });
+      await market.connect(user2).buy(amount, quote2.totalCost, NO_DEADLINE, { value: quote2.totalCost });
       
-      expect(await market.totalSupply()).to.equal(amount * 2n);
+      expect(await market.currentSupply()).to.equal(amount * 2n);
     });
 
     it("Should handle buy and sell from different users", async function () {
@@ -539,19 +2248,19 @@ describe("BondingCurveMarket", function () {
       // User 1 buys
       const buyAmount = ethers.parseEther("100");
       const buyQuote = await market.getBuyQuote(buyAmount);
-      await market.connect(user1).buy(buyAmount, buyQuote.totalCost, { value: buyQuote.totalCost });
+      await market.connect(user1).buy(buyAmount, buyQuote.totalCost, NO_DEADLINE, { value: buyQuote.totalCost });
       
       // User 2 buys
       const buyQuote2 = await market.getBuyQuote(buyAmount);
-      await market.connect(user2).buy(buyAmount, buyQuote2.totalCost, { value: buyQuote2.totalCost });
+      await market.connect(user2).buy(buyAmount, buyQuote2.totalCost, NO_DEADLINE, { value: buyQuote2.totalCost });
       
       // User 1 sells
       const sellAmount = ethers.parseEther("50");
       await token.connect(user1).approve(await market.getAddress(), sellAmount);
       const sellQuote = await market.getSellQuote(sellAmount);
-      await market.connect(user1).sell(sellAmount, sellQuote.netProceeds);
+      await market.connect(user1).sell(sellAmount, sellQuote.netProceeds, NO_DEADLINE);
       
-      expect(await market.totalSupply()).to.equal(buyAmount * 2n - sellAmount);
+      expect(await market.currentSupply()).to.equal(buyAmount * 2n - sellAmount);
     });
   });
 
@@ -563,7 +2272,7 @@ describe("BondingCurveMarket", function () {
       const quote = await market.getBuyQuote(amount);
       
       await expect(
-        market.connect(user1).buy(amount, quote.totalCost, { value: quote.totalCost })
+        market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost })
       ).to.not.be.reverted;
     });
 
@@ -573,14 +2282,14 @@ describe("BondingCurveMarket", function () {
       // Buy tokens
       const buyAmount = ethers.parseEther("100");
       const buyQuote = await market.getBuyQuote(buyAmount);
-      await market.connect(user1).buy(buyAmount, buyQuote.totalCost, { value: buyQuote.totalCost });
+      await market.connect(user1).buy(buyAmount, buyQuote.totalCost, NO_DEADLINE, { value: buyQuote.totalCost });
       
       // Sell all
       await token.connect(user1).approve(await market.getAddress(), buyAmount);
       const sellQuote = await market.getSellQuote(buyAmount);
-      await market.connect(user1).sell(buyAmount, sellQuote.netProceeds);
+      await market.connect(user1).sell(buyAmount, sellQuote.netProceeds, NO_DEADLINE);
       
-      expect(await market.totalSupply()).to.equal(0);
+      expect(await market.currentSupply()).to.equal(0);
     });
 
     it("Should handle very small amounts", async function () {
@@ -589,9 +2298,9 @@ describe("BondingCurveMarket", function () {
       const smallAmount = 1n; // 1 wei
       const quote = await market.getBuyQuote(smallAmount);
       
-      await market.connect(user1).buy(smallAmount, quote.totalCost, { value: quote.totalCost });
+      await market.connect(user1).buy(smallAmount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
       
-      expect(await market.totalSupply()).to.equal(smallAmount);
+      expect(await market.currentSupply()).to.equal(smallAmount);
     });
   });
 });
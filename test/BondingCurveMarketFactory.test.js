@@ -0,0 +1,147 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMarketDeployer } = require("../scripts/market-deployer");
+
+describe("BondingCurveMarketFactory", function () {
+  async function deployFactoryFixture() {
+    const [owner, treasury, user1] = await ethers.getSigners();
+
+    const { marketDeployer } = await deployMarketDeployer(owner);
+
+    const Factory = await ethers.getContractFactory("BondingCurveMarketFactory");
+    const factory = await Factory.deploy(await marketDeployer.getAddress());
+
+    const MockToken = await ethers.getContractFactory("MockERC20");
+    const tokenA = await MockToken.deploy("Token A", "TKA", ethers.parseEther("1000000"));
+    const tokenB = await MockToken.deploy("Token B", "TKB", ethers.parseEther("1000000"));
+
+    const params = async (token) => ({
+      token: await token.getAddress(),
+      basePrice: ethers.parseEther("0.001"),
+      slope: ethers.parseEther("0.0001"),
+      buyFeeBps: 250,
+      sellFeeBps: 250,
+      feeRecipient: treasury.address,
+      curve: ethers.ZeroAddress,
+      reserveAsset: ethers.ZeroAddress,
+      supplyMode: 0 // inventory
+    });
+
+    return { factory, marketDeployer, tokenA, tokenB, params, owner, treasury, user1 };
+  }
+
+  async function createMarket(factory, marketParams) {
+    const tx = await factory.createMarket(marketParams);
+    const receipt = await tx.wait();
+    const event = receipt.logs.map((log) => factory.interface.parseLog(log)).find((e) => e?.name === "MarketCreated");
+    return ethers.getContractAt("BondingCurveMarket", event.args.market);
+  }
+
+  describe("Market Creation", function () {
+    it("Should deploy a market with the given parameters", async function () {
+      const { factory, tokenA, params, treasury } = await loadFixture(deployFactoryFixture);
+
+      const market = await createMarket(factory, await params(tokenA));
+
+      expect(await market.token()).to.equal(await tokenA.getAddress());
+      expect(await market.basePrice()).to.equal(ethers.parseEther("0.001"));
+      expect(await market.slope()).to.equal(ethers.parseEther("0.0001"));
+      expect(await market.buyFeeBps()).to.equal(250);
+      expect(await market.feeRecipient()).to.equal(treasury.address);
+    });
+
+    it("Should hand every market role to the creator", async function () {
+      const { factory, tokenA, params, owner } = await loadFixture(deployFactoryFixture);
+
+      const market = await createMarket(factory, await params(tokenA));
+
+      for (const name of ["DEFAULT_ADMIN_ROLE", "CURVE_ADMIN_ROLE", "FEE_MANAGER_ROLE", "PAUSER_ROLE", "RECOVERER_ROLE"]) {
+        const role = await market[name]();
+        expect(await market.hasRole(role, owner.address)).to.equal(true);
+        expect(await market.hasRole(role, await factory.getAddress())).to.equal(false);
+        expect(await market.hasRole(role, await factory.deployer())).to.equal(false);
+      }
+    });
+
+    it("Should emit MarketCreated", async function () {
+      const { factory, tokenA, params, owner } = await loadFixture(deployFactoryFixture);
+      const marketParams = await params(tokenA);
+
+      const predicted = await factory.createMarket.staticCall(marketParams);
+      await expect(factory.createMarket(marketParams))
+        .to.emit(factory, "MarketCreated")
+        .withArgs(marketParams.token, predicted, owner.address, 0);
+    });
+
+    it("Should reject a second market for the same token", async function () {
+      const { factory, tokenA, params } = await loadFixture(deployFactoryFixture);
+
+      await factory.createMarket(await params(tokenA));
+      await expect(factory.createMarket(await params(tokenA))).to.be.revertedWith("Market already exists");
+    });
+
+    it("Should only allow the owner to create markets", async function () {
+      const { factory, tokenA, params, user1 } = await loadFixture(deployFactoryFixture);
+
+      await expect(factory.connect(user1).createMarket(await params(tokenA)))
+        .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Market Deployer", function () {
+    it("Should store the compiled market creation code", async function () {
+      const { marketDeployer } = await loadFixture(deployFactoryFixture);
+      const { bytecode } = await artifacts.readArtifact("BondingCurveMarket");
+
+      expect(await marketDeployer.marketCodeHash()).to.equal(ethers.keccak256(bytecode));
+    });
+
+    it("Should deploy a market with the stored code", async function () {
+      const { factory, marketDeployer, tokenA, params } = await loadFixture(deployFactoryFixture);
+      const { deployedBytecode } = await artifacts.readArtifact("BondingCurveMarket");
+
+      const market = await createMarket(factory, await params(tokenA));
+      const code = await ethers.provider.getCode(await market.getAddress());
+
+      // Immutables differ per market, so compare lengths only
+      expect(code.length).to.equal(deployedBytecode.length);
+      expect(await marketDeployer.marketCodeChunks(0)).to.properAddress;
+    });
+
+    it("Should reject an empty chunk list", async function () {
+      const Deployer = await ethers.getContractFactory("BondingCurveMarketDeployer");
+      await expect(Deployer.deploy([])).to.be.revertedWith("No market code");
+    });
+  });
+
+  describe("Registry", function () {
+    it("Should record markets by token and in creation order", async function () {
+      const { factory, tokenA, tokenB, params } = await loadFixture(deployFactoryFixture);
+
+      const marketA = await createMarket(factory, await params(tokenA));
+      const marketB = await createMarket(factory, await params(tokenB));
+
+      expect(await factory.allMarketsLength()).to.equal(2);
+      expect(await factory.allMarkets(0)).to.equal(await marketA.getAddress());
+      expect(await factory.getMarketByToken(await tokenB.getAddress())).to.equal(await marketB.getAddress());
+      expect(await factory.isMarket(await marketA.getAddress())).to.equal(true);
+    });
+
+    it("Should page through markets", async function () {
+      const { factory, tokenA, tokenB, params } = await loadFixture(deployFactoryFixture);
+
+      await createMarket(factory, await params(tokenA));
+      const marketB = await createMarket(factory, await params(tokenB));
+
+      expect(await factory.getMarkets(1, 10)).to.deep.equal([await marketB.getAddress()]);
+      expect(await factory.getMarkets(2, 10)).to.deep.equal([]);
+    });
+
+    it("Should return zero for unknown tokens", async function () {
+      const { factory, tokenA } = await loadFixture(deployFactoryFixture);
+
+      expect(await factory.getMarketByToken(await tokenA.getAddress())).to.equal(ethers.ZeroAddress);
+    });
+  });
+});
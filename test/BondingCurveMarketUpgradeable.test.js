@@ -0,0 +1,332 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture, time, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+
+const NO_DEADLINE = ethers.MaxUint256;
+const SupplyMode = { Inventory: 0, MintBurn: 1 };
+
+// keccak256(abi.encode(uint256(keccak256("bondingcurve.storage.BondingCurveMarket")) - 1)) & ~bytes32(uint256(0xff))
+const MARKET_STORAGE_SLOT = 0x9036814fab94dcff01c6adbbe54f4171ed484ed189e3a127e757b585c99bd600n;
+
+describe("BondingCurveMarketUpgradeable", function () {
+  async function deployProxyFixture() {
+    const [owner, treasury, user1, user2] = await ethers.getSigners();
+
+    const MockToken = await ethers.getContractFactory("MockERC20");
+    const token = await MockToken.deploy("Test Token", "TEST", ethers.parseEther("1000000"));
+
+    const Market = await ethers.getContractFactory("BondingCurveMarketUpgradeable");
+    const market = await upgrades.deployProxy(
+      Market,
+      [
+        await token.getAddress(),
+        ethers.parseEther("0.001"),
+        ethers.parseEther("0.0001"),
+        250,
+        250,
+        treasury.address,
+        ethers.ZeroAddress,
+        SupplyMode.Inventory
+      ],
+      { kind: "uups" }
+    );
+    await token.transfer(await market.getAddress(), ethers.parseEther("100000"));
+
+    return { market, token, owner, treasury, user1, user2 };
+  }
+
+  // Fixture with trading history: supply outstanding and fees not yet withdrawn
+  async function tradedProxyFixture() {
+    const fixture = await deployProxyFixture();
+    const { market, token, user1, user2 } = fixture;
+
+    const buyAmount = ethers.parseEther("100");
+    for (const buyer of [user1, user2]) {
+      const [, , totalCost] = await market.getBuyQuote(buyAmount);
+      await market.connect(buyer).buy(buyAmount, totalCost, NO_DEADLINE, { value: totalCost });
+    }
+
+    const sellAmount = ethers.parseEther("40");
+    await token.connect(user1).approve(await market.getAddress(), sellAmount);
+    await market.connect(user1).sell(sellAmount, 0, NO_DEADLINE);
+
+    return fixture;
+  }
+
+  describe("Initialization", function () {
+    it("Should initialize the proxy with the given parameters", async function () {
+      const { market, token, treasury } = await loadFixture(deployProxyFixture);
+
+      expect(await market.token()).to.equal(await token.getAddress());
+      expect(await market.basePrice()).to.equal(ethers.parseEther("0.001"));
+      expect(await market.slope()).to.equal(ethers.parseEther("0.0001"));
+      expect(await market.buyFeeBps()).to.equal(250);
+      expect(await market.feeRecipient()).to.equal(treasury.address);
+      expect(await market.reserveAsset()).to.equal(ethers.ZeroAddress);
+      expect(await market.reserveDecimals()).to.equal(18);
+      expect(await market.currentSupply()).to.equal(0);
+    });
+
+    it("Should give the deployer every role", async function () {
+      const { market, owner } = await loadFixture(deployProxyFixture);
+
+      for (const name of ["DEFAULT_ADMIN_ROLE", "FEE_MANAGER_ROLE", "PAUSER_ROLE", "RECOVERER_ROLE"]) {
+        expect(await market.hasRole(await market[name](), owner.address)).to.equal(true);
+      }
+    });
+
+    it("Should not initialize twice", async function () {
+      const { market, token, treasury } = await loadFixture(deployProxyFixture);
+
+      await expect(market.initialize(await token.getAddress(), 1, 1, 0, 0, treasury.address, ethers.ZeroAddress, 0))
+        .to.be.revertedWithCustomError(market, "InvalidInitialization");
+    });
+
+    it("Should lock the implementation itself", async function () {
+      const { market, token, treasury } = await loadFixture(deployProxyFixture);
+      const implementation = await ethers.getContractAt(
+        "BondingCurveMarketUpgradeable",
+        await upgrades.erc1967.getImplementationAddress(await market.getAddress())
+      );
+
+      await expect(implementation.initialize(await token.getAddress(), 1, 1, 0, 0, treasury.address, ethers.ZeroAddress, 0))
+        .to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
+  });
+
+  describe("Trading", function () {
+    it("Should buy and sell through the proxy at quoted prices", async function () {
+      const { market, token, user1 } = await loadFixture(deployProxyFixture);
+      const amount = ethers.parseEther("10");
+
+      const [cost, buyFee, totalCost] = await market.getBuyQuote(amount);
+      await expect(market.connect(user1).buy(amount, totalCost, NO_DEADLINE, { value: totalCost }))
+        .to.emit(market, "TokensPurchased")
+        .withArgs(user1.address, user1.address, amount, cost, buyFee, amount);
+      expect(await token.balanceOf(user1.address)).to.equal(amount);
+
+      const [, sellFee, netProceeds] = await market.getSellQuote(amount);
+      await token.connect(user1).approve(await market.getAddress(), amount);
+      await expect(market.connect(user1).sell(amount, netProceeds, NO_DEADLINE))
+        .to.changeEtherBalance(user1, netProceeds);
+
+      expect(await market.currentSupply()).to.equal(0);
+      expect(await market.accumulatedFees()).to.equal(buyFee + sellFee);
+    });
+
+    it("Should quote the same prices as BondingCurveMarket", async function () {
+      const { market, token, treasury, user1 } = await loadFixture(deployProxyFixture);
+
+      const BondingCurveMarket = await ethers.getContractFactory("BondingCurveMarket");
+      const reference = await BondingCurveMarket.deploy(
+        await token.getAddress(),
+        ethers.parseEther("0.001"),
+        ethers.parseEther("0.0001"),
+        250,
+        250,
+        treasury.address,
+        ethers.ZeroAddress,
+        ethers.ZeroAddress,
+        SupplyMode.Inventory
+      );
+      await token.transfer(await reference.getAddress(), ethers.parseEther("100000"));
+
+      for (const amount of [ethers.parseEther("1"), ethers.parseEther("123.456789"), 7n]) {
+        for (const target of [market, reference]) {
+          const [, , totalCost] = await target.getBuyQuote(amount);
+          await target.connect(user1).buy(amount, totalCost, NO_DEADLINE, { value: totalCost });
+        }
+        expect(await market.getBuyQuote(amount)).to.deep.equal(await reference.getBuyQuote(amount));
+        expect(await market.getSellQuote(amount)).to.deep.equal(await reference.getSellQuote(amount));
+        expect(await market.getCurrentBuyPrice()).to.equal(await reference.getCurrentBuyPrice());
+      }
+    });
+
+    it("Should withdraw fees to the fee recipient", async function () {
+      const { market, treasury } = await loadFixture(tradedProxyFixture);
+      const fees = await market.accumulatedFees();
+
+      await expect(market.withdrawFees()).to.changeEtherBalance(treasury, fees);
+      expect(await market.accumulatedFees()).to.equal(0);
+    });
+
+    it("Should not pay sellers out of fees owed when the reserve falls short", async function () {
+      const { market, token, treasury, user1 } = await loadFixture(tradedProxyFixture);
+      const fees = await market.accumulatedFees();
+
+      await setBalance(await market.getAddress(), fees);
+      const amount = ethers.parseEther("1");
+      await token.connect(user1).approve(await market.getAddress(), amount);
+      await expect(market.connect(user1).sell(amount, 0, NO_DEADLINE)).to.be.revertedWith("Insufficient contract balance");
+
+      await expect(market.withdrawFees()).to.changeEtherBalance(treasury, fees);
+    });
+
+    it("Should stop trading while paused", async function () {
+      const { market, user1 } = await loadFixture(deployProxyFixture);
+      await market.pause();
+
+      await expect(market.connect(user1).buy(1, ethers.parseEther("1"), NO_DEADLINE, { value: ethers.parseEther("1") }))
+        .to.be.revertedWith("Pausable: paused");
+    });
+
+    it("Should revert after the deadline", async function () {
+      const { market, user1 } = await loadFixture(deployProxyFixture);
+      const deadline = (await time.latest()) - 1;
+
+      await expect(market.connect(user1).buy(1, ethers.parseEther("1"), deadline, { value: ethers.parseEther("1") }))
+        .to.be.revertedWith("Transaction expired");
+    });
+  });
+
+  describe("Fee Changes", function () {
+    it("Should apply a fee change only after CHANGE_DELAY", async function () {
+      const { market, user2 } = await loadFixture(deployProxyFixture);
+
+      await expect(market.queueFeeConfig(100, 200, user2.address))
+        .to.emit(market, "FeeChangeQueued");
+      await expect(market.executeFeeConfig()).to.be.revertedWith("Change not yet effective");
+      expect(await market.buyFeeBps()).to.equal(250);
+
+      await time.increase(await market.CHANGE_DELAY());
+      await expect(market.executeFeeConfig())
+        .to.emit(market, "FeeConfigUpdated")
+        .withArgs(100, 200, user2.address);
+      expect(await market.buyFeeBps()).to.equal(100);
+      expect(await market.sellFeeBps()).to.equal(200);
+      expect(await market.feeRecipient()).to.equal(user2.address);
+      expect((await market.pendingFeeChange()).effectiveAt).to.equal(0);
+    });
+
+    it("Should refuse to queue over a pending change and allow cancelling it", async function () {
+      const { market, treasury } = await loadFixture(deployProxyFixture);
+
+      await market.queueFeeConfig(100, 200, treasury.address);
+      await expect(market.queueFeeConfig(0, 0, treasury.address)).to.be.revertedWith("Change already pending");
+
+      await expect(market.cancelFeeConfig())
+        .to.emit(market, "FeeChangeCancelled")
+        .withArgs(100, 200, treasury.address);
+      await expect(market.executeFeeConfig()).to.be.revertedWith("No pending change");
+      await expect(market.cancelFeeConfig()).to.be.revertedWith("No pending change");
+    });
+
+    it("Should only let the fee manager queue changes", async function () {
+      const { market, user1 } = await loadFixture(deployProxyFixture);
+
+      await expect(market.connect(user1).queueFeeConfig(0, 0, user1.address))
+        .to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Upgrades", function () {
+    it("Should keep market state across an upgrade", async function () {
+      const { market, token, user1, user2 } = await loadFixture(tradedProxyFixture);
+      const marketAddress = await market.getAddress();
+
+      const supply = await market.currentSupply();
+      const fees = await market.accumulatedFees();
+      const reserve = await ethers.provider.getBalance(marketAddress);
+      const quote = await market.getSellQuote(ethers.parseEther("10"));
+      expect(supply).to.be.gt(0);
+      expect(fees).to.be.gt(0);
+
+      const MarketV2 = await ethers.getContractFactory("MockBondingCurveMarketV2");
+      const upgraded = await upgrades.upgradeProxy(marketAddress, MarketV2, { kind: "uups" });
+
+      expect(await upgraded.getAddress()).to.equal(marketAddress);
+      expect(await upgraded.version()).to.equal("2");
+      expect(await upgraded.currentSupply()).to.equal(supply);
+      expect(await upgraded.accumulatedFees()).to.equal(fees);
+      expect(await upgraded.getSellQuote(ethers.parseEther("10"))).to.deep.equal(quote);
+      expect(await ethers.provider.getBalance(marketAddress)).to.equal(reserve);
+
+      // Trading carries on from the preserved state
+      await token.connect(user2).approve(marketAddress, ethers.parseEther("10"));
+      await upgraded.connect(user2).sell(ethers.parseEther("10"), quote.netProceeds, NO_DEADLINE);
+      expect(await upgraded.currentSupply()).to.equal(supply - ethers.parseEther("10"));
+      expect(await upgraded.accumulatedFees()).to.equal(fees + quote.fee);
+      expect(await token.balanceOf(user1.address)).to.equal(ethers.parseEther("60"));
+    });
+
+    it("Should keep roles across an upgrade", async function () {
+      const { market, owner, user1 } = await loadFixture(tradedProxyFixture);
+      await market.grantRole(await market.PAUSER_ROLE(), user1.address);
+
+      const MarketV2 = await ethers.getContractFactory("MockBondingCurveMarketV2");
+      const upgraded = await upgrades.upgradeProxy(await market.getAddress(), MarketV2, { kind: "uups" });
+
+      expect(await upgraded.hasRole(await upgraded.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+      expect(await upgraded.hasRole(await upgraded.PAUSER_ROLE(), user1.address)).to.equal(true);
+    });
+
+    it("Should run a reinitializer once during the upgrade", async function () {
+      const { market } = await loadFixture(tradedProxyFixture);
+
+      const MarketV2 = await ethers.getContractFactory("MockBondingCurveMarketV2");
+      const upgraded = await upgrades.upgradeProxy(await market.getAddress(), MarketV2, {
+        kind: "uups",
+        call: "initializeV2"
+      });
+
+      expect(await upgraded.upgradedAt()).to.equal(await time.latest());
+      await expect(upgraded.initializeV2()).to.be.revertedWithCustomError(upgraded, "InvalidInitialization");
+    });
+
+    it("Should only let the admin upgrade", async function () {
+      const { market, user1 } = await loadFixture(deployProxyFixture);
+
+      const MarketV2 = await ethers.getContractFactory("MockBondingCurveMarketV2");
+      const implementation = await MarketV2.deploy();
+
+      await expect(market.connect(user1).upgradeToAndCall(await implementation.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(market, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await market.DEFAULT_ADMIN_ROLE());
+    });
+
+    it("Should reject an implementation that is not UUPS", async function () {
+      const { market, token } = await loadFixture(deployProxyFixture);
+
+      await expect(market.upgradeToAndCall(await token.getAddress(), "0x"))
+        .to.be.revertedWithCustomError(market, "ERC1967InvalidImplementation");
+    });
+  });
+
+  describe("Storage Layout", function () {
+    it("Should keep market state in its ERC-7201 namespace", async function () {
+      const { market } = await loadFixture(tradedProxyFixture);
+      const marketAddress = await market.getAddress();
+
+      // MarketStorage: currentSupply is the 5th slot, accumulatedFees the 9th
+      const supplySlot = await ethers.provider.getStorage(marketAddress, MARKET_STORAGE_SLOT + 4n);
+      const feesSlot = await ethers.provider.getStorage(marketAddress, MARKET_STORAGE_SLOT + 8n);
+
+      expect(BigInt(supplySlot)).to.equal(await market.currentSupply());
+      expect(BigInt(feesSlot)).to.equal(await market.accumulatedFees());
+      // Nothing at the start of sequential storage
+      expect(BigInt(await ethers.provider.getStorage(marketAddress, 0))).to.equal(0);
+    });
+
+    it("Should accept an upgrade that adds a namespace", async function () {
+      const { market } = await loadFixture(deployProxyFixture);
+
+      const MarketV2 = await ethers.getContractFactory("MockBondingCurveMarketV2");
+      await upgrades.validateUpgrade(await market.getAddress(), MarketV2, { kind: "uups" });
+    });
+
+    it("Should reject an upgrade that shifts namespaced storage", async function () {
+      const { market } = await loadFixture(tradedProxyFixture);
+      const marketAddress = await market.getAddress();
+      const supply = await market.currentSupply();
+
+      const BadLayout = await ethers.getContractFactory("MockBondingCurveMarketBadLayout");
+      await expect(upgrades.validateUpgrade(marketAddress, BadLayout, { kind: "uups" }))
+        .to.be.rejectedWith(/New storage layout is incompatible/);
+      await expect(upgrades.upgradeProxy(marketAddress, BadLayout, { kind: "uups" }))
+        .to.be.rejectedWith(/Inserted `maxSupply`/);
+
+      // The proxy still runs the original implementation
+      expect(await market.currentSupply()).to.equal(supply);
+    });
+  });
+});
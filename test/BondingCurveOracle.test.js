@@ -0,0 +1,241 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { getPriceHistory, computeTwap } = require("../examples/twap");
+
+const NO_DEADLINE = ethers.MaxUint256;
+const SupplyMode = { Inventory: 0, MintBurn: 1 };
+
+describe("BondingCurveOracle", function () {
+  async function deployOracleFixture() {
+    const [owner, treasury, user1, user2] = await ethers.getSigners();
+
+    const MockToken = await ethers.getContractFactory("MockERC20");
+    const token = await MockToken.deploy("Test Token", "TEST", ethers.parseEther("1000000"));
+
+    const BondingCurveMarket = await ethers.getContractFactory("BondingCurveMarket");
+    const market = await BondingCurveMarket.deploy(
+      await token.getAddress(),
+      ethers.parseEther("0.001"),
+      ethers.parseEther("0.0001"),
+      250,
+      250,
+      treasury.address,
+      ethers.ZeroAddress,
+      ethers.ZeroAddress,
+      SupplyMode.Inventory
+    );
+    const deployBlock = (await market.deploymentTransaction().wait()).blockNumber;
+    await token.transfer(await market.getAddress(), ethers.parseEther("100000"));
+
+    const Oracle = await ethers.getContractFactory("BondingCurveOracle");
+    const oracle = await Oracle.deploy(await market.getAddress());
+
+    for (const user of [user1, user2]) {
+      await token.connect(user).approve(await market.getAddress(), ethers.MaxUint256);
+    }
+
+    return { oracle, market, token, deployBlock, owner, user1, user2 };
+  }
+
+  async function buy(market, user, amount) {
+    const [, , totalCost] = await market.getBuyQuote(amount);
+    return market.connect(user).buy(amount, totalCost, NO_DEADLINE, { value: totalCost });
+  }
+
+  async function latestTimestamp() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  // Off-chain TWAP at the latest block, rebuilt from the market's events
+  async function offChainTwap(market, deployBlock, window) {
+    const history = await getPriceHistory(await market.getAddress(), ethers.provider, deployBlock);
+    return computeTwap(history, window, await latestTimestamp());
+  }
+
+  describe("Accumulator", function () {
+    it("Should start with one observation at deployment", async function () {
+      const { market, deployBlock } = await loadFixture(deployOracleFixture);
+
+      const deployed = await ethers.provider.getBlock(deployBlock);
+      const [timestamp, cumulative] = await market.observations(0);
+      expect(await market.observationIndex()).to.equal(0);
+      expect(timestamp).to.equal(deployed.timestamp);
+      expect(cumulative).to.equal(0);
+    });
+
+    it("Should add the price held since the last observation before a trade", async function () {
+      const { market, user1 } = await loadFixture(deployOracleFixture);
+
+      const [start] = await market.observations(0);
+      const price = await market.getCurrentBuyPrice();
+      await time.setNextBlockTimestamp(Number(start) + 100);
+      await buy(market, user1, ethers.parseEther("10"));
+
+      const [timestamp, cumulative] = await market.observations(1);
+      expect(await market.observationIndex()).to.equal(1);
+      expect(timestamp).to.equal(Number(start) + 100);
+      expect(cumulative).to.equal(price * 100n);
+    });
+
+    it("Should write one observation per block", async function () {
+      const { market, user1, user2 } = await loadFixture(deployOracleFixture);
+
+      // Both buys land in one block, so allow either the cost of buying second
+      const [, , maxCost] = await market.getBuyQuote(ethers.parseEther("20"));
+      await ethers.provider.send("evm_setAutomine", [false]);
+      try {
+        for (const user of [user1, user2]) {
+          await market.connect(user).buy(ethers.parseEther("10"), maxCost, NO_DEADLINE, { value: maxCost, gasLimit: 500000 });
+        }
+        await mine();
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+
+      expect(await market.observationIndex()).to.equal(1);
+      expect(await market.currentSupply()).to.equal(ethers.parseEther("20"));
+    });
+
+    it("Should observe sells and curve changes", async function () {
+      const { market, user1 } = await loadFixture(deployOracleFixture);
+
+      await buy(market, user1, ethers.parseEther("10"));
+      await market.connect(user1).sell(ethers.parseEther("5"), 0, NO_DEADLINE);
+      expect(await market.observationIndex()).to.equal(2);
+
+      await market.queueCurveParameters(ethers.parseEther("0.0005"), ethers.parseEther("0.0001"));
+      await time.increase(await market.CHANGE_DELAY());
+      await market.executeCurveParameters();
+      expect(await market.observationIndex()).to.equal(3);
+    });
+  });
+
+  describe("Consult", function () {
+    it("Should return the spot price while it has not moved", async function () {
+      const { oracle, market } = await loadFixture(deployOracleFixture);
+
+      await time.increase(3600);
+      expect(await oracle.consult(3600)).to.equal(await market.getCurrentBuyPrice());
+    });
+
+    it("Should weight each price by the time it held", async function () {
+      const { oracle, market, user1 } = await loadFixture(deployOracleFixture);
+
+      const priceBefore = await market.getCurrentBuyPrice();
+      await time.increase(1000);
+      await buy(market, user1, ethers.parseEther("100"));
+      const tradedAt = await latestTimestamp();
+      const priceAfter = await market.getCurrentBuyPrice();
+
+      await time.increase(299);
+      await mine();
+      const now = await latestTimestamp();
+      const window = 900;
+      const expected = (priceBefore * BigInt(tradedAt - (now - window)) + priceAfter * BigInt(now - tradedAt)) / BigInt(window);
+
+      expect(now - tradedAt).to.equal(300);
+      expect(await oracle.consult(window)).to.equal(expected);
+    });
+
+    it("Should interpolate windows starting between observations", async function () {
+      const { oracle, market, user1, user2, deployBlock } = await loadFixture(deployOracleFixture);
+
+      for (const [user, amount] of [[user1, "50"], [user2, "30"], [user1, "20"]]) {
+        await time.increase(600);
+        await buy(market, user, ethers.parseEther(amount));
+      }
+      await time.increase(600);
+      await mine();
+
+      for (const window of [1, 450, 1000, 1777, 2400]) {
+        expect(await oracle.consult(window)).to.equal(await offChainTwap(market, deployBlock, window));
+      }
+    });
+
+    it("Should match the TWAP computed from events across trades and curve changes", async function () {
+      const { oracle, market, user1, user2, deployBlock } = await loadFixture(deployOracleFixture);
+
+      await time.increase(120);
+      await buy(market, user1, ethers.parseEther("200"));
+      await time.increase(45);
+      await market.connect(user1).sell(ethers.parseEther("80"), 0, NO_DEADLINE);
+      await market.queueCurveParameters(ethers.parseEther("0.0015"), ethers.parseEther("0.00005"));
+      await time.increase(await market.CHANGE_DELAY());
+      await market.executeCurveParameters();
+      await time.increase(30);
+      await buy(market, user2, ethers.parseEther("40"));
+      await time.increase(500);
+      await mine();
+
+      const maxWindow = Number(await oracle.maxWindow());
+      for (const window of [60, 600, 3600, maxWindow]) {
+        expect(await oracle.consult(window)).to.equal(await offChainTwap(market, deployBlock, window));
+      }
+    });
+
+    it("Should keep averages exact once the accumulator wraps at 2^224", async function () {
+      const [, treasury] = await ethers.getSigners();
+      const token = await (await ethers.getContractFactory("MockERC20")).deploy("Test Token", "TEST", ethers.parseEther("1000000"));
+      const high = 2n ** 194n;
+      const market = await (await ethers.getContractFactory("BondingCurveMarket")).deploy(
+        await token.getAddress(),
+        high,
+        0,
+        250,
+        250,
+        treasury.address,
+        ethers.ZeroAddress,
+        ethers.ZeroAddress,
+        SupplyMode.Inventory
+      );
+      const deployBlock = (await market.deploymentTransaction().wait()).blockNumber;
+      const oracle = await (await ethers.getContractFactory("BondingCurveOracle")).deploy(await market.getAddress());
+
+      // Each gap adds about 2^222 or 2^221; five of them pass 2^224
+      const gap = 2 ** 28;
+      let [held, since, total] = [high, BigInt((await ethers.provider.getBlock(deployBlock)).timestamp), 0n];
+      for (const price of [high / 2n, high, high / 2n, high, high / 2n]) {
+        await market.queueCurveParameters(price, 0);
+        await time.increase(gap);
+        await market.executeCurveParameters();
+        const now = BigInt(await latestTimestamp());
+        [held, since, total] = [price, now, total + held * (now - since)];
+      }
+      const [, cumulative] = await market.observations(await market.observationIndex());
+      expect(total).to.be.above(2n ** 224n);
+      expect(cumulative).to.equal(total % 2n ** 224n);
+
+      await time.increase(1000);
+      await mine();
+      for (const window of [600, gap / 2, gap + 500]) {
+        expect(await oracle.consult(window)).to.equal(await offChainTwap(market, deployBlock, window));
+      }
+    });
+
+    it("Should reject an empty window or one reaching past the oldest observation", async function () {
+      const { oracle } = await loadFixture(deployOracleFixture);
+
+      await time.increase(100);
+      const maxWindow = await oracle.maxWindow();
+      await expect(oracle.consult(0)).to.be.revertedWith("Invalid window");
+      await expect(oracle.consult(maxWindow + 1n)).to.be.revertedWith("Invalid window");
+      await expect(oracle.consult(maxWindow)).to.not.be.reverted;
+    });
+  });
+
+  describe("Off-chain TWAP", function () {
+    it("Should refuse a window the history does not cover", async function () {
+      const { market, user1, deployBlock } = await loadFixture(deployOracleFixture);
+
+      await time.increase(100);
+      await buy(market, user1, ethers.parseEther("10"));
+      const tradeBlock = await ethers.provider.getBlockNumber();
+      const history = await getPriceHistory(await market.getAddress(), ethers.provider, tradeBlock);
+
+      expect(() => computeTwap(history, 60, history[0].timestamp + 30)).to.throw("Price history does not cover the window");
+      expect(computeTwap(history, 30, history[0].timestamp + 30)).to.equal(await market.getCurrentBuyPrice());
+      expect(deployBlock).to.be.lessThan(tradeBlock);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const NO_DEADLINE = ethers.MaxUint256;
+const SupplyMode = { Inventory: 0, MintBurn: 1 };
+
+describe("BondingCurveRouter", function () {
+  async function deployMarket(token, reserveAsset, basePrice, slope, treasury) {
+    const BondingCurveMarket = await ethers.getContractFactory("BondingCurveMarket");
+    const market = await BondingCurveMarket.deploy(
+      await token.getAddress(),
+      basePrice,
+      slope,
+      250,
+      250,
+      treasury.address,
+      ethers.ZeroAddress,
+      reserveAsset,
+      SupplyMode.Inventory
+    );
+    await token.transfer(await market.getAddress(), ethers.parseEther("100000"));
+    return market;
+  }
+
+  async function deployRouterFixture() {
+    const [owner, treasury, user1, user2] = await ethers.getSigners();
+
+    const MockToken = await ethers.getContractFactory("MockERC20");
+    const tokenA = await MockToken.deploy("Token A", "TKA", ethers.parseEther("1000000"));
+    const tokenB = await MockToken.deploy("Token B", "TKB", ethers.parseEther("1000000"));
+
+    const marketA = await deployMarket(tokenA, ethers.ZeroAddress, ethers.parseEther("0.001"), ethers.parseEther("0.0001"), treasury);
+    const marketB = await deployMarket(tokenB, ethers.ZeroAddress, ethers.parseEther("0.002"), ethers.parseEther("0.00005"), treasury);
+
+    const Router = await ethers.getContractFactory("BondingCurveRouter");
+    const router = await Router.deploy();
+
+    // user1 holds 100 A bought from its curve
+    const amount = ethers.parseEther("100");
+    const quote = await marketA.getBuyQuote(amount);
+    await marketA.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
+    await tokenA.connect(user1).approve(await router.getAddress(), ethers.MaxUint256);
+
+    return { router, marketA, marketB, tokenA, tokenB, owner, treasury, user1, user2 };
+  }
+
+  describe("Swaps", function () {
+    it("Should sell on one curve and buy on the other", async function () {
+      const { router, marketA, marketB, tokenA, tokenB, user1 } = await loadFixture(deployRouterFixture);
+      const amountIn = ethers.parseEther("40");
+
+      const [, , proceeds] = await marketA.getSellQuote(amountIn);
+      const expectedOut = await marketB.getBuyAmountForEth(proceeds);
+      const [quotedOut, quotedReserve] = await router.getSwapQuote(marketA, marketB, amountIn);
+      expect(quotedOut).to.equal(expectedOut);
+      expect(quotedReserve).to.equal(proceeds);
+
+      await expect(router.connect(user1).swap(marketA, marketB, amountIn, expectedOut, NO_DEADLINE, user1.address))
+        .to.emit(router, "Swapped")
+        .withArgs(user1.address, await marketA.getAddress(), await marketB.getAddress(), user1.address, amountIn, expectedOut, proceeds);
+
+      expect(await tokenA.balanceOf(user1.address)).to.equal(ethers.parseEther("60"));
+      expect(await tokenB.balanceOf(user1.address)).to.equal(expectedOut);
+      expect(await marketB.currentSupply()).to.equal(expectedOut);
+    });
+
+    it("Should leave nothing in the router and return the dust", async function () {
+      const { router, marketA, marketB, user1 } = await loadFixture(deployRouterFixture);
+      const amountIn = ethers.parseEther("40");
+
+      const [, , proceeds] = await marketA.getSellQuote(amountIn);
+      const amountOut = await marketB.getBuyAmountForEth(proceeds);
+      const [, , spent] = await marketB.getBuyQuote(amountOut);
+
+      await expect(router.connect(user1).swap(marketA, marketB, amountIn, 0, NO_DEADLINE, user1.address))
+        .to.changeEtherBalance(user1, proceeds - spent);
+      expect(await ethers.provider.getBalance(await router.getAddress())).to.equal(0);
+    });
+
+    it("Should deliver to another recipient", async function () {
+      const { router, marketA, marketB, tokenB, user1, user2 } = await loadFixture(deployRouterFixture);
+      const [amountOut] = await router.getSwapQuote(marketA, marketB, ethers.parseEther("10"));
+
+      await router.connect(user1).swap(marketA, marketB, ethers.parseEther("10"), amountOut, NO_DEADLINE, user2.address);
+
+      expect(await tokenB.balanceOf(user2.address)).to.equal(amountOut);
+      expect(await tokenB.balanceOf(user1.address)).to.equal(0);
+      expect(await marketB.purchasedBy(user2.address)).to.equal(amountOut);
+    });
+
+    it("Should swap between markets priced in the same ERC20", async function () {
+      const { router, tokenA, tokenB, treasury, user1 } = await loadFixture(deployRouterFixture);
+
+      const MockStable = await ethers.getContractFactory("MockERC20Decimals");
+      const usd = await MockStable.deploy("Mock USD", "mUSD", ethers.parseUnits("1000000", 6), 6);
+      const usdAddress = await usd.getAddress();
+      const marketA = await deployMarket(tokenA, usdAddress, ethers.parseUnits("1", 6), ethers.parseUnits("0.01", 6), treasury);
+      const marketB = await deployMarket(tokenB, usdAddress, ethers.parseUnits("2", 6), ethers.parseUnits("0.01", 6), treasury);
+
+      const amount = ethers.parseEther("20");
+      const [, , cost] = await marketA.getBuyQuote(amount);
+      await usd.transfer(user1.address, cost);
+      await usd.connect(user1).approve(await marketA.getAddress(), cost);
+      await marketA.connect(user1).buy(amount, cost, NO_DEADLINE);
+
+      const [amountOut, reserveAmount] = await router.getSwapQuote(marketA, marketB, amount);
+      const [, , spent] = await marketB.getBuyQuote(amountOut);
+      await router.connect(user1).swap(marketA, marketB, amount, amountOut, NO_DEADLINE, user1.address);
+
+      expect(await tokenB.balanceOf(user1.address)).to.equal(amountOut);
+      expect(await usd.balanceOf(user1.address)).to.equal(reserveAmount - spent);
+      expect(await usd.balanceOf(await router.getAddress())).to.equal(0);
+    });
+  });
+
+  describe("Protection", function () {
+    it("Should revert below the minimum output", async function () {
+      const { router, marketA, marketB, user1 } = await loadFixture(deployRouterFixture);
+      const [amountOut] = await router.getSwapQuote(marketA, marketB, ethers.parseEther("10"));
+
+      await expect(router.connect(user1).swap(marketA, marketB, ethers.parseEther("10"), amountOut + 1n, NO_DEADLINE, user1.address))
+        .to.be.revertedWith("Insufficient output amount");
+    });
+
+    it("Should revert after the deadline", async function () {
+      const { router, marketA, marketB, user1 } = await loadFixture(deployRouterFixture);
+      const deadline = (await time.latest()) - 1;
+
+      await expect(router.connect(user1).swap(marketA, marketB, ethers.parseEther("10"), 0, deadline, user1.address))
+        .to.be.revertedWith("Transaction expired");
+    });
+
+    it("Should reject markets with different reserves", async function () {
+      const { router, marketA, tokenB, treasury, user1 } = await loadFixture(deployRouterFixture);
+
+      const MockStable = await ethers.getContractFactory("MockERC20Decimals");
+      const usd = await MockStable.deploy("Mock USD", "mUSD", ethers.parseUnits("1000000", 6), 6);
+      const usdMarket = await deployMarket(tokenB, await usd.getAddress(), ethers.parseUnits("1", 6), 0, treasury);
+
+      await expect(router.connect(user1).swap(marketA, usdMarket, ethers.parseEther("10"), 0, NO_DEADLINE, user1.address))
+        .to.be.revertedWith("Reserve mismatch");
+      await expect(router.getSwapQuote(marketA, usdMarket, ethers.parseEther("10")))
+        .to.be.revertedWith("Reserve mismatch");
+    });
+
+    it("Should reject swapping a market into itself", async function () {
+      const { router, marketA, user1 } = await loadFixture(deployRouterFixture);
+
+      await expect(router.connect(user1).swap(marketA, marketA, ethers.parseEther("10"), 0, NO_DEADLINE, user1.address))
+        .to.be.revertedWith("Same market");
+    });
+
+    it("Should refuse ETH sent outside a swap", async function () {
+      const { router, marketA, marketB, user1 } = await loadFixture(deployRouterFixture);
+
+      await expect(user1.sendTransaction({ to: await router.getAddress(), value: 1n }))
+        .to.be.revertedWith("Unexpected ETH");
+
+      // Markets can still pay it during a swap, and it keeps nothing afterwards
+      await router.connect(user1).swap(marketA, marketB, ethers.parseEther("10"), 0, NO_DEADLINE, user1.address);
+      expect(await ethers.provider.getBalance(await router.getAddress())).to.equal(0);
+      await expect(user1.sendTransaction({ to: await router.getAddress(), value: 1n }))
+        .to.be.revertedWith("Unexpected ETH");
+    });
+
+    it("Should revert the whole swap if the output market is paused", async function () {
+      const { router, marketA, marketB, tokenA, user1 } = await loadFixture(deployRouterFixture);
+      await marketB.pause();
+
+      await expect(router.connect(user1).swap(marketA, marketB, ethers.parseEther("10"), 0, NO_DEADLINE, user1.address))
+        .to.be.revertedWith("Pausable: paused");
+      expect(await tokenA.balanceOf(user1.address)).to.equal(ethers.parseEther("100"));
+    });
+  });
+});
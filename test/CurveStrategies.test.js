@@ -0,0 +1,188 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const curveMath = require("../examples/curve-math");
+const curveShapes = require("../examples/curve-shapes");
+
+const NO_DEADLINE = ethers.MaxUint256;
+const WAD = ethers.parseEther("1");
+
+describe("Curve Strategies", function () {
+  const SUPPLIES = ["0", "1", "2.5", "10", "37.25", "100", "480"].map((s) => ethers.parseEther(s));
+
+  async function deployStrategiesFixture() {
+    const Exponential = await ethers.getContractFactory("ExponentialCurve");
+    const Polynomial = await ethers.getContractFactory("PolynomialCurve");
+    const Sigmoid = await ethers.getContractFactory("SigmoidCurve");
+    const Piecewise = await ethers.getContractFactory("PiecewiseLinearCurve");
+
+    const strategies = {
+      exponential: await Exponential.deploy(ethers.parseEther("0.001"), ethers.parseEther("0.01")),
+      polynomial: await Polynomial.deploy(ethers.parseEther("0.001"), ethers.parseEther("0.00001"), 2),
+      sigmoid: await Sigmoid.deploy(ethers.parseEther("0.1"), ethers.parseEther("0.05"), ethers.parseEther("100")),
+      piecewise: await Piecewise.deploy(
+        [0n, ethers.parseEther("50"), ethers.parseEther("200")],
+        [ethers.parseEther("0.001"), ethers.parseEther("0.01"), ethers.parseEther("0.005")]
+      )
+    };
+
+    return { strategies };
+  }
+
+  async function mirrorOf(strategy) {
+    return curveShapes.createCurve(await strategy.curveType(), await strategy.curveParameters());
+  }
+
+  for (const name of ["exponential", "polynomial", "sigmoid", "piecewise"]) {
+    describe(name, function () {
+      it("Should match the JS mirror for prices and integrals", async function () {
+        const { strategies } = await loadFixture(deployStrategiesFixture);
+        const strategy = strategies[name];
+        const curve = await mirrorOf(strategy);
+
+        for (const supply of SUPPLIES) {
+          expect(await strategy.priceAt(supply)).to.equal(curve.priceAt(supply));
+          expect(await strategy.integral(0, supply)).to.equal(curve.integral(0n, supply));
+        }
+        expect(await strategy.integral(SUPPLIES[2], SUPPLIES[5])).to.equal(curve.integral(SUPPLIES[2], SUPPLIES[5]));
+      });
+
+      it("Should match the JS mirror for inverse amounts", async function () {
+        const { strategies } = await loadFixture(deployStrategiesFixture);
+        const strategy = strategies[name];
+        const curve = await mirrorOf(strategy);
+        const supply = ethers.parseEther("40");
+        const budget = ethers.parseEther("0.2");
+
+        const bought = await strategy.amountForCost(supply, budget);
+        expect(bought).to.equal(curve.amountForCost(supply, budget));
+        expect(curve.integral(supply, supply + bought)).to.be.at.most(budget);
+        expect(curve.integral(supply, supply + bought + 1n)).to.be.above(budget);
+
+        const target = ethers.parseEther("0.02");
+        const sold = await strategy.amountForProceeds(supply, target);
+        expect(sold).to.equal(curve.amountForProceeds(supply, target));
+        expect(curve.integral(supply - sold, supply)).to.be.at.least(target);
+      });
+    });
+  }
+
+  describe("Validation", function () {
+    it("Should reject an out of range polynomial exponent", async function () {
+      const Polynomial = await ethers.getContractFactory("PolynomialCurve");
+      await expect(Polynomial.deploy(1, 1, 5)).to.be.revertedWith("Invalid exponent");
+      expect(() => curveShapes.polynomialCurve(1, 1, 5)).to.throw("Invalid exponent");
+    });
+
+    it("Should reject unsorted piecewise breakpoints", async function () {
+      const Piecewise = await ethers.getContractFactory("PiecewiseLinearCurve");
+      await expect(Piecewise.deploy([0, 10, 10], [1, 2, 3])).to.be.revertedWith("Supplies not increasing");
+      expect(() => curveShapes.piecewiseLinearCurve([0, 10, 10], [1, 2, 3])).to.throw("Supplies not increasing");
+    });
+  });
+
+  describe("Fixed Point Math", function () {
+    it("Should approximate exp and ln to within 1e-12", function () {
+      for (const x of [-5, -1.5, 0, 0.3, 1, 7.25, 42]) {
+        const exact = Math.exp(x);
+        const actual = Number(curveShapes.expWad(ethers.parseEther(x.toString()))) / 1e18;
+        expect(Math.abs(actual - exact) / exact).to.be.below(1e-12);
+      }
+      for (const x of [0.001, 0.5, 1, 2, 1234.5]) {
+        const exact = Math.log(x);
+        const actual = Number(curveShapes.lnWad(ethers.parseEther(x.toString()))) / 1e18;
+        expect(Math.abs(actual - exact)).to.be.below(1e-12);
+      }
+    });
+
+    it("Should throw on exp overflow", function () {
+      expect(() => curveShapes.expWad(131n * WAD)).to.throw("Exp overflow");
+    });
+  });
+
+  describe("Market Integration", function () {
+    async function deployCurvedMarketFixture() {
+      const [owner, treasury, user1] = await ethers.getSigners();
+
+      const MockToken = await ethers.getContractFactory("MockERC20");
+      const token = await MockToken.deploy("Market Token", "MKT", ethers.parseEther("1000000"));
+
+      const Sigmoid = await ethers.getContractFactory("SigmoidCurve");
+      const strategy = await Sigmoid.deploy(ethers.parseEther("0.1"), ethers.parseEther("0.05"), ethers.parseEther("100"));
+
+      const BondingCurveMarket = await ethers.getContractFactory("BondingCurveMarket");
+      const market = await BondingCurveMarket.deploy(
+        await token.getAddress(),
+        0,
+        0,
+        250,
+        250,
+        treasury.address,
+        await strategy.getAddress(),
+        ethers.ZeroAddress,
+        0
+      );
+      await token.transfer(await market.getAddress(), ethers.parseEther("100000"));
+
+      const curve = await mirrorOf(strategy);
+      return { market, token, strategy, curve, owner, user1 };
+    }
+
+    async function curveState(market, curve) {
+      return {
+        basePrice: await market.basePrice(),
+        slope: await market.slope(),
+        currentSupply: await market.currentSupply(),
+        buyFeeBps: await market.buyFeeBps(),
+        sellFeeBps: await market.sellFeeBps(),
+        curve
+      };
+    }
+
+    it("Should price trades with the strategy", async function () {
+      const { market, curve, user1 } = await loadFixture(deployCurvedMarketFixture);
+      const amount = ethers.parseEther("25");
+
+      const quote = curveMath.getBuyQuote(await curveState(market, curve), amount);
+      const [, , totalCost] = await market.getBuyQuote(amount);
+      expect(totalCost).to.equal(quote.totalCost);
+
+      await market.connect(user1).buy(amount, quote.totalCost, NO_DEADLINE, { value: quote.totalCost });
+      expect(await market.currentSupply()).to.equal(amount);
+      expect(await market.getCurrentBuyPrice()).to.equal(curve.priceAt(amount));
+    });
+
+    it("Should return the gross buy cost on a full sell", async function () {
+      const { market, token, curve, user1 } = await loadFixture(deployCurvedMarketFixture);
+      const amount = ethers.parseEther("25");
+
+      const cost = await market.calculateBuyCost(amount);
+      await market.connect(user1).buy(amount, cost * 2n, NO_DEADLINE, { value: cost * 2n });
+      expect(await market.calculateSellProceeds(amount)).to.equal(cost);
+
+      await token.connect(user1).approve(await market.getAddress(), amount);
+      const sellQuote = curveMath.getSellQuote(await curveState(market, curve), amount);
+      await expect(market.connect(user1).sell(amount, sellQuote.netProceeds, NO_DEADLINE))
+        .to.changeEtherBalance(user1, sellQuote.netProceeds);
+    });
+
+    it("Should match the JS inverse quotes", async function () {
+      const { market, curve } = await loadFixture(deployCurvedMarketFixture);
+      const budget = ethers.parseEther("1");
+
+      const state = await curveState(market, curve);
+      expect(await market.getBuyAmountForEth(budget)).to.equal(curveMath.getBuyAmountForEth(state, budget));
+    });
+
+    it("Should expose the strategy", async function () {
+      const { market, strategy } = await loadFixture(deployCurvedMarketFixture);
+      expect(await market.curve()).to.equal(await strategy.getAddress());
+      expect(await strategy.curveType()).to.equal("sigmoid");
+    });
+
+    it("Should refuse linear parameter updates", async function () {
+      const { market } = await loadFixture(deployCurvedMarketFixture);
+      await expect(market.queueCurveParameters(1, 1)).to.be.revertedWith("Curve is not linear");
+    });
+  });
+});
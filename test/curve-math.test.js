@@ -0,0 +1,188 @@
+const { expect } = require("chai");
+const curveMath = require("../examples/curve-math");
+
+describe("curve-math", function () {
+  const state = {
+    basePrice: 1000n,
+    slope: 3n,
+    currentSupply: 7n,
+    buyFeeBps: 250n,
+    sellFeeBps: 250n,
+    decimals: 0n // whole-token amounts keep the numbers readable
+  };
+
+  describe("Price Calculations", function () {
+    it("Should match the contract buy cost formula", function () {
+      // 1000 * 5 + (3 * 5 * (2 * 7 + 5)) / 2 = 5000 + 285 / 2, rounded up
+      expect(curveMath.calculateBuyCost(state, 5n)).to.equal(5143n);
+    });
+
+    it("Should match the contract sell proceeds formula", function () {
+      // 1000 * 5 + (3 * 5 * (2 * 7 - 5)) / 2 = 5000 + 135 / 2, rounded down
+      expect(curveMath.calculateSellProceeds(state, 5n)).to.equal(5067n);
+    });
+
+    it("Should return marginal buy and sell prices", function () {
+      expect(curveMath.getCurrentBuyPrice(state)).to.equal(1021n);
+      expect(curveMath.getCurrentSellPrice(state)).to.equal(1018n);
+    });
+
+    it("Should return zero sell price at zero supply", function () {
+      expect(curveMath.getCurrentSellPrice({ ...state, currentSupply: 0n })).to.equal(0n);
+    });
+
+    it("Should accept non-BigInt inputs", function () {
+      const loose = { basePrice: "1000", slope: 3, currentSupply: 7, buyFeeBps: 250, sellFeeBps: 250, decimals: 0 };
+      expect(curveMath.calculateBuyCost(loose, 5)).to.equal(5143n);
+    });
+  });
+
+  describe("Token Decimals", function () {
+    const perToken = { basePrice: 10n ** 15n, slope: 10n ** 14n, currentSupply: 0n };
+
+    it("Should price 18-decimal amounts per whole token by default", function () {
+      // 0.001 * 100 + 0.0001 * 100^2 / 2 = 0.6 ETH
+      expect(curveMath.calculateBuyCost(perToken, 10n ** 20n)).to.equal(6n * 10n ** 17n);
+      expect(curveMath.getCurrentBuyPrice({ ...perToken, currentSupply: 10n ** 20n })).to.equal(11n * 10n ** 15n);
+    });
+
+    it("Should price the same whole-token amount identically for any decimals", function () {
+      const sixDecimals = { ...perToken, currentSupply: 5n * 10n ** 6n, decimals: 6n };
+      const eighteenDecimals = { ...perToken, currentSupply: 5n * 10n ** 18n };
+      expect(curveMath.calculateBuyCost(sixDecimals, 10n ** 6n)).to.equal(
+        curveMath.calculateBuyCost(eighteenDecimals, 10n ** 18n)
+      );
+    });
+
+    it("Should reject tokens with more than 18 decimals", function () {
+      expect(() => curveMath.calculateBuyCost({ ...perToken, decimals: 24n }, 1n)).to.throw("Unsupported token decimals");
+    });
+  });
+
+  describe("Quotes", function () {
+    it("Should round the buy fee down", function () {
+      const quote = curveMath.getBuyQuote(state, 5n);
+      // 5143 * 250 / 10000 = 128.575
+      expect(quote.cost).to.equal(5143n);
+      expect(quote.fee).to.equal(128n);
+      expect(quote.totalCost).to.equal(5271n);
+    });
+
+    it("Should round the sell fee down", function () {
+      const quote = curveMath.getSellQuote(state, 5n);
+      // 5067 * 250 / 10000 = 126.675
+      expect(quote.proceeds).to.equal(5067n);
+      expect(quote.fee).to.equal(126n);
+      expect(quote.netProceeds).to.equal(4941n);
+    });
+
+    it("Should apply buy and sell fees independently", function () {
+      const asymmetric = { ...state, buyFeeBps: 0n, sellFeeBps: 1000n };
+      expect(curveMath.getBuyQuote(asymmetric, 5n).fee).to.equal(0n);
+      expect(curveMath.getSellQuote(asymmetric, 5n).fee).to.equal(506n);
+    });
+
+    it("Should never return more on a round trip than the buy cost", function () {
+      const amount = 11n;
+      const cost = curveMath.calculateBuyCost(state, amount);
+      const proceeds = curveMath.calculateSellProceeds(curveMath.applyBuy(state, amount), amount);
+      // 11412.5 exactly: the buy rounds up and the sell rounds down
+      expect(cost).to.equal(11413n);
+      expect(proceeds).to.equal(11412n);
+    });
+  });
+
+  describe("Inverse Quotes", function () {
+    it("Should return the largest amount an ETH budget buys", function () {
+      const budget = 100000n;
+      const amount = curveMath.getBuyAmountForEth(state, budget);
+      expect(curveMath.getBuyQuote(state, amount).totalCost).to.be.at.most(budget);
+      expect(curveMath.getBuyQuote(state, amount + 1n).totalCost).to.be.above(budget);
+    });
+
+    it("Should return the smallest amount that sells for an ETH target", function () {
+      const target = 3000n;
+      const amount = curveMath.getSellAmountForEth(state, target);
+      expect(curveMath.getSellQuote(state, amount).netProceeds).to.be.at.least(target);
+      expect(curveMath.getSellQuote(state, amount - 1n).netProceeds).to.be.below(target);
+    });
+
+    it("Should handle a flat curve", function () {
+      const flat = { ...state, slope: 0n, buyFeeBps: 0n, sellFeeBps: 0n };
+      expect(curveMath.getBuyAmountForEth(flat, 2999n)).to.equal(2n);
+      expect(curveMath.getSellAmountForEth(flat, 1001n)).to.equal(2n);
+    });
+
+    it("Should throw on a flat curve priced at zero", function () {
+      const free = { ...state, basePrice: 0n, slope: 0n };
+      expect(() => curveMath.getBuyAmountForEth(free, 1000n)).to.throw("Price is zero");
+      expect(() => curveMath.getSellAmountForEth(free, 1000n)).to.throw("Price is zero");
+    });
+
+    it("Should throw when the target exceeds the sellable supply", function () {
+      expect(() => curveMath.getSellAmountForEth(state, 10n ** 9n)).to.throw("Amount exceeds supply");
+    });
+  });
+
+  describe("Reparameterization", function () {
+    const reserve = 7500n;
+
+    it("Should solve the slope that matches the reserve", function () {
+      const { basePrice, slope } = curveMath.solveCurveParameters(state, reserve, "slope", 900n);
+      expect(basePrice).to.equal(900n);
+      expect(slope).to.equal(48n);
+
+      const matched = { ...state, basePrice, slope };
+      expect(curveMath.calculateSellProceeds(matched, 7n)).to.be.at.most(reserve);
+      expect(curveMath.calculateSellProceeds({ ...matched, slope: slope + 2n }, 7n)).to.be.above(reserve);
+    });
+
+    it("Should solve the base price that matches the reserve", function () {
+      const { basePrice, slope } = curveMath.solveCurveParameters(state, reserve, "basePrice", 10n);
+      expect(basePrice).to.equal(1036n);
+      expect(slope).to.equal(10n);
+
+      const matched = { ...state, basePrice, slope };
+      expect(curveMath.calculateSellProceeds(matched, 7n)).to.be.at.most(reserve);
+      expect(curveMath.calculateSellProceeds({ ...matched, basePrice: basePrice + 1n }, 7n)).to.be.above(reserve);
+    });
+
+    it("Should keep the solved parameter at zero supply", function () {
+      const empty = { ...state, currentSupply: 0n };
+      expect(curveMath.solveCurveParameters(empty, 0n, "slope", 5n)).to.deep.equal({ basePrice: 5n, slope: 3n });
+      expect(curveMath.solveCurveParameters(empty, 0n, "basePrice", 5n)).to.deep.equal({ basePrice: 1000n, slope: 5n });
+    });
+
+    it("Should throw when the fixed parameter alone exceeds the reserve", function () {
+      expect(() => curveMath.solveCurveParameters(state, reserve, "slope", 2000n)).to.throw("Reserve cannot cover curve");
+    });
+
+    it("Should preview an undercollateralized change", function () {
+      const preview = curveMath.previewCurveChange(state, reserve, { basePrice: 2000n, slope: 3n });
+      expect(preview.previousRequiredReserve).to.equal(7073n);
+      expect(preview.requiredReserve).to.equal(14073n);
+      expect(preview.surplus).to.equal(-6573n);
+      expect(preview.collateralized).to.equal(false);
+      expect(preview.buyPrice.after).to.equal(2021n);
+    });
+
+    it("Should preview a reserve-matched change", function () {
+      const preview = curveMath.previewCurveChange(state, reserve, { solveFor: "slope", basePrice: 900n });
+      expect(preview.slope).to.equal(48n);
+      expect(preview.requiredReserve).to.equal(7476n);
+      expect(preview.surplus).to.equal(24n);
+      expect(preview.collateralized).to.equal(true);
+    });
+  });
+
+  describe("Reverts", function () {
+    it("Should throw when selling more than supply", function () {
+      expect(() => curveMath.calculateSellProceeds(state, 8n)).to.throw("Amount exceeds supply");
+    });
+
+    it("Should throw on uint256 overflow", function () {
+      const huge = { ...state, slope: curveMath.MAX_UINT256 };
+      expect(() => curveMath.calculateBuyCost(huge, 2n)).to.throw("Arithmetic overflow");
+    });
+  });
+});
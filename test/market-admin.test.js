@@ -0,0 +1,200 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ROLES } = require("../tasks/market-admin");
+
+const { ethers } = hre;
+const NO_DEADLINE = ethers.MaxUint256;
+const SupplyMode = { Inventory: 0, MintBurn: 1 };
+
+describe("market-admin tasks", function () {
+  async function deployMarketFixture() {
+    const [owner, treasury, user1, user2] = await ethers.getSigners();
+
+    const MockToken = await ethers.getContractFactory("MockERC20");
+    const token = await MockToken.deploy("Market Token", "MKT", ethers.parseEther("1000000"));
+
+    const BondingCurveMarket = await ethers.getContractFactory("BondingCurveMarket");
+    const market = await BondingCurveMarket.deploy(
+      await token.getAddress(),
+      ethers.parseEther("0.001"),
+      ethers.parseEther("0.0001"),
+      250,
+      250,
+      treasury.address,
+      ethers.ZeroAddress,
+      ethers.ZeroAddress,
+      SupplyMode.Inventory
+    );
+    await token.transfer(await market.getAddress(), ethers.parseEther("100000"));
+
+    return { market, token, address: await market.getAddress(), owner, treasury, user1, user2 };
+  }
+
+  // Run a task as the first account, returning what it printed
+  async function runTask(name, args) {
+    const lines = [];
+    const log = console.log;
+    console.log = (...parts) => lines.push(parts.join(" "));
+    try {
+      await hre.run(name, args);
+    } finally {
+      console.log = log;
+    }
+    return lines.join("\n");
+  }
+
+  // Accounts listed under `role` in market:roles output
+  function holdersIn(output, role) {
+    const section = output.split(`${role}:\n`)[1].split(/\n\S/)[0];
+    return section.split("\n").map((line) => line.trim()).filter((line) => line.startsWith("0x"));
+  }
+
+  describe("Roles", function () {
+    it("Should grant and revoke roles and list the holders from events", async function () {
+      const { market, address, owner, user1 } = await loadFixture(deployMarketFixture);
+
+      await runTask("market:grant-role", { market: address, role: "pauser", account: user1.address });
+      expect(await market.hasRole(await market.PAUSER_ROLE(), user1.address)).to.equal(true);
+
+      await runTask("market:revoke-role", { market: address, role: "pauser", account: owner.address });
+      expect(await market.hasRole(await market.PAUSER_ROLE(), owner.address)).to.equal(false);
+
+      const output = await runTask("market:roles", { market: address, fromBlock: 0 });
+      expect(holdersIn(output, "pauser")).to.deep.equal([user1.address]);
+      expect(holdersIn(output, "admin")).to.deep.equal([owner.address]);
+      expect(holdersIn(output, "fee-manager")).to.deep.equal([owner.address]);
+      for (const name of Object.keys(ROLES)) {
+        expect(output).to.include(`${name}:`);
+      }
+    });
+
+    it("Should refuse a task when the account lacks its role", async function () {
+      const { market, address, owner } = await loadFixture(deployMarketFixture);
+      await market.revokeRole(await market.PAUSER_ROLE(), owner.address);
+
+      await expect(runTask("market:pause", { market: address }))
+        .to.be.rejectedWith(`${owner.address} does not hold the pauser role`);
+      expect(await market.paused()).to.equal(false);
+    });
+
+    it("Should reject an unknown role name", async function () {
+      const { address, user1 } = await loadFixture(deployMarketFixture);
+
+      await expect(runTask("market:grant-role", { market: address, role: "owner", account: user1.address }))
+        .to.be.rejectedWith('Unknown role "owner"');
+    });
+  });
+
+  describe("Curve Changes", function () {
+    it("Should queue and execute a curve change given in whole reserve units", async function () {
+      const { market, address } = await loadFixture(deployMarketFixture);
+
+      await runTask("market:queue-curve", { market: address, basePrice: "0.002", slope: "0.0002" });
+      const pending = await market.pendingCurveChange();
+      expect(pending.basePrice).to.equal(ethers.parseEther("0.002"));
+      expect(pending.slope).to.equal(ethers.parseEther("0.0002"));
+
+      await expect(runTask("market:execute-curve", { market: address })).to.be.rejectedWith("Change not yet effective");
+      await time.increase(await market.CHANGE_DELAY());
+      await runTask("market:execute-curve", { market: address });
+
+      expect(await market.basePrice()).to.equal(ethers.parseEther("0.002"));
+      expect(await market.slope()).to.equal(ethers.parseEther("0.0002"));
+    });
+
+    it("Should queue a reserve-matched change and solve it on execution", async function () {
+      const { market, address, user1 } = await loadFixture(deployMarketFixture);
+      const amount = ethers.parseEther("100");
+      const [, , totalCost] = await market.getBuyQuote(amount);
+      await market.connect(user1).buy(amount, totalCost, NO_DEADLINE, { value: totalCost });
+
+      const slope = ethers.parseEther("0.00005");
+      await runTask("market:queue-reserve-matched", { market: address, solveFor: "base-price", value: "0.00005" });
+
+      const pending = await market.pendingCurveChange();
+      expect(pending.slope).to.equal(slope);
+      expect(pending.solveFor).to.equal(1);
+
+      const [basePrice] = await market.solveCurveParameters(1, slope);
+      await time.increase(await market.CHANGE_DELAY());
+      await runTask("market:execute-curve", { market: address });
+
+      expect(await market.basePrice()).to.equal(basePrice);
+      expect(await market.slope()).to.equal(slope);
+    });
+
+    it("Should cancel a queued curve change", async function () {
+      const { market, address } = await loadFixture(deployMarketFixture);
+
+      await runTask("market:queue-curve", { market: address, basePrice: "0.002", slope: "0" });
+      await runTask("market:cancel-curve", { market: address });
+
+      expect((await market.pendingCurveChange()).effectiveAt).to.equal(0);
+      await expect(runTask("market:execute-curve", { market: address })).to.be.rejectedWith("No pending change");
+    });
+
+    it("Should reject an unknown solve target", async function () {
+      const { address } = await loadFixture(deployMarketFixture);
+
+      await expect(runTask("market:queue-reserve-matched", { market: address, solveFor: "supply", value: "1" }))
+        .to.be.rejectedWith('Unknown solve target "supply"');
+    });
+  });
+
+  describe("Fee Changes", function () {
+    it("Should queue and execute a fee change keeping the current recipient", async function () {
+      const { market, address, treasury } = await loadFixture(deployMarketFixture);
+
+      await runTask("market:queue-fees", { market: address, buyBps: 100, sellBps: 300 });
+      expect((await market.pendingFeeChange()).feeRecipient).to.equal(treasury.address);
+
+      await time.increase(await market.CHANGE_DELAY());
+      await runTask("market:execute-fees", { market: address });
+
+      expect(await market.buyFeeBps()).to.equal(100);
+      expect(await market.sellFeeBps()).to.equal(300);
+      expect(await market.feeRecipient()).to.equal(treasury.address);
+    });
+
+    it("Should cancel a queued fee change", async function () {
+      const { market, address, user2 } = await loadFixture(deployMarketFixture);
+
+      await runTask("market:queue-fees", { market: address, buyBps: 0, sellBps: 0, recipient: user2.address });
+      await runTask("market:cancel-fees", { market: address });
+
+      expect((await market.pendingFeeChange()).effectiveAt).to.equal(0);
+      await expect(runTask("market:execute-fees", { market: address })).to.be.rejectedWith("No pending change");
+    });
+
+    it("Should parse the fee split table and clear it when omitted", async function () {
+      const { market, address, treasury, user2 } = await loadFixture(deployMarketFixture);
+
+      await runTask("market:set-fee-split", {
+        market: address,
+        recipients: `${treasury.address},${user2.address}`,
+        shares: "6000,4000"
+      });
+      const shares = await market.getFeeShares();
+      expect(shares.map((share) => [share.recipient, share.bps])).to.deep.equal([
+        [treasury.address, 6000n],
+        [user2.address, 4000n]
+      ]);
+
+      await runTask("market:set-fee-split", { market: address });
+      expect(await market.getFeeShares()).to.deep.equal([]);
+    });
+  });
+
+  describe("Limits", function () {
+    it("Should set buy limits given in whole tokens", async function () {
+      const { market, address } = await loadFixture(deployMarketFixture);
+
+      await runTask("market:set-buy-limits", { market: address, perTx: "5", perWallet: "20.5", perBlock: "0" });
+
+      expect(await market.maxBuyPerTx()).to.equal(ethers.parseEther("5"));
+      expect(await market.maxWalletPurchase()).to.equal(ethers.parseEther("20.5"));
+      expect(await market.maxSupplyPerBlock()).to.equal(0);
+    });
+  });
+});